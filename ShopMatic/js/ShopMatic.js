@@ -1,4 +1,5 @@
 import { EventBus } from "./modules/EventBus.js";
+import { Events } from './modules/Events.js';
 import { Card } from './modules/Card/Card.js';
 import { ProductService } from './modules/ProductService/ProductService.js';
 import { StorageService } from './modules/StorageService/StorageService.js';
@@ -6,10 +7,27 @@ import { Notifications } from './modules/Notifications.js';
 import { Renderer } from './modules/Renderer/Renderer.js';
 import { CartModule } from './modules/Cart/Cart.js';
 import { FavoritesModule } from './modules/Wishlist/FavoritesModule.js';
+import { CompareModule } from './modules/Compare/CompareModule.js';
+import { CompareUI } from './modules/Compare/ui/CompareUI.js';
 import { ProductPage } from './modules/ProductPage/ProductPage.js';
 import { ViewedItemsModule } from './modules/ViewedItemsModule.js';
 import { Catalog } from './modules/Catalog/CatalogController.js';
 import { CheckoutPage } from './modules/Checkout/CheckoutController.js';
+import { PromoService } from './modules/Promo/PromoService.js';
+import { OrderService } from './modules/Orders/OrderService.js';
+import { DeliveryService } from './modules/Checkout/DeliveryService.js';
+import { PickupPointService } from './modules/Checkout/PickupPointService.js';
+import { AddressBookSync } from './modules/Checkout/AddressBookSync.js';
+import { AuthService } from './modules/Auth/AuthService.js';
+import { AuthModule } from './modules/Auth/AuthModule.js';
+import { CartSync } from './modules/Cart/CartSync.js';
+import { OrdersModule } from './modules/Orders/OrdersModule.js';
+import { OrdersUI } from './modules/Orders/ui/OrdersUI.js';
+import { PaymentMethods } from './modules/Payment/PaymentMethods.js';
+import { CashOnDeliveryProvider } from './modules/Payment/CashOnDeliveryProvider.js';
+import { MockCardProvider } from './modules/Payment/MockCardProvider.js';
+import { formatPrice } from './modules/utils.js';
+import { RestTransport } from './modules/Transport/RestTransport.js';
 
 /**
  * ShopMatic orchestrates all modules of the shop and exposes a high level API
@@ -45,9 +63,75 @@ export class ShopMatic {
       mobileCartNumId: 'mobileCartNum',
       miniCartHeaderTitleId: 'miniCartHeaderTitle',
       productsCountId: 'productsCount',
+      priceMinId: 'priceMin',
+      priceMaxId: 'priceMax',
+      priceSliderMinId: 'priceSliderMin',
+      priceSliderMaxId: 'priceSliderMax',
+      inStockId: 'inStockOnly',
+      onSaleId: 'onSale',
+      minDiscountId: 'minDiscount',
       storageKey: 'gribkov_cart_v1',
       favStorageKey: 'gribkov_favs_v1',
+      compareStorageKey: 'gribkov_compare_v1',
+      // Max products in the comparison list (0 = unlimited).
+      compareMax: 4,
       notificationDuration: 3000,
+      // Backend transport: a ready transport ({ send(payload, expect) }),
+      // or RestTransport options ({ baseUrl, routes, headers, ... }) in restApi.
+      // When both are empty, requests go through foxEngine.sendPostAndGetAnswer.
+      transport: null,
+      restApi: null,
+      // IndexedDB snapshot of the catalog for instant/offline start:
+      // true or { dbName, version, maxAgeMs }.
+      catalogPersistence: false,
+      // Server-side catalog pagination: mode 'none' (whole list, filtered locally),
+      // 'infinite' (pages appended on scroll) or 'pager' (numbered pages).
+      catalogPagination: { mode: 'none', pageSize: 24, pagerWindow: 5 },
+      // Windowed rendering of large catalog grids: only cards near the viewport are mounted.
+      catalogVirtualize: { enabled: false, threshold: 300, overscanRows: 3, poolSize: 200 },
+      // Mirror catalog filters in the query string (pushState + back/forward restore):
+      // true, false or CatalogUrlState options ({ params, extraFilters, isCatalogRoute }).
+      catalogUrlSync: true,
+      // Search-as-you-type dropdown (products, brands, categories, recent searches).
+      catalogSuggest: true,
+      // Extra catalog sorts on top of the built-in ones: { key: { label, compare, then } }.
+      // Integrators can also call shop.catalog.sorts.register() at runtime.
+      catalogSorts: null,
+      // Promo codes: local rules used when the backend (validatePromo) is unavailable,
+      // see Promo/PromoRules.js for the rule format. promoServer: false — local rules only.
+      promoRules: [],
+      promoServer: true,
+      // Payment methods at checkout: cash on delivery is always offered, extra
+      // PaymentProvider instances go to paymentProviders. paymentMock adds the local
+      // test card provider (development only).
+      paymentProviders: [],
+      paymentMock: false,
+      // Order endpoints (sysRequest names): { createOrder, orders, orderById }.
+      orderEndpoints: null,
+      // Delivery options per address (sysRequest names): { deliveryOptions }.
+      // deliveryFallback replaces DeliveryService.DEFAULT_OPTIONS when the backend is down.
+      deliveryEndpoints: null,
+      deliveryFallback: null,
+      // Pickup points (sysRequest names): { pickupPoints }. pickupViews: (picker) => views[]
+      // replaces the default list in the picker, e.g. with a map (see PickupPointPicker).
+      pickupEndpoints: null,
+      pickupViews: null,
+      // Address autocomplete in the address modal: an AddressSuggestProvider instance
+      // (e.g. StaticAddressSuggestProvider). null — addresses are typed by hand.
+      addressSuggest: null,
+      // Customer sessions (sysRequest names): { login, logout, refresh }.
+      // The access token is added to every backend request (see AuthModule).
+      authEndpoints: null,
+      authStorageKey: 'shop_auth_v1',
+      // Account cart on the server (sysRequest names): { pull, push }. On login the guest
+      // cart is merged into it; afterwards every cart change is pushed. false — local only.
+      cartSync: true,
+      cartSyncEndpoints: null,
+      // Server copy of recipients and addresses for signed-in users: { pull, push }
+      // sysRequest names. session() overrides the AuthModule session: { userId } or null.
+      addressSync: false,
+      addressSyncEndpoints: null,
+      session: null,
       debug: false
     }, opts);
 
@@ -55,12 +139,18 @@ export class ShopMatic {
     this.eventBus = new EventBus();
     this.deviceUtil = foxEngine.deviceUtil;
 
-    this.productService = new ProductService(this.foxEngine);
+    this.transport = this.opts.transport || (this.opts.restApi ? new RestTransport(this.opts.restApi) : null);
+    this.productService = new ProductService(this.foxEngine, {
+      transport: this.transport,
+      persistence: this.opts.catalogPersistence,
+      debug: this.opts.debug
+    });
     this.card = new Card(this);
 
     this.storage = new StorageService(this, {
       storageKey: this.opts.storageKey,
-      favStorageKey: this.opts.favStorageKey
+      favStorageKey: this.opts.favStorageKey,
+      compareStorageKey: this.opts.compareStorageKey
     });
 
     this.notifications = new Notifications();
@@ -68,6 +158,10 @@ export class ShopMatic {
     // Favourites with central sync
     this.favorites = new FavoritesModule({ storage: this.storage, opts: { sync: false } });
 
+    // Product comparison list + its page
+    this.compare = new CompareModule({ storage: this.storage, opts: { max: this.opts.compareMax } });
+    this.comparePage = new CompareUI({ shop: this });
+
     this.renderer = new Renderer({
       shopMatic: this,
       productService: this.productService,
@@ -100,13 +194,105 @@ export class ShopMatic {
       searchId: this.opts.searchId,
       sortId: this.opts.sortId,
       searchBtnId: this.opts.searchBtnId,
-      productsCountId: this.opts.productsCountId
+      productsCountId: this.opts.productsCountId,
+      priceMinId: this.opts.priceMinId,
+      priceMaxId: this.opts.priceMaxId,
+      priceSliderMinId: this.opts.priceSliderMinId,
+      priceSliderMaxId: this.opts.priceSliderMaxId,
+      inStockId: this.opts.inStockId,
+      onSaleId: this.opts.onSaleId,
+      minDiscountId: this.opts.minDiscountId,
+      pagination: this.opts.catalogPagination,
+      virtualize: this.opts.catalogVirtualize,
+      urlSync: this.opts.catalogUrlSync,
+      suggest: this.opts.catalogSuggest,
+      sorts: this.opts.catalogSorts
+    });
+
+    // Promo codes for checkout (server validation + local fallback rules)
+    this.promo = new PromoService(this.foxEngine, {
+      transport: this.transport,
+      rules: this.opts.promoRules,
+      server: this.opts.promoServer,
+      formatPrice,
+      debug: this.opts.debug
+    });
+
+    // Orders: submission (createOrder with idempotency keys), history and repeat order
+    this.orderService = new OrderService(this.foxEngine, {
+      transport: this.transport,
+      endpoints: this.opts.orderEndpoints || {},
+      debug: this.opts.debug
+    });
+    this.orders = new OrdersModule({ shop: this, service: this.orderService });
+    this.ordersPage = new OrdersUI({ shop: this });
+
+    // Payment methods (see Payment/PaymentProvider.js for the provider contract)
+    this.payments = new PaymentMethods([
+      ...(this.opts.paymentMock ? [new MockCardProvider()] : []),
+      new CashOnDeliveryProvider(),
+      ...(Array.isArray(this.opts.paymentProviders) ? this.opts.paymentProviders : [])
+    ]);
+
+    // Delivery options: price, free threshold, ETA and availability for the selected address
+    this.delivery = new DeliveryService(this.foxEngine, {
+      transport: this.transport,
+      endpoints: this.opts.deliveryEndpoints || {},
+      fallback: this.opts.deliveryFallback,
+      formatPrice,
+      debug: this.opts.debug
+    });
+
+    this.pickupPoints = new PickupPointService(this.foxEngine, {
+      transport: this.transport,
+      endpoints: this.opts.pickupEndpoints || {},
+      debug: this.opts.debug
     });
 
     this.checkoutPage = new CheckoutPage(this.cart);
 
+    // Customer session: login / logout, token refresh, auth:changed on the eventBus
+    this.authService = new AuthService(this.foxEngine, {
+      transport: this.transport,
+      endpoints: this.opts.authEndpoints || {},
+      debug: this.opts.debug
+    });
+    this.auth = new AuthModule({
+      service: this.authService,
+      eventBus: this.eventBus,
+      notifications: this.notifications,
+      storageKey: this.opts.authStorageKey
+    });
+
+    this.cartSync = this.opts.cartSync
+      ? new CartSync(this.foxEngine, {
+          transport: this.transport,
+          endpoints: this.opts.cartSyncEndpoints || {},
+          cart: this.cart,
+          storage: this.storage,
+          storageKey: this.opts.storageKey,
+          getSession: () => this.auth.getSession(),
+          eventBus: this.eventBus,
+          notifications: this.notifications,
+          debug: this.opts.debug
+        })
+      : null;
+    if (this.cartSync) this.storage.setCartRemote(this.cartSync);
+
+    this.addressSync = this.opts.addressSync
+      ? new AddressBookSync(this.foxEngine, {
+          transport: this.transport,
+          endpoints: this.opts.addressSyncEndpoints || {},
+          storage: this.checkoutPage.addressStorage,
+          getSession: () => (typeof this.opts.session === 'function' ? this.opts.session() : this.auth.getSession()),
+          debug: this.opts.debug
+        })
+      : null;
+
     // Subscription handle for favourites updates
     this._favsUnsub = null;
+    this._compareUnsub = null;
+    this._authUnsub = null;
 
     // Bound handlers for global events
     this._bound = {
@@ -133,6 +319,13 @@ export class ShopMatic {
    * ShopMatic instance.
    */
   async init() {
+    // Restore the customer session first so catalog requests already carry the token
+    try {
+      this.auth.init();
+    } catch (err) {
+      console.warn('auth.init failed', err);
+    }
+
     // Collect cart related DOM elements
     const cartGridEl = document.getElementById(this.opts.cartGridId);
     const cartCountInlineEl = document.getElementById(this.opts.cartCountInlineId);
@@ -185,6 +378,25 @@ export class ShopMatic {
       console.warn('favorites.subscribe failed', err);
     }
 
+    // Compare counter in the header
+    try {
+      this._compareUnsub = this.compare.subscribe(() => this._updateCompareUI());
+    } catch (err) {
+      console.warn('compare.subscribe failed', err);
+    }
+
+    // Account data sync starts after the catalog so it does not delay the first render
+    try {
+      this.addressSync?.attach();
+      this.cartSync?.handleSessionChange({ reason: 'restore' }).catch(() => {});
+      this._authUnsub = this.eventBus.on(Events.AUTH_CHANGED, (e) => {
+        this.addressSync?.handleSessionChange(e);
+        this.cartSync?.handleSessionChange(e).catch(() => {});
+      });
+    } catch (err) {
+      console.warn('account sync start failed', err);
+    }
+
     // Bind global events
     window.addEventListener('storage', this._bound.onStorage);
 
@@ -228,7 +440,20 @@ export class ShopMatic {
       this._favsUnsub = null;
     }
 
+    if (typeof this._compareUnsub === 'function') {
+      try { this._compareUnsub(); } catch (e) { /* ignore */ }
+      this._compareUnsub = null;
+    }
+
     // Destroy modules
+    try { this.comparePage?.destroy?.(); } catch (e) { /* ignore */ }
+    try { this.ordersPage?.destroy?.(); } catch (e) { /* ignore */ }
+    try { this.orders?.destroy?.(); } catch (e) { /* ignore */ }
+    try { this.addressSync?.destroy?.(); } catch (e) { /* ignore */ }
+    try { this.cartSync?.destroy?.(); } catch (e) { /* ignore */ }
+    try { this._authUnsub?.(); } catch (e) { /* ignore */ }
+    try { this.auth?.destroy?.(); } catch (e) { /* ignore */ }
+    try { this.compare?.destroy?.(); } catch (e) { /* ignore */ }
     if (this.favorites && typeof this.favorites.destroy === 'function') {
       try { this.favorites.destroy(); } catch (e) { /* ignore */ }
     }
@@ -267,6 +492,22 @@ export class ShopMatic {
     }
   }
 
+  /**
+   * Update the compare counter (#compareNum) to the number of compared
+   * products. Hidden when the list is empty.
+   */
+  _updateCompareUI() {
+    try {
+      const el = document.getElementById('compareNum');
+      if (!el) return;
+      const count = this.compare?.getCount?.() ?? 0;
+      el.style.display = count > 0 ? 'inline-flex' : 'none';
+      el.textContent = String(count);
+    } catch (e) {
+      console.warn('_updateCompareUI failed', e);
+    }
+  }
+
   /**
    * Synchronise quantity controls and disabled state across all cards. Delegates
    * to Card module for per-card logic. Accepts an optional container; defaults
@@ -319,6 +560,11 @@ export class ShopMatic {
       this._syncAllCardsControls();
     }
 
+    // Login / logout in another tab
+    if (e.key === this.opts.authStorageKey) {
+      try { this.auth.reloadFromStorage(); } catch (_) {}
+    }
+
     // Favourites storage changed
     if (e.key === this.opts.favStorageKey) {
       try { this.favorites.loadFromStorage(); } catch (_) {}
@@ -405,6 +651,68 @@ export class ShopMatic {
     return Array.isArray(ids) ? ids.map(id => this.productService.findById(id)).filter(Boolean) : [];
   }
 
+  isCompared(id) { return this.compare?.isCompared ? this.compare.isCompared(id) : false; }
+
+  toggleCompare(id) { return this.compare?.toggle ? this.compare.toggle(id) : false; }
+
+  /**
+   * Products in the comparison list, in the order they were added.
+   * @returns {Promise<Array<Object>>}
+   */
+  getCompared() {
+    return this.compare?.getProducts ? this.compare.getProducts() : Promise.resolve([]);
+  }
+
+  /**
+   * Render the comparison page into the current DOM (#compare-table etc.).
+   */
+  async renderComparePage() {
+    return this.comparePage.init();
+  }
+
+  /**
+   * Render the order history page.
+   * @param {HTMLElement|string} [block] Container; defaults to the engine content block.
+   */
+  async renderOrdersPage(block = this.foxEngine?.replaceData?.contentBlock) {
+    return this.ordersPage.renderList(block);
+  }
+
+  /**
+   * Render a single order page (route #order/<id>).
+   * @param {string} orderId
+   * @param {HTMLElement|string} [block] Container; defaults to the engine content block.
+   */
+  async renderOrderPage(orderId, block = this.foxEngine?.replaceData?.contentBlock) {
+    return this.ordersPage.renderDetail(orderId, block);
+  }
+
+  /**
+   * Re-add the available items of a past order to the cart.
+   * @param {string} orderId
+   */
+  async repeatOrder(orderId) {
+    return this.orders.repeatOrder(orderId);
+  }
+
+  /**
+   * Sign the customer in.
+   * @param {Object} credentials - Sent to the backend as-is, e.g. { login, password }.
+   * @returns {Promise<Object>} Session without tokens: { userId, user, expiresAt }.
+   */
+  async login(credentials) {
+    return this.auth.login(credentials);
+  }
+
+  async logout() {
+    return this.auth.logout();
+  }
+
+  /** @returns {Object|null} Current session ({ userId, user, expiresAt }) or null for guests. */
+  getSession() {
+    return this.auth.getSession();
+  }
+
   removeCartItem(id) {
     this.cart.remove(id);
     this.catalog.view.updateCardByName(id);
@@ -1,18 +1,74 @@
+import { FoxEngineTransport } from './Transport/FoxEngineTransport.js';
+import { ApiError } from './Transport/ApiError.js';
+
+/**
+ * Default retry policy. Retries are disabled unless configured.
+ * @type {{retries: number, baseDelayMs: number, maxDelayMs: number, factor: number, retryOn: string[]}}
+ */
+const DEFAULT_RETRY = Object.freeze({
+  retries: 0,
+  baseDelayMs: 300,
+  maxDelayMs: 5000,
+  factor: 2,
+  retryOn: [ApiError.TIMEOUT, ApiError.NETWORK, ApiError.BACKEND]
+});
+
 /**
  * Base class for backend API communication.
  *
+ * Requests are sent through a pluggable transport implementing
+ * `send(payload, expect, { signal }) => Promise<any>` (see Transport/FoxEngineTransport.js
+ * and Transport/RestTransport.js).
+ *
  * Provides:
- * - unified timeout handling
+ * - pluggable transport (host engine, REST over fetch, mocks)
+ * - unified timeout handling with request abort
+ * - retries with jittered exponential backoff (per endpoint key)
+ * - cancellation through AbortSignal
+ * - typed errors (ApiError: timeout / network / backend / aborted)
+ * - request hooks shared by all fetchers (auth tokens, see `ApiFetcher.addRequestHook`)
  * - basic logging
  * - flexible request builder
  * - helper for extracting arrays from various backend response shapes
  */
 export class ApiFetcher {
   /**
-   * @param {Object} foxEngine - Transport/engine used to send requests.
+   * Hooks applied to every request of every ApiFetcher.
+   * @type {Set<{beforeRequest?: Function, onUnauthorized?: Function}>}
+   * @private
+   */
+  static _requestHooks = new Set();
+
+  /**
+   * Registers a hook shared by all fetchers (e.g. AuthModule attaching tokens).
+   *
+   * - `beforeRequest(payload, { endpoint })` runs before each attempt and returns
+   *   the payload to send (or nothing to keep it); may be async.
+   * - `onUnauthorized(error, { endpoint })` runs when a call fails with status 401;
+   *   resolving to true repeats the call once (e.g. after a token refresh).
+   *
+   * @param {{beforeRequest?: Function, onUnauthorized?: Function}} hook
+   * @returns {() => void} removes the hook
+   */
+  static addRequestHook(hook) {
+    if (!hook || typeof hook !== 'object') return () => {};
+    ApiFetcher._requestHooks.add(hook);
+    return () => ApiFetcher._requestHooks.delete(hook);
+  }
+
+  /**
+   * @param {Object|null} foxEngine - Host engine or a ready transport (object with `send`).
+   *   May be null when `options.transport` is provided.
    * @param {Object} [options]
+   * @param {{send: (payload: Object, expect?: string) => Promise<any>}} [options.transport]
+   *   - Explicit transport. Takes precedence over `foxEngine`.
    * @param {Object<string,string>} [options.endpoints] - Map of logical names to backend endpoint identifiers.
    * @param {number} [options.timeoutMs=7000] - Request timeout in milliseconds. If not positive, no timeout is applied.
+   * @param {Object} [options.retry] - Default retry policy for all endpoints:
+   *   `{ retries, baseDelayMs, maxDelayMs, factor, retryOn }`. `retryOn` lists ApiError kinds;
+   *   backend errors are retried only for 5xx/429 statuses, malformed responses (ApiError.PARSE) never.
+   * @param {Object<string,Object>} [options.retryByEndpoint] - Per-endpoint overrides keyed by
+   *   logical endpoint key (same keys as `endpoints`), e.g. `{ products: { retries: 3 } }`.
    * @param {boolean} [options.debug=false] - Enables debug logging when true.
    * @param {(code: string) => string} [options.msgFn] - Optional function to translate message codes to human-readable text.
    * @param {(...args: any[]) => void} [options.logFn] - Optional logger implementation (defaults to console.debug in debug mode).
@@ -24,15 +80,25 @@ export class ApiFetcher {
       timeoutMs = 7000,
       debug = false,
       msgFn,
-      logFn
+      logFn,
+      transport,
+      retry = {},
+      retryByEndpoint = {}
     } = {}
   ) {
-    if (!foxEngine) {
-      throw new TypeError('ApiFetcher requires foxEngine');
-    }
+    /**
+     * Transport used to send requests.
+     * @type {{send: (payload: Object, expect?: string) => Promise<any>}}
+     * @protected
+     */
+    this.transport = ApiFetcher.resolveTransport(foxEngine, transport);
 
-    /** @protected */
-    this.foxEngine = foxEngine;
+    /**
+     * Host engine (null when running on a standalone transport).
+     * @protected
+     */
+    this.foxEngine =
+      foxEngine && typeof foxEngine.sendPostAndGetAnswer === 'function' ? foxEngine : null;
 
     /**
      * Map of logical endpoint keys to backend endpoint identifiers (sysRequest).
@@ -48,6 +114,20 @@ export class ApiFetcher {
      */
     this.timeoutMs = Number.isFinite(Number(timeoutMs)) ? Number(timeoutMs) : 0;
 
+    /**
+     * Default retry policy.
+     * @type {typeof DEFAULT_RETRY}
+     * @protected
+     */
+    this.retry = { ...DEFAULT_RETRY, ...(retry || {}) };
+
+    /**
+     * Retry policy overrides keyed by logical endpoint key.
+     * @type {Record<string, Object>}
+     * @protected
+     */
+    this.retryByEndpoint = { ...(retryByEndpoint || {}) };
+
     /**
      * Enables debug logging.
      * @type {boolean}
@@ -81,6 +161,24 @@ export class ApiFetcher {
           };
   }
 
+  /**
+   * Picks a transport from an explicit transport, a transport-like object
+   * or a host engine.
+   *
+   * @param {Object|null} foxEngine - Host engine or transport-like object.
+   * @param {Object} [transport] - Explicit transport.
+   * @returns {{send: (payload: Object, expect?: string) => Promise<any>}}
+   * @throws {TypeError} When neither argument can send requests.
+   */
+  static resolveTransport(foxEngine, transport) {
+    if (transport && typeof transport.send === 'function') return transport;
+    if (foxEngine && typeof foxEngine.send === 'function') return foxEngine;
+    if (foxEngine && typeof foxEngine.sendPostAndGetAnswer === 'function') {
+      return new FoxEngineTransport(foxEngine);
+    }
+    throw new TypeError('ApiFetcher requires a transport or foxEngine');
+  }
+
   /**
    * Write to log using the configured logger.
    * @protected
@@ -91,34 +189,228 @@ export class ApiFetcher {
   }
 
   /**
-   * Safely performs a backend call with optional timeout protection.
+   * Returns the effective retry policy for a sysRequest.
+   * Overrides are looked up by logical key first, then by the raw sysRequest.
+   *
+   * @protected
+   * @param {string} sysRequest
+   * @returns {typeof DEFAULT_RETRY}
+   */
+  _retryPolicyFor(sysRequest) {
+    let override = null;
+    for (const [key, name] of Object.entries(this.endpoints || {})) {
+      if (name === sysRequest && this.retryByEndpoint[key]) {
+        override = this.retryByEndpoint[key];
+        break;
+      }
+    }
+    if (!override && sysRequest && this.retryByEndpoint[sysRequest]) {
+      override = this.retryByEndpoint[sysRequest];
+    }
+    return override ? { ...this.retry, ...override } : this.retry;
+  }
+
+  /**
+   * Decides whether a failed attempt should be retried.
+   *
+   * @protected
+   * @param {ApiError} err
+   * @param {typeof DEFAULT_RETRY} policy
+   * @returns {boolean}
+   */
+  _isRetryable(err, policy) {
+    if (!err || err.isAborted || err.isParse) return false;
+    const kinds = Array.isArray(policy.retryOn) ? policy.retryOn : [];
+    if (!kinds.includes(err.kind)) return false;
+    if (err.isBackend) return err.status >= 500 || err.status === 429;
+    return true;
+  }
+
+  /**
+   * Full-jitter exponential backoff: random delay in [0, min(max, base * factor^attempt)].
+   *
+   * @protected
+   * @param {number} attempt - Zero-based index of the failed attempt.
+   * @param {typeof DEFAULT_RETRY} policy
+   * @returns {number}
+   */
+  _backoffDelay(attempt, policy) {
+    const base = Math.max(0, Number(policy.baseDelayMs) || 0);
+    const factor = Math.max(1, Number(policy.factor) || 1);
+    const cap = Math.max(base, Number(policy.maxDelayMs) || 0);
+    const exp = Math.min(cap, base * Math.pow(factor, attempt));
+    return Math.round(Math.random() * exp);
+  }
+
+  /**
+   * Waits for `ms`, rejecting early with ApiError(aborted) when the signal fires.
+   *
+   * @protected
+   * @param {number} ms
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new ApiError('Request aborted', { kind: ApiError.ABORTED }));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ApiError('Request aborted', { kind: ApiError.ABORTED }));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener?.('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener?.('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Performs a single transport call guarded by timeout and the caller's signal.
+   * The transport receives its own AbortSignal which fires on timeout or
+   * cancellation; transports that cannot abort are still raced so the
+   * caller is released immediately. The timer is always cleared.
+   *
+   * @protected
+   * @param {Object} payload
+   * @param {string} expect
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<any>}
+   */
+  _attempt(payload, expect, signal) {
+    const timeout = Number(this.timeoutMs) || 0;
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer = null;
+
+      const finish = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        if (timer) clearTimeout(timer);
+        signal?.removeEventListener?.('abort', onAbort);
+        fn(value);
+      };
+
+      const onAbort = () => {
+        try { controller?.abort(); } catch {}
+        finish(reject, new ApiError('Request aborted', { kind: ApiError.ABORTED }));
+      };
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener?.('abort', onAbort, { once: true });
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          try { controller?.abort(); } catch {}
+          const message = this._msgFn('ERROR_TIMEOUT') || 'Request timeout';
+          finish(reject, new ApiError(message, { kind: ApiError.TIMEOUT }));
+        }, timeout);
+      }
+
+      let call;
+      try {
+        call = this.transport.send(payload, expect, { signal: controller?.signal });
+      } catch (err) {
+        finish(reject, err);
+        return;
+      }
+
+      Promise.resolve(call).then(
+        (res) => finish(resolve, res),
+        (err) => finish(reject, err)
+      );
+    });
+  }
+
+  /**
+   * Safely performs a backend call with timeout, retries and cancellation.
    *
    * @protected
    * @template TResult
    * @param {Object} [payload={}] - Request payload to be sent to backend.
-   * @param {'JSON'|'TEXT'|string} [expect='JSON'] - Expected response type for foxEngine.
+   * @param {'JSON'|'TEXT'|string} [expect='JSON'] - Expected response type for the transport.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the call (and pending retries).
    * @returns {Promise<TResult>}
+   * @throws {ApiError}
    */
-  async _safeCall(payload = {}, expect = 'JSON') {
-    const timeout = Number(this.timeoutMs) || 0;
-    const callPromise = this.foxEngine.sendPostAndGetAnswer(payload, expect);
+  async _safeCall(payload = {}, expect = 'JSON', { signal } = {}) {
+    const endpoint = String(payload?.sysRequest ?? '');
+    const policy = this._retryPolicyFor(endpoint);
+    const retries = Math.max(0, parseInt(policy.retries, 10) || 0);
+    let reauthorized = false;
 
-    if (!timeout || timeout <= 0) {
-      // No timeout configured: return original promise directly.
-      return callPromise;
-    }
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const prepared = await this._applyRequestHooks(payload, endpoint);
+        return await this._attempt(prepared, expect, signal);
+      } catch (raw) {
+        const err = ApiError.from(raw, { endpoint, attempt });
 
-    const timeoutPromise = new Promise((_, reject) => {
-      const message =
-        this._msgFn('ERROR_TIMEOUT') || 'Request timeout';
+        if (err.status === 401 && !reauthorized && await this._handleUnauthorized(err, endpoint)) {
+          // Same attempt again with fresh credentials; does not count as a retry.
+          reauthorized = true;
+          attempt--;
+          continue;
+        }
 
-      setTimeout(() => {
-        reject(new Error(message));
-      }, timeout);
-    });
+        if (attempt >= retries || !this._isRetryable(err, policy)) throw err;
+
+        const delay = this._backoffDelay(attempt, policy);
+        this._log(`ApiFetcher: ${endpoint} failed (${err.kind}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await this._sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Runs `beforeRequest` of the registered hooks. A failing hook is logged and skipped.
+   *
+   * @protected
+   * @param {Object} payload
+   * @param {string} endpoint
+   * @returns {Promise<Object>}
+   */
+  async _applyRequestHooks(payload, endpoint) {
+    let result = payload;
+    for (const hook of Array.from(ApiFetcher._requestHooks)) {
+      if (typeof hook.beforeRequest !== 'function') continue;
+      try {
+        const next = await hook.beforeRequest({ ...result }, { endpoint });
+        if (next && typeof next === 'object') result = next;
+      } catch (e) {
+        this._log(`ApiFetcher: request hook failed for ${endpoint}`, e);
+      }
+    }
+    return result;
+  }
 
-    // Race backend call with timeout to avoid hanging requests.
-    return Promise.race([callPromise, timeoutPromise]);
+  /**
+   * Asks the registered hooks whether a 401 call should be repeated.
+   *
+   * @protected
+   * @param {ApiError} err
+   * @param {string} endpoint
+   * @returns {Promise<boolean>}
+   */
+  async _handleUnauthorized(err, endpoint) {
+    for (const hook of Array.from(ApiFetcher._requestHooks)) {
+      if (typeof hook.onUnauthorized !== 'function') continue;
+      try {
+        if (await hook.onUnauthorized(err, { endpoint })) return true;
+      } catch (e) {
+        this._log(`ApiFetcher: unauthorized hook failed for ${endpoint}`, e);
+      }
+    }
+    return false;
   }
 
   /**
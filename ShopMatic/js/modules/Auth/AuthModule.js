@@ -0,0 +1,307 @@
+import { Events } from '../Events.js';
+import { ApiFetcher } from '../ApiFetcher.js';
+import { ApiError } from '../Transport/ApiError.js';
+import { AuthService } from './AuthService.js';
+
+/**
+ * AuthModule — сессия покупателя.
+ *  - login / logout через AuthService, сессия хранится в localStorage
+ *  - access token обновляется заранее (refreshAheadMs до истечения)
+ *    и по ответу 401 на любой запрос
+ *  - токен добавляется ко всем запросам ApiFetcher полем `authToken`
+ *    (RestTransport превращает его в заголовок Authorization)
+ *  - события на eventBus: Events.AUTH_CHANGED (`{ session, reason }`, reason —
+ *    'login' | 'logout' | 'expired' | 'restore'), Events.AUTH_REFRESHED,
+ *    Events.AUTH_SESSION_EXPIRED
+ *
+ * Наружу сессия отдаётся без токенов: `{ userId, user, expiresAt }`.
+ *
+ * @author Calista Verner
+ */
+export class AuthModule {
+  static UI_MESSAGES = Object.freeze({
+    LOGIN_FAILED: 'Не удалось войти. Проверьте логин и пароль.',
+    LOGIN_NETWORK: 'Нет соединения с сервером. Попробуйте ещё раз.',
+    SESSION_EXPIRED: 'Сессия истекла. Войдите снова.'
+  });
+
+  static STORAGE_KEY = 'shop_auth_v1';
+
+  /** Пауза перед повтором обновления токена, если сервер недоступен */
+  static RETRY_REFRESH_MS = 30000;
+
+  /** setTimeout не принимает задержки больше ~24.8 суток */
+  static MAX_TIMER_MS = 2 ** 31 - 1;
+
+  /**
+   * @param {Object} deps
+   * @param {AuthService} deps.service
+   * @param {Object} [deps.eventBus]
+   * @param {Object} [deps.notifications]
+   * @param {string} [deps.storageKey]
+   * @param {number} [deps.refreshAheadMs=60000] - за сколько до истечения обновлять токен
+   */
+  constructor({
+    service,
+    eventBus = null,
+    notifications = null,
+    storageKey = AuthModule.STORAGE_KEY,
+    refreshAheadMs = 60000
+  } = {}) {
+    if (!(service instanceof AuthService)) throw new Error('AuthModule requires an AuthService');
+
+    this.service = service;
+    this.eventBus = eventBus;
+    this.notifications = notifications;
+    this.storageKey = storageKey;
+    this.refreshAheadMs = Math.max(0, Number(refreshAheadMs) || 0);
+
+    /** @type {Object|null} сессия с токенами */
+    this._session = null;
+    /** @type {Promise<boolean>|null} текущее обновление токена */
+    this._refreshing = null;
+    this._timer = null;
+    this._removeHook = null;
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = AuthModule.UI_MESSAGES[key] ?? '';
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  /**
+   * Восстанавливает сессию из localStorage и подключает токен к запросам.
+   * Истёкшая сессия с refresh token обновляется сразу.
+   */
+  init() {
+    if (!this._removeHook) {
+      this._removeHook = ApiFetcher.addRequestHook({
+        beforeRequest: (payload, ctx) => this._beforeRequest(payload, ctx),
+        onUnauthorized: (err, ctx) => this._onUnauthorized(err, ctx)
+      });
+    }
+    this.reloadFromStorage();
+    return this;
+  }
+
+  destroy() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    try { this._removeHook?.(); } catch (e) {}
+    this._removeHook = null;
+  }
+
+  /* ---------- состояние ---------- */
+
+  /** @returns {{userId: string|null, user: Object|null, expiresAt: number|null}|null} */
+  getSession() {
+    if (!this._session) return null;
+    const { userId, user, expiresAt } = this._session;
+    return { userId, user: user ? { ...user } : null, expiresAt };
+  }
+
+  isAuthenticated() {
+    return !!this._session;
+  }
+
+  getAccessToken() {
+    return this._session?.accessToken || null;
+  }
+
+  _isExpired(session = this._session, now = Date.now()) {
+    return !!session?.expiresAt && session.expiresAt <= now;
+  }
+
+  /**
+   * Перечитывает сессию из localStorage (старт страницы, вход/выход в другой вкладке).
+   */
+  reloadFromStorage() {
+    const prevUser = this._session?.userId ?? null;
+    const hadSession = !!this._session;
+    let stored = null;
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      stored = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      stored = null;
+    }
+
+    this._session = stored && stored.accessToken ? stored : null;
+    if (this._session && this._isExpired() && !this._session.refreshToken) {
+      const userId = this._session.userId;
+      this._clear();
+      this._emitExpired(userId);
+      return;
+    }
+
+    if (hadSession !== !!this._session || prevUser !== (this._session?.userId ?? null)) {
+      this._emitChanged('restore');
+    }
+
+    if (this._session && this._isExpired()) this.refresh().catch(() => {});
+    else this._scheduleRefresh();
+  }
+
+  _persist() {
+    try {
+      if (this._session) localStorage.setItem(this.storageKey, JSON.stringify(this._session));
+      else localStorage.removeItem(this.storageKey);
+    } catch (e) {
+      console.warn('AuthModule: failed to persist session', e);
+    }
+  }
+
+  _clear() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._session = null;
+    this._persist();
+  }
+
+  _emitChanged(reason) {
+    try {
+      this.eventBus?.emit?.(Events.AUTH_CHANGED, { session: this.getSession(), reason });
+    } catch (e) {}
+  }
+
+  _emitExpired(userId) {
+    try {
+      this.eventBus?.emit?.(Events.AUTH_SESSION_EXPIRED, { userId });
+      this.eventBus?.emit?.(Events.AUTH_CHANGED, { session: null, reason: 'expired' });
+    } catch (e) {}
+    try {
+      this.notifications?.show?.(this._msg('SESSION_EXPIRED'), { type: 'warning' });
+    } catch (e) {}
+  }
+
+  /* ---------- вход / выход ---------- */
+
+  /**
+   * @param {Object} credentials - передаются на бэкенд как есть
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<Object>} сессия без токенов
+   * @throws {ApiError} с текстом для покупателя в message
+   */
+  async login(credentials = {}, { signal } = {}) {
+    let session;
+    try {
+      session = await this.service.login(credentials, { signal });
+    } catch (err) {
+      const error = ApiError.from(err);
+      if (!error.isAborted) error.message = this._errorText(error);
+      throw error;
+    }
+    if (!session) throw new ApiError(this._msg('LOGIN_FAILED'), { kind: ApiError.BACKEND });
+
+    this._session = session;
+    this._persist();
+    this._scheduleRefresh();
+    this._emitChanged('login');
+    return this.getSession();
+  }
+
+  /**
+   * Локальная сессия сбрасывается сразу; ошибка запроса logout на выход не влияет.
+   */
+  async logout() {
+    const session = this._session;
+    if (!session) return;
+
+    this._clear();
+    this._emitChanged('logout');
+
+    try {
+      await this.service.logout(session);
+    } catch (e) {
+      console.warn('AuthModule: logout request failed', e);
+    }
+  }
+
+  _errorText(error) {
+    if (error.kind === ApiError.TIMEOUT || error.kind === ApiError.NETWORK) return this._msg('LOGIN_NETWORK');
+    return error.message && error.kind === ApiError.BACKEND && error.status && error.status < 500 && error.status !== 401
+      ? error.message
+      : this._msg('LOGIN_FAILED');
+  }
+
+  /* ---------- обновление токена ---------- */
+
+  /**
+   * Обновляет access token. Параллельные вызовы ждут одного запроса.
+   * Отказ сервера (4xx) завершает сессию; сетевая ошибка оставляет её до следующей попытки.
+   *
+   * @returns {Promise<boolean>} true — токен обновлён
+   */
+  refresh() {
+    if (this._refreshing) return this._refreshing;
+    const current = this._session;
+    if (!current?.refreshToken) return Promise.resolve(false);
+
+    this._refreshing = (async () => {
+      try {
+        const next = await this.service.refresh(current.refreshToken);
+        if (this._session !== current) return !!this._session;
+        if (!next) throw new ApiError('Empty session', { kind: ApiError.BACKEND, status: 401 });
+
+        this._session = {
+          ...next,
+          userId: next.userId ?? current.userId,
+          user: next.user ?? current.user,
+          refreshToken: next.refreshToken || current.refreshToken
+        };
+        this._persist();
+        this._scheduleRefresh();
+        try { this.eventBus?.emit?.(Events.AUTH_REFRESHED, { session: this.getSession() }); } catch (e) {}
+        return true;
+      } catch (err) {
+        if (this._session !== current) return !!this._session;
+        const error = ApiError.from(err);
+        if (error.isBackend && error.status >= 400 && error.status < 500) {
+          this._clear();
+          this._emitExpired(current.userId);
+        } else {
+          this._scheduleRefresh(AuthModule.RETRY_REFRESH_MS);
+        }
+        return false;
+      } finally {
+        this._refreshing = null;
+      }
+    })();
+
+    return this._refreshing;
+  }
+
+  _scheduleRefresh(delayMs = null) {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (!this._session?.refreshToken || !this._session.expiresAt) return;
+
+    const delay = delayMs ?? this._session.expiresAt - this.refreshAheadMs - Date.now();
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.refresh().catch(() => {});
+    }, Math.min(Math.max(0, delay), AuthModule.MAX_TIMER_MS));
+  }
+
+  /* ---------- хуки ApiFetcher ---------- */
+
+  async _beforeRequest(payload, { endpoint } = {}) {
+    if (!this._session || this.service.isOwnEndpoint(endpoint)) return payload;
+    if (this._isExpired() && this._session.refreshToken) await this.refresh();
+    const token = this.getAccessToken();
+    return token ? { ...payload, authToken: token } : payload;
+  }
+
+  async _onUnauthorized(err, { endpoint } = {}) {
+    if (!this._session || this.service.isOwnEndpoint(endpoint)) return false;
+    if (this._session.refreshToken) return this.refresh();
+
+    // Без refresh token сессию не продлить — токен отозван или истёк
+    const userId = this._session.userId;
+    this._clear();
+    this._emitExpired(userId);
+    return false;
+  }
+}
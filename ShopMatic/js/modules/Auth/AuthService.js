@@ -0,0 +1,112 @@
+import { ApiFetcher } from '../ApiFetcher.js';
+
+/**
+ * Backend API for customer sessions: login, logout and token refresh.
+ *
+ * Endpoint map (sysRequest names), overridable via `options.endpoints`:
+ *   login: 'login', logout: 'logout', refresh: 'refreshToken'
+ *
+ * login receives the credentials as-is (e.g. `{ login, password }`), refresh —
+ * `{ refreshToken }`, logout — `{ refreshToken }`. Both login and refresh answer
+ * with a session; common field spellings are accepted (see `normalizeSession`):
+ *   `{ accessToken, refreshToken, expiresIn: 3600, user: { id, name, email } }`
+ *
+ * @author Calista Verner
+ */
+export class AuthService extends ApiFetcher {
+  /**
+   * @param {Object|null} foxEngine - Host engine or transport (see ApiFetcher).
+   * @param {Object} [options]
+   * @param {{send: Function}} [options.transport]
+   * @param {Object<string,string>} [options.endpoints] - Defaults:
+   *   `{ login: 'login', logout: 'logout', refresh: 'refreshToken' }`.
+   * @param {number} [options.timeoutMs]
+   * @param {boolean} [options.debug]
+   */
+  constructor(foxEngine, { transport, endpoints = {}, timeoutMs, debug } = {}) {
+    const merged = { login: 'login', logout: 'logout', refresh: 'refreshToken', ...endpoints };
+    super(foxEngine, { transport, endpoints: merged, timeoutMs, debug });
+    this.endpoints = merged;
+  }
+
+  /**
+   * Session from a backend answer; null without an access token.
+   * `expiresAt` is absolute (ms); `expiresIn` is taken in seconds.
+   *
+   * @param {Object} raw
+   * @param {number} [now=Date.now()]
+   * @returns {{userId: string|null, user: Object|null, accessToken: string,
+   *   refreshToken: string|null, expiresAt: number|null}|null}
+   */
+  static normalizeSession(raw, now = Date.now()) {
+    const src = raw && typeof raw.data === 'object' && raw.data && !Array.isArray(raw.data) ? raw.data : raw;
+    if (!src || typeof src !== 'object') return null;
+
+    const accessToken = String(src.accessToken ?? src.access_token ?? src.token ?? '').trim();
+    if (!accessToken) return null;
+
+    const user = src.user && typeof src.user === 'object' ? { ...src.user } : null;
+    const userId = user?.id ?? src.userId ?? src.user_id ?? null;
+
+    let expiresAt = null;
+    const at = src.expiresAt ?? src.expires_at;
+    const inSec = Number(src.expiresIn ?? src.expires_in);
+    if (at != null && at !== '') {
+      expiresAt = Number.isFinite(Number(at)) ? Number(at) : Date.parse(at);
+    } else if (Number.isFinite(inSec) && inSec > 0) {
+      expiresAt = now + inSec * 1000;
+    }
+
+    return {
+      userId: userId != null && userId !== '' ? String(userId) : null,
+      user,
+      accessToken,
+      refreshToken: String(src.refreshToken ?? src.refresh_token ?? '').trim() || null,
+      expiresAt: Number.isFinite(expiresAt) ? expiresAt : null
+    };
+  }
+
+  /**
+   * True for the sysRequest names of this service: their calls must not be
+   * authorized or re-authorized by AuthModule itself.
+   * @param {string} endpoint
+   * @returns {boolean}
+   */
+  isOwnEndpoint(endpoint) {
+    return Object.values(this.endpoints).includes(endpoint);
+  }
+
+  /**
+   * @param {Object} credentials
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<Object|null>} session
+   * @throws {ApiError}
+   */
+  async login(credentials = {}, { signal } = {}) {
+    const { payload } = this._buildRequest('login', { params: { ...credentials } });
+    const res = await this._safeCall(payload, 'JSON', { signal });
+    return AuthService.normalizeSession(res);
+  }
+
+  /**
+   * @param {string} refreshToken
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<Object|null>} session
+   * @throws {ApiError}
+   */
+  async refresh(refreshToken, { signal } = {}) {
+    const { payload } = this._buildRequest('refresh', { params: { refreshToken } });
+    const res = await this._safeCall(payload, 'JSON', { signal });
+    return AuthService.normalizeSession(res);
+  }
+
+  /**
+   * @param {{refreshToken?: string|null, accessToken?: string}} session
+   * @returns {Promise<any>}
+   * @throws {ApiError}
+   */
+  async logout({ refreshToken = null, accessToken = '' } = {}) {
+    const { payload } = this._buildRequest('logout', { params: { refreshToken, authToken: accessToken } });
+    return this._safeCall(payload, 'JSON');
+  }
+}
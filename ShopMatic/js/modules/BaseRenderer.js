@@ -134,6 +134,26 @@ export class BaseRenderer {
     return wrapper.firstElementChild || wrapper;
   }
 
+  /**
+   * Добавляет кнопку «к сравнению», если шаблон карточки её не содержит.
+   * Состояние кнопки (aria-pressed, is-compared) выставляет Card при mount.
+   * @param {Element} node - корень карточки
+   * @param {string} [hostSelector] - куда вставить кнопку (по умолчанию — в корень)
+   */
+  _ensureCompareToggle(node, hostSelector = '') {
+    if (!node?.querySelector || !this.shopMatic?.compare) return;
+    if (node.querySelector('[data-role="compare"], .compare-btn')) return;
+
+    const host = (hostSelector && node.querySelector(hostSelector)) || node;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'compare-btn';
+    btn.setAttribute('data-role', 'compare');
+    btn.setAttribute('aria-pressed', 'false');
+    btn.innerHTML = '<i class="fa-solid fa-scale-balanced" aria-hidden="true"></i>';
+    host.appendChild(btn);
+  }
+
   /**
    * Вынесенные общие утилиты для других классов
    */
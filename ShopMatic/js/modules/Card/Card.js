@@ -4,6 +4,7 @@ import { CardCartHelper } from './card-cart-helper.js';
 import { CardDelegationManager } from './card-delegation-manager.js';
 import { VerticalCardRenderer } from "./Renderers/VerticalCardRenderer.js";
 import { HorizontalCardRenderer } from "./Renderers/HorizontalCardRenderer.js";
+import { Events } from '../Events.js';
 
 /**
  * Card — Card factory + registry + reactive syncing via event bus + premium batching.
@@ -17,7 +18,12 @@ export class Card {
     CANNOT_ADD_NO_STOCK: 'Невозможно добавить: нет доступного остатка.',
     ADDED_PARTIAL: 'В корзину добавлено {added} шт. (доступно {available}).',
     FAVORITES_UNAVAILABLE: 'Модуль избранного недоступен.',
-    PRODUCT_LEFT: 'Остаток: {left}'
+    PRODUCT_LEFT: 'Остаток: {left}',
+    COMPARE_ADD: 'Добавить к сравнению',
+    COMPARE_REMOVE: 'Убрать из сравнения',
+    COMPARE_LIMIT: 'Сравнивать можно не более {max} товаров',
+    COMPARE_UNAVAILABLE: 'Модуль сравнения недоступен.',
+    CHOOSE_VARIANT: 'Выберите размер и цвет на странице товара.'
   });
 
   constructor(shopMatic) {
@@ -69,11 +75,13 @@ export class Card {
     const u1 = bus.on('cart:changed', (p) => this._scheduleFromPayload(p));
     const u2 = bus.on('favorites:changed', (p) => this._scheduleFromPayload(p));
     const u3 = bus.on('cards:sync', (p) => this._scheduleFromPayload(p));
+    const u4 = bus.on(Events.COMPARE_CHANGED, (p) => this._scheduleFromPayload(p));
 
     this._unsubBus = () => {
       try { u1?.(); } catch {}
       try { u2?.(); } catch {}
       try { u3?.(); } catch {}
+      try { u4?.(); } catch {}
     };
   }
 
@@ -212,8 +220,8 @@ export class Card {
     );
   }
 
-  async renderCardList(cartArr, rootEl, type) {
-    if (type === "VERTICAL") return this.verticalCardRenderer.renderListVertical(cartArr, rootEl);
+  async renderCardList(cartArr, rootEl, type, options = {}) {
+    if (type === "VERTICAL") return this.verticalCardRenderer.renderListVertical(cartArr, rootEl, options);
     if (type === "HORIZONTAL") return this.horizontalCardRenderer.renderCartHorizontal(rootEl, cartArr);
   }
 
@@ -261,6 +269,38 @@ export class Card {
     return obj;
   }
 
+  /**
+   * Detaches a card root from the id → DOM index (virtualized lists, recycling).
+   * By default also drops its delegated handlers so the node can be garbage collected;
+   * pass keepBindings when the node is parked for reuse and will be mounted again.
+   *
+   * @param {Element} el
+   * @param {{keepBindings?: boolean}} [options]
+   */
+  unmount(el, { keepBindings = false } = {}) {
+    if (!el) return;
+
+    const id = String(el.getAttribute?.('data-product-id') ?? '').trim();
+    if (id) {
+      const set = this._domIndexById.get(id);
+      if (set) {
+        set.delete(el);
+        if (set.size === 0) this._domIndexById.delete(id);
+      }
+
+      const obj = this._registry.get(id);
+      if (obj && obj.el === el) {
+        // point the OOP card at another live root, if any
+        const next = this._pruneDomSet(id);
+        obj.el = next && next.size ? next.values().next().value : null;
+      }
+    }
+
+    if (!keepBindings) {
+      try { this._delegation.destroyDelegation(el); } catch {}
+    }
+  }
+
   _indexDom(id, el) {
     const clean = String(id ?? '').trim();
     if (!clean || !el) return;
@@ -297,11 +337,13 @@ export class Card {
     const available = this._stock.computeAvailableStock(cleanId);
     const totalStock = Math.max(0, Number(available) + Number(inCartQty));
     const isFav = !!this.shopMatic?.isFavorite?.(cleanId);
+    const inCompare = !!this.shopMatic?.isCompared?.(cleanId);
     const inCart = Number(inCartQty) > 0;
 
     return {
       id: cleanId,
       isFav,
+      inCompare,
       inCart,
       cartQty: Math.max(0, Number(inCartQty) || 0),
       available: Math.max(0, Number(available) || 0),
@@ -422,6 +464,22 @@ export class Card {
     card.classList.toggle('is-favorite', fav);
   }
 
+  _applyCompareState(card, inCompare) {
+    if (!card) return;
+
+    const on = !!inCompare;
+    const btn = card.querySelector('[data-role="compare"], .compare-btn');
+
+    if (btn) {
+      btn.setAttribute('aria-pressed', on ? 'true' : 'false');
+      btn.title = this._msg(on ? 'COMPARE_REMOVE' : 'COMPARE_ADD');
+      btn.classList.toggle('is-compared', on);
+    }
+
+    card.dataset.inCompare = on ? '1' : '0';
+    card.classList.toggle('is-compared', on);
+  }
+
   updateProductCardFavState(cardEl, isFav) {
     if (!cardEl) return;
     this._applyFavState(cardEl, isFav);
@@ -490,6 +548,7 @@ function applyStateToDom(cardFactory, el, state) {
   } catch {}
 
   try { cardFactory._applyFavState(el, state.isFav); } catch {}
+  try { cardFactory._applyCompareState(el, state.inCompare); } catch {}
   try { cardFactory._cart.syncCardControlsState(el); } catch {}
 }
 
@@ -14,6 +14,7 @@ export class HorizontalCardRenderer extends BaseRenderer {
   _normalizeCartItem(item = {}) {
     const id = String(item.name ?? item.id ?? item.productId ?? '').trim();
     const fullname = String(item.fullname ?? item.title ?? item.name ?? '').trim();
+    const optionsText = String(item.optionsText ?? '').trim();
     const imageArray = this._getImageArray(item.picture);
     const picture = imageArray.length ? imageArray[0] : '/assets/no-image.png';
     const priceNum = Number(item.price ?? 0);
@@ -34,6 +35,7 @@ export class HorizontalCardRenderer extends BaseRenderer {
     return {
       id,
       fullname,
+      optionsText,
       picture,
       priceNum,
       qtyNum,
@@ -119,6 +121,34 @@ export class HorizontalCardRenderer extends BaseRenderer {
     } catch (_) {}
   }
 
+  /**
+   * Chosen variant options under the title (template slot [data-role="options"]
+   * or an injected .cart-item__options). Plain products get no line.
+   */
+  _applyOptionsText(row, optionsText) {
+    if (!row) return;
+
+    try {
+      let slot = row.querySelector?.('[data-role="options"]');
+      if (!optionsText) {
+        if (slot) slot.textContent = '';
+        return;
+      }
+
+      if (!slot) {
+        slot = document.createElement('div');
+        slot.className = 'cart-item__options';
+        slot.setAttribute('data-role', 'options');
+        const title = row.querySelector?.('.cart-item__title');
+        if (title) title.after(slot);
+        else (row.querySelector?.('.cart-item__details') || row).appendChild(slot);
+      }
+      slot.textContent = String(optionsText);
+    } catch (e) {
+      this._log(`applyOptionsText error: ${e}`, 'WARN');
+    }
+  }
+
   _readIncludedFromServices(id) {
     const c = this.shopMatic?.cart;
     // Prefer IncludedStates if present
@@ -143,6 +173,7 @@ _updateRowDom(row, data = {}) {
   const {
     id,
     fullname,
+    optionsText,
     picture,
     priceFormatted,
     totalPriceFormatted,
@@ -188,6 +219,8 @@ _updateRowDom(row, data = {}) {
     this._log(`updateRowDom title error: ${e}`, 'WARN');
   }
 
+  this._applyOptionsText(row, optionsText);
+
   try {
     const img = row.querySelector?.('.cart-item__image img, img');
     if (img?.setAttribute) {
@@ -276,6 +309,7 @@ _updateRowDom(row, data = {}) {
       rowHtml = await this.renderTemplate('cardHorizontal', {
         id: data.id,
         fullname: data.fullname,
+        options: data.optionsText,
         price: data.priceFormatted,
         totalPrice: data.totalPriceFormatted,
         qty: data.qtyNum,
@@ -332,6 +366,9 @@ _updateRowDom(row, data = {}) {
     // Apply include UI class even if template already had checkbox
     this._applyIncludeUI(produced, data.included);
 
+    this._ensureCompareToggle(produced, '.cart-item__actions');
+    this._applyOptionsText(produced, data.optionsText);
+
     // Bindings + state are applied ONLY where the card DOM is created.
     try {
       this.shopMatic?.card?.mount?.(produced, { name: data.id, ...data }, 'HORIZONTAL');
@@ -117,6 +117,8 @@ export class VerticalCardRenderer extends BaseRenderer {
       }
     }
 
+    this._ensureCompareToggle(node, '.card__controls');
+
 	// Bindings + state are applied ONLY where the card DOM is created.
 	this.shopMatic.card.mount(node, product, 'VERTICAL');
 
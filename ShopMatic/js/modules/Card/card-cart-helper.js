@@ -243,8 +243,22 @@ _restoreBaseBuyButton(cardEl) {
     this.syncCardControlsState(row, { cause: 'qty' });
   }
 
+  // Товар с вариантами покупается со страницы товара — там выбираются размер/цвет
+  _openVariantPicker(id) {
+    const { shopMatic } = this.card;
+    const product = shopMatic?.productService?.findById?.(id);
+    if (!Array.isArray(product?.variants) || !product.variants.length) return false;
+
+    shopMatic.notifications?.show?.(this.card._msg('CHOOSE_VARIANT'), {
+      duration: shopMatic.opts?.notificationDuration
+    });
+    location.hash = `#product/${encodeURIComponent(String(id))}`;
+    return true;
+  }
+
   handleBuyAction({ card, id, desired = 1, isBuyNow = false }) {
     const { shopMatic } = this.card;
+    if (this._openVariantPicker(id)) return;
     const available = this.stock.computeAvailableStock(id);
 
     if (available <= 0) {
@@ -276,6 +290,7 @@ _restoreBaseBuyButton(cardEl) {
   }
 
   handleBuyNowClick(e, { card, id }) {
+    if (this._openVariantPicker(id)) return;
     const c = card || this.card.shopMatic?.root || document;
     if (!c) return;
 
@@ -110,6 +110,33 @@ export class CardDelegationManager {
         return;
       }
 
+      // --- Compare
+      const compareBtn = t.closest?.('[data-role="compare"], .compare-btn');
+      if (compareBtn && rootEl.contains(compareBtn)) {
+        ev.preventDefault();
+        ev.stopPropagation();
+
+        const id =
+          card._getIdFromElement(compareBtn.closest?.('[data-product-id], [data-id], [data-name]')) || idFromCard;
+        if (!id) return;
+
+        const compare = shopMatic.compare;
+        if (!compare) {
+          shopMatic?.notifications?.show?.(card._msg('COMPARE_UNAVAILABLE'), { type: 'error' });
+          return;
+        }
+
+        // card state is re-applied by Card on 'compare:changed'
+        const wasCompared = compare.isCompared(id);
+        const changed = compare.toggle(id);
+        if (!changed && !wasCompared && compare.isFull?.()) {
+          shopMatic?.notifications?.show?.(card._msg('COMPARE_LIMIT', { max: compare.max }), {
+            duration: shopMatic?.opts?.notificationDuration ?? 3000
+          });
+        }
+        return;
+      }
+
       // --- Buy now
       const buyNowBtn = t.closest?.('[data-role="buy-now"], [data-action="buy-now"], .buyNow');
       if (buyNowBtn && rootEl.contains(buyNowBtn)) {
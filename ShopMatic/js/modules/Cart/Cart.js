@@ -24,13 +24,15 @@ export class CartModule extends CartUI {
     PRODUCT_LIMIT_DEFAULT: 'У вас уже максимум в корзине',
     PRODUCT_LIMIT_REACHED:
       'Вы достигли максимального количества этого товара',
-    NO_STOCK_TEXT: 'Товара нет в наличии'
+    NO_STOCK_TEXT: 'Товара нет в наличии',
+    CHOOSE_VARIANT: 'Выберите вариант товара (размер, цвет).'
   });
 
   constructor({ storage, productService, renderer, notifications, favorites = null, opts = {} }) {
     super({ storage, productService, renderer, notifications, favorites, opts });
     this._bindCheckout();
-    this.loadFromStorage();
+    /** Resolves when the stored cart is loaded (CartSync waits for it before merging) */
+    this.ready = this.loadFromStorage();
   }
 
   _bus() {
@@ -53,7 +55,8 @@ export class CartModule extends CartUI {
     const prod = this._resolveProduct(id);
 
     try {
-      const title = prod && (prod.fullname || prod.title) ? (prod.fullname || prod.title) : id;
+      let title = prod && (prod.fullname || prod.title) ? (prod.fullname || prod.title) : id;
+      if (prod?.optionsText) title = `${title}, ${prod.optionsText}`;
       try {
         this.notifications?.show?.(
           this._msg('ADDED_TO_CART_HTML', { title, qty }),
@@ -74,6 +77,23 @@ export class CartModule extends CartUI {
     return uiRes;
   }
 
+  /**
+   * Adds several lines at once (e.g. a repeated order): one UI update and one
+   * cart event, without the per-line "added to cart" toast — the caller shows a summary.
+   * @param {Array<{id: string, qty?: number}>} lines
+   * @returns {boolean[]} per line: added or not
+   */
+  addMany(lines = []) {
+    const list = Array.isArray(lines) ? lines : [];
+    const results = list.map(({ id, qty = 1 } = {}) => super.add(id, qty));
+    const ids = list.filter((_, i) => results[i]).map(({ id }) => this._normalizeId(id));
+    if (ids.length) {
+      this.updateCartUI();
+      this._emitCartChanged({ ids, action: 'add' });
+    }
+    return results;
+  }
+
   remove(productId) {
     const ok = super.remove(productId);
     if (!ok) return false;
@@ -130,6 +150,13 @@ export class CartModule extends CartUI {
     return uiRes;
   }
 
+  replaceCart(items = []) {
+    super.replaceCart(items);
+    const uiRes = this.updateCartUI();
+    this._emitCartChanged({ ids: this.cart.map((i) => i.name), action: 'replace' });
+    return uiRes;
+  }
+
   _setCartForTest(cartArray) {
     super._setCartForTest(cartArray);
     const uiRes = this.updateCartUI();
@@ -6,6 +6,7 @@
  *  - cart array mutations (add/remove/changeQty)
  *  - normalization + indexing + persistence scheduling
  *  - product resolving for stock clamp (optional)
+ *  - variant lines: keyed by variant id, carry parentId/options/optionsText
  *
  * IMPORTANT:
  *  - qty <= 0 => remove from DATA only (no DOM deletes)
@@ -106,10 +107,24 @@ export class CartBase {
   // Public mutations
   // ---------------------------------------------------------------------------
 
+  /**
+   * Parent product with variants can't be a cart line — a variant must be chosen.
+   */
+  _requiresVariant(id) {
+    const prod = this._resolveProduct(id);
+    if (!prod || this._isThenable(prod)) return false;
+    return Array.isArray(prod.variants) && prod.variants.length > 0;
+  }
+
   add(productId, qty = 1) {
     const key = this._normalizeId(productId);
     if (!key) return false;
 
+    if (this._requiresVariant(key)) {
+      this.notifications?.show?.(this._msg('CHOOSE_VARIANT'), { type: 'warning' });
+      return false;
+    }
+
     const idx = this._findCartIndexById(key);
     if (idx >= 0) {
       const item = this.cart[idx];
@@ -198,6 +213,32 @@ export class CartBase {
   getCart() {
     return this.cart.map((i) => Object.assign({}, i));
   }
+
+  clear() {
+    for (const item of this.cart) this._noteChangedId(item?.name);
+    this.cart = [];
+    this._rebuildIndex();
+    return true;
+  }
+
+  /**
+   * Replaces all lines at once (e.g. guest cart merged with the account cart).
+   * Entries use the stored line shape: { name, qty, fullname, price, picture, stock, specs, parentId?, options? }.
+   */
+  replaceCart(items = []) {
+    for (const item of this.cart) this._noteChangedId(item?.name);
+    this.cart = (Array.isArray(items) ? items : [])
+      .map((entry) => {
+        const qty = Math.max(1, Number(entry?.qty ?? 1) || 1);
+        const line = this._normalizeCartItemFromProduct(entry || {}, qty);
+        return line.name ? line : null;
+      })
+      .filter(Boolean);
+    this._dedupeCart();
+    this._rebuildIndex();
+    for (const item of this.cart) this._noteChangedId(item.name);
+    return true;
+  }
   
     async loadFromStorage() {
     let raw = [];
@@ -256,7 +297,8 @@ export class CartBase {
             entry.image ||
            this.noImage,
           stock: Number(entry.stock ?? 0),
-          specs: entry.specs || {}
+          specs: entry.specs || {},
+          ...this._variantFields(entry)
         };
       })
       .filter(Boolean);
@@ -287,7 +329,22 @@ export class CartBase {
       qty: Number(qty || 1),
       picture: prod.picture || prod.image || '',
       stock: Number(prod.stock || 0),
-      specs: prod.specs || {}
+      specs: prod.specs || {},
+      ...this._variantFields(prod)
+    };
+  }
+
+  /**
+   * Variant line fields (empty object for plain products).
+   * @returns {{parentId?: string, options?: Object, optionsText?: string}}
+   */
+  _variantFields(src) {
+    const parentId = this._normalizeId(src?.parentId);
+    if (!parentId) return {};
+    return {
+      parentId,
+      options: Object.assign({}, src.options || {}),
+      optionsText: String(src.optionsText ?? '')
     };
   }
   
@@ -303,6 +360,7 @@ export class CartBase {
     item.picture =
       prod.picture ?? prod.image ?? item.picture;
     item.specs = prod.specs ?? item.specs ?? {};
+    Object.assign(item, this._variantFields(prod));
     if (
       qtyAdjust &&
       Number.isFinite(item.stock) &&
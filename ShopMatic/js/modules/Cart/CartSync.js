@@ -0,0 +1,483 @@
+import { ApiFetcher } from '../ApiFetcher.js';
+import { ApiError } from '../Transport/ApiError.js';
+import { Events } from '../Events.js';
+
+/**
+ * CartSync — серверная копия корзины для вошедших покупателей.
+ *
+ * Endpoint map (sysRequest names), overridable via `options.endpoints`:
+ *   pull: 'getCart'  — `{ userId }` → `{ items: [{ name, qty, included, parentId?, options? }] }`
+ *   push: 'saveCart' — `{ userId, items }`
+ *
+ * При входе гостевая корзина сливается с корзиной аккаунта:
+ *  - количество одинаковых позиций суммируется и ограничивается остатком
+ *  - выбор позиций (IncludedStates) сохраняется; для позиций только с сервера
+ *    берётся их флаг included
+ *  - позиции, которых нет или нет в наличии, в корзину не попадают —
+ *    они и урезанные по остатку перечисляются в отчёте (Events.DOMAIN_CART_MERGED)
+ *
+ * Дальше каждое сохранение корзины (CartStorage.saveCart) отправляется на сервер.
+ * Владелец локальной копии запоминается (`<storageKey>_owner`): повторный вход
+ * того же покупателя не удваивает количества, а при выходе корзина очищается.
+ *
+ * Отпечаток последней корзины, совпавшей с сервером, хранится в `<storageKey>_synced`.
+ * При перезагрузке страницы по нему видно, какая сторона изменилась:
+ *  - только сервер (другое устройство) → берётся корзина с сервера
+ *  - только локальная копия → она отправляется на сервер
+ *  - обе → объединение по позициям (локальное количество важнее), затем отправка
+ * До этой сверки локальная корзина на сервер не отправляется.
+ *
+ * @author Calista Verner
+ */
+export class CartSync extends ApiFetcher {
+  static UI_MESSAGES = Object.freeze({
+    MERGED: 'Товары из корзины добавлены в корзину вашего аккаунта',
+    CLAMPED: '{title}: в наличии только {qty} шт.',
+    NOT_MERGED: 'Не удалось перенести: {titles}'
+  });
+
+  static REASONS = Object.freeze({
+    MISSING: 'missing',
+    OUT_OF_STOCK: 'out_of_stock'
+  });
+
+  /**
+   * @param {Object|null} foxEngine - Host engine or transport (see ApiFetcher).
+   * @param {Object} options
+   * @param {Object} options.cart - CartModule
+   * @param {Object} options.storage - StorageService
+   * @param {() => ({userId: string|number}|null)} [options.getSession]
+   * @param {Object} [options.eventBus]
+   * @param {Object} [options.notifications]
+   * @param {{send: Function}} [options.transport]
+   * @param {Object<string,string>} [options.endpoints] - Defaults: `{ pull: 'getCart', push: 'saveCart' }`.
+   * @param {string} [options.storageKey] - Cart storage key; the owner marker is stored next to it.
+   * @param {number} [options.debounceMs=1000]
+   * @param {number} [options.timeoutMs]
+   * @param {boolean} [options.debug]
+   */
+  constructor(foxEngine, {
+    cart,
+    storage,
+    getSession = () => null,
+    eventBus = null,
+    notifications = null,
+    transport,
+    endpoints = {},
+    storageKey = 'gribkov_cart_v1',
+    debounceMs = 1000,
+    timeoutMs,
+    debug
+  } = {}) {
+    const merged = { pull: 'getCart', push: 'saveCart', ...endpoints };
+    super(foxEngine, { transport, endpoints: merged, timeoutMs, debug });
+
+    if (!cart || !storage) throw new Error('CartSync requires cart and storage');
+
+    this.endpoints = merged;
+    this.cart = cart;
+    this.storage = storage;
+    this.getSession = typeof getSession === 'function' ? getSession : () => null;
+    this.eventBus = eventBus;
+    this.notifications = notifications;
+    this.ownerKey = `${storageKey}_owner`;
+    this.syncedKey = `${storageKey}_synced`;
+    this.debounceMs = Math.max(0, Number(debounceMs) || 0);
+
+    this._timer = null;
+    this._merging = null;
+    /** @type {string|null} покупатель, чья корзина уже сверена с сервером */
+    this._reconciled = null;
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = CartSync.UI_MESSAGES[key] ?? '';
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  /* ---------- слияние ---------- */
+
+  /**
+   * Сумма двух корзин по id позиции (без учёта остатков).
+   * Поля описания берутся из гостевой позиции, недостающие — из серверной.
+   *
+   * @param {Object[]} guest
+   * @param {Object[]} account
+   * @returns {Object[]}
+   */
+  static mergeLines(guest = [], account = []) {
+    const byId = new Map();
+    for (const raw of [...guest, ...account]) {
+      const name = String(raw?.name ?? raw?.id ?? raw?.productId ?? '').trim();
+      const qty = Number(raw?.qty ?? raw?.quantity ?? 0);
+      if (!name || !Number.isFinite(qty) || qty <= 0) continue;
+
+      const prev = byId.get(name);
+      if (prev) prev.qty += qty;
+      else byId.set(name, { ...raw, name, qty });
+    }
+    return Array.from(byId.values());
+  }
+
+  /**
+   * Ограничение по остаткам.
+   * @param {Object[]} lines - позиции с { available, missing, stock } (StorageService.checkAvailability)
+   * @returns {{items: Object[], clamped: Object[], rejected: Object[]}}
+   */
+  static clampToStock(lines = []) {
+    const items = [];
+    const clamped = [];
+    const rejected = [];
+
+    for (const line of lines) {
+      const { available, missing, ...item } = line;
+      const stock = Number(line.stock);
+      const title = line.fullname || line.title || line.name;
+
+      if (missing) {
+        rejected.push({ name: line.name, title, qty: line.qty, reason: CartSync.REASONS.MISSING });
+        continue;
+      }
+      if (!available || !(stock > 0)) {
+        rejected.push({ name: line.name, title, qty: line.qty, reason: CartSync.REASONS.OUT_OF_STOCK });
+        continue;
+      }
+      if (line.qty > stock) {
+        clamped.push({ name: line.name, title, requested: line.qty, qty: stock });
+        item.qty = stock;
+      }
+      items.push(item);
+    }
+
+    return { items, clamped, rejected };
+  }
+
+  /**
+   * Объединение без суммирования: локальные позиции остаются как есть,
+   * с сервера добавляются только недостающие.
+   *
+   * @param {Object[]} local
+   * @param {Object[]} remote
+   * @returns {Object[]}
+   */
+  static unionLines(local = [], remote = []) {
+    const names = new Set(local.map((i) => String(i?.name ?? '').trim()));
+    return CartSync.mergeLines(local, remote.filter((i) => !names.has(String(i?.name ?? i?.id ?? i?.productId ?? '').trim())));
+  }
+
+  /**
+   * Отпечаток содержимого корзины: позиции, количество и флаг included.
+   * @param {Object[]} items
+   * @returns {string}
+   */
+  static fingerprint(items = []) {
+    return JSON.stringify(
+      items
+        .map((i) => [
+          String(i?.name ?? i?.id ?? i?.productId ?? '').trim(),
+          Number(i?.qty ?? i?.quantity ?? 0),
+          i?.included !== false,
+          i?.parentId ?? null
+        ])
+        .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+    );
+  }
+
+  /* ---------- сессия ---------- */
+
+  /**
+   * Вызывается при старте и на Events.AUTH_CHANGED.
+   *  - вход (локальная корзина не этого покупателя) → слияние с сервером
+   *  - тот же покупатель (перезагрузка страницы) → сверка с сервером (reconcile)
+   *  - явный выход → локальная корзина аккаунта очищается
+   *
+   * @param {{reason?: string}} [event]
+   * @returns {Promise<Object|null>} отчёт о слиянии или null
+   */
+  async handleSessionChange({ reason } = {}) {
+    const userId = this._userId();
+    const owner = this._owner();
+
+    if (!userId) {
+      clearTimeout(this._timer);
+      this._timer = null;
+      this._reconciled = null;
+      if (reason === 'logout' && owner) {
+        this._setOwner(null);
+        this._setSynced(null);
+        try { this.cart.clear(); } catch (e) { console.warn('CartSync: cart.clear failed', e); }
+      }
+      return null;
+    }
+
+    if (owner === userId) return this.reconcile(userId);
+    return this.mergeOnLogin(userId);
+  }
+
+  /**
+   * Сверка корзины того же покупателя с сервером (см. описание класса).
+   *
+   * @param {string} userId
+   * @returns {Promise<{items: Object[], clamped: Object[], rejected: Object[]}|null>}
+   *   отчёт, если корзина была заменена или объединена
+   */
+  reconcile(userId) {
+    return this._exclusive(async () => {
+      let account;
+      try {
+        account = await this._pull(userId);
+      } catch (e) {
+        if (!ApiError.isAbort(e)) this._log('CartSync: failed to load the account cart', e);
+        return null;
+      }
+      if (this._userId() !== userId || this._owner() !== userId) return null;
+
+      const synced = this._synced(userId);
+      const local = this._localItems();
+      const localChanged = CartSync.fingerprint(local) !== synced;
+      const remoteChanged = CartSync.fingerprint(account) !== synced;
+
+      if (!remoteChanged) {
+        this._reconciled = userId;
+        if (localChanged) await this.push().catch(() => false);
+        return null;
+      }
+
+      const guest = localChanged ? this.cart.getCart() : [];
+      const lines = CartSync.unionLines(guest, account)
+        .map(({ stock, available, missing, included, ...line }) => line);
+      let checked;
+      try {
+        checked = await this.storage.checkAvailability(lines);
+      } catch (e) {
+        this._log('CartSync: availability check failed', e);
+        return null;
+      }
+      if (this._userId() !== userId) return null;
+
+      const report = CartSync.clampToStock(checked);
+      this._applyIncluded(guest, account);
+
+      this._reconciled = userId;
+      this.cart.replaceCart(report.items);
+      if (localChanged || report.clamped.length || report.rejected.length) {
+        await this.push().catch(() => false);
+      } else {
+        this._setSynced(userId, CartSync.fingerprint(this._localItems()));
+      }
+
+      this._report(report, false);
+      return report;
+    });
+  }
+
+  /**
+   * Сливает локальную корзину с корзиной аккаунта. Пока сервер не ответил,
+   * локальная корзина не меняется и на сервер не отправляется.
+   *
+   * @param {string} userId
+   * @returns {Promise<{items: Object[], clamped: Object[], rejected: Object[]}|null>}
+   */
+  mergeOnLogin(userId) {
+    return this._exclusive(async () => {
+      let account;
+      try {
+        account = await this._pull(userId);
+      } catch (e) {
+        if (!ApiError.isAbort(e)) this._log('CartSync: failed to load the account cart', e);
+        return null;
+      }
+      if (this._userId() !== userId) return null;
+
+      // Корзина другого покупателя на этом устройстве не сливается с новой
+      const owner = this._owner();
+      const guest = owner && owner !== userId ? [] : this.cart.getCart();
+
+      const lines = CartSync.mergeLines(guest, account)
+        .map(({ stock, available, missing, included, ...line }) => line);
+      let checked;
+      try {
+        checked = await this.storage.checkAvailability(lines);
+      } catch (e) {
+        this._log('CartSync: availability check failed', e);
+        return null;
+      }
+      if (this._userId() !== userId) return null;
+
+      const report = CartSync.clampToStock(checked);
+      this._applyIncluded(guest, account);
+
+      this._setOwner(userId);
+      this._setSynced(null);
+      this._reconciled = userId;
+      this.cart.replaceCart(report.items);
+      await this.push().catch(() => false);
+
+      this._report(report, guest.length > 0);
+      return report;
+    });
+  }
+
+  /**
+   * Слияние и сверка выполняются по одному и только после загрузки корзины
+   * из localStorage (cart.ready); повторный вызов ждёт текущий.
+   */
+  _exclusive(task) {
+    if (this._merging) return this._merging;
+
+    this._merging = (async () => {
+      try {
+        await this.cart.ready;
+      } catch (e) {}
+      return task();
+    })();
+
+    return this._merging.finally(() => {
+      this._merging = null;
+    });
+  }
+
+  /** Позиции только с сервера получают свой флаг included; выбор гостя не меняется */
+  _applyIncluded(guest, account) {
+    const included = this.cart.included;
+    if (!included) return;
+    const local = new Set(guest.map((i) => String(i?.name ?? '').trim()));
+    for (const item of account) {
+      const name = String(item?.name ?? '').trim();
+      if (!name || local.has(name) || typeof item.included !== 'boolean') continue;
+      try { included.set(name, item.included, { reason: 'merge' }); } catch (e) {}
+    }
+  }
+
+  _report(report, hadGuestItems) {
+    try {
+      this.eventBus?.emit?.(Events.DOMAIN_CART_MERGED, report);
+    } catch (e) {}
+
+    try {
+      if (report.rejected.length) {
+        this.notifications?.show?.(
+          this._msg('NOT_MERGED', { titles: report.rejected.map((r) => r.title).join(', ') }),
+          { type: 'warning' }
+        );
+      }
+      for (const c of report.clamped) {
+        this.notifications?.show?.(this._msg('CLAMPED', { title: c.title, qty: c.qty }), { type: 'warning' });
+      }
+      if (hadGuestItems && report.items.length) {
+        this.notifications?.show?.(this._msg('MERGED'), { type: 'success' });
+      }
+    } catch (e) {}
+  }
+
+  /* ---------- синхронизация ---------- */
+
+  /**
+   * Отложенная отправка после сохранения корзины (CartStorage.saveCart).
+   * Пока корзина не сверена с сервером, вместо отправки выполняется сверка.
+   */
+  schedulePush() {
+    const userId = this._userId();
+    if (!userId || this._owner() !== userId || this._merging) return;
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      if (this._reconciled === userId) this.push().catch(() => {});
+      else this.reconcile(userId).catch(() => {});
+    }, this.debounceMs);
+  }
+
+  /**
+   * Отправляет локальную корзину на сервер (только сверенную и изменённую).
+   * @returns {Promise<boolean>}
+   */
+  async push() {
+    const userId = this._userId();
+    if (!userId || this._owner() !== userId || this._reconciled !== userId) return false;
+
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    const items = this._localItems();
+    const fingerprint = CartSync.fingerprint(items);
+    if (fingerprint === this._synced(userId)) return true;
+
+    try {
+      const { payload } = this._buildRequest('push', { params: { userId, items } });
+      await this._safeCall(payload, 'JSON');
+      this._setSynced(userId, fingerprint);
+      return true;
+    } catch (e) {
+      this._log('CartSync: failed to save the account cart', e);
+      return false;
+    }
+  }
+
+  /** Позиции корзины в формате сервера */
+  _localItems() {
+    return this.cart.getCart().map((item) => ({
+      name: item.name,
+      qty: Number(item.qty) || 1,
+      included: this.cart.included ? this.cart.included.get(item.name) : true,
+      ...(item.parentId ? { parentId: item.parentId, options: item.options || {} } : {})
+    }));
+  }
+
+  async _pull(userId) {
+    const { payload } = this._buildRequest('pull', { params: { userId } });
+    const res = await this._safeCall(payload, 'JSON');
+    return this._extractArray(res, ['items', 'cart', 'data'])
+      .filter((x) => x && typeof x === 'object' && (x.name ?? x.id ?? x.productId) != null);
+  }
+
+  destroy() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    try { this.storage.setCartRemote?.(null); } catch (e) {}
+  }
+
+  /* ---------- владелец локальной копии ---------- */
+
+  _userId() {
+    try {
+      const session = this.getSession();
+      return session && session.userId != null && session.userId !== '' ? String(session.userId) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _owner() {
+    try {
+      return localStorage.getItem(this.ownerKey) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _setOwner(userId) {
+    try {
+      if (userId) localStorage.setItem(this.ownerKey, String(userId));
+      else localStorage.removeItem(this.ownerKey);
+    } catch (e) {}
+  }
+
+  /** Отпечаток корзины, последней совпавшей с сервером, или null */
+  _synced(userId) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.syncedKey) || 'null');
+      return stored && stored.userId === userId ? stored.fingerprint : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _setSynced(userId, fingerprint) {
+    try {
+      if (userId) localStorage.setItem(this.syncedKey, JSON.stringify({ userId, fingerprint }));
+      else localStorage.removeItem(this.syncedKey);
+    } catch (e) {}
+  }
+}
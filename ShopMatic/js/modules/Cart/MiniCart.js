@@ -124,16 +124,17 @@ export class MiniCart {
   /**
    * Нормализует объект корзины. Возвращает удобную структуру для рендеринга.
    * @param {any} it
-   * @returns {{ idKey: string, qty: number, priceNum: number, name: string, picture: string, priceFormatted: string }}
+   * @returns {{ idKey: string, qty: number, priceNum: number, name: string, options: string, picture: string, priceFormatted: string }}
    */
   _normalizeCartItem(it) {
     const idKey = String(it?.name ?? it?.id ?? it?.productId ?? '').trim();
     const qty = Number.isFinite(Number(it?.qty)) ? Number(it?.qty) : 0;
     const priceNum = Number.isFinite(Number(it?.price)) ? Number(it?.price) : 0;
     const name = it?.fullname || it?.title || it?.name || this.constructor.UI_MESSAGES.FALLBACK_NAME;
+    const options = String(it?.optionsText ?? '');
     const picture = it?.picture || it?.image || '/assets/no-image.png';
     const priceFormatted = this._formatPrice(priceNum);
-    return { idKey, qty, priceNum, name, picture, priceFormatted };
+    return { idKey, qty, priceNum, name, options, picture, priceFormatted };
   }
 
   /**
@@ -158,11 +159,15 @@ export class MiniCart {
     const qty = MiniCart._escapeHtml(String(norm.qty));
     const price = MiniCart._escapeHtml(norm.priceFormatted);
     const img = MiniCart._escapeHtml(norm.picture);
+    const options = norm.options
+      ? `<div class="mc-options">${MiniCart._escapeHtml(norm.options)}</div>`
+      : '';
     const liHtml = `
       <li class="mc-item" data-id="${id}">
         <div class="mc-thumb"><img src="${img}" alt="${name}" loading="lazy" /></div>
         <div class="mc-body">
           <div class="mc-name">${name}</div>
+          ${options}
           <div class="mc-meta">${qty} × <span class="mc-price">${price}</span></div>
         </div>
       </li>`;
@@ -10,9 +10,13 @@
  * Catalog module: отображение и фильтрация списка товаров.
  * Загружает товары, категории и бренды, управляет фильтрами и рендером карточек.
  */
-import { deepEqual } from "../utils.js";
+import { deepEqual, computeDiscountPercent } from "../utils.js";
 import { FilterController } from './FilterController.js';
 import { CatalogView } from './CatalogView.js';
+import { CatalogUrlState } from './CatalogUrlState.js';
+import { SearchIndex } from './SearchIndex.js';
+import { SearchSuggest } from './SearchSuggest.js';
+import { SortRegistry } from './SortRegistry.js';
 
 export class CatalogController {
   static UI_MESSAGES = Object.freeze({
@@ -27,13 +31,44 @@ export class CatalogController {
     CATALOG_LOAD_ERROR: 'Не удалось загрузить товары',
     CATALOG_ALL_OPTION: 'Все',
     CATALOG_NO_RESULTS: 'По текущим опциям нет товаров',
-    CATALOG_NO_RESULTS_HINT: 'Попробуйте изменить фильтры или сбросить поиск.'
+    CATALOG_NO_RESULTS_HINT: 'Попробуйте изменить фильтры или сбросить поиск.',
+    CATALOG_SHOW_MORE: 'Показать ещё',
+    CATALOG_PAGER_LABEL: 'Страницы каталога',
+    CATALOG_PAGER_PREV: 'Назад',
+    CATALOG_PAGER_NEXT: 'Вперёд',
+    CATALOG_FACET_OPTION: '{label} ({count})',
+
+    SORT_DEFAULT: 'По умолчанию',
+    SORT_PRICE_ASC: 'Сначала дешевле',
+    SORT_PRICE_DESC: 'Сначала дороже',
+    SORT_BRAND_ASC: 'Бренд: А–Я',
+    SORT_BRAND_DESC: 'Бренд: Я–А',
+    SORT_POPULARITY: 'По популярности',
+    SORT_RATING: 'По рейтингу',
+    SORT_NEWEST: 'Сначала новые',
+    SORT_DISCOUNT: 'По размеру скидки',
+    SORT_STOCK: 'По наличию'
   });
 
+  /** Режимы постраничной загрузки: весь список / бесконечная прокрутка / нумерованные страницы */
+  static PAGINATION_MODES = Object.freeze(['none', 'infinite', 'pager']);
+
   constructor({
     shop,
     rootId, catFilterId, brandFilterId, searchId, sortId, searchBtnId, productsCountId,
-    debounceMs = 300
+    priceMinId = 'priceMin',
+    priceMaxId = 'priceMax',
+    priceSliderMinId = 'priceSliderMin',
+    priceSliderMaxId = 'priceSliderMax',
+    inStockId = 'inStockOnly',
+    onSaleId = 'onSale',
+    minDiscountId = 'minDiscount',
+    debounceMs = 300,
+    pagination = null,
+    virtualize = null,
+    urlSync = true,
+    suggest = true,
+    sorts = null
   } = {}) {
     if (!shop) throw new Error('CatalogController requires a shop instance');
 
@@ -41,7 +76,11 @@ export class CatalogController {
     this.eventBus = shop.eventBus;
     this.opts = {
       rootId, catFilterId, brandFilterId, searchId, sortId, searchBtnId, productsCountId,
-      debounceMs
+      priceMinId, priceMaxId, priceSliderMinId, priceSliderMaxId, inStockId, onSaleId, minDiscountId,
+      debounceMs,
+      pagination: CatalogController._normalizePagination(pagination),
+      virtualize,
+      suggest
     };
 
     this.root = null;
@@ -53,14 +92,71 @@ export class CatalogController {
     this.resetBtn = null;
     this.productsCount = null;
 
+    /** @type {Object<string, HTMLElement|null>} поля цены/наличия/скидки */
+    this.extraFilterEls = {};
+
     this.filters = null;
     this.view = null;
+    /** @type {SearchSuggest|null} */
+    this.suggest = null;
 
     this._productCache = new ProductCache(() => this._getProductService());
     this._lastAppliedState = null;
     this._isInitializing = false;
+    /** список, восстановленный с диска, рендерится без ожидания бэкенда */
+    this._preferCachedList = false;
+
+    /** @type {AbortController|null} cancels the backend load of a superseded applyFilters call */
+    this._applyAbort = null;
+
+    /**
+     * Реестр сортировок: SortRegistry целиком или объект { key: def } поверх стандартных.
+     * @type {SortRegistry}
+     */
+    this.sorts = CatalogController._createSortRegistry(sorts);
+    this._unsubSorts = null;
+
+    this._filterService = new CatalogFilterService({ sorts: this.sorts });
+
+    /** Состояние серверной пагинации (режимы 'infinite' и 'pager') */
+    this._paging = { page: 1, total: null, nextCursor: null, hasMore: false, loading: false };
+    /** @type {AbortController|null} отменяет догрузку следующей страницы */
+    this._pageAbort = null;
+
+    /** Синхронизация фильтров с query string (false — выключена, объект — опции CatalogUrlState) */
+    this._urlState = urlSync
+      ? new CatalogUrlState(typeof urlSync === 'object' ? urlSync : {})
+      : null;
+  }
 
-    this._filterService = new CatalogFilterService();
+  /**
+   * @param {{mode?: string, pageSize?: number, pagerWindow?: number}|null} p
+   * @returns {{mode: 'none'|'infinite'|'pager', pageSize: number, pagerWindow: number}}
+   */
+  static _normalizePagination(p) {
+    const mode = CatalogController.PAGINATION_MODES.includes(p?.mode) ? p.mode : 'none';
+    const pageSize = Math.max(1, Math.floor(Number(p?.pageSize)) || 24);
+    const pagerWindow = Math.max(1, Math.floor(Number(p?.pagerWindow)) || 5);
+    return { mode, pageSize, pagerWindow };
+  }
+
+  _isPaged() {
+    return this.opts.pagination.mode !== 'none';
+  }
+
+  static _createSortRegistry(sorts) {
+    if (sorts instanceof SortRegistry) return sorts;
+    const registry = new SortRegistry();
+    if (sorts && typeof sorts === 'object') {
+      for (const [key, def] of Object.entries(sorts)) {
+        try {
+          registry.register(key, def);
+        } catch (err) {
+          console.warn('CatalogController: invalid sort definition', key, err);
+        }
+      }
+    }
+    return registry;
   }
 
   _msg(key, fallback = '') {
@@ -108,11 +204,34 @@ export class CatalogController {
 
 	  this._isInitializing = true;
 
-	  // Заполняем селекты, но НЕ рендерим каталог
-	  await this.initSelectors('', '', { applyOnComplete: true });
+	  // Снимок каталога из IndexedDB (если включён): рендерим сразу, обновляем в фоне.
+	  // В постраничном режиме полный список не нужен — страницы запрашиваются у бэкенда.
+	  let restored = false;
+	  try {
+		if (!this._isPaged() && typeof ps.restorePersisted === 'function') {
+		  restored = await ps.restorePersisted();
+		}
+	  } catch (err) {
+		console.warn('CatalogController.init: restorePersisted failed', err);
+	  }
+
+	  // Заполняем селекты, затем восстанавливаем фильтры из URL и только потом рендерим.
+	  // Со снимком — без сети: селекты из его категорий/брендов, список любой давности.
+	  await this.initSelectors('', '', { applyOnComplete: false, fromCache: restored });
+
+	  const urlState = this._urlState?.isActive() ? this._urlState.read() : null;
+	  if (urlState) this._restoreFilterState(urlState);
+	  this._preferCachedList = restored;
+	  try {
+		await this.applyFilters({ page: urlState?.page, replaceUrl: true });
+	  } finally {
+		this._preferCachedList = false;
+	  }
 
 	  try {
-		if (typeof ps.loadProductsSimple === 'function') {
+		if (restored) {
+		  this._refreshInBackground(ps);
+		} else if (!this._isPaged() && typeof ps.loadProductsSimple === 'function') {
 		  await ps.loadProductsSimple();
 		  this._productCache.clear();
 		}
@@ -124,14 +243,34 @@ export class CatalogController {
 	  }
 
 	  this._bindFilterEvents();
+	  this._urlState?.onPopState((state) => this._onUrlPopState(state));
 	}
 
+  /**
+   * Фоновое обновление каталога, восстановленного с диска: товары, затем
+   * списки категорий и брендов. Перерисовывает каталог только если бэкенд
+   * действительно вернул новые данные.
+   */
+  _refreshInBackground(ps) {
+    if (typeof ps?.revalidateProducts !== 'function') return;
+
+    ps.revalidateProducts()
+      .then(async (reloaded) => {
+        if (!reloaded || !this.view) return;
+        await this.initSelectors(this.brandFilter?.value ?? '', this.catFilter?.value ?? '', { applyOnComplete: false });
+        this._productCache.clear();
+        this._lastAppliedState = null;
+        return this.applyFilters();
+      })
+      .catch((err) => console.warn('CatalogController: background refresh failed', err));
+  }
+
 
   async initSelectors(brand = '', category = '', options = {}) {
     const ps = this._getProductService();
     if (!ps) return;
 
-    const { applyOnComplete = true } = options;
+    const { applyOnComplete = true, fromCache = false } = options;
 
     await Promise.all([
       this.catFilter
@@ -140,6 +279,7 @@ export class CatalogController {
             fetchMethod: 'fetchCategories',
             getterSuffix: 'Categories',
             selectedValue: category,
+            fromCache,
             msgFn: this._msg.bind(this)
           })
         : Promise.resolve(),
@@ -150,6 +290,7 @@ export class CatalogController {
             fetchMethod: 'fetchBrands',
             getterSuffix: 'Brands',
             selectedValue: brand,
+            fromCache,
             msgFn: this._msg.bind(this)
           })
         : Promise.resolve()
@@ -207,6 +348,18 @@ export class CatalogController {
       this.filters?.unbind();
     } catch (e) {}
 
+    try { this._applyAbort?.abort(); } catch (e) {}
+    this._applyAbort = null;
+    try { this._pageAbort?.abort(); } catch (e) {}
+    this._pageAbort = null;
+
+    try { this.view?.destroy(); } catch (e) {}
+    try { this.suggest?.unbind(); } catch (e) {}
+    this.suggest = null;
+    try { this._unsubSorts?.(); } catch (e) {}
+    this._unsubSorts = null;
+    try { this._urlState?.destroy(); } catch (e) {}
+
     this.root = null;
     this.catFilter = null;
     this.brandFilter = null;
@@ -215,6 +368,7 @@ export class CatalogController {
     this.searchBtn = null;
     this.resetBtn = null;
     this.productsCount = null;
+    this.extraFilterEls = {};
     this.filters = null;
     this.view = null;
 
@@ -235,9 +389,25 @@ export class CatalogController {
     this.searchBtn = document.getElementById(searchBtnId) || null;
     this.productsCount = document.getElementById(productsCountId) || null;
     this.resetBtn = document.getElementById('resetFilters') || null;
+
+    const byId = (id) => (id ? document.getElementById(id) : null) || null;
+    this.extraFilterEls = {
+      priceMinEl: byId(this.opts.priceMinId),
+      priceMaxEl: byId(this.opts.priceMaxId),
+      priceSliderMinEl: byId(this.opts.priceSliderMinId),
+      priceSliderMaxEl: byId(this.opts.priceSliderMaxId),
+      inStockEl: byId(this.opts.inStockId),
+      onSaleEl: byId(this.opts.onSaleId),
+      minDiscountEl: byId(this.opts.minDiscountId)
+    };
   }
 
   _createHelpers() {
+    // опции сортировки — до FilterController: он берёт значение по умолчанию из первой option
+    this._populateSortSelect();
+    this._unsubSorts?.();
+    this._unsubSorts = this.sorts.onChange(() => this._onSortsChanged());
+
     this.filters = new FilterController({
       searchEl: this.search,
       catFilterEl: this.catFilter,
@@ -246,6 +416,7 @@ export class CatalogController {
       searchBtnEl: this.searchBtn,
       resetBtnEl: this.resetBtn,
       productsCountEl: this.productsCount,
+      ...this.extraFilterEls,
       debounceMs: this.opts.debounceMs
     });
 
@@ -253,10 +424,134 @@ export class CatalogController {
       root: this.root,
       productsCountEl: this.productsCount,
       shop: this.shop,
-      msg: this._msg.bind(this)
+      msg: this._msg.bind(this),
+      virtualize: this.opts.virtualize
+    });
+
+    if (this.search && this.opts.suggest) {
+      this.suggest = this._createSuggest();
+      this.suggest.bind();
+    }
+  }
+
+  /**
+   * Выпадающие подсказки под полем поиска.
+   * Данные — из того же поискового индекса, что и фильтрация; история — в StorageService.
+   */
+  _createSuggest() {
+    const storage = this.shop.storage;
+    const history = storage && typeof storage.loadRecentSearches === 'function'
+      ? {
+          load: () => storage.loadRecentSearches(),
+          add: (q) => storage.addRecentSearch(q),
+          remove: (q) => storage.removeRecentSearch(q),
+          clear: () => storage.clearRecentSearches()
+        }
+      : null;
+
+    return new SearchSuggest({
+      inputEl: this.search,
+      history,
+      msg: this._msg.bind(this),
+      getSuggestions: (query) => this._filterService.suggest(this._getSuggestSource(), query),
+      onProduct: (product) => {
+        try {
+          this.shop.openProductPage(product.name);
+        } catch (err) {
+          console.warn('CatalogController: openProductPage failed', err);
+        }
+      },
+      onFacet: (type, value) => {
+        if (!this.filters) return;
+        const multiple = (type === 'brand' ? this.brandFilter : this.catFilter)?.multiple;
+        // выбор бренда/категории заменяет текстовый запрос
+        this.filters.setState({ [type]: multiple ? [value] : value, search: '' });
+      },
+      onQuery: (query) => this.filters?.setState({ search: query })
     });
   }
 
+  /**
+   * Заполняет селект сортировки из реестра, сохраняя выбранное значение.
+   */
+  _populateSortSelect() {
+    const select = this.sort;
+    if (!select) return;
+
+    const current = select.value;
+    const frag = document.createDocumentFragment();
+
+    const addOption = (value, text) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      frag.appendChild(opt);
+    };
+
+    addOption('', this._msg('SORT_DEFAULT', 'По умолчанию'));
+    for (const { key, label, labelKey } of this.sorts.list()) {
+      addOption(key, labelKey ? this._msg(labelKey, label) : label);
+    }
+
+    select.innerHTML = '';
+    select.appendChild(frag);
+    select.value = this.sorts.has(current) ? current : '';
+  }
+
+  /** Реестр изменился на лету: обновляем селект и пересортировываем список */
+  _onSortsChanged() {
+    this._populateSortSelect();
+    if (!this.filters) return;
+
+    const sort = this.filters.getState()?.sort;
+    if (sort && !this.sorts.supports(sort)) {
+      this.filters.setState({ sort: '' });
+      return;
+    }
+
+    // компаратор текущего ключа мог смениться — состояние то же, но список другой
+    this._lastAppliedState = null;
+    if (!this._isInitializing) this.applyFilters();
+  }
+
+  /** Список для подсказок: загруженный каталог (или уже полученные страницы) */
+  _getSuggestSource() {
+    if (this._productCache.hasData()) return this._productCache.getAll();
+    const ps = this._getProductService();
+    return (typeof ps?.getProducts === 'function' ? ps.getProducts({ clone: false }) : []) || [];
+  }
+
+  /**
+   * Полное состояние фильтров из URL: всё, чего нет в URL, сбрасывается к умолчаниям.
+   * @param {Object} urlState - результат CatalogUrlState.read()
+   */
+  _restoreFilterState(urlState = {}) {
+    if (!this.filters) return;
+    const { page, ...rest } = urlState;
+    this.filters.reset({ silent: true });
+    this.filters.setState(rest, { silent: true });
+  }
+
+  /** Назад/вперёд по истории: фильтры и страница из URL */
+  _onUrlPopState(state) {
+    if (!this.view) return;
+    this._restoreFilterState(state);
+    this.applyFilters({ page: state.page, replaceUrl: true });
+  }
+
+  /**
+   * Записывает применённое состояние в URL.
+   * @param {Object} state
+   * @param {{replace?: boolean}} [options]
+   */
+  _syncUrl(state, { replace = false } = {}) {
+    try {
+      this._urlState?.write(state, { replace });
+    } catch (e) {
+      console.warn('CatalogController: url sync failed', e);
+    }
+  }
+
   _bindFilterEvents() {
     if (!this.filters) return;
     this.filters.bind(() => {
@@ -273,27 +568,64 @@ export class CatalogController {
     if (this.sort && typeof sort === 'string') this.sort.value = sort;
   }
 
-  async _populateCacheIfNeeded() {
+  async _populateCacheIfNeeded({ signal } = {}) {
     const ps = this._getProductService();
     if (!ps) return;
 
     if (!this._productCache.hasData()) {
       try {
         if (typeof ps.loadProducts === 'function') {
-          await ps.loadProducts();
+          await ps.loadProducts({ signal });
         } else if (typeof ps.loadProductsSimple === 'function') {
-          await ps.loadProductsSimple();
+          await ps.loadProductsSimple({ signal, preferCache: this._preferCachedList });
         }
       } catch (err) {
+        if (signal?.aborted) return;
         console.warn('CatalogController: productService load failed', err);
         this._showNotification(this._msg('CATALOG_LOAD_ERROR'));
       } finally {
-        const list = (typeof ps.getProducts === 'function') ? ps.getProducts() : [];
-        this._productCache.set(list || []);
+        // a cancelled load must not overwrite the cache with a partial list
+        if (!signal?.aborted) {
+          const list = (typeof ps.getProducts === 'function') ? ps.getProducts() : [];
+          this._productCache.set(list || []);
+          this._updatePriceBounds(list || []);
+        }
       }
     }
   }
 
+  /**
+   * Счётчики фасетов в select'ах категорий и брендов.
+   * @param {{category?: Map<string,number>|Object, brand?: Map<string,number>|Object}} facets
+   */
+  _renderFacets(facets) {
+    if (!facets) return;
+    const format = (label, count) => this._msg('CATALOG_FACET_OPTION', '{label} ({count})')
+      .replace('{label}', label)
+      .replace('{count}', String(count));
+
+    if (this.catFilter && facets.category) {
+      SelectPopulator.applyCounts(this.catFilter, facets.category, { format });
+    }
+    if (this.brandFilter && facets.brand) {
+      SelectPopulator.applyCounts(this.brandFilter, facets.brand, { format, caseInsensitive: true });
+    }
+  }
+
+  /** Границы ползунков цены по загруженному списку */
+  _updatePriceBounds(list) {
+    if (!this.filters || typeof this.filters.setPriceBounds !== 'function') return;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const p of list) {
+      const price = Number(p?.price);
+      if (!Number.isFinite(price)) continue;
+      if (price < min) min = price;
+      if (price > max) max = price;
+    }
+    if (Number.isFinite(min) && Number.isFinite(max)) this.filters.setPriceBounds(min, max);
+  }
+
   _getCurrentFilterState() {
     if (this.filters && typeof this.filters.getState === 'function') {
       return this.filters.getState();
@@ -313,13 +645,26 @@ export class CatalogController {
     return deepEqual(this._lastAppliedState, state);
   }
 
-	async applyFilters() {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.page] - страница (только в постраничных режимах)
+	 * @param {boolean} [options.replaceUrl=false] - обновить URL без новой записи в истории
+	 */
+	async applyFilters({ page, replaceUrl = false } = {}) {
 	  if (!this.view) return;
+	  if (this._isPaged()) return this._applyFiltersPaged({ page: page || 1, replaceUrl });
+
+	  // a newer call supersedes the previous one: cancel its pending backend load
+	  try { this._applyAbort?.abort(); } catch (e) {}
+	  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+	  this._applyAbort = controller;
+	  const signal = controller?.signal;
 
 	  this.view.showLoading?.();
 
 	  try {
-		await this._populateCacheIfNeeded();
+		await this._populateCacheIfNeeded({ signal });
+		if (signal?.aborted) return;
 
 		const baseList = this._productCache.getAll() || [];
 		const list = Array.isArray(baseList) ? baseList : [];
@@ -332,6 +677,7 @@ export class CatalogController {
 		}
 
 		const finalList = this._filterService.apply(list, state);
+		this._renderFacets(this._filterService.computeFacets(list, state));
 
 		if (!finalList.length) {
 		  const message = this._msg('CATALOG_NO_RESULTS', 'По текущим опциям нет товаров');
@@ -346,14 +692,166 @@ export class CatalogController {
 		}
 
 		this._lastAppliedState = state;
+		this._syncUrl(state, { replace: replaceUrl });
 	  } catch (err) {
+		if (signal?.aborted) return;
 		console.error('CatalogController.applyFilters failed', err);
 		this._showNotification(this._msg('CATALOG_LOAD_ERROR', 'Ошибка при обработке каталога'));
 	  } finally {
-		this.view.hideLoading?.();
+		if (this._applyAbort === controller) {
+		  this._applyAbort = null;
+		  this.view?.hideLoading?.();
+		}
 	  }
 	}
 
+
+  /* ---------- серверная пагинация ---------- */
+
+  /**
+   * Загружает страницу `page` по текущим фильтрам и перерисовывает список.
+   * Фильтры и сортировка выполняются на бэкенде.
+   * @param {{page?: number, force?: boolean}} [options]
+   */
+  async _applyFiltersPaged({ page = 1, force = false, replaceUrl = false } = {}) {
+    if (!this.view) return;
+
+    const ps = this._getProductService();
+    if (!ps || typeof ps.loadProductsPage !== 'function') return;
+
+    const state = this._getCurrentFilterState();
+    const applied = { ...state, page };
+    if (!force && this._shouldSkipApplyFilters(applied)) return;
+
+    try { this._applyAbort?.abort(); } catch (e) {}
+    try { this._pageAbort?.abort(); } catch (e) {}
+    this._pageAbort = null;
+
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    this._applyAbort = controller;
+    const signal = controller?.signal;
+
+    const { mode, pageSize } = this.opts.pagination;
+
+    this.view.showLoading?.();
+
+    try {
+      const res = await ps.loadProductsPage({ page, limit: pageSize, filters: state, signal });
+      if (signal?.aborted) return;
+
+      this._paging = {
+        page: res.page,
+        total: res.total,
+        nextCursor: res.nextCursor,
+        hasMore: res.hasMore,
+        loading: false
+      };
+
+      if (res.facets) this._renderFacets(res.facets);
+
+      this.view.teardownInfiniteScroll();
+      this.view.clearPager();
+
+      await this.view.render(res.items, { total: res.total ?? res.items.length });
+
+      if (mode === 'infinite') {
+        if (res.hasMore) this.view.setupInfiniteScroll(() => this.loadNextPage());
+      } else {
+        this._renderPager();
+      }
+
+      this._lastAppliedState = applied;
+      // в бесконечной прокрутке номер страницы в ссылку не пишем
+      this._syncUrl({ ...state, page: mode === 'pager' ? res.page : 1 }, { replace: replaceUrl });
+    } catch (err) {
+      if (signal?.aborted) return;
+      console.error('CatalogController.applyFilters (paged) failed', err);
+      this._showNotification(this._msg('CATALOG_LOAD_ERROR', 'Не удалось загрузить товары'));
+    } finally {
+      if (this._applyAbort === controller) {
+        this._applyAbort = null;
+        this.view?.hideLoading?.();
+      }
+    }
+  }
+
+  /**
+   * Догружает следующую страницу (режим 'infinite').
+   * Повторные вызовы во время загрузки игнорируются.
+   */
+  async loadNextPage() {
+    if (!this.view || this.opts.pagination.mode !== 'infinite') return;
+    if (this._paging.loading || !this._paging.hasMore || this._applyAbort) return;
+
+    const ps = this._getProductService();
+    if (!ps || typeof ps.loadProductsPage !== 'function') return;
+
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    this._pageAbort = controller;
+    const signal = controller?.signal;
+
+    const state = this._getCurrentFilterState();
+    const nextPage = this._paging.page + 1;
+
+    this._paging.loading = true;
+    this.view.setLoadingMore(true);
+
+    try {
+      const res = await ps.loadProductsPage({
+        page: nextPage,
+        limit: this.opts.pagination.pageSize,
+        cursor: this._paging.nextCursor,
+        filters: state,
+        signal
+      });
+      if (signal?.aborted) return;
+
+      this._paging = {
+        page: res.page,
+        total: res.total ?? this._paging.total,
+        nextCursor: res.nextCursor,
+        hasMore: res.hasMore && res.items.length > 0,
+        loading: false
+      };
+
+      await this.view.appendPage(res.items, { total: this._paging.total });
+
+      if (this._paging.hasMore) this.view.rearmInfiniteScroll();
+      else this.view.teardownInfiniteScroll();
+    } catch (err) {
+      if (signal?.aborted) return;
+      console.warn('CatalogController.loadNextPage failed', err);
+      this._showNotification(this._msg('CATALOG_LOAD_ERROR', 'Не удалось загрузить товары'));
+    } finally {
+      if (this._pageAbort === controller) {
+        this._pageAbort = null;
+        this._paging.loading = false;
+        this.view?.setLoadingMore(false);
+      }
+    }
+  }
+
+  /**
+   * Переход на страницу `page` (режим 'pager').
+   * @param {number} page
+   */
+  async goToPage(page) {
+    if (!this._isPaged()) return;
+    const target = Math.max(1, Math.floor(Number(page)) || 1);
+    await this._applyFiltersPaged({ page: target });
+    try { this.root?.scrollIntoView?.({ block: 'start', behavior: 'smooth' }); } catch (e) {}
+  }
+
+  _renderPager() {
+    const { pageSize, pagerWindow } = this.opts.pagination;
+    const { page, total, hasMore } = this._paging;
+    // без total от бэкенда знаем только, есть ли следующая страница
+    const totalPages = total != null
+      ? Math.max(1, Math.ceil(total / pageSize))
+      : page + (hasMore ? 1 : 0);
+    this.view.renderPager({ page, totalPages, window: pagerWindow }, (p) => this.goToPage(p));
+  }
+
 }
 
 /* ======================
@@ -387,19 +885,46 @@ class ProductCache {
  * Класс для заполнения select'ов категориями/брендами.
  */
 class SelectPopulator {
+  /**
+   * Дописывает к option'ам количество товаров «(N)» и отключает пустые.
+   * Исходный текст option'а хранится в data-label, поэтому вызывать можно многократно.
+   * Выбранные option'ы не отключаются, чтобы выбор можно было снять.
+   *
+   * @param {HTMLSelectElement} selectEl
+   * @param {Map<string, number>|Object<string, number>} counts - value → количество
+   * @param {{format?: (label: string, count: number) => string, caseInsensitive?: boolean}} [options]
+   */
+  static applyCounts(selectEl, counts, { format = (l, c) => `${l} (${c})`, caseInsensitive = false } = {}) {
+    if (!selectEl || !counts) return;
+    const map = counts instanceof Map ? counts : new Map(Object.entries(counts));
+    const norm = (v) => (caseInsensitive ? String(v).toLowerCase() : String(v));
+
+    const lookup = new Map();
+    for (const [k, v] of map) lookup.set(norm(k), Number(v) || 0);
+
+    for (const option of Array.from(selectEl.options || [])) {
+      if (!option.value) continue;
+      if (option.dataset.label == null) option.dataset.label = option.textContent;
+
+      const count = lookup.get(norm(option.value)) ?? 0;
+      option.textContent = format(option.dataset.label, count);
+      option.disabled = count === 0 && !option.selected;
+    }
+  }
+
   static async populate(selectEl, ps, {
-    fillMethod, fetchMethod, getterSuffix, selectedValue = '', msgFn = () => ''
+    fillMethod, fetchMethod, getterSuffix, selectedValue = '', fromCache = false, msgFn = () => ''
   } = {}) {
     if (!selectEl || !ps) return;
 
     try {
       if (typeof ps[fillMethod] === 'function') {
-        await ps[fillMethod](selectEl, { selected: selectedValue });
+        await ps[fillMethod](selectEl, { selected: selectedValue, fromCache });
         if (selectedValue && selectEl.value !== selectedValue) selectEl.value = selectedValue;
         return;
       }
 
-      if (typeof ps[fetchMethod] === 'function') {
+      if (!fromCache && typeof ps[fetchMethod] === 'function') {
         await ps[fetchMethod]();
       }
 
@@ -440,15 +965,32 @@ class SelectPopulator {
  * Чистая логика -> легко тестировать отдельно.
  */
 class CatalogFilterService {
-  apply(list, { search = '', category = '', brand = '', sort = '' } = {}) {
+  /**
+   * @param {Object} [opts]
+   * @param {SortRegistry} [opts.sorts]
+   */
+  constructor({ sorts = null } = {}) {
+    this._sorts = sorts || new SortRegistry();
+
+    /** нечёткий поиск; перестраивается, когда меняется исходный список */
+    this._searchIndex = new SearchIndex();
+    /** индекс названий брендов и категорий для подсказок */
+    this._facetIndex = new SearchIndex();
+    this._facetCache = null;
+  }
+
+  apply(list, state = {}) {
     if (!Array.isArray(list)) return [];
 
-    const searchTerm = String(search || '').trim().toLowerCase();
-    const categoryVal = String(category || '');
-    const brandVal = String(brand || '').toLowerCase();
-    const sortOrder = String(sort || '');
+    const opts = this._buildOptions(state, list);
+    const sortOrder = String(state?.sort || '');
+
+    let filtered = list.filter(p => this._passesAllFilters(p, opts));
 
-    let filtered = list.filter(p => this._passesAllFilters(p, { searchTerm, categoryVal, brandVal }));
+    // при поиске без явной сортировки — по релевантности
+    if (opts.searchScores && (!sortOrder || sortOrder === 'relevance')) {
+      return this._sortByRelevance(filtered, opts.searchScores);
+    }
 
     if (!sortOrder || filtered.length <= 1) {
       return filtered;
@@ -457,53 +999,222 @@ class CatalogFilterService {
     return this._sort(filtered, sortOrder);
   }
 
-  _passesAllFilters(p, { searchTerm, categoryVal, brandVal }) {
+  /**
+   * Подсказки для поиска: товары по релевантности, а также бренды и категории,
+   * чьи названия подходят под запрос.
+   *
+   * @param {Array<Object>} list
+   * @param {string} query
+   * @param {{products?: number, facets?: number}} [limits]
+   * @returns {{products: Array<Object>, brands: Array<{value: string, label: string, count: number}>, categories: Array<{value: string, label: string, count: number}>}}
+   */
+  suggest(list, query, { products = 6, facets = 4 } = {}) {
+    const empty = { products: [], brands: [], categories: [] };
+    if (!Array.isArray(list) || !String(query || '').trim()) return empty;
+
+    this._searchIndex.ensure(list);
+    const scores = this._searchIndex.search(query);
+    if (!scores) return empty;
+
+    const byId = new Map(list.map(p => [String(p?.name), p]));
+    const topProducts = Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, products)
+      .map(([id]) => byId.get(id))
+      .filter(Boolean);
+
+    const entries = this._facetEntries(list);
+    this._facetIndex.ensure(entries.list);
+    const facetScores = this._facetIndex.search(query) || new Map();
+
+    const ranked = Array.from(facetScores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([key]) => entries.byKey.get(key))
+      .filter(Boolean);
+
+    const pick = (type) => ranked
+      .filter(e => e.type === type)
+      .slice(0, facets)
+      .map(({ value, label, count }) => ({ value, label, count }));
+
+    return { products: topProducts, brands: pick('brand'), categories: pick('category') };
+  }
+
+  /** Бренды и категории списка как «документы» для отдельного индекса (кешируется по списку) */
+  _facetEntries(list) {
+    const cached = this._facetCache;
+    if (cached && cached.source === list && cached.length === list.length) return cached;
+
+    const byKey = new Map();
+    const add = (type, value, label) => {
+      const v = String(value ?? '').trim();
+      if (!v) return;
+      const key = `${type}:${v.toLowerCase()}`;
+      const entry = byKey.get(key);
+      if (entry) {
+        entry.count++;
+        return;
+      }
+      const text = String(label || v);
+      byKey.set(key, { name: key, fullname: text, type, value: v, label: text, count: 1 });
+    };
+
+    for (const p of list) {
+      if (!p) continue;
+      add('brand', p.brand ?? p.brandName, p.brandName ?? p.brand);
+      add('category', p.category, p.categoryName ?? p.category);
+    }
+
+    this._facetCache = { source: list, length: list.length, byKey, list: Array.from(byKey.values()) };
+    return this._facetCache;
+  }
+
+  _sortByRelevance(list, scores) {
+    // Array.prototype.sort стабилен: при равной релевантности порядок каталога сохраняется
+    return Array.from(list).sort((a, b) =>
+      (scores.get(String(b.name)) || 0) - (scores.get(String(a.name)) || 0)
+    );
+  }
+
+  /**
+   * Состояние фильтров → нормализованные параметры для _passesAllFilters.
+   * @param {Object} state
+   * @param {Array<Object>} [list] - исходный список (для поискового индекса)
+   */
+  _buildOptions({
+    search = '', category = '', brand = '',
+    priceMin = '', priceMax = '', inStock = false, onSale = false, minDiscount = ''
+  } = {}, list = null) {
+    // '' — граница не задана; перепутанные min/max меняем местами
+    let minPrice = this._toBound(priceMin);
+    let maxPrice = this._toBound(priceMax);
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+      [minPrice, maxPrice] = [maxPrice, minPrice];
+    }
+
+    const searchTerm = String(search || '').trim().toLowerCase();
+    let searchScores = null;
+    if (searchTerm && Array.isArray(list)) {
+      this._searchIndex.ensure(list);
+      searchScores = this._searchIndex.search(searchTerm);
+    }
+
+    return {
+      searchTerm,
+      searchScores,
+      categoryVal: this._toSet(category),
+      brandVal: this._toSet(brand, { lower: true }),
+      minPrice,
+      maxPrice,
+      inStockOnly: this._toFlag(inStock),
+      onSaleOnly: this._toFlag(onSale),
+      minDiscountPct: this._toBound(minDiscount)
+    };
+  }
+
+  /**
+   * Счётчики фасетов для текущего состояния фильтров.
+   * Для каждого фасета учитываются все фильтры, кроме его собственного —
+   * так видно, сколько товаров даст выбор (или добавление к выбору) значения.
+   *
+   * @param {Array<Object>} list
+   * @param {Object} state - то же состояние, что и для apply()
+   * @returns {{category: Map<string, number>, brand: Map<string, number>}}
+   */
+  computeFacets(list, state = {}) {
+    const facets = { category: new Map(), brand: new Map() };
+    if (!Array.isArray(list)) return facets;
+
+    const count = (map, key) => {
+      if (!key) return;
+      map.set(key, (map.get(key) || 0) + 1);
+    };
+
+    const withoutCategory = { ...state, category: '' };
+    const withoutBrand = { ...state, brand: '' };
+
+    const passCategory = this._makePredicate(withoutCategory, list);
+    const passBrand = this._makePredicate(withoutBrand, list);
+
+    for (const p of list) {
+      if (!p) continue;
+      if (passCategory(p)) count(facets.category, String(p.category ?? ''));
+      if (passBrand(p)) count(facets.brand, String(p.brand ?? p.brandName ?? '').toLowerCase());
+    }
+
+    return facets;
+  }
+
+  _makePredicate(state, list) {
+    const opts = this._buildOptions(state, list);
+    return (p) => this._passesAllFilters(p, opts);
+  }
+
+  /** '' | 'a' | 'a,b' | ['a','b'] → Set или null (фильтр выключен) */
+  _toSet(v, { lower = false } = {}) {
+    const list = Array.isArray(v)
+      ? v
+      : (v === '' || v == null ? [] : String(v).split(','));
+    const set = new Set(
+      list
+        .map(x => String(x ?? '').trim())
+        .filter(Boolean)
+        .map(x => (lower ? x.toLowerCase() : x))
+    );
+    return set.size ? set : null;
+  }
+
+  _toBound(v) {
+    if (v === '' || v == null) return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  _toFlag(v) {
+    return v === true || v === 'true' || v === '1' || v === 1;
+  }
+
+  _passesAllFilters(p, {
+    searchTerm, searchScores = null, categoryVal, brandVal,
+    minPrice = null, maxPrice = null, inStockOnly = false, onSaleOnly = false, minDiscountPct = null
+  }) {
     if (!p) return false;
 
-    if (searchTerm) {
+    if (searchScores) {
+      if (!searchScores.has(String(p.name))) return false;
+    } else if (searchTerm) {
       const target = String(p.fullname ?? p.title ?? p.name ?? '').toLowerCase();
       if (!target.includes(searchTerm)) return false;
     }
 
     if (categoryVal) {
-      if (String(p.category ?? '') !== categoryVal) return false;
+      if (!categoryVal.has(String(p.category ?? ''))) return false;
     }
 
     if (brandVal) {
       const pb = String(p.brand ?? p.brandName ?? '').toLowerCase();
-      if (pb !== brandVal) return false;
+      if (!brandVal.has(pb)) return false;
+    }
+
+    if (minPrice !== null || maxPrice !== null) {
+      const price = Number(p.price) || 0;
+      if (minPrice !== null && price < minPrice) return false;
+      if (maxPrice !== null && price > maxPrice) return false;
+    }
+
+    if (inStockOnly && !(Number(p.stock) > 0)) return false;
+
+    if (onSaleOnly && !(Number(p.oldPrice) > Number(p.price))) return false;
+
+    if (minDiscountPct !== null && minDiscountPct > 0) {
+      if (computeDiscountPercent(p) < minDiscountPct) return false;
     }
 
     return true;
   }
 
   _sort(list, sortOrder) {
-    const arr = Array.from(list);
-
-    switch (sortOrder) {
-      case 'price_asc':
-        arr.sort((a, b) => (Number(a.price) || 0) - (Number(b.price) || 0));
-        break;
-      case 'price_desc':
-        arr.sort((a, b) => (Number(b.price) || 0) - (Number(a.price) || 0));
-        break;
-      case 'brand_asc':
-        arr.sort((a, b) =>
-          String(a.brandName ?? a.brand ?? '')
-            .localeCompare(String(b.brandName ?? b.brand ?? ''), undefined, { sensitivity: 'base' })
-        );
-        break;
-      case 'brand_desc':
-        arr.sort((a, b) =>
-          String(b.brandName ?? b.brand ?? '')
-            .localeCompare(String(a.brandName ?? a.brand ?? ''), undefined, { sensitivity: 'base' })
-        );
-        break;
-      default:
-        break;
-    }
-
-    return arr;
+    return this._sorts.sort(list, sortOrder);
   }
 }
 
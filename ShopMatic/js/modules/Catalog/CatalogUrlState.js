@@ -0,0 +1,172 @@
+// Catalog/CatalogUrlState.js
+
+/**
+ * Двусторонняя связь состояния фильтров каталога с query string.
+ *
+ *  - write(state) — кладёт непустые значения фильтров в location.search
+ *    (hash-маршрут `#page/catalog` не трогается) через history.pushState;
+ *  - read() — восстанавливает состояние из текущего URL;
+ *  - onPopState(fn) — вызывает fn(state) при навигации назад/вперёд.
+ *
+ * Имена параметров задаются картой PARAMS. Читаются и пишутся только
+ * параметры из карты и фильтры, добавленные через opts.extraFilters /
+ * registerFilter(): чужие параметры (utm_*, fbclid, paymentId после оплаты)
+ * в состояние фильтров не попадают.
+ * Массивы (multi-select) записываются через запятую, флаги — как '1'.
+ */
+export class CatalogUrlState {
+  /** ключ состояния → имя query-параметра */
+  static PARAMS = Object.freeze({
+    search: 'q',
+    category: 'category',
+    brand: 'brand',
+    sort: 'sort',
+    page: 'page',
+    priceMin: 'price_min',
+    priceMax: 'price_max',
+    inStock: 'in_stock',
+    onSale: 'on_sale',
+    minDiscount: 'discount'
+  });
+
+  /**
+   * @param {Object} [opts]
+   * @param {Object<string,string>} [opts.params] - переопределение имён параметров
+   * @param {string[]|Object<string,string>} [opts.extraFilters] - дополнительные фильтры:
+   *   список ключей (параметр с тем же именем) или карта «ключ → параметр»
+   * @param {(hash: string) => boolean} [opts.isCatalogRoute] - открыт ли сейчас каталог
+   * @param {Window} [opts.win]
+   */
+  constructor({ params = {}, extraFilters = null, isCatalogRoute = null, win = null } = {}) {
+    this.params = { ...CatalogUrlState.PARAMS, ...(params || {}) };
+    if (Array.isArray(extraFilters)) extraFilters.forEach((key) => this.registerFilter(key));
+    else if (extraFilters && typeof extraFilters === 'object') {
+      Object.entries(extraFilters).forEach(([key, param]) => this.registerFilter(key, param));
+    }
+    this._win = win || (typeof window !== 'undefined' ? window : null);
+
+    this._isCatalogRoute = typeof isCatalogRoute === 'function'
+      ? isCatalogRoute
+      : (hash) => !hash || hash === '#' || hash.startsWith('#page/catalog');
+
+    this._popHandler = null;
+  }
+
+  /**
+   * Разрешает ещё один фильтр в URL.
+   * @param {string} key - ключ состояния фильтров
+   * @param {string} [param=key] - имя query-параметра
+   */
+  registerFilter(key, param = key) {
+    const k = String(key ?? '').trim();
+    const p = String(param ?? '').trim();
+    if (k && p) this.params[k] = p;
+  }
+
+  /** Каталог — текущий маршрут? */
+  isActive() {
+    if (!this._win) return false;
+    try {
+      return !!this._isCatalogRoute(this._win.location.hash || '');
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Состояние из URL. Возвращаются только присутствующие известные параметры.
+   * @param {string} [search] - строка запроса (по умолчанию location.search)
+   * @returns {Object}
+   */
+  read(search = this._win?.location?.search ?? '') {
+    const qs = new URLSearchParams(search);
+    const byParam = new Map(Object.entries(this.params).map(([k, p]) => [p, k]));
+    const state = {};
+
+    for (const [param, raw] of qs.entries()) {
+      const key = byParam.get(param);
+      if (!key) continue;
+      if (key === 'page') {
+        const page = Math.floor(Number(raw));
+        if (page > 1) state.page = page;
+        continue;
+      }
+      state[key] = raw;
+    }
+    return state;
+  }
+
+  /**
+   * Query string для состояния (пустые значения и страница 1 опускаются).
+   * @param {Object} state
+   * @returns {string} '' или '?a=b&...'
+   */
+  toSearch(state = {}) {
+    const qs = new URLSearchParams();
+    for (const [key, value] of Object.entries(state || {})) {
+      const param = this.params[key];
+      if (!param) continue;
+      const str = CatalogUrlState._serialize(key, value);
+      if (str === '') continue;
+      qs.set(param, str);
+    }
+    const out = qs.toString();
+    return out ? `?${out}` : '';
+  }
+
+  /**
+   * Записывает состояние в URL.
+   * @param {Object} state
+   * @param {{replace?: boolean}} [options] - replace: без новой записи в истории
+   * @returns {boolean} изменился ли URL
+   */
+  write(state, { replace = false } = {}) {
+    const win = this._win;
+    if (!win?.history || !this.isActive()) return false;
+
+    const search = this.toSearch(state);
+    const { pathname, hash } = win.location;
+    if (search === (win.location.search || '')) return false;
+
+    const url = `${pathname}${search}${hash || ''}`;
+    try {
+      const method = replace ? 'replaceState' : 'pushState';
+      win.history[method]({ ...(win.history.state || {}), catalogFilters: true }, '', url);
+      return true;
+    } catch (e) {
+      console.warn('CatalogUrlState.write failed', e);
+      return false;
+    }
+  }
+
+  /**
+   * @param {(state: Object) => void} fn
+   * @returns {() => void} отписка
+   */
+  onPopState(fn) {
+    this.destroy();
+    if (!this._win || typeof fn !== 'function') return () => {};
+
+    this._popHandler = () => {
+      if (!this.isActive()) return;
+      try { fn(this.read()); } catch (e) { console.error('CatalogUrlState popstate handler failed', e); }
+    };
+    this._win.addEventListener('popstate', this._popHandler);
+    return () => this.destroy();
+  }
+
+  destroy() {
+    if (this._popHandler && this._win) {
+      this._win.removeEventListener('popstate', this._popHandler);
+    }
+    this._popHandler = null;
+  }
+
+  static _serialize(key, value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(String).filter(Boolean).join(',');
+    if (value === true) return '1';
+    if (key === 'page') return Number(value) > 1 ? String(Math.floor(Number(value))) : '';
+    return String(value).trim();
+  }
+}
@@ -6,12 +6,21 @@
  *  - renders empty state
  *  - reorders DOM when possible
  *  - updates a single card by product name/id
+ *  - appends server pages (infinite scroll sentinel) or renders a numbered pager
+ *  - optionally virtualizes large lists (see VirtualGrid)
  *
  * Contract:
  *  - shop.card.renderSingleCard(item, type) MUST return a Node (Element)
  */
+import { VirtualGrid } from './VirtualGrid.js';
+
 export class CatalogView {
-  constructor({ root, productsCountEl, shop, msg }) {
+  /**
+   * @param {Object} cfg
+   * @param {{enabled?: boolean, threshold?: number, overscanRows?: number, poolSize?: number}|null} [cfg.virtualize]
+   *   Windowed rendering for lists with at least `threshold` items.
+   */
+  constructor({ root, productsCountEl, shop, msg, virtualize = null }) {
     this.root = root || null;
     this.productsCountEl = productsCountEl || null;
     this.shop = shop;
@@ -23,28 +32,253 @@ export class CatalogView {
         : (k, fallback = '') => fallback || k;
 
     this._cardById = new Map();
+
+    this._virtualOpts = {
+      enabled: !!virtualize?.enabled,
+      threshold: Math.max(1, Number(virtualize?.threshold) || 300),
+      overscanRows: virtualize?.overscanRows ?? 3,
+      poolSize: virtualize?.poolSize ?? 200
+    };
+    /** @type {VirtualGrid|null} */
+    this._virtual = null;
+    /** Last rendered list (virtual mode needs all items, not only mounted ones) */
+    this._items = [];
+
+    this._sentinel = null;
+    this._observer = null;
+    this._pagerEl = null;
   }
 
-  async render(list = []) {
+  /**
+   * @param {Array<Object>} list
+   * @param {{total?: number|null}} [options] - total: server-side total (paged mode), otherwise list length.
+   */
+  async render(list = [], { total = null } = {}) {
     const arr = Array.isArray(list) ? list : [];
 
     if (!this.root) return;
 
-    if (this.productsCountEl) {
-      this.productsCountEl.textContent = String(arr.length);
-    }
+    this._setCount(total ?? arr.length);
 
     if (arr.length === 0) {
       this.renderNoResults();
       return;
     }
 
+    this._items = arr.slice();
+
+    if (this._shouldVirtualize(arr.length)) {
+      await this._virtualRender(arr);
+      return;
+    }
+    this._teardownVirtual();
+
     this.clearNoResults();
 
     if (this._canReorder(arr)) this._reorder(arr);
     else await this._fullRender(arr);
   }
 
+  /**
+   * Append the next server page below already rendered cards.
+   * Cards that are already on screen (same product id) are skipped.
+   * @param {Array<Object>} list
+   * @param {{total?: number|null}} [options]
+   */
+  async appendPage(list = [], { total = null } = {}) {
+    if (!this.root) return;
+    if (total != null) this._setCount(total);
+
+    const known = new Set(this._items.map((p) => String(p?.name)));
+    const arr = (Array.isArray(list) ? list : [])
+      .filter((p) => p?.name != null && !known.has(String(p.name)));
+    if (!arr.length) return;
+
+    this._items.push(...arr);
+
+    if (this._virtual?.active) {
+      await this._virtual.appendItems(arr);
+      return;
+    }
+    if (this._shouldVirtualize(this._items.length)) {
+      await this._virtualRender(this._items);
+      return;
+    }
+
+    this.clearNoResults();
+
+    try {
+      await this.shop.card.renderCardList(arr, this.root, 'VERTICAL', { clear: false });
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[CatalogView] appendPage failed', e);
+    }
+    this._rebuildCardIndex();
+  }
+
+  _setCount(n) {
+    if (this.productsCountEl) this.productsCountEl.textContent = String(n);
+  }
+
+  /* ---------- infinite scroll ---------- */
+
+  /**
+   * Put a sentinel after the list and call onNeedMore() when it comes into view.
+   * Without IntersectionObserver a "show more" button is rendered instead.
+   * @param {() => void} onNeedMore
+   */
+  setupInfiniteScroll(onNeedMore) {
+    if (!this.root || typeof onNeedMore !== 'function') return;
+    this.teardownInfiniteScroll();
+
+    const sentinel = document.createElement('div');
+    sentinel.className = 'catalog-sentinel';
+    sentinel.setAttribute('aria-hidden', 'true');
+
+    if (typeof IntersectionObserver === 'function') {
+      this._observer = new IntersectionObserver((entries) => {
+        if (entries.some((e) => e.isIntersecting)) onNeedMore();
+      }, { rootMargin: '600px 0px' });
+      this._observer.observe(sentinel);
+    } else {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'catalog-sentinel__more';
+      btn.textContent = this._msg('CATALOG_SHOW_MORE', 'Показать ещё');
+      btn.addEventListener('click', () => onNeedMore());
+      sentinel.removeAttribute('aria-hidden');
+      sentinel.appendChild(btn);
+    }
+
+    this.root.after(sentinel);
+    this._sentinel = sentinel;
+  }
+
+  /**
+   * Re-observe the sentinel: if it is still visible after a short page,
+   * the observer fires again and the next page is requested.
+   */
+  rearmInfiniteScroll() {
+    if (!this._observer || !this._sentinel) return;
+    this._observer.unobserve(this._sentinel);
+    this._observer.observe(this._sentinel);
+  }
+
+  setLoadingMore(on) {
+    this._sentinel?.classList.toggle('catalog-sentinel--loading', !!on);
+  }
+
+  teardownInfiniteScroll() {
+    try { this._observer?.disconnect(); } catch {}
+    this._observer = null;
+    this._sentinel?.remove();
+    this._sentinel = null;
+  }
+
+  /* ---------- numbered pager ---------- */
+
+  /**
+   * Render a numbered pager after the list.
+   * @param {{page: number, totalPages: number, window?: number}} state
+   * @param {(page: number) => void} onSelect
+   */
+  renderPager({ page = 1, totalPages = 1, window: win = 5 } = {}, onSelect) {
+    this.clearPager();
+    if (!this.root || totalPages <= 1) return;
+
+    const nav = document.createElement('nav');
+    nav.className = 'catalog-pager';
+    nav.setAttribute('aria-label', this._msg('CATALOG_PAGER_LABEL', 'Страницы каталога'));
+
+    const addBtn = (target, label, { current = false, disabled = false, mod = '' } = {}) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'catalog-pager__btn' + (mod ? ` catalog-pager__btn--${mod}` : '');
+      btn.textContent = label;
+      btn.dataset.page = String(target);
+      if (current) btn.setAttribute('aria-current', 'page');
+      if (disabled || current) btn.disabled = true;
+      nav.appendChild(btn);
+    };
+    const addGap = () => {
+      const gap = document.createElement('span');
+      gap.className = 'catalog-pager__gap';
+      gap.textContent = '…';
+      nav.appendChild(gap);
+    };
+
+    const half = Math.floor(Math.max(1, win) / 2);
+    let from = Math.max(1, page - half);
+    const to = Math.min(totalPages, from + Math.max(1, win) - 1);
+    from = Math.max(1, to - Math.max(1, win) + 1);
+
+    addBtn(page - 1, this._msg('CATALOG_PAGER_PREV', 'Назад'), { disabled: page <= 1, mod: 'prev' });
+    if (from > 1) {
+      addBtn(1, '1');
+      if (from > 2) addGap();
+    }
+    for (let p = from; p <= to; p++) addBtn(p, String(p), { current: p === page });
+    if (to < totalPages) {
+      if (to < totalPages - 1) addGap();
+      addBtn(totalPages, String(totalPages));
+    }
+    addBtn(page + 1, this._msg('CATALOG_PAGER_NEXT', 'Вперёд'), { disabled: page >= totalPages, mod: 'next' });
+
+    nav.addEventListener('click', (e) => {
+      const btn = e.target?.closest?.('button[data-page]');
+      if (!btn || btn.disabled) return;
+      const target = Number(btn.dataset.page);
+      if (Number.isFinite(target) && typeof onSelect === 'function') onSelect(target);
+    });
+
+    this.root.after(nav);
+    this._pagerEl = nav;
+  }
+
+  clearPager() {
+    this._pagerEl?.remove();
+    this._pagerEl = null;
+  }
+
+  /* ---------- virtualized grid ---------- */
+
+  _shouldVirtualize(count) {
+    return this._virtualOpts.enabled && count >= this._virtualOpts.threshold;
+  }
+
+  async _virtualRender(arr) {
+    if (!this._virtual) {
+      this._virtual = new VirtualGrid({
+        root: this.root,
+        shop: this.shop,
+        overscanRows: this._virtualOpts.overscanRows,
+        poolSize: this._virtualOpts.poolSize,
+        onWindowChange: () => this._rebuildCardIndex()
+      });
+    }
+    try {
+      await this._virtual.setItems(arr);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[CatalogView] virtual render failed', e);
+    }
+  }
+
+  _teardownVirtual() {
+    if (!this._virtual) return;
+    this._virtual.destroy();
+    this._virtual = null;
+    this._cardById.clear();
+  }
+
+  /** Release observers, pager and virtual grid (view is going away). */
+  destroy() {
+    this.teardownInfiniteScroll();
+    this.clearPager();
+    this._teardownVirtual();
+    this._items = [];
+  }
+
   async _fullRender(arr) {
     try {
       await this.shop.card.renderCardList(arr, this.root, 'VERTICAL');
@@ -70,7 +304,11 @@ export class CatalogView {
     if (!this._cardById.size) this._rebuildCardIndex();
 
     const oldCard = this._cardById.get(id);
-    if (!oldCard) return;
+    if (!oldCard) {
+      // off-screen card of a virtual list: drop the pooled node, it is rebuilt on scroll
+      if (this._virtual?.active && this._virtual.hasItem(id)) this._virtual.replaceNode(id);
+      return;
+    }
 
     let product = newProduct;
     if (!product) {
@@ -104,7 +342,9 @@ export class CatalogView {
         return;
       }
 
-      oldCard.replaceWith(newCard);
+      if (this._virtual?.active) this._virtual.replaceNode(id, newCard);
+      else oldCard.replaceWith(newCard);
+      try { this.card?.unmount?.(oldCard); } catch {}
 
       const newId = newCard.getAttribute?.('data-product-id') || id;
       this._cardById.set(String(newId), newCard);
@@ -141,6 +381,8 @@ export class CatalogView {
   renderNoResults(message = null) {
     if (!this.root) return;
 
+    this._teardownVirtual();
+    this._items = [];
     this._cardById.clear();
     if (this.productsCountEl) this.productsCountEl.textContent = '0';
 
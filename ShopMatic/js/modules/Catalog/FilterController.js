@@ -13,7 +13,9 @@ import { debounce } from '../utils.js';
  * {
  *   key: 'search',
  *   el: HTMLElement,
+ *   els?: HTMLElement[],            // все элементы поля (если их несколько, напр. input + slider)
  *   events: ['input', 'change'],
+ *   onEvent?(ev) { ... },           // вызывается до обработчика (синхронизация связанных контролов)
  *   getValue(el) { ... },
  *   setValue(el, v) { ... },
  *   defaultValue: '' | (() => ...)
@@ -32,6 +34,13 @@ export class FilterController {
    * @param {HTMLElement|null} opts.searchBtnEl
    * @param {HTMLElement|null} opts.resetBtnEl
    * @param {HTMLElement|null} opts.productsCountEl
+   * @param {HTMLInputElement|null} [opts.priceMinEl] - числовое поле «цена от»
+   * @param {HTMLInputElement|null} [opts.priceMaxEl] - числовое поле «цена до»
+   * @param {HTMLInputElement|null} [opts.priceSliderMinEl] - input[type=range] «от»
+   * @param {HTMLInputElement|null} [opts.priceSliderMaxEl] - input[type=range] «до»
+   * @param {HTMLInputElement|null} [opts.inStockEl] - чекбокс «только в наличии»
+   * @param {HTMLInputElement|null} [opts.onSaleEl] - чекбокс «со скидкой»
+   * @param {HTMLInputElement|HTMLSelectElement|null} [opts.minDiscountEl] - минимальная скидка, %
    * @param {number} [opts.debounceMs=300]
    */
   constructor({
@@ -39,6 +48,13 @@ export class FilterController {
     catFilterEl,
     brandFilterEl,
     sortEl,
+    priceMinEl,
+    priceMaxEl,
+    priceSliderMinEl,
+    priceSliderMaxEl,
+    inStockEl,
+    onSaleEl,
+    minDiscountEl,
     searchBtnEl,
     resetBtnEl,
     productsCountEl,
@@ -59,7 +75,16 @@ export class FilterController {
       this._makeTextField('search', searchEl),
       this._makeSelectField('category', catFilterEl),
       this._makeSelectField('brand', brandFilterEl),
-      this._makeSelectField('sort', sortEl)
+      this._makeSelectField('sort', sortEl),
+      this._makeRangeField('priceMin', priceMinEl, priceSliderMinEl, {
+        bound: 'min', otherSlider: priceSliderMaxEl
+      }),
+      this._makeRangeField('priceMax', priceMaxEl, priceSliderMaxEl, {
+        bound: 'max', otherSlider: priceSliderMinEl
+      }),
+      this._makeCheckboxField('inStock', inStockEl),
+      this._makeCheckboxField('onSale', onSaleEl),
+      this._makeNumberField('minDiscount', minDiscountEl, { min: 0, max: 100 })
     ].filter(Boolean);
 
     /** текущее состояние */
@@ -88,19 +113,148 @@ export class FilterController {
     };
   }
 
+  /**
+   * Select; для <select multiple> значение — массив выбранных value
+   * (пустые value, напр. «Все», игнорируются).
+   */
   _makeSelectField(key, el) {
     if (!el) return null;
+
+    if (el.multiple) {
+      return {
+        key,
+        el,
+        events: ['change'],
+        useDebounce: false,
+        getValue: (el) => Array.from(el.selectedOptions || [])
+          .map(o => o.value)
+          .filter(Boolean),
+        setValue: (el, v) => {
+          const values = new Set(FilterController._toList(v));
+          Array.from(el.options || []).forEach(o => {
+            o.selected = values.has(o.value);
+          });
+        },
+        defaultValue: () => []
+      };
+    }
+
     return {
       key,
       el,
       events: ['change'],
       useDebounce: false,
       getValue: (el) => el.value ?? '',
+      setValue: (el, v) => { el.value = Array.isArray(v) ? (v[0] ?? '') : (v ?? ''); },
+      defaultValue: ''
+    };
+  }
+
+  /** '' | 'a,b' | ['a','b'] → ['a','b'] */
+  static _toList(v) {
+    if (Array.isArray(v)) return v.map(String).filter(Boolean);
+    if (v === '' || v == null) return [];
+    return String(v).split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  _makeCheckboxField(key, el) {
+    if (!el) return null;
+    return {
+      key,
+      el,
+      events: ['change'],
+      useDebounce: false,
+      getValue: (el) => !!el.checked,
+      setValue: (el, v) => { el.checked = v === true || v === 'true' || v === '1' || v === 1; },
+      defaultValue: false
+    };
+  }
+
+  /**
+   * Число в диапазоне [min, max]; пустое поле → '' (фильтр выключен).
+   * Подходит и для <input type="number">, и для <select> с вариантами.
+   */
+  _makeNumberField(key, el, { min = -Infinity, max = Infinity } = {}) {
+    if (!el) return null;
+    return {
+      key,
+      el,
+      events: ['input', 'change'],
+      useDebounce: el.tagName !== 'SELECT',
+      getValue: (el) => FilterController._parseNumber(el.value, { min, max }),
       setValue: (el, v) => { el.value = v ?? ''; },
       defaultValue: ''
     };
   }
 
+  /**
+   * Граница диапазона цены: числовое поле + ползунок, значения синхронизируются.
+   * Ползунок в крайнем положении означает «без ограничения» ('').
+   *
+   * @param {string} key
+   * @param {HTMLInputElement|null} numberEl
+   * @param {HTMLInputElement|null} sliderEl
+   * @param {{bound: 'min'|'max', otherSlider?: HTMLInputElement|null}} options
+   */
+  _makeRangeField(key, numberEl, sliderEl, { bound, otherSlider = null }) {
+    if (!numberEl && !sliderEl) return null;
+
+    const isMin = bound === 'min';
+    const edge = (slider) => Number(isMin ? slider.min : slider.max);
+
+    // значение ползунка → число или '' в крайнем положении
+    const fromSlider = (slider) => {
+      const v = Number(slider.value);
+      if (!Number.isFinite(v) || v === edge(slider)) return '';
+      return v;
+    };
+
+    const toSlider = (slider, v) => {
+      slider.value = v === '' || v == null ? String(edge(slider)) : String(v);
+    };
+
+    return {
+      key,
+      el: numberEl || sliderEl,
+      els: [numberEl, sliderEl].filter(Boolean),
+      events: ['input', 'change'],
+      useDebounce: true,
+      onEvent: (ev) => {
+        if (sliderEl && ev?.target === sliderEl) {
+          // ползунки не должны перекрещиваться
+          if (otherSlider && otherSlider.value !== '') {
+            const other = Number(otherSlider.value);
+            const cur = Number(sliderEl.value);
+            if (isMin && cur > other) sliderEl.value = String(other);
+            if (!isMin && cur < other) sliderEl.value = String(other);
+          }
+          if (numberEl) {
+            const v = fromSlider(sliderEl);
+            numberEl.value = v === '' ? '' : String(v);
+          }
+        } else if (sliderEl && numberEl && ev?.target === numberEl) {
+          toSlider(sliderEl, FilterController._parseNumber(numberEl.value, { min: 0 }));
+        }
+      },
+      getValue: () => (numberEl
+        ? FilterController._parseNumber(numberEl.value, { min: 0 })
+        : fromSlider(sliderEl)),
+      setValue: (el, v) => {
+        const val = FilterController._parseNumber(v, { min: 0 });
+        if (numberEl) numberEl.value = val === '' ? '' : String(val);
+        if (sliderEl) toSlider(sliderEl, val);
+      },
+      defaultValue: ''
+    };
+  }
+
+  static _parseNumber(raw, { min = -Infinity, max = Infinity } = {}) {
+    if (raw === '' || raw == null) return '';
+    const n = Number(String(raw).replace(',', '.').replace(/\s+/g, ''));
+    if (!Number.isFinite(n)) return '';
+    return Math.min(max, Math.max(min, n));
+  }
+
   /* ----------------------------------------------------------------------- */
   /* Public API                                                              */
   /* ----------------------------------------------------------------------- */
@@ -114,16 +268,22 @@ export class FilterController {
     const baseHandler = this._handleChange.bind(this);
 
     this._fieldsConfig.forEach(cfg => {
-      const { key, el, events, useDebounce } = cfg;
+      const { key, el, events, useDebounce, onEvent } = cfg;
       if (!el) return;
 
-      const handler = useDebounce
+      const run = useDebounce
         ? debounce(baseHandler, this._debounceMs)
         : baseHandler;
 
+      const handler = onEvent
+        ? (ev) => { onEvent(ev); run(ev); }
+        : run;
+
       this._fieldHandlers.set(key, handler);
 
-      events.forEach(evt => el.addEventListener(evt, handler));
+      (cfg.els || [el]).forEach(node => {
+        events.forEach(evt => node.addEventListener(evt, handler));
+      });
     });
 
     if (this.searchBtnEl) {
@@ -140,7 +300,9 @@ export class FilterController {
       const handler = this._fieldHandlers.get(key);
       if (!el || !handler) return;
 
-      events.forEach(evt => el.removeEventListener(evt, handler));
+      (cfg.els || [el]).forEach(node => {
+        events.forEach(evt => node.removeEventListener(evt, handler));
+      });
     });
 
     this._fieldHandlers.clear();
@@ -185,6 +347,32 @@ export class FilterController {
     if (!silent) this._emitChange();
   }
 
+  /**
+   * Границы ценового диапазона (по загруженному каталогу):
+   * выставляет min/max ползунков и placeholder'ы числовых полей.
+   * @param {number} min
+   * @param {number} max
+   */
+  setPriceBounds(min, max) {
+    const lo = Math.floor(Number(min) || 0);
+    const hi = Math.ceil(Number(max) || 0);
+    if (hi <= lo) return;
+
+    for (const key of ['priceMin', 'priceMax']) {
+      const cfg = this._fieldsConfig.find(f => f.key === key);
+      if (!cfg) continue;
+      for (const node of cfg.els || [cfg.el]) {
+        if (node.type === 'range') {
+          node.min = String(lo);
+          node.max = String(hi);
+        } else {
+          node.placeholder = String(key === 'priceMin' ? lo : hi);
+        }
+      }
+      cfg.setValue(cfg.el, this._state[key]);
+    }
+  }
+
   /** Счётчик товаров */
   setCount(count) {
     if (this.productsCountEl) {
@@ -0,0 +1,324 @@
+// Catalog/SearchIndex.js
+
+/**
+ * Поисковый индекс каталога с нечётким поиском.
+ *
+ * Индексируются название, бренд, категория и характеристики товара.
+ * Каждое слово проходит один и тот же конвейер:
+ *   токенизация → стемминг (RU/EN) → транслитерация в латиницу → фонетическая свёртка,
+ * поэтому «самсунг», «samsung» и «ыфьыгтп» (не та раскладка) сходятся в один ключ.
+ *
+ * Для слова запроса пробуются варианты: как есть и с переключённой раскладкой
+ * (йцукен ↔ qwerty). Совпадение с токеном индекса оценивается так:
+ *   точное — 1, префикс — 0.8, опечатка (расстояние Дамерау–Левенштейна) — 0.7 − 0.15·d.
+ * Каждое слово запроса обязано найтись хотя бы в одном поле (AND);
+ * релевантность — сумма лучших совпадений с учётом веса поля.
+ * Префикс засчитывается от двух символов, у последнего слова (его ещё
+ * дописывают) — с первого: «galaxy s» уже находит «Galaxy S23».
+ */
+
+const LAYOUT_EN = "qwertyuiop[]asdfghjkl;'zxcvbnm,.`";
+const LAYOUT_RU = 'йцукенгшщзхъфывапролджэячсмитьбюё';
+
+const EN_TO_RU = new Map([...LAYOUT_EN].map((c, i) => [c, LAYOUT_RU[i]]));
+const RU_TO_EN = new Map([...LAYOUT_RU].map((c, i) => [c, LAYOUT_EN[i]]));
+
+const TRANSLIT = Object.freeze({
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'h', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sch', ъ: '', ы: 'y', ь: '',
+  э: 'e', ю: 'yu', я: 'ya'
+});
+
+/** окончания для «лёгкого» русского стеммера — от длинных к коротким */
+const RU_ENDINGS = [
+  'иями', 'ями', 'ами', 'иях', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'ией',
+  'ий', 'ый', 'ой', 'ая', 'яя', 'ое', 'ее', 'ие', 'ые', 'ов', 'ев', 'ей', 'ам',
+  'ям', 'ах', 'ях', 'ом', 'ем', 'ую', 'юю', 'ия', 'ья',
+  'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь', 'й'
+];
+
+const MIN_STEM = 3;
+
+export class SearchIndex {
+  /** веса полей в релевантности */
+  static FIELD_WEIGHTS = Object.freeze({ title: 3, brand: 2, category: 1.5, specs: 1 });
+
+  constructor() {
+    /** токен → Map<productId, вес лучшего поля> */
+    this._postings = new Map();
+    /** длина токена → токены (для быстрого отбора кандидатов на опечатку) */
+    this._byLength = new Map();
+    this._size = 0;
+
+    /** @type {Array<Object>|null} список, по которому построен индекс */
+    this._source = null;
+    this._sourceLength = 0;
+  }
+
+  get size() {
+    return this._size;
+  }
+
+  /**
+   * Перестраивает индекс, если список изменился (другой массив или длина).
+   * @param {Array<Object>} list
+   * @returns {boolean} был ли индекс перестроен
+   */
+  ensure(list) {
+    if (list === this._source && list?.length === this._sourceLength) return false;
+    this.build(list);
+    return true;
+  }
+
+  /**
+   * @param {Array<Object>} list - нормализованные товары
+   */
+  build(list = []) {
+    this._postings.clear();
+    this._byLength.clear();
+    this._size = 0;
+    this._source = list;
+    this._sourceLength = Array.isArray(list) ? list.length : 0;
+
+    if (!Array.isArray(list)) return;
+
+    const W = SearchIndex.FIELD_WEIGHTS;
+    for (const p of list) {
+      if (!p || p.name == null) continue;
+      const id = String(p.name);
+      this._size++;
+
+      this._addText(id, p.fullname ?? p.title ?? p.name, W.title);
+      this._addText(id, p.brandName ?? p.brand, W.brand);
+      this._addText(id, p.categoryName ?? p.category, W.category);
+      this._addText(id, SearchIndex._specsText(p.specs), W.specs);
+    }
+  }
+
+  /**
+   * @param {string} query
+   * @returns {Map<string, number>|null} productId → релевантность; null — пустой запрос
+   */
+  search(query) {
+    const words = SearchIndex.tokenize(query);
+    if (!words.length) return null;
+
+    let result = null;
+
+    for (let i = 0; i < words.length; i++) {
+      const matches = this._matchWord(words[i], { partial: i === words.length - 1 });
+      if (!matches.size) return new Map();
+
+      if (!result) {
+        result = matches;
+        continue;
+      }
+
+      const next = new Map();
+      for (const [id, score] of result) {
+        const add = matches.get(id);
+        if (add !== undefined) next.set(id, score + add);
+      }
+      result = next;
+      if (!result.size) return result;
+    }
+
+    return result || new Map();
+  }
+
+  /* ---------------- indexing ---------------- */
+
+  _addText(id, text, weight) {
+    if (text == null || text === '') return;
+    for (const word of SearchIndex.tokenize(text)) {
+      const key = SearchIndex.normalizeWord(word);
+      if (!key) continue;
+
+      let posting = this._postings.get(key);
+      if (!posting) {
+        posting = new Map();
+        this._postings.set(key, posting);
+
+        let bucket = this._byLength.get(key.length);
+        if (!bucket) {
+          bucket = [];
+          this._byLength.set(key.length, bucket);
+        }
+        bucket.push(key);
+      }
+      if ((posting.get(id) || 0) < weight) posting.set(id, weight);
+    }
+  }
+
+  static _specsText(specs) {
+    if (!specs) return '';
+    if (typeof specs === 'string') return specs;
+    if (typeof specs !== 'object') return String(specs);
+    const parts = [];
+    for (const [k, v] of Object.entries(specs)) {
+      parts.push(k);
+      if (v != null && typeof v !== 'object') parts.push(String(v));
+    }
+    return parts.join(' ');
+  }
+
+  /* ---------------- matching ---------------- */
+
+  /**
+   * Лучшие совпадения одного слова запроса (с учётом альтернативной раскладки).
+   * @param {string} word
+   * @param {{partial?: boolean}} [options] - partial: слово недописано, префикс с одного символа
+   * @returns {Map<string, number>}
+   */
+  _matchWord(word, { partial = false } = {}) {
+    const minPrefix = partial ? 1 : 2;
+    const keys = new Set();
+    for (const variant of [word, SearchIndex.switchLayout(word)]) {
+      const key = SearchIndex.normalizeWord(variant);
+      if (key) keys.add(key);
+    }
+
+    const out = new Map();
+    const put = (posting, quality) => {
+      for (const [id, weight] of posting) {
+        const score = weight * quality;
+        if ((out.get(id) || 0) < score) out.set(id, score);
+      }
+    };
+
+    for (const key of keys) {
+      const maxTypos = SearchIndex.maxTypos(key.length);
+
+      for (const [len, bucket] of this._byLength) {
+        const prefixable = len > key.length && key.length >= minPrefix;
+        const typoRange = Math.abs(len - key.length) <= maxTypos;
+        if (!prefixable && !typoRange && len !== key.length) continue;
+
+        for (const token of bucket) {
+          let quality = 0;
+          if (token === key) quality = 1;
+          else if (prefixable && token.startsWith(key)) quality = 0.8;
+          else if (maxTypos > 0 && typoRange) {
+            const d = SearchIndex.editDistance(key, token, maxTypos);
+            if (d <= maxTypos) quality = 0.7 - 0.15 * d;
+          }
+          if (quality > 0) put(this._postings.get(token), quality);
+        }
+      }
+    }
+
+    return out;
+  }
+
+  /* ---------------- text pipeline (static, без состояния) ---------------- */
+
+  /** @returns {string[]} слова в нижнем регистре */
+  static tokenize(text) {
+    return String(text ?? '')
+      .toLowerCase()
+      .replace(/ё/g, 'е')
+      .split(/[^a-zа-я0-9[\];',.`]+/i)
+      .map((w) => w.replace(/^[[\];',.`]+|[[\];',.`]+$/g, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * Слово → ключ индекса: стем, транслит, фонетическая свёртка.
+   * Символы раскладки ([;',.) внутри слова допустимы только до нормализации.
+   */
+  static normalizeWord(word) {
+    const clean = String(word || '').toLowerCase().replace(/[^a-zа-яё0-9]/g, '');
+    if (!clean) return '';
+    const stemmed = /[а-яё]/.test(clean) ? SearchIndex.stemRu(clean) : SearchIndex.stemEn(clean);
+    return SearchIndex.fold(SearchIndex.translit(stemmed));
+  }
+
+  /** йцукен ↔ qwerty (по первому «чужому» символу определяется направление) */
+  static switchLayout(word) {
+    const s = String(word || '');
+    const toRu = /[a-z[\];',.`]/.test(s) && !/[а-яё]/.test(s);
+    const map = toRu ? EN_TO_RU : RU_TO_EN;
+    let out = '';
+    for (const ch of s) out += map.get(ch) ?? ch;
+    return out;
+  }
+
+  static translit(word) {
+    let out = '';
+    for (const ch of String(word || '')) out += TRANSLIT[ch] ?? ch;
+    return out;
+  }
+
+  /** Сводит варианты латинского написания к одному: ph→f, kh→h, c→k, w→v, x→ks, j→y */
+  static fold(word) {
+    return String(word || '')
+      .replace(/ph/g, 'f')
+      .replace(/kh/g, 'h')
+      .replace(/ck/g, 'k')
+      .replace(/[cq]/g, 'k')
+      .replace(/w/g, 'v')
+      .replace(/x/g, 'ks')
+      .replace(/j/g, 'y')
+      .replace(/([a-z])\1+/g, '$1');
+  }
+
+  static stemRu(word) {
+    for (const end of RU_ENDINGS) {
+      if (word.length - end.length >= MIN_STEM && word.endsWith(end)) {
+        return word.slice(0, -end.length);
+      }
+    }
+    return word;
+  }
+
+  static stemEn(word) {
+    if (/\d/.test(word) || word.length <= MIN_STEM) return word;
+    if (word.endsWith('ies') && word.length - 3 >= MIN_STEM) return `${word.slice(0, -3)}y`;
+    if (word.endsWith('sses')) return word.slice(0, -2);
+    for (const end of ['ing', 'ed', 'es', 'ly', 's']) {
+      if (word.endsWith(end) && !word.endsWith('ss') && word.length - end.length >= MIN_STEM) {
+        return word.slice(0, -end.length);
+      }
+    }
+    return word;
+  }
+
+  /** допустимое число опечаток в зависимости от длины слова */
+  static maxTypos(len) {
+    if (len <= 3) return 0;
+    if (len <= 6) return 1;
+    return 2;
+  }
+
+  /**
+   * Расстояние Дамерау–Левенштейна (вариант OSA) с ранним выходом:
+   * при превышении `max` возвращает max + 1.
+   */
+  static editDistance(a, b, max = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          v = Math.min(v, prevPrev[j - 2] + 1);
+        }
+        cur[j] = v;
+        if (v < rowMin) rowMin = v;
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = cur;
+    }
+
+    return prev[b.length];
+  }
+}
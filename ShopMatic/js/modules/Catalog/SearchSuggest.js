@@ -0,0 +1,406 @@
+/**
+ * @author Calista Verner
+ *
+ * SearchSuggest — search-as-you-type dropdown under the catalog search input:
+ *  - products (thumbnail, title, price), brands and categories for the query
+ *  - recent searches when the input is empty
+ *  - keyboard navigation (↑/↓, Enter, Escape) with ARIA combobox semantics
+ *
+ * Data and actions are injected, the class only owns the dropdown DOM.
+ */
+import { debounce, formatPrice } from '../utils.js';
+
+let _uid = 0;
+
+export class SearchSuggest {
+  static UI_MESSAGES = Object.freeze({
+    SUGGEST_PRODUCTS: 'Товары',
+    SUGGEST_BRANDS: 'Бренды',
+    SUGGEST_CATEGORIES: 'Категории',
+    SUGGEST_RECENT: 'Недавние запросы',
+    SUGGEST_CLEAR_RECENT: 'Очистить',
+    SUGGEST_REMOVE_RECENT: 'Удалить из истории',
+    SUGGEST_LIST_LABEL: 'Подсказки поиска'
+  });
+
+  /**
+   * @param {Object} cfg
+   * @param {HTMLInputElement} cfg.inputEl
+   * @param {(query: string) => {products: Array<Object>, brands: Array<{value: string, label: string}>, categories: Array<{value: string, label: string}>}} cfg.getSuggestions
+   * @param {{load: () => string[], add: (q: string) => void, remove: (q: string) => void, clear: () => void}|null} [cfg.history]
+   * @param {(product: Object) => void} [cfg.onProduct]
+   * @param {(type: 'brand'|'category', value: string) => void} [cfg.onFacet]
+   * @param {(query: string) => void} [cfg.onQuery] - recent search picked or Enter without an active option
+   * @param {(key: string, fallback?: string) => string} [cfg.msg]
+   * @param {number} [cfg.minChars=2]
+   * @param {number} [cfg.debounceMs=120]
+   */
+  constructor({
+    inputEl,
+    getSuggestions,
+    history = null,
+    onProduct,
+    onFacet,
+    onQuery,
+    msg,
+    minChars = 2,
+    debounceMs = 120
+  } = {}) {
+    this.input = inputEl || null;
+    this._getSuggestions = typeof getSuggestions === 'function' ? getSuggestions : () => null;
+    this._history = history;
+    this._onProduct = typeof onProduct === 'function' ? onProduct : () => {};
+    this._onFacet = typeof onFacet === 'function' ? onFacet : () => {};
+    this._onQuery = typeof onQuery === 'function' ? onQuery : () => {};
+    this._msgFn = typeof msg === 'function' ? msg : null;
+    this.minChars = Math.max(1, Number(minChars) || 2);
+
+    this._id = `search-suggest-${++_uid}`;
+    this.listEl = null;
+
+    /** @type {Array<{el: Element, run: () => void}>} */
+    this._options = [];
+    this._active = -1;
+    this._open = false;
+
+    this._onInput = debounce(() => this.refresh(), debounceMs);
+    this._onKeyDown = this._handleKeyDown.bind(this);
+    this._onFocus = () => this.refresh();
+    this._onBlur = () => setTimeout(() => this.close(), 120);
+  }
+
+  _msg(key) {
+    const fallback = SearchSuggest.UI_MESSAGES[key] ?? key;
+    if (!this._msgFn) return fallback;
+    const val = this._msgFn(key, fallback);
+    return val && val !== key ? val : fallback;
+  }
+
+  bind() {
+    if (!this.input || this.listEl) return;
+
+    const list = document.createElement('ul');
+    list.id = this._id;
+    list.className = 'search-suggest';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', this._msg('SUGGEST_LIST_LABEL'));
+    list.hidden = true;
+    // keep focus in the input while clicking options
+    list.addEventListener('mousedown', (e) => e.preventDefault());
+
+    this.input.after(list);
+    this.input.parentElement?.classList.add('search-suggest-host');
+    this.listEl = list;
+
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-autocomplete', 'list');
+    this.input.setAttribute('aria-controls', this._id);
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.setAttribute('autocomplete', 'off');
+
+    this.input.addEventListener('input', this._onInput);
+    this.input.addEventListener('keydown', this._onKeyDown);
+    this.input.addEventListener('focus', this._onFocus);
+    this.input.addEventListener('blur', this._onBlur);
+  }
+
+  unbind() {
+    if (!this.input) return;
+    this.input.removeEventListener('input', this._onInput);
+    this.input.removeEventListener('keydown', this._onKeyDown);
+    this.input.removeEventListener('focus', this._onFocus);
+    this.input.removeEventListener('blur', this._onBlur);
+
+    for (const attr of ['role', 'aria-autocomplete', 'aria-controls', 'aria-expanded', 'aria-activedescendant']) {
+      this.input.removeAttribute(attr);
+    }
+
+    this.listEl?.remove();
+    this.listEl = null;
+    this._options = [];
+    this._open = false;
+  }
+
+  /** Rebuild the dropdown for the current input value. */
+  refresh() {
+    if (!this.listEl || !this.input) return;
+    const query = String(this.input.value || '').trim();
+
+    if (!query) {
+      this._renderRecent();
+      return;
+    }
+    if (query.length < this.minChars) {
+      this.close();
+      return;
+    }
+
+    let data = null;
+    try {
+      data = this._getSuggestions(query);
+    } catch (e) {
+      console.warn('[SearchSuggest] getSuggestions failed', e);
+    }
+    this._renderResults(query, data || {});
+  }
+
+  close() {
+    if (!this.listEl) return;
+    this.listEl.hidden = true;
+    this._open = false;
+    this._setActive(-1);
+    this.input?.setAttribute('aria-expanded', 'false');
+  }
+
+  /* ---------------- rendering ---------------- */
+
+  _begin() {
+    this.listEl.innerHTML = '';
+    this._options = [];
+    this._active = -1;
+    this.input.removeAttribute('aria-activedescendant');
+  }
+
+  _finish() {
+    const hasOptions = this._options.length > 0;
+    this.listEl.hidden = !hasOptions;
+    this._open = hasOptions;
+    this.input.setAttribute('aria-expanded', hasOptions ? 'true' : 'false');
+  }
+
+  _addGroup(title, action = null) {
+    const li = document.createElement('li');
+    li.className = 'search-suggest__group';
+    li.setAttribute('role', 'presentation');
+
+    const span = document.createElement('span');
+    span.textContent = title;
+    li.appendChild(span);
+
+    if (action) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'search-suggest__group-action';
+      btn.textContent = action.label;
+      btn.tabIndex = -1;
+      btn.addEventListener('click', action.run);
+      li.appendChild(btn);
+    }
+
+    this.listEl.appendChild(li);
+  }
+
+  _addOption({ kind, label, meta = '', thumb = '', run, onRemove = null }) {
+    const index = this._options.length;
+    const li = document.createElement('li');
+    li.id = `${this._id}-opt-${index}`;
+    li.className = `search-suggest__option search-suggest__option--${kind}`;
+    li.setAttribute('role', 'option');
+    li.setAttribute('aria-selected', 'false');
+
+    if (thumb) {
+      const img = document.createElement('img');
+      img.className = 'search-suggest__thumb';
+      img.src = thumb;
+      img.alt = '';
+      img.loading = 'lazy';
+      li.appendChild(img);
+    }
+
+    const text = document.createElement('span');
+    text.className = 'search-suggest__label';
+    text.textContent = label;
+    li.appendChild(text);
+
+    if (meta) {
+      const m = document.createElement('span');
+      m.className = 'search-suggest__meta';
+      m.textContent = meta;
+      li.appendChild(m);
+    }
+
+    if (onRemove) {
+      const rm = document.createElement('button');
+      rm.type = 'button';
+      rm.className = 'search-suggest__remove';
+      rm.tabIndex = -1;
+      rm.setAttribute('aria-label', this._msg('SUGGEST_REMOVE_RECENT'));
+      rm.textContent = '×';
+      rm.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onRemove();
+      });
+      li.appendChild(rm);
+    }
+
+    li.addEventListener('click', () => this._choose(index));
+    li.addEventListener('mousemove', () => {
+      if (this._active !== index) this._setActive(index);
+    });
+
+    this.listEl.appendChild(li);
+    this._options.push({ el: li, run });
+  }
+
+  _renderRecent() {
+    this._begin();
+
+    const recent = this._history?.load?.() || [];
+    if (recent.length) {
+      this._addGroup(this._msg('SUGGEST_RECENT'), {
+        label: this._msg('SUGGEST_CLEAR_RECENT'),
+        run: () => {
+          this._history?.clear?.();
+          this.close();
+        }
+      });
+      for (const q of recent) {
+        this._addOption({
+          kind: 'recent',
+          label: q,
+          run: () => this._pickQuery(q),
+          onRemove: () => {
+            this._history?.remove?.(q);
+            this._renderRecent();
+          }
+        });
+      }
+    }
+
+    this._finish();
+  }
+
+  _renderResults(query, { products = [], brands = [], categories = [] }) {
+    this._begin();
+
+    if (products.length) {
+      this._addGroup(this._msg('SUGGEST_PRODUCTS'));
+      for (const p of products) {
+        this._addOption({
+          kind: 'product',
+          label: String(p.fullname ?? p.title ?? p.name ?? ''),
+          meta: p.price != null ? formatPrice(Number(p.price) || 0) : '',
+          thumb: SearchSuggest._thumbOf(p),
+          run: () => {
+            this._remember(query);
+            this._onProduct(p);
+          }
+        });
+      }
+    }
+
+    const facetGroups = [
+      ['brand', 'SUGGEST_BRANDS', brands],
+      ['category', 'SUGGEST_CATEGORIES', categories]
+    ];
+    for (const [type, titleKey, items] of facetGroups) {
+      if (!items.length) continue;
+      this._addGroup(this._msg(titleKey));
+      for (const it of items) {
+        this._addOption({
+          kind: type,
+          label: it.label,
+          meta: it.count != null ? String(it.count) : '',
+          run: () => {
+            this._remember(query);
+            this._onFacet(type, it.value);
+          }
+        });
+      }
+    }
+
+    this._finish();
+  }
+
+  static _thumbOf(p) {
+    let pics = p?.picture;
+    if (typeof pics === 'string') {
+      try { pics = JSON.parse(pics); } catch { pics = pics ? [pics] : []; }
+    }
+    return Array.isArray(pics) && pics.length ? String(pics[0]) : '';
+  }
+
+  /* ---------------- interaction ---------------- */
+
+  _remember(query) {
+    try { this._history?.add?.(query); } catch {}
+  }
+
+  _pickQuery(q) {
+    this.input.value = q;
+    this._remember(q);
+    this.close();
+    this._onQuery(q);
+  }
+
+  _choose(index) {
+    const opt = this._options[index];
+    if (!opt) return;
+    this.close();
+    try { opt.run(); } catch (e) { console.error('[SearchSuggest] option action failed', e); }
+  }
+
+  _setActive(index) {
+    const prev = this._options[this._active];
+    if (prev) {
+      prev.el.setAttribute('aria-selected', 'false');
+      prev.el.classList.remove('is-active');
+    }
+
+    this._active = index;
+    const cur = this._options[index];
+    if (cur) {
+      cur.el.setAttribute('aria-selected', 'true');
+      cur.el.classList.add('is-active');
+      cur.el.scrollIntoView?.({ block: 'nearest' });
+      this.input?.setAttribute('aria-activedescendant', cur.el.id);
+    } else {
+      this.input?.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  _handleKeyDown(e) {
+    const count = this._options.length;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        if (!this._open) {
+          this.refresh();
+          return;
+        }
+        e.preventDefault();
+        if (count) this._setActive((this._active + 1) % count);
+        break;
+      case 'ArrowUp':
+        if (!this._open) return;
+        e.preventDefault();
+        if (count) this._setActive(this._active <= 0 ? count - 1 : this._active - 1);
+        break;
+      case 'Enter': {
+        if (this._open && this._active >= 0) {
+          e.preventDefault();
+          this._choose(this._active);
+          return;
+        }
+        const q = String(this.input.value || '').trim();
+        this.close();
+        if (q) {
+          this._remember(q);
+          this._onQuery(q);
+        }
+        break;
+      }
+      case 'Escape':
+        if (this._open) {
+          e.preventDefault();
+          this.close();
+        }
+        break;
+      case 'Tab':
+        this.close();
+        break;
+      default:
+        break;
+    }
+  }
+}
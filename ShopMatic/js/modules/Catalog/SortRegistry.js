@@ -0,0 +1,302 @@
+// Catalog/SortRegistry.js
+import { computeDiscountPercent } from '../utils.js';
+
+/**
+ * Реестр сортировок каталога.
+ *
+ * Сортировка — именованный компаратор с подписью для селекта и списком
+ * ключей «добивки» (then): при равенстве основного ключа сравнение идёт
+ * по ним по очереди. В then можно указывать имена других сортировок или функции.
+ *
+ * Значение sort может быть составным: 'rating,price_asc' — то же, что
+ * rating с добивкой price_asc.
+ *
+ * Результат детерминирован: последним ключом всегда идёт id товара (name),
+ * поэтому порядок не зависит от порядка, в котором пришёл исходный список,
+ * и не «прыгает» между перерисовками.
+ *
+ * Пример:
+ *   shop.catalog.sorts.register('weight_asc', {
+ *     label: 'Сначала лёгкие',
+ *     compare: SortRegistry.by(p => p.specs?.weight, 'asc'),
+ *     then: ['price_asc']
+ *   });
+ */
+export class SortRegistry {
+  /**
+   * @param {Object} [opts]
+   * @param {boolean} [opts.builtins=true] - зарегистрировать стандартные сортировки
+   */
+  constructor({ builtins = true } = {}) {
+    /** @type {Map<string, {key: string, label: string, labelKey: string|null, compare: Function, then: Array<string|Function>, hidden: boolean}>} */
+    this._defs = new Map();
+    /** @type {Set<Function>} */
+    this._listeners = new Set();
+
+    if (builtins) {
+      for (const [key, def] of Object.entries(SortRegistry.builtins())) {
+        this._defs.set(key, SortRegistry._normalizeDef(key, def));
+      }
+    }
+  }
+
+  /**
+   * Стандартные сортировки. Поля, которых нет в нормализованном товаре
+   * (рейтинг, популярность, дата), берутся из исходной записи (_raw).
+   */
+  static builtins() {
+    const by = SortRegistry.by;
+    const num = SortRegistry.numberField;
+
+    return {
+      price_asc: {
+        labelKey: 'SORT_PRICE_ASC', label: 'Сначала дешевле',
+        compare: by(p => num(p, 'price'), 'asc'),
+        then: ['popularity']
+      },
+      price_desc: {
+        labelKey: 'SORT_PRICE_DESC', label: 'Сначала дороже',
+        compare: by(p => num(p, 'price'), 'desc'),
+        then: ['popularity']
+      },
+      brand_asc: {
+        labelKey: 'SORT_BRAND_ASC', label: 'Бренд: А–Я',
+        compare: by(p => p?.brandName ?? p?.brand, 'asc'),
+        then: ['price_asc']
+      },
+      brand_desc: {
+        labelKey: 'SORT_BRAND_DESC', label: 'Бренд: Я–А',
+        compare: by(p => p?.brandName ?? p?.brand, 'desc'),
+        then: ['price_asc']
+      },
+      popularity: {
+        labelKey: 'SORT_POPULARITY', label: 'По популярности',
+        compare: by(p => num(p, 'popularity', 'sold', 'sales', 'views'), 'desc'),
+        then: ['rating']
+      },
+      rating: {
+        labelKey: 'SORT_RATING', label: 'По рейтингу',
+        compare: by(p => num(p, 'rating', 'rate'), 'desc'),
+        then: [by(p => num(p, 'reviewsCount', 'reviews_count', 'reviews'), 'desc'), 'popularity']
+      },
+      newest: {
+        labelKey: 'SORT_NEWEST', label: 'Сначала новые',
+        compare: by(p => SortRegistry.dateField(p, 'createdAt', 'created_at', 'addedAt', 'date'), 'desc'),
+        then: ['popularity']
+      },
+      discount: {
+        labelKey: 'SORT_DISCOUNT', label: 'По размеру скидки',
+        compare: by(p => computeDiscountPercent(p) || null, 'desc'),
+        then: ['price_asc']
+      },
+      stock: {
+        labelKey: 'SORT_STOCK', label: 'По наличию',
+        compare: by(p => num(p, 'stock'), 'desc'),
+        then: ['popularity']
+      }
+    };
+  }
+
+  /**
+   * Регистрирует (или заменяет) сортировку.
+   * @param {string} key - значение option в селекте и параметр sort
+   * @param {Object} def
+   * @param {(a: Object, b: Object) => number} def.compare
+   * @param {string} [def.label]
+   * @param {string} [def.labelKey] - ключ UI_MESSAGES / i18n для подписи
+   * @param {Array<string|Function>} [def.then] - ключи добивки
+   * @param {boolean} [def.hidden=false] - не показывать в селекте (доступна только через URL/API)
+   * @returns {this}
+   */
+  register(key, def = {}) {
+    const k = String(key || '').trim();
+    if (!k || k.includes(',')) throw new Error(`SortRegistry: invalid sort key "${key}"`);
+    if (typeof def.compare !== 'function') {
+      throw new Error(`SortRegistry: sort "${k}" requires a compare function`);
+    }
+    this._defs.set(k, SortRegistry._normalizeDef(k, def));
+    this._emitChange();
+    return this;
+  }
+
+  /** @returns {boolean} была ли сортировка удалена */
+  unregister(key) {
+    const removed = this._defs.delete(String(key));
+    if (removed) this._emitChange();
+    return removed;
+  }
+
+  has(key) {
+    return this._defs.has(String(key));
+  }
+
+  get(key) {
+    return this._defs.get(String(key)) || null;
+  }
+
+  /**
+   * Видимые сортировки в порядке регистрации (для селекта).
+   * @returns {Array<{key: string, label: string, labelKey: string|null}>}
+   */
+  list() {
+    return Array.from(this._defs.values())
+      .filter(d => !d.hidden)
+      .map(({ key, label, labelKey }) => ({ key, label, labelKey }));
+  }
+
+  /**
+   * @param {(registry: SortRegistry) => void} fn
+   * @returns {() => void} отписка
+   */
+  onChange(fn) {
+    if (typeof fn !== 'function') return () => {};
+    this._listeners.add(fn);
+    return () => this._listeners.delete(fn);
+  }
+
+  /**
+   * Есть ли в значении sort хотя бы один известный ключ.
+   * @param {string} sortValue
+   */
+  supports(sortValue) {
+    return SortRegistry._splitKeys(sortValue).some(k => this._defs.has(k));
+  }
+
+  /**
+   * Составной компаратор для значения sort (неизвестные ключи пропускаются).
+   * @param {string} sortValue
+   * @returns {((a: Object, b: Object) => number)|null} null — сортировать нечем
+   */
+  comparator(sortValue) {
+    const chain = [];
+    const seen = new Set();
+
+    // раскрываем then рекурсивно; повторно ключ не используется — это защищает от циклов
+    const expand = (step) => {
+      if (typeof step === 'function') {
+        chain.push(step);
+        return;
+      }
+      const def = this._defs.get(String(step));
+      if (!def || seen.has(def.key)) return;
+      seen.add(def.key);
+      chain.push(def.compare);
+      def.then.forEach(expand);
+    };
+
+    const keys = SortRegistry._splitKeys(sortValue);
+    keys.forEach(k => {
+      const def = this._defs.get(k);
+      if (!def || seen.has(k)) return;
+      seen.add(k);
+      chain.push(def.compare);
+    });
+    if (!chain.length) return null;
+
+    // сначала явные ключи из значения, затем добивка каждого из них
+    keys.forEach(k => (this._defs.get(k)?.then || []).forEach(expand));
+
+    return (a, b) => {
+      for (const cmp of chain) {
+        const r = cmp(a, b);
+        if (r) return r;
+      }
+      return SortRegistry.compareIds(a, b);
+    };
+  }
+
+  /**
+   * @param {Array<Object>} list
+   * @param {string} sortValue
+   * @returns {Array<Object>} новый массив (исходный не меняется)
+   */
+  sort(list, sortValue) {
+    const arr = Array.from(list || []);
+    const cmp = this.comparator(sortValue);
+    if (!cmp || arr.length <= 1) return arr;
+    return arr.sort(cmp);
+  }
+
+  /* ---------------- helpers ---------------- */
+
+  /**
+   * Компаратор по значению: числа сравниваются как числа, строки — localeCompare.
+   * Пустые значения (null, undefined, '', NaN) всегда в конце, независимо от направления.
+   * @param {(p: Object) => any} getter
+   * @param {'asc'|'desc'} [dir='asc']
+   */
+  static by(getter, dir = 'asc') {
+    const sign = dir === 'desc' ? -1 : 1;
+    const isEmpty = (v) => v === null || v === undefined || v === '' || Number.isNaN(v);
+
+    return (a, b) => {
+      const va = getter(a);
+      const vb = getter(b);
+      const ea = isEmpty(va);
+      const eb = isEmpty(vb);
+      if (ea || eb) return ea === eb ? 0 : (ea ? 1 : -1);
+
+      if (typeof va === 'number' && typeof vb === 'number') return sign * (va - vb);
+      return sign * String(va).localeCompare(String(vb), undefined, { sensitivity: 'base', numeric: true });
+    };
+  }
+
+  /** Последний ключ: id товара */
+  static compareIds(a, b) {
+    const ia = String(a?.name ?? '');
+    const ib = String(b?.name ?? '');
+    return ia < ib ? -1 : (ia > ib ? 1 : 0);
+  }
+
+  /** Первое числовое поле товара (или его _raw); null — нет значения */
+  static numberField(p, ...fields) {
+    for (const src of [p, p?._raw]) {
+      if (!src) continue;
+      for (const f of fields) {
+        const v = src[f];
+        if (v === null || v === undefined || v === '') continue;
+        const n = Number(v);
+        if (Number.isFinite(n)) return n;
+      }
+    }
+    return null;
+  }
+
+  /** Первое поле-дата товара (или его _raw) как timestamp; null — нет значения */
+  static dateField(p, ...fields) {
+    for (const src of [p, p?._raw]) {
+      if (!src) continue;
+      for (const f of fields) {
+        const v = src[f];
+        if (v === null || v === undefined || v === '') continue;
+        const ts = typeof v === 'number' ? v : Date.parse(String(v));
+        if (Number.isFinite(ts)) return ts;
+      }
+    }
+    return null;
+  }
+
+  static _splitKeys(sortValue) {
+    return String(sortValue || '')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean);
+  }
+
+  static _normalizeDef(key, def) {
+    return {
+      key,
+      label: String(def.label ?? key),
+      labelKey: def.labelKey || null,
+      compare: def.compare,
+      then: Array.isArray(def.then) ? def.then.slice() : [],
+      hidden: !!def.hidden
+    };
+  }
+
+  _emitChange() {
+    for (const fn of this._listeners) {
+      try { fn(this); } catch (e) { console.error('SortRegistry listener failed', e); }
+    }
+  }
+}
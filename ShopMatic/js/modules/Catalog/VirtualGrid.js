@@ -0,0 +1,345 @@
+/**
+ * @author Calista Verner
+ *
+ * VirtualGrid — windowed rendering of a large product grid:
+ *  - only cards in and near the viewport are attached to the root
+ *  - rows above/below the window are replaced by root padding
+ *  - card nodes are recycled through an LRU pool keyed by product id
+ *  - every attach goes through shop.card.mount(), every detach/eviction
+ *    through shop.card.unmount(), so Card's id → DOM index stays consistent
+ *
+ * Layout is measured from mounted cards (columns, row height incl. row gap),
+ * so the grid itself stays styled by CSS (.productGrid etc.).
+ */
+export class VirtualGrid {
+  /**
+   * @param {Object} cfg
+   * @param {Element} cfg.root - Grid container.
+   * @param {Object} cfg.shop - ShopMatic instance (uses shop.card).
+   * @param {number} [cfg.overscanRows=3] - Extra rows mounted above and below the viewport.
+   * @param {number} [cfg.poolSize=200] - Max detached card nodes kept for reuse.
+   * @param {number} [cfg.estimatedRowHeight=380] - Row height used until the first measurement.
+   * @param {(ids: string[]) => void} [cfg.onWindowChange] - Called after the mounted set changed.
+   */
+  constructor({ root, shop, overscanRows = 3, poolSize = 200, estimatedRowHeight = 380, onWindowChange } = {}) {
+    this.root = root || null;
+    this.shop = shop;
+    this.card = shop?.card || null;
+
+    this.overscanRows = Math.max(0, Number(overscanRows) || 0);
+    this.poolSize = Math.max(0, Number(poolSize) || 0);
+    this._onWindowChange = typeof onWindowChange === 'function' ? onWindowChange : null;
+
+    /** @type {Array<Object>} */
+    this.items = [];
+
+    this._columns = 1;
+    this._rowHeight = Math.max(1, Number(estimatedRowHeight) || 380);
+    this._measured = false;
+
+    /** ids currently attached to the root, in DOM order */
+    this._mountedIds = [];
+    /** @type {Map<string, Element>} id → card node (attached or pooled), LRU order */
+    this._pool = new Map();
+
+    this._range = { start: 0, end: 0 };
+    this._renderToken = 0;
+    this._rafScheduled = false;
+    this._active = false;
+
+    this._savedPadding = null;
+    this._basePad = { top: 0, bottom: 0 };
+
+    this._onScroll = () => this._scheduleUpdate();
+  }
+
+  get active() {
+    return this._active;
+  }
+
+  /**
+   * Start (or continue) virtual rendering of `list`.
+   * @param {Array<Object>} list
+   */
+  async setItems(list = []) {
+    if (!this.root) return;
+    this.items = Array.isArray(list) ? list.filter((p) => p?.name != null) : [];
+
+    if (!this._active) this._activate();
+
+    // new list: force the window to be recomputed from scratch
+    this._range = { start: -1, end: -1 };
+    await this.update();
+  }
+
+  /**
+   * Append items (infinite scroll) without resetting the window.
+   * @param {Array<Object>} list
+   */
+  async appendItems(list = []) {
+    const known = new Set(this.items.map((p) => String(p.name)));
+    for (const p of Array.isArray(list) ? list : []) {
+      if (p?.name != null && !known.has(String(p.name))) this.items.push(p);
+    }
+    this._range = { start: -1, end: -1 };
+    await this.update();
+  }
+
+  /**
+   * Drop a pooled/mounted node so the card is rebuilt from fresh data.
+   * @param {string} id
+   * @param {Element|null} [replacement] - Already rendered node to use instead.
+   */
+  replaceNode(id, replacement = null) {
+    const key = String(id);
+    const old = this._pool.get(key);
+    if (old && old !== replacement) {
+      if (replacement && old.isConnected) old.replaceWith(replacement);
+      else old.remove();
+      try { this.card?.unmount?.(old); } catch {}
+    }
+    this._pool.delete(key);
+    if (replacement) this._pool.set(key, replacement);
+    else if (this._mountedIds.includes(key)) this._scheduleUpdate(true);
+  }
+
+  /** @returns {boolean} */
+  hasItem(id) {
+    const key = String(id);
+    return this.items.some((p) => String(p.name) === key);
+  }
+
+  /**
+   * Stop virtual rendering, release every card node and restore root padding.
+   * The root is left empty.
+   */
+  destroy() {
+    this._deactivate();
+    this._renderToken++;
+
+    for (const node of this._pool.values()) {
+      try { node.remove(); } catch {}
+      try { this.card?.unmount?.(node); } catch {}
+    }
+    this._pool.clear();
+    this._mountedIds = [];
+    this.items = [];
+
+    if (this.root) this.root.innerHTML = '';
+  }
+
+  /* ---------------- window ---------------- */
+
+  _activate() {
+    this._active = true;
+    this._savedPadding = {
+      top: this.root.style.paddingTop,
+      bottom: this.root.style.paddingBottom
+    };
+    // stylesheet padding is kept under the virtual spacer padding
+    try {
+      const cs = getComputedStyle(this.root);
+      this._basePad = { top: parseFloat(cs.paddingTop) || 0, bottom: parseFloat(cs.paddingBottom) || 0 };
+    } catch {
+      this._basePad = { top: 0, bottom: 0 };
+    }
+    this.root.innerHTML = '';
+    if (typeof window !== 'undefined') {
+      window.addEventListener('scroll', this._onScroll, { passive: true });
+      window.addEventListener('resize', this._onScroll);
+    }
+  }
+
+  _deactivate() {
+    if (!this._active) return;
+    this._active = false;
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('scroll', this._onScroll);
+      window.removeEventListener('resize', this._onScroll);
+    }
+    if (this.root && this._savedPadding) {
+      this.root.style.paddingTop = this._savedPadding.top;
+      this.root.style.paddingBottom = this._savedPadding.bottom;
+    }
+    this._savedPadding = null;
+  }
+
+  _scheduleUpdate(force = false) {
+    if (force) this._range = { start: -1, end: -1 };
+    if (this._rafScheduled || !this._active) return;
+    this._rafScheduled = true;
+
+    const run = () => {
+      this._rafScheduled = false;
+      this.update().catch((e) => console.error('[VirtualGrid] update failed', e));
+    };
+
+    if (typeof requestAnimationFrame === 'function') requestAnimationFrame(run);
+    else run();
+  }
+
+  /**
+   * Visible item range [start, end) for the current scroll position.
+   */
+  _computeRange() {
+    const total = this.items.length;
+    const cols = Math.max(1, this._columns);
+    const rowH = Math.max(1, this._rowHeight);
+    const totalRows = Math.ceil(total / cols);
+
+    const viewportH = (typeof window !== 'undefined' && window.innerHeight) || 800;
+    const rect = this.root.getBoundingClientRect?.() || { top: 0 };
+    // distance scrolled past the first row of the grid (virtual padding included)
+    const offset = Math.max(0, -(rect.top + this._basePad.top));
+
+    let firstRow = Math.floor(offset / rowH) - this.overscanRows;
+    let lastRow = Math.ceil((offset + viewportH) / rowH) + this.overscanRows;
+
+    firstRow = Math.max(0, Math.min(firstRow, totalRows));
+    lastRow = Math.max(firstRow, Math.min(lastRow, totalRows));
+
+    return {
+      start: firstRow * cols,
+      end: Math.min(total, lastRow * cols),
+      firstRow,
+      totalRows
+    };
+  }
+
+  /**
+   * Mount cards for the current window; recycle the rest.
+   */
+  async update() {
+    if (!this._active || !this.root) return;
+
+    const range = this._computeRange();
+    if (range.start === this._range.start && range.end === this._range.end) return;
+
+    const token = ++this._renderToken;
+    const slice = this.items.slice(range.start, range.end);
+
+    const nodes = await Promise.all(slice.map((p) => this._nodeFor(p)));
+    if (token !== this._renderToken || !this._active) return;
+
+    const nextIds = [];
+    const frag = document.createDocumentFragment();
+    slice.forEach((p, i) => {
+      const node = nodes[i];
+      if (!node) return;
+      nextIds.push(String(p.name));
+      frag.appendChild(node);
+    });
+
+    // detach cards that left the window (nodes stay pooled for reuse)
+    const keep = new Set(nextIds);
+    for (const id of this._mountedIds) {
+      if (keep.has(id)) continue;
+      const node = this._pool.get(id);
+      if (node) {
+        node.remove();
+        try { this.card?.unmount?.(node, { keepBindings: true }); } catch {}
+      }
+    }
+
+    this.root.appendChild(frag);
+
+    // (re)attach through Card.mount: indexes the node and applies current cart/fav state
+    const wasMounted = new Set(this._mountedIds);
+    for (let i = 0; i < slice.length; i++) {
+      const node = nodes[i];
+      if (node && !wasMounted.has(String(slice[i].name))) {
+        try { this.card?.mount?.(node, slice[i], 'VERTICAL'); } catch {}
+      }
+    }
+
+    this._mountedIds = nextIds;
+    this._range = { start: range.start, end: range.end };
+    this._trimPool();
+
+    const remeasured = this._measure();
+    this._applyPadding(range);
+
+    this._onWindowChange?.(nextIds.slice());
+
+    // first real measurement changes columns/row height → window must be recomputed
+    if (remeasured) this._scheduleUpdate(true);
+  }
+
+  async _nodeFor(product) {
+    const id = String(product.name);
+    const pooled = this._pool.get(id);
+    if (pooled) {
+      // bump in LRU order
+      this._pool.delete(id);
+      this._pool.set(id, pooled);
+      return pooled;
+    }
+
+    let node = null;
+    try {
+      node = await this.card?.renderSingleCard?.(product, 'VERTICAL');
+    } catch (e) {
+      console.warn('[VirtualGrid] card render failed', e);
+    }
+    if (!node || node.nodeType !== 1) return null;
+
+    this._pool.set(id, node);
+    return node;
+  }
+
+  _trimPool() {
+    const mounted = new Set(this._mountedIds);
+    let excess = this._pool.size - mounted.size - this.poolSize;
+    if (excess <= 0) return;
+
+    for (const [id, node] of this._pool) {
+      if (excess <= 0) break;
+      if (mounted.has(id)) continue;
+      this._pool.delete(id);
+      try { this.card?.unmount?.(node); } catch {}
+      excess--;
+    }
+  }
+
+  /**
+   * Measure columns and row height from mounted cards.
+   * @returns {boolean} true if the layout changed noticeably
+   */
+  _measure() {
+    const first = this.root.firstElementChild;
+    if (!first) return false;
+
+    const firstTop = first.offsetTop;
+    let cols = 0;
+    for (const el of this.root.children) {
+      if (el.offsetTop !== firstTop) break;
+      cols++;
+    }
+    cols = Math.max(1, cols);
+
+    let gap = 0;
+    try {
+      const cs = getComputedStyle(this.root);
+      gap = parseFloat(cs.rowGap || cs.gap) || 0;
+    } catch {}
+
+    const rowH = Math.max(1, first.offsetHeight + gap);
+
+    // a short window (e.g. last row) cannot tell the column count
+    const fullRow = this.root.children.length > cols;
+    const nextCols = fullRow || !this._measured ? cols : this._columns;
+
+    const changed = nextCols !== this._columns || Math.abs(rowH - this._rowHeight) > 1;
+    this._columns = nextCols;
+    this._rowHeight = rowH;
+    this._measured = true;
+    return changed;
+  }
+
+  _applyPadding({ firstRow, totalRows }) {
+    const mountedRows = Math.ceil(this._mountedIds.length / Math.max(1, this._columns));
+    const rowsBelow = Math.max(0, totalRows - firstRow - mountedRows);
+    this.root.style.paddingTop = `${this._basePad.top + firstRow * this._rowHeight}px`;
+    this.root.style.paddingBottom = `${this._basePad.bottom + rowsBelow * this._rowHeight}px`;
+  }
+}
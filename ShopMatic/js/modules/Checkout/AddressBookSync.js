@@ -0,0 +1,326 @@
+import { ApiFetcher } from '../ApiFetcher.js';
+import { ApiError } from '../Transport/ApiError.js';
+
+/**
+ * Optional server sync for the checkout address book (RecipientAddressStorage).
+ *
+ * Works only while `getSession()` returns a session with `userId`; guests keep
+ * the book in localStorage alone.
+ *
+ * The backend exchanges the same shape in both directions:
+ *   pull (`endpoints.pull`, `{ userId }`) →
+ *     `{ recipients: [...], addresses: [...], tombstones: [{ type, id, deletedAt }] }`
+ *   push (`endpoints.push`, `{ userId, recipients, addresses, tombstones }`)
+ *
+ * Conflicts are resolved per record by `updatedAt`: the newer copy wins, and a
+ * tombstone removes a record that was not changed after the deletion. The first
+ * sync for a user on this device merges the server book into the local one with
+ * `storage.import(..., { merge: true })`, so addresses entered as a guest are kept.
+ *
+ * The user the local book belongs to is stored in `<storageKey>_owner`. Only a
+ * book that was never owned (guest data) or belongs to the same user is merged;
+ * a book of another user is replaced with the server one. On logout the book is
+ * cleared, so the next customer on this device does not see (or upload) it.
+ *
+ * @author Calista Verner
+ */
+export class AddressBookSync extends ApiFetcher {
+  static TYPES = Object.freeze({
+    RECIPIENT: 'recipient',
+    ADDRESS: 'address'
+  });
+
+  /** Storage events caused by the sync itself — they do not schedule a push */
+  static OWN_EVENTS = Object.freeze(['sync:merged', 'import:merge']);
+
+  /**
+   * @param {Object|null} foxEngine - Host engine or transport (see ApiFetcher).
+   * @param {Object} options
+   * @param {Object} options.storage - RecipientAddressStorage instance.
+   * @param {() => ({userId: string|number}|null)} [options.getSession] - Current user session or null.
+   * @param {{send: Function}} [options.transport]
+   * @param {Object<string,string>} [options.endpoints] - Defaults: `{ pull: 'getAddressBook', push: 'saveAddressBook' }`.
+   * @param {number} [options.debounceMs=1500] - Delay before local changes are pushed.
+   * @param {number} [options.timeoutMs]
+   * @param {boolean} [options.debug]
+   */
+  constructor(foxEngine, {
+    storage,
+    getSession = () => null,
+    transport,
+    endpoints = {},
+    debounceMs = 1500,
+    timeoutMs,
+    debug
+  } = {}) {
+    const merged = { pull: 'getAddressBook', push: 'saveAddressBook', ...endpoints };
+    super(foxEngine, { transport, endpoints: merged, timeoutMs, debug });
+
+    if (!storage) throw new Error('AddressBookSync: storage is required');
+
+    this.endpoints = merged;
+    this.storage = storage;
+    this.getSession = typeof getSession === 'function' ? getSession : () => null;
+    this.debounceMs = Math.max(0, Number(debounceMs) || 0);
+
+    this._timer = null;
+    this._running = null;
+    this._pending = false;
+    this._applying = false;
+    this._abort = null;
+    this._unsubscribe = null;
+  }
+
+  /* ---------- merge ---------- */
+
+  /**
+   * Union of two record lists by id: the newer `updatedAt` wins, tombstoned
+   * records are dropped unless changed after the deletion.
+   *
+   * @param {Object[]} local
+   * @param {Object[]} remote
+   * @param {Map<string, number>} [deletedAt] - id → deletion time
+   * @returns {Object[]}
+   */
+  static mergeLists(local = [], remote = [], deletedAt = new Map()) {
+    const byId = new Map();
+    for (const item of [...local, ...remote]) {
+      if (!item || !item.id) continue;
+      const prev = byId.get(item.id);
+      if (!prev || (Number(item.updatedAt) || 0) > (Number(prev.updatedAt) || 0)) byId.set(item.id, item);
+    }
+    return Array.from(byId.values())
+      .filter((item) => !(deletedAt.get(item.id) >= (Number(item.updatedAt) || 0)));
+  }
+
+  /**
+   * Tombstones of both sides, the latest deletion per record.
+   * @returns {Object[]}
+   */
+  static mergeTombstones(local = [], remote = []) {
+    const byKey = new Map();
+    for (const t of [...local, ...remote]) {
+      if (!t || !t.id || !t.type) continue;
+      const key = `${t.type}:${t.id}`;
+      const deletedAt = Number(t.deletedAt) || 0;
+      if (!byKey.has(key) || byKey.get(key).deletedAt < deletedAt) byKey.set(key, { type: t.type, id: t.id, deletedAt });
+    }
+    return Array.from(byKey.values());
+  }
+
+  /**
+   * Local and remote snapshots → the book both sides should end up with.
+   * @returns {{recipients: Object[], addresses: Object[], tombstones: Object[]}}
+   */
+  static mergeSnapshots(local, remote) {
+    const tombstones = AddressBookSync.mergeTombstones(local.tombstones, remote.tombstones);
+    const deleted = (type) => new Map(tombstones.filter((t) => t.type === type).map((t) => [t.id, t.deletedAt]));
+    return {
+      recipients: AddressBookSync.mergeLists(local.recipients, remote.recipients, deleted(AddressBookSync.TYPES.RECIPIENT)),
+      addresses: AddressBookSync.mergeLists(local.addresses, remote.addresses, deleted(AddressBookSync.TYPES.ADDRESS)),
+      tombstones
+    };
+  }
+
+  /* ---------- lifecycle ---------- */
+
+  /**
+   * Starts listening to storage changes and syncs right away when a session exists.
+   * @returns {this}
+   */
+  attach() {
+    if (this._unsubscribe) return this;
+    this._unsubscribe = this.storage.subscribe((_snapshot, meta) => {
+      if (this._applying || AddressBookSync.OWN_EVENTS.includes(meta?.type)) return;
+      this.schedule();
+    });
+    this.handleSessionChange();
+    return this;
+  }
+
+  /**
+   * Call after login / logout (Events.AUTH_CHANGED payload): a new session is
+   * synced at once, without one pending work is cancelled; an explicit logout
+   * also clears the owned book.
+   *
+   * @param {{reason?: string}} [event]
+   */
+  handleSessionChange({ reason } = {}) {
+    if (!this._userId()) {
+      this._cancel();
+      if (reason === 'logout' && this._owner()) this._clearBook();
+      return Promise.resolve(false);
+    }
+    return this.sync().catch(() => false);
+  }
+
+  /** Debounced sync after a local change */
+  schedule() {
+    if (!this._userId()) return;
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.sync().catch(() => {});
+    }, this.debounceMs);
+  }
+
+  destroy() {
+    this._cancel();
+    try { this._unsubscribe?.(); } catch (e) {}
+    this._unsubscribe = null;
+  }
+
+  _cancel() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._pending = false;
+    try { this._abort?.abort(); } catch (e) {}
+  }
+
+  /* ---------- sync ---------- */
+
+  /**
+   * Pull, merge, push. Calls made while a sync runs are folded into one more pass.
+   * @returns {Promise<boolean>} true when the server book was updated
+   */
+  async sync() {
+    if (this._running) {
+      this._pending = true;
+      return this._running;
+    }
+
+    this._running = (async () => {
+      let ok = false;
+      do {
+        this._pending = false;
+        ok = await this._syncOnce();
+      } while (this._pending && this._userId());
+      return ok;
+    })();
+
+    try {
+      return await this._running;
+    } finally {
+      this._running = null;
+    }
+  }
+
+  async _syncOnce() {
+    const userId = this._userId();
+    if (!userId) return false;
+
+    const controller = new AbortController();
+    this._abort = controller;
+
+    try {
+      const remote = await this._pull(userId, controller.signal);
+      if (this._userId() !== userId) return false;
+
+      const owner = this._owner();
+      this._applying = true;
+      try {
+        if (owner && owner !== userId) {
+          // Книга другого покупателя: не сливаем её с этим аккаунтом
+          this.storage.applySyncSnapshot(remote);
+        } else if (!owner && !this._wasSynced(userId)) {
+          // Без проверки: неполная серверная запись иначе пропала бы и удалилась при push
+          this.storage.import(JSON.stringify(remote), { merge: true, validate: false });
+          const local = this.storage.getSyncSnapshot();
+          local.tombstones = AddressBookSync.mergeTombstones(local.tombstones, remote.tombstones);
+          this.storage.applySyncSnapshot(local);
+        } else {
+          this.storage.applySyncSnapshot(AddressBookSync.mergeSnapshots(this.storage.getSyncSnapshot(), remote));
+        }
+      } finally {
+        this._applying = false;
+      }
+
+      this._setOwner(userId);
+      await this._push(userId, this.storage.getSyncSnapshot(), controller.signal);
+      this._markSynced(userId);
+      return true;
+    } catch (e) {
+      if (!ApiError.isAbort(e)) this._log('AddressBookSync: sync failed', e);
+      return false;
+    } finally {
+      if (this._abort === controller) this._abort = null;
+    }
+  }
+
+  async _pull(userId, signal) {
+    const { payload } = this._buildRequest('pull', { params: { userId } });
+    const res = await this._safeCall(payload, 'JSON', { signal });
+    const src = res && typeof res.data === 'object' && !Array.isArray(res.data) ? res.data : res;
+    const list = (v) => (Array.isArray(v) ? v.filter((x) => x && typeof x === 'object') : []);
+    return {
+      recipients: list(src?.recipients),
+      addresses: list(src?.addresses),
+      tombstones: list(src?.tombstones)
+    };
+  }
+
+  async _push(userId, snapshot, signal) {
+    const { payload } = this._buildRequest('push', { params: { userId, ...snapshot } });
+    return this._safeCall(payload, 'JSON', { signal });
+  }
+
+  /* ---------- session ---------- */
+
+  _userId() {
+    try {
+      const session = this.getSession();
+      return session && session.userId != null && session.userId !== '' ? String(session.userId) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _clearBook() {
+    this._applying = true;
+    try {
+      this.storage.applySyncSnapshot({});
+    } catch (e) {
+      this._log('AddressBookSync: failed to clear the address book', e);
+    } finally {
+      this._applying = false;
+    }
+    this._setOwner(null);
+  }
+
+  _ownerKey() {
+    return `${this.storage.storageKey}_owner`;
+  }
+
+  _owner() {
+    try {
+      return localStorage.getItem(this._ownerKey()) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _setOwner(userId) {
+    try {
+      if (userId) localStorage.setItem(this._ownerKey(), String(userId));
+      else localStorage.removeItem(this._ownerKey());
+    } catch (e) {}
+  }
+
+  _syncedKey(userId) {
+    return `${this.storage.storageKey}_synced_${userId}`;
+  }
+
+  _wasSynced(userId) {
+    try {
+      return localStorage.getItem(this._syncedKey(userId)) === '1';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  _markSynced(userId) {
+    try {
+      localStorage.setItem(this._syncedKey(userId), '1');
+    } catch (e) {}
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Base class for address autocomplete used by the address modal.
+ *
+ * Contract:
+ *   suggest(query, { city, limit, signal }) => Promise<Suggestion[]>
+ *   normalize(address, { signal })          => Promise<Suggestion|null>
+ *
+ * Suggestion: `{ label, address: { city, street, house, flat, postalCode }, coords }`,
+ * where `coords` is `{ lat, lon }` or null. Fields the provider does not know are
+ * empty strings — the form keeps what the customer typed for them.
+ *
+ * Providers may fail or be slow: RecipientAddressController treats any error as
+ * "no suggestions" and the customer keeps typing the address by hand.
+ *
+ * @author Calista Verner
+ */
+export class AddressSuggestProvider {
+  static ADDRESS_FIELDS = Object.freeze(['city', 'street', 'house', 'flat', 'postalCode']);
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minQueryLength=3] - Shorter queries are not sent.
+   * @param {number} [options.limit=5]
+   */
+  constructor({ minQueryLength = 3, limit = 5 } = {}) {
+    this.minQueryLength = Math.max(1, Number(minQueryLength) || 1);
+    this.limit = Math.max(1, Number(limit) || 1);
+  }
+
+  /**
+   * Brings a provider answer to the Suggestion shape; null without a street or city.
+   * @param {Object} raw
+   * @returns {Object|null}
+   */
+  static normalizeSuggestion(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const src = raw.address && typeof raw.address === 'object' ? raw.address : raw;
+
+    const address = {};
+    for (const key of AddressSuggestProvider.ADDRESS_FIELDS) {
+      address[key] = String(src[key] ?? '').trim();
+    }
+    if (!address.street && !address.city) return null;
+
+    const c = raw.coords || raw.coordinates || (raw.lat != null ? raw : src);
+    const lat = Number(c?.lat ?? c?.latitude);
+    const lon = Number(c?.lon ?? c?.lng ?? c?.longitude);
+    const hasCoords = (c?.lat ?? c?.latitude) != null && Number.isFinite(lat) && Number.isFinite(lon);
+
+    return {
+      label: String(raw.label ?? [address.city, address.street, address.house].filter(Boolean).join(', ')),
+      address,
+      coords: hasCoords ? { lat, lon } : null
+    };
+  }
+
+  /**
+   * @abstract
+   * @param {string} query - what the customer typed
+   * @param {{city?: string, limit?: number, signal?: AbortSignal}} [options]
+   * @returns {Promise<Object[]>} suggestions
+   */
+  async suggest(query, options = {}) {
+    throw new Error(`${this.constructor.name}.suggest is not implemented`);
+  }
+
+  /**
+   * Canonical form of a typed address (spelling, postal code, coordinates).
+   * Default: no normalization.
+   *
+   * @param {Object} address - `{ city, street, house, flat, postalCode }`
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<Object|null>} suggestion or null — keep the address as typed
+   */
+  async normalize(address, options = {}) {
+    return null;
+  }
+}
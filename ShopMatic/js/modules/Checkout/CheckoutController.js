@@ -3,8 +3,16 @@ import { CheckoutView } from './CheckoutView.js';
 import { RecipientAddressStorage } from './RecipientAddressStorage.js';
 import { RecipientAddressController } from './RecipientAddressController.js';
 import { DeliveryBlockController } from './DeliveryBlockController.js';
+import { PickupPointPicker } from './PickupPointPicker.js';
+import { recipientValidator, addressValidator } from './RecipientAddressRules.js';
+import { Events } from '../Events.js';
+import { PaymentProvider } from '../Payment/PaymentProvider.js';
+import { ApiError } from '../Transport/ApiError.js';
 
 export class CheckoutController {
+  /** Параметры, с которыми банк возвращает покупателя (redirect / 3-D Secure) */
+  static CALLBACK_PARAMS = Object.freeze(['paymentId', 'payment_id', 'status']);
+
   constructor(cartService) {
     this.cartService = cartService;
     this.foxEngine = this.cartService?.storage?.shopMatic?.foxEngine;
@@ -13,42 +21,48 @@ export class CheckoutController {
     this.cartItems = [];
     this.totalPrice = 0;
     this.totalQty = 0;
+    // сумма товаров до скидок; totalPrice — итог с промокодами и доставкой
+    this.subtotal = 0;
+    this.deliveryPrice = 0;
     this.promoCode = '';
+    this.promoSummary = null;
+    // промокод проверяется (повторный клик или Enter игнорируются)
+    this._promoBusy = false;
     this.goodsWordsArr = ['товар', 'товара', 'товаров'];
 
     this.isBuyNow = false;
     this.buyNowStorageKey = 'shopmatic_buy_now_item_v1';
     this._hasCartBackup = false;
 
-    this.deliveryOptions = [
-      {
-        label: 'По клику',
-        deliveryType: 'ON_DEMAND',
-        description: 'По клику за 15-30 минут',
-        time: 'Завтра или позже',
-        price: 'бесплатно',
-        checked: false,
-        disabled: true
-      },
-      {
-        label: 'Пункт выдачи',
-        deliveryType: 'PICKUP',
-        description: 'Рядом, 7 минут',
-        time: 'Завтра или позже',
-        price: 'бесплатно',
-        checked: true,
-        disabled: false
-      },
-      {
-        label: 'Курьер',
-        deliveryType: 'COURIER',
-        description: 'Доставка на дом',
-        time: 'Завтра или позже',
-        price: 'бесплатно',
-        checked: false,
-        disabled: true
-      }
-    ];
+    // оформление заказа: защита от повторной отправки и отмена при уходе со страницы
+    this._submitting = false;
+    this._submitAbort = null;
+
+    // заказ создан, но ещё не оплачен: { order, payload, info, providerId, paymentId }
+    // (повторное нажатие «Оформить» повторяет только оплату)
+    this._pendingOrder = null;
+    this.pendingPaymentKey = 'shopmatic_pending_payment_v1';
+
+    this.messages = {
+      noRecipient: 'Укажите получателя заказа',
+      noAddress: 'Выберите адрес или пункт выдачи',
+      invalidRecipient: 'Проверьте данные получателя: {error}',
+      invalidAddress: 'Проверьте адрес доставки: {error}',
+      noDelivery: 'Выберите способ доставки',
+      emptyOrder: 'В заказе нет товаров',
+      noPayment: 'Выберите способ оплаты',
+      paymentFailed: 'Оплата не прошла. Попробуйте ещё раз или выберите другой способ.',
+      paymentWaiting: 'Ожидаем подтверждение оплаты…',
+      paymentStillPending: 'Оплата ещё обрабатывается — статус появится в заказе.',
+      paymentRedirect: 'Переход на страницу банка…',
+      placing: 'Оформляем заказ…'
+    };
+
+    // варианты доставки для выбранного адреса (DeliveryService.evaluate): цена, срок, доступность
+    this.deliveryOptions = [];
+    this.selectedDeliveryType = '';
+    this._deliveryAbort = null;
+    this._deliveryToken = 0;
 
     // view
     // NOTE: we create CheckoutView without container yet; container will be set in init()
@@ -60,7 +74,8 @@ export class CheckoutController {
     this.addressBook = new RecipientAddressController({
       storage: this.addressStorage,
       foxEngine: this.foxEngine,
-      view: this.view
+      view: this.view,
+      suggestProvider: this.shopMatic?.opts?.addressSuggest || null
     });
 
     // expose global for legacy inline templates / modals (keeps previous behaviour)
@@ -77,8 +92,13 @@ export class CheckoutController {
       onCheckout: this._onCheckout.bind(this),
       onContainerClick: this._onContainerClick.bind(this),
       onContainerChange: this._onContainerChange.bind(this),
-      onReturnToCart: this._onReturnToCart.bind(this)
+      onReturnToCart: this._onReturnToCart.bind(this),
+      onAddressChange: this._onAddressChange.bind(this),
+      onPickupPointSelect: this._openPickupPicker.bind(this)
     };
+
+    // выбор пункта выдачи создаётся при первом открытии (нужен shopMatic.pickupPoints)
+    this._pickupPicker = null;
   }
 
   /**
@@ -107,7 +127,9 @@ export class CheckoutController {
 		  engine: this.foxEngine,
           root: deliveryRoot,
           storage: this.addressStorage,
-          addressController: this.addressBook
+          addressController: this.addressBook,
+          onAddressChange: this._bound.onAddressChange,
+          onPickupPointSelect: this._bound.onPickupPointSelect
         });
       }
     } else {
@@ -115,7 +137,9 @@ export class CheckoutController {
 		engine: this.foxEngine,
         root: deliveryRoot,
         storage: this.addressStorage,
-        addressController: this.addressBook
+        addressController: this.addressBook,
+        onAddressChange: this._bound.onAddressChange,
+        onPickupPointSelect: this._bound.onPickupPointSelect
       });
     }
 	await this.deliveryBlock._render();
@@ -167,14 +191,14 @@ export class CheckoutController {
     // 4. Есть ли корзина, к которой можно вернуться
     this._hasCartBackup = await this._checkCartNotEmpty();
 
-    // Рендер delivery options (static list)
-    this.view.buildDeliveryOptions(this.deliveryOptions);
-
     // Рендер товаров
     const { totalPrice, totalQty } = await this.view.renderCartItems(this.cartItems);
-    this.totalPrice = totalPrice;
+    this.subtotal = totalPrice;
     this.totalQty = totalQty;
 
+    // Варианты доставки зависят от адреса и суммы — загружаем после товаров
+    await this._loadDeliveryOptions();
+
     // UI state
     this.view.toggleReturnToCartButton(this.isBuyNow, this._hasCartBackup);
     this.view.updateModeIndicator(this.isBuyNow);
@@ -186,6 +210,9 @@ export class CheckoutController {
     this.addressStorage.subscribe(() => {
       try { this.deliveryBlock?.render?.(); } catch (e) { /* ignore */ }
     });
+
+    // возврат со страницы банка (redirect / 3-D Secure)
+    await this._resumePayment();
   }
 
   /** Short helper to create checkout for single item */
@@ -199,6 +226,161 @@ export class CheckoutController {
 
   /* ===================== PRIVATE HELPERS ===================== */
 
+  get promo() {
+    return this.shopMatic?.promo || null;
+  }
+
+  get orderService() {
+    return this.shopMatic?.orderService || null;
+  }
+
+  get payments() {
+    return this.shopMatic?.payments || null;
+  }
+
+  get deliveryService() {
+    return this.shopMatic?.delivery || null;
+  }
+
+  get pickupPicker() {
+    if (!this._pickupPicker && this.shopMatic?.pickupPoints) {
+      this._pickupPicker = new PickupPointPicker({
+        service: this.shopMatic.pickupPoints,
+        storage: this.addressStorage,
+        foxEngine: this.foxEngine,
+        createViews: this.shopMatic.opts?.pickupViews || null
+      });
+    }
+    return this._pickupPicker;
+  }
+
+  /**
+   * Загружает варианты доставки для выбранного адреса и текущих товаров.
+   * Выбор сохраняется, если вариант остался доступен; иначе — первый доступный.
+   */
+  async _loadDeliveryOptions() {
+    const token = ++this._deliveryToken;
+    try { this._deliveryAbort?.abort(); } catch {}
+    this._deliveryAbort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+    let options = [];
+    if (this.deliveryService) {
+      this.view.setDeliveryOptionsLoading(true);
+      try {
+        const res = await this.deliveryService.getOptions({
+          address: this.addressStorage.getSelectedAddress(),
+          pickupPoint: this.addressStorage.getSelectedPickupPoint(),
+          items: this.cartItems.map((item) => ({ id: item.name ?? item.id, qty: item.qty })),
+          subtotal: this.subtotal
+        }, { signal: this._deliveryAbort?.signal });
+        options = res.options;
+      } catch (e) {
+        // отменён более новым запросом
+        if (token !== this._deliveryToken) return;
+        console.warn('[CheckoutController] delivery options failed', e);
+      }
+    }
+    if (token !== this._deliveryToken) return;
+    this._deliveryAbort = null;
+
+    const enabled = options.filter((o) => !o.disabled);
+    if (!enabled.some((o) => o.deliveryType === this.selectedDeliveryType)) {
+      // первым делом — вариант для сохранённой цели (адрес / пункт выдачи)
+      const target = this.addressStorage.getDeliveryTargetType();
+      const preferred = enabled.find((o) => o.target === target) || enabled[0];
+      this.selectedDeliveryType = preferred?.deliveryType ?? '';
+    }
+    this.deliveryOptions = options.map((o) => ({ ...o, checked: o.deliveryType === this.selectedDeliveryType }));
+
+    await this.view.buildDeliveryOptions(this.deliveryOptions);
+    this.view.setDeliveryOptionsLoading(false);
+    this._applyDelivery();
+  }
+
+  /** @returns {Object|null} выбранный доступный вариант доставки */
+  _selectedDelivery() {
+    return this.deliveryOptions.find((o) => o.deliveryType === this.selectedDeliveryType && !o.disabled) || null;
+  }
+
+  /**
+   * Стоимость выбранной доставки → итог; способы оплаты зависят от доставки.
+   */
+  _applyDelivery() {
+    const option = this._selectedDelivery();
+    if (option?.target) this.addressStorage.setDeliveryTargetType(option.target);
+    this.deliveryPrice = option?.cost ?? 0;
+    this._recalcTotals();
+    this._renderPaymentMethods();
+  }
+
+  _onDeliveryTypeChange() {
+    const type = this.view.getSelectedDeliveryType();
+    if (type === this.selectedDeliveryType) return;
+    this.selectedDeliveryType = type;
+    this._applyDelivery();
+
+    if (this._isPickupSelected() && !this.addressStorage.getSelectedPickupPoint()) this._openPickupPicker();
+  }
+
+  _isPickupSelected() {
+    return this._selectedDelivery()?.target === RecipientAddressStorage.TARGET.PICKUP;
+  }
+
+  /** Адрес сменился в DeliveryBlockController — цены и сроки пересчитываются */
+  _onAddressChange() {
+    this._loadDeliveryOptions().catch((e) => console.warn('[CheckoutController] delivery reload failed', e));
+  }
+
+  /** Способы оплаты, доступные для выбранной доставки и суммы */
+  _renderPaymentMethods() {
+    const providers = this.payments
+      ? this.payments.list({ deliveryType: this.selectedDeliveryType, total: this.totalPrice })
+      : [];
+    this.view.renderPaymentMethods(providers, this.view.getSelectedPaymentMethod());
+  }
+
+  /** @returns {PaymentProvider|null} */
+  _selectedPaymentProvider() {
+    const id = this.view.getSelectedPaymentMethod();
+    return id ? this.payments?.get(id) || null : null;
+  }
+
+  /**
+   * Контекст для PromoRules: позиции с категорией/брендом из каталога.
+   */
+  _promoContext() {
+    const ps = this.shopMatic?.productService;
+    const items = this.cartItems.map((item) => {
+      const id = String(item.name ?? item.id ?? '');
+      let product = null;
+      try { product = ps?.findById?.(id) || null; } catch {}
+      return {
+        id,
+        parentId: product?.parentId ?? item.parentId ?? '',
+        price: Number(item.price) || 0,
+        qty: Number(item.qty) || 1,
+        category: product?.category ?? item.category ?? '',
+        brand: product?.brand ?? item.brand ?? ''
+      };
+    });
+    return { items, deliveryPrice: this.deliveryPrice };
+  }
+
+  /**
+   * Пересчитывает итог с применёнными промокодами и обновляет сводку.
+   */
+  _recalcTotals() {
+    const summary = this.promo ? this.promo.calculate(this._promoContext()) : null;
+    this.promoSummary = summary;
+    this.totalPrice = summary ? summary.total : this.subtotal + this.deliveryPrice;
+
+    const option = this._selectedDelivery();
+    const delivery = option
+      ? { label: option.label, price: this.deliveryPrice - (summary?.deliveryDiscount ?? 0), freeFrom: option.free ? 0 : option.freeFrom }
+      : null;
+    this.view.updateTotalsUI(this.totalPrice, this.totalQty, summary, delivery);
+  }
+
   _normalizeItemForCheckout(raw) {
     if (!raw || typeof raw !== 'object') {
       return {
@@ -208,7 +390,8 @@ export class CheckoutController {
         price: 0,
         qty: 1,
         picture: '[]',
-        specs: ''
+        specs: '',
+        optionsText: ''
       };
     }
 
@@ -239,7 +422,8 @@ export class CheckoutController {
       price,
       qty,
       picture,
-      specs: raw.specs ?? raw.description ?? ''
+      specs: raw.specs ?? raw.description ?? '',
+      optionsText: String(raw.optionsText ?? '')
     };
   }
 
@@ -316,56 +500,521 @@ export class CheckoutController {
       this.cartItems.map((i) => this._normalizeItemForCheckout(i))
     );
 
-    this.totalPrice = totalPrice;
+    this.subtotal = totalPrice;
     this.totalQty = totalQty;
+    await this._loadDeliveryOptions();
 
     this.view.toggleReturnToCartButton(this.isBuyNow, this._hasCartBackup);
     this.view.updateModeIndicator(this.isBuyNow);
   }
 
   _onDeliveryPointSelect() {
+    if (this._isPickupSelected()) {
+      this._openPickupPicker();
+      return;
+    }
     // Open address modal via addressBook controller
     try { this.addressBook.openAddressModal(); } catch (e) { console.error(e); }
   }
 
+  /**
+   * Выбор пункта выдачи: стартовый город и координаты — из адреса покупателя.
+   * Сохранённый пункт меняет цель доставки в storage, DeliveryBlockController
+   * замечает это и пересчитывает варианты доставки.
+   */
+  _openPickupPicker() {
+    const picker = this.pickupPicker;
+    if (!picker) {
+      try { this.addressBook.openAddressModal(); } catch (e) { console.error(e); }
+      return;
+    }
+    const address = this.addressStorage.getSelectedAddress();
+    const coords = address?.meta?.coords || address?.meta || null;
+    try {
+      picker.open({ city: address?.city || '', origin: coords });
+    } catch (e) {
+      console.error('[CheckoutController] pickup picker failed', e);
+    }
+  }
+
   _onRecipientButton() {
     try { this.addressBook.openRecipientModal(); } catch (e) { console.error(e); }
   }
 
-  _onApplyPromo() {
+  async _onApplyPromo() {
+    if (this._promoBusy) return;
     this.promoCode = this.view.getPromoInputValue();
-    if (!this.promoCode) return;
+    if (!this.promoCode || !this.promo) return;
 
-    if (this.promoCode === 'DISCOUNT10') {
-      this.totalPrice = Math.round(this.totalPrice * 0.9);
-      this.view.updateTotalsUI(this.totalPrice, this.totalQty);
-      this.view.showPromoHint('Промокод применен! Скидка 10%');
-    } else {
-      this.view.showPromoHint('Неверный промокод');
+    this._promoBusy = true;
+    this.view.setPromoBusy(true);
+    let res;
+    try {
+      res = await this.promo.apply(this.promoCode, this._promoContext());
+    } finally {
+      this._promoBusy = false;
+      this.view.setPromoBusy(false);
     }
+    if (res.ok) this.view.setPromoInputValue('');
+    this._recalcTotals();
+    if (res.message) this.view.showPromoHint(res.message);
+  }
+
+  _onRemovePromo(code) {
+    const res = this.promo?.remove(code);
+    if (!res?.ok) return;
+    this._recalcTotals();
+    this.view.showPromoHint(res.message);
   }
 
   _onContainerClick(e) {
+    const removeBtn = e.target.closest?.('[data-promo-remove]');
+    if (removeBtn) {
+      this._onRemovePromo(removeBtn.getAttribute('data-promo-remove'));
+      return;
+    }
+    if (e.target.closest?.('[data-payment-confirm]')) {
+      this._onPaymentConfirm();
+      return;
+    }
     this.view.handleDeliveryClick(e);
+    this._onDeliveryTypeChange();
   }
 
   _onContainerChange(e) {
+    if (this.view.handlePaymentChange(e)) {
+      const pending = this._pendingOrder;
+      if (pending?.paymentId && pending.providerId !== this.view.getSelectedPaymentMethod()) {
+        try { this._submitAbort?.abort(); } catch (e) {}
+        this._cancelPayment().catch(() => {});
+      }
+      return;
+    }
     this.view.handleDeliveryChange(e);
+    this._onDeliveryTypeChange();
+  }
+
+  /**
+   * Проверяет, что заказ можно отправить.
+   * При нехватке данных открывает нужную модалку адресной книги.
+   * @returns {string} текст ошибки или '' — всё в порядке
+   */
+  _validateOrder() {
+    if (!this.cartItems.length) return this.messages.emptyOrder;
+    if (!this._selectedDelivery()) return this.messages.noDelivery;
+
+    const recipient = this.addressStorage.getSelectedRecipient();
+    if (!recipient) {
+      this._onRecipientButton();
+      return this.messages.noRecipient;
+    }
+    // записи, сохранённые до появления правил, могут им не соответствовать
+    const recipientCheck = recipientValidator.validate(recipient);
+    if (!recipientCheck.valid) {
+      this._onRecipientButton();
+      return this.messages.invalidRecipient.replace('{error}', Object.values(recipientCheck.errors)[0]);
+    }
+    const hasTarget = this._isPickupSelected()
+      ? !!this.addressStorage.getSelectedPickupPoint()
+      : !!this.addressStorage.getSelectedAddress();
+    if (!hasTarget) {
+      this._onDeliveryPointSelect();
+      return this.messages.noAddress;
+    }
+    if (!this._isPickupSelected()) {
+      const addressCheck = addressValidator.validate(this.addressStorage.getSelectedAddress());
+      if (!addressCheck.valid) {
+        this._onDeliveryPointSelect();
+        return this.messages.invalidAddress.replace('{error}', Object.values(addressCheck.errors)[0]);
+      }
+    }
+    if (!this._selectedPaymentProvider()) return this.messages.noPayment;
+    return '';
+  }
+
+  /**
+   * Состав заказа для бэкенда: включённые позиции, получатель, доставка, промокоды и итоги.
+   * Цены передаются для сверки — окончательный расчёт делает сервер.
+   */
+  _buildOrderPayload() {
+    const recipient = this.addressStorage.getSelectedRecipient();
+    const point = this._isPickupSelected() ? this.addressStorage.getSelectedPickupPoint() : null;
+    const address = point ? null : this.addressStorage.getSelectedAddress();
+    const summary = this.promoSummary;
+
+    const items = this.cartItems.map((item) => {
+      const id = String(item.name ?? item.id ?? '');
+      let product = null;
+      try { product = this.shopMatic?.productService?.findById?.(id) || null; } catch {}
+      return {
+        id,
+        parentId: product?.parentId ?? item.parentId ?? null,
+        options: product?.options ?? item.options ?? null,
+        title: item.fullname || product?.fullname || id,
+        optionsText: item.optionsText || '',
+        qty: Number(item.qty) || 1,
+        price: Number(item.price) || 0
+      };
+    });
+
+    return {
+      mode: this.isBuyNow ? 'buyNow' : 'cart',
+      items,
+      recipient: {
+        id: recipient.id,
+        name: recipient.name,
+        phone: recipient.phone,
+        comment: recipient.comment || ''
+      },
+      delivery: {
+        type: this.selectedDeliveryType,
+        target: point ? RecipientAddressStorage.TARGET.PICKUP : RecipientAddressStorage.TARGET.ADDRESS,
+        addressId: address?.id ?? null,
+        pickupPointId: point?.id ?? null,
+        address: point
+          ? { city: point.city, street: point.street, house: point.house, title: point.title }
+          : {
+            city: address.city || '',
+            street: address.street || '',
+            house: address.house || '',
+            entrance: address.entrance || '',
+            floor: address.floor || '',
+            flat: address.flat || ''
+          },
+        price: this.deliveryPrice,
+        eta: { min: this._selectedDelivery()?.etaMin ?? null, max: this._selectedDelivery()?.etaMax ?? null }
+      },
+      payment: {
+        method: this.view.getSelectedPaymentMethod()
+      },
+      promo: {
+        codes: this.promo ? this.promo.getApplied() : [],
+        discount: summary?.discount ?? 0,
+        deliveryDiscount: summary?.deliveryDiscount ?? 0
+      },
+      totals: {
+        subtotal: this.subtotal,
+        discount: (summary?.discount ?? 0) + (summary?.deliveryDiscount ?? 0),
+        delivery: this.deliveryPrice,
+        total: this.totalPrice
+      }
+    };
   }
 
-  _onCheckout() {
+  async _onCheckout() {
+    if (this._submitting) return;
+
+    // заказ уже создан, не прошла оплата — повторяем только её
+    if (this._pendingOrder) {
+      await this._runSubmit((signal) => this._pay(signal));
+      return;
+    }
+
+    const error = this._validateOrder();
+    if (error) {
+      this.view.showCheckoutError(error);
+      return;
+    }
+    if (!this.orderService) {
+      console.error('[CheckoutController] OrderService is not available');
+      return;
+    }
+
+    const payload = this._buildOrderPayload();
+
+    await this._runSubmit(async (signal) => {
+      this.view.setCheckoutBusy(true, this.messages.placing);
+      const res = await this.orderService.submit(payload, { signal });
+      if (!res.ok) {
+        if (res.message) this.view.showCheckoutError(res.message);
+        return;
+      }
+      this._onOrderPlaced(res.order, payload);
+      await this._pay(signal);
+    });
+  }
+
+  /**
+   * Обёртка отправки: одна операция за раз, блокировка кнопки, отмена в destroy().
+   * @param {(signal: AbortSignal) => Promise<void>} fn
+   */
+  async _runSubmit(fn) {
+    if (this._submitting) return;
+    this._submitting = true;
+    this._submitAbort = new AbortController();
+    this.view.showCheckoutError('');
+    this.view.setCheckoutBusy(true);
+    try {
+      await fn(this._submitAbort.signal);
+    } catch (e) {
+      if (!ApiError.isAbort(e)) {
+        console.error('[CheckoutController] checkout failed', e);
+        this.view.showCheckoutError(this.messages.paymentFailed);
+      }
+    } finally {
+      this._submitting = false;
+      this._submitAbort = null;
+      this.view.setCheckoutBusy(false);
+    }
+  }
+
+  /**
+   * Заказ создан: убираем купленное из корзины, сбрасываем промокоды
+   * и запоминаем заказ до окончания оплаты.
+   */
+  _onOrderPlaced(order, payload) {
     if (this.isBuyNow) {
-      alert('Режим "Купить сейчас". Платёжная логика ещё не реализована.');
       this._clearBuyNowStorage();
       this.isBuyNow = false;
-      this.view.toggleReturnToCartButton(this.isBuyNow, this._hasCartBackup);
-      this.view.updateModeIndicator(this.isBuyNow);
     } else {
-      alert('Платежная информация ещё не реализована.');
+      for (const { id } of payload.items) {
+        try { this.shopMatic.cart.remove(id); } catch (e) {
+          console.warn('[CheckoutController] failed to remove purchased item', id, e);
+        }
+      }
     }
+
+    const summary = this.promoSummary;
+    try { this.promo?.clear(); } catch {}
+
+    try {
+      this.shopMatic?.eventBus?.emit(Events.DOMAIN_ORDER_CREATED, { order, payload });
+    } catch (e) {
+      console.warn('[CheckoutController] order event failed', e);
+    }
+
+    this._pendingOrder = {
+      order,
+      payload,
+      providerId: null,
+      paymentId: null,
+      info: {
+        items: payload.items.length,
+        qty: this.totalQty,
+        total: order.total || payload.totals.total,
+        discount: payload.totals.discount,
+        promo: summary?.lines?.map((l) => l.code) ?? [],
+        recipient: payload.recipient,
+        address: payload.delivery.pickupPointId
+          ? this.addressStorage.getSelectedPickupPoint()
+          : this.addressStorage.getSelectedAddress(),
+        deliveryType: payload.delivery.type
+      }
+    };
+  }
+
+  /**
+   * Оплата созданного заказа выбранным способом.
+   * @param {AbortSignal} [signal]
+   */
+  async _pay(signal) {
+    const pending = this._pendingOrder;
+    const provider = this._selectedPaymentProvider();
+    if (!pending) return;
+    if (!provider) {
+      this.view.showCheckoutError(this.messages.noPayment);
+      return;
+    }
+
+    this.view.showPaymentAction(null);
+    // прошлая попытка (другой способ или незавершённое подтверждение) больше не нужна
+    await this._cancelPayment();
+    const payment = await provider.createPayment(pending.order, {
+      amount: pending.info.total,
+      details: this.view.getPaymentDetails(),
+      returnUrl: this._paymentReturnUrl(),
+      signal
+    });
+
+    pending.providerId = provider.id;
+    pending.paymentId = payment?.id ?? null;
+    await this._handlePayment(provider, payment, signal);
+  }
+
+  /**
+   * Реакция на состояние платежа: подтверждение, действие покупателя, ожидание или ошибка.
+   */
+  async _handlePayment(provider, payment, signal) {
+    const S = PaymentProvider.STATUS;
+    const status = payment?.status;
+
+    if (PaymentProvider.isPaid(status)) {
+      await this._finishOrder(provider, payment);
+      return;
+    }
+
+    if (status === S.REQUIRES_ACTION && payment.action?.type === 'redirect' && payment.action.url) {
+      this._savePendingPayment();
+      this.view.setCheckoutBusy(true, this.messages.paymentRedirect);
+      window.location.assign(payment.action.url);
+      return;
+    }
+
+    if (status === S.REQUIRES_ACTION) {
+      this.view.showPaymentAction(payment.action || {});
+      return;
+    }
+
+    if (status === S.PENDING) {
+      this.view.setCheckoutBusy(true, this.messages.paymentWaiting);
+      const last = await provider.pollStatus(payment.id, { signal });
+      if (last?.status === S.PENDING) {
+        await this._finishOrder(provider, last, this.messages.paymentStillPending);
+        return;
+      }
+      await this._handlePayment(provider, last, signal);
+      return;
+    }
+
+    this.view.showPaymentAction(null);
+    this.view.showCheckoutError(payment?.message || this.messages.paymentFailed);
+  }
+
+  async _onPaymentConfirm() {
+    const pending = this._pendingOrder;
+    const provider = pending?.providerId ? this.payments?.get(pending.providerId) : null;
+    if (!provider || !pending.paymentId) return;
+
+    const code = this.view.getPaymentActionValue();
+    await this._runSubmit(async (signal) => {
+      const payment = await provider.confirm(pending.paymentId, { code }, { signal });
+      await this._handlePayment(provider, payment, signal);
+    });
+  }
+
+  /**
+   * Отменяет незавершённый платёж созданного заказа: перед повторной оплатой,
+   * при смене способа оплаты и при уходе со страницы. Заказ остаётся ждать оплаты.
+   */
+  async _cancelPayment() {
+    const pending = this._pendingOrder;
+    if (!pending?.paymentId) return;
+
+    const provider = pending.providerId ? this.payments?.get(pending.providerId) : null;
+    const paymentId = pending.paymentId;
+    pending.providerId = null;
+    pending.paymentId = null;
+    if (!provider) return;
+
+    try {
+      await provider.cancel(paymentId);
+    } catch (e) {
+      console.warn('[CheckoutController] payment cancel failed', paymentId, e);
+    }
+  }
+
+  async _finishOrder(provider, payment, note = '') {
+    const pending = this._pendingOrder;
+    this._pendingOrder = null;
+    this._clearPendingPayment();
+    if (!pending) return;
+
+    this.cartItems = [];
+    this.view.unbindEvents();
+    await this.view.renderOrderConfirmation(pending.order, {
+      ...pending.info,
+      payment: { method: provider?.label ?? '', status: payment?.status ?? '', note }
+    });
+  }
+
+  /* ===== redirect payments ===== */
+
+  /**
+   * Адрес возврата с банка: текущая страница с маршрутом в #hash (без его query
+   * и без параметров прошлого возврата), чтобы снова открылось оформление заказа.
+   */
+  _paymentReturnUrl() {
+    if (typeof window === 'undefined') return '';
+    const url = new URL(window.location.href);
+    CheckoutController.CALLBACK_PARAMS.forEach((k) => url.searchParams.delete(k));
+    url.hash = url.hash.split('?')[0];
+    return url.toString();
+  }
+
+  /**
+   * Параметры возврата с банка: из query и из query внутри #hash
+   * (провайдер мог дописать их в конец адреса с маршрутом).
+   * @returns {URLSearchParams}
+   */
+  _callbackParams() {
+    const params = new URLSearchParams(window.location.search);
+    const hash = window.location.hash || '';
+    const q = hash.indexOf('?');
+    if (q >= 0) {
+      for (const [k, v] of new URLSearchParams(hash.slice(q + 1))) {
+        if (!params.has(k)) params.set(k, v);
+      }
+    }
+    return params;
+  }
+
+  /** Убирает параметры возврата из адреса (и из query, и из #hash) */
+  _clearCallbackParams() {
+    try {
+      const url = new URL(window.location.href);
+      CheckoutController.CALLBACK_PARAMS.forEach((k) => url.searchParams.delete(k));
+      const q = url.hash.indexOf('?');
+      if (q >= 0) {
+        const hashParams = new URLSearchParams(url.hash.slice(q + 1));
+        CheckoutController.CALLBACK_PARAMS.forEach((k) => hashParams.delete(k));
+        const rest = hashParams.toString();
+        url.hash = url.hash.slice(0, q) + (rest ? `?${rest}` : '');
+      }
+      window.history.replaceState(window.history.state, '', url.toString());
+    } catch {}
+  }
+
+  _savePendingPayment() {
+    try {
+      sessionStorage.setItem(this.pendingPaymentKey, JSON.stringify(this._pendingOrder));
+    } catch (e) {
+      console.warn('[CheckoutController] Failed to save pending payment', e);
+    }
+  }
+
+  _clearPendingPayment() {
+    try { sessionStorage.removeItem(this.pendingPaymentKey); } catch {}
+  }
+
+  /**
+   * Продолжает оплату после возврата со страницы банка:
+   * provider.handleCallback() разбирает параметры, итог берётся из getStatus().
+   */
+  async _resumePayment() {
+    let saved = null;
+    try { saved = JSON.parse(sessionStorage.getItem(this.pendingPaymentKey) || 'null'); } catch {}
+    if (!saved?.order || !saved.providerId) return;
+
+    const provider = this.payments?.get(saved.providerId);
+    if (!provider) {
+      this._clearPendingPayment();
+      return;
+    }
+
+    // без параметров возврата заказ просто ждёт повторной оплаты
+    this._pendingOrder = saved;
+    const callback = provider.handleCallback(this._callbackParams());
+    if (!callback || callback.paymentId !== saved.paymentId) return;
+
+    this._clearCallbackParams();
+
+    await this._runSubmit(async (signal) => {
+      const payment = await provider.getStatus(saved.paymentId, { signal });
+      // банк вернул покупателя, не завершив платёж, — второй раз не уводим
+      if (payment?.status === PaymentProvider.STATUS.REQUIRES_ACTION && payment.action?.type === 'redirect') {
+        this.view.showCheckoutError(this.messages.paymentFailed);
+        return;
+      }
+      await this._handlePayment(provider, payment, signal);
+    });
   }
 
   destroy() {
+    try { this._submitAbort?.abort(); } catch (e) {}
+    this._cancelPayment().catch(() => {});
+    try { this._deliveryAbort?.abort(); } catch (e) {}
+    try { this._pickupPicker?.destroy(); } catch (e) {}
+    this._pickupPicker = null;
     try { this.view.unbindEvents(); } catch (e) {}
     try { this.view.clear(); } catch (e) {}
   }
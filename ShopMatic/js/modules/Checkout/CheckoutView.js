@@ -138,12 +138,32 @@ export class CheckoutView {
     if (inp) inp.value = value ?? '';
   }
 
+  /**
+   * Блокирует поле и кнопку промокода, пока код проверяется.
+   * @param {boolean} busy
+   */
+  setPromoBusy(busy) {
+    const btn = this._qs('.promo-code-apply');
+    const inp = this._qs('#promo-input');
+    if (btn) {
+      btn.disabled = Boolean(busy);
+      btn.classList.toggle('is-loading', Boolean(busy));
+      btn.setAttribute('aria-busy', busy ? 'true' : 'false');
+    }
+    if (inp) inp.disabled = Boolean(busy);
+  }
+
   showPromoHint(message) {
     const hint = this._qs('#promo-hint');
     if (hint) hint.textContent = message || '';
   }
 
   /* Delivery options */
+
+  /**
+   * @param {Array<Object>} deliveryOptions - варианты из DeliveryService.evaluate()
+   *   (priceText, timeText, hint, reason, disabled) + флаг checked
+   */
   async buildDeliveryOptions(deliveryOptions = []) {
     const host = this._qs('#deliveryOptions');
     if (!host) return;
@@ -156,6 +176,7 @@ export class CheckoutView {
 	  }
       if (opt.disabled) card.classList.add('disabled');
       if (!opt.disabled && opt.checked) card.classList.add('checked');
+      if (opt.disabled && opt.reason) card.title = opt.reason;
       card.dataset.zoneName = 'deliveryTypeButton';
       card.dataset.zoneData = JSON.stringify({
         label: opt.label,
@@ -167,9 +188,9 @@ export class CheckoutView {
 		  disabled: opt.disabled ? 'disabled' : '',
 		  checked: opt.checked ? 'checked' : '',
 		  label: opt.label,
-		  description: opt.description,
-		  time: opt.time,
-		  price: opt.price
+		  description: opt.disabled ? (opt.reason || opt.description) : (opt.hint || opt.description),
+		  time: opt.timeText ?? opt.time ?? '',
+		  price: opt.priceText ?? opt.price ?? ''
 		});
       card.innerHTML = data;
       frag.appendChild(card);
@@ -177,6 +198,14 @@ export class CheckoutView {
     host.replaceChildren(frag);
   }
 
+  /** Пока варианты доставки пересчитываются под новый адрес */
+  setDeliveryOptionsLoading(loading) {
+    const host = this._qs('#deliveryOptions');
+    if (!host) return;
+    host.classList.toggle('is-loading', !!loading);
+    host.setAttribute('aria-busy', loading ? 'true' : 'false');
+  }
+
   handleDeliveryClick(e) {
     const card = e.target.closest?.('.delivery-card');
     if (!card || card.classList.contains('disabled')) return;
@@ -196,14 +225,347 @@ export class CheckoutView {
     card.classList.add('checked');
   }
 
+  /** @returns {string} deliveryType выбранной карточки или '' */
+  getSelectedDeliveryType() {
+    const card = this._qs('.delivery-card.checked:not(.disabled)');
+    if (!card) return '';
+    try {
+      return String(JSON.parse(card.dataset.zoneData || '{}').deliveryType || '');
+    } catch (_) {
+      return '';
+    }
+  }
+
+  /* Order submission states */
+
+  /**
+   * Блокирует кнопку оформления на время отправки заказа и оплаты.
+   * @param {boolean} busy
+   * @param {string} [label] - временная надпись на кнопке (исходная восстанавливается)
+   */
+  setCheckoutBusy(busy, label = '') {
+    const btn = this._qs('.btn-checkout');
+    if (!btn) return;
+    btn.disabled = Boolean(busy);
+    btn.classList.toggle('is-loading', Boolean(busy));
+    btn.setAttribute('aria-busy', busy ? 'true' : 'false');
+
+    if (busy && label) {
+      if (btn.dataset.idleLabel === undefined) btn.dataset.idleLabel = btn.textContent;
+      btn.textContent = label;
+    } else if (!busy && btn.dataset.idleLabel !== undefined) {
+      btn.textContent = btn.dataset.idleLabel;
+      delete btn.dataset.idleLabel;
+    }
+  }
+
+  /* Payment methods */
+
+  /**
+   * Список способов оплаты: #paymentMethods из шаблона или блок перед кнопкой оформления.
+   * Поля способа (provider.fields) видны, только когда он выбран.
+   *
+   * @param {Array<Object>} providers - PaymentProvider из PaymentMethods.list()
+   * @param {string} [selectedId] - сохраняется, если способ всё ещё доступен; иначе — первый
+   */
+  renderPaymentMethods(providers = [], selectedId = '') {
+    let host = this._qs('#paymentMethods');
+    if (!host) {
+      const btn = this._qs('.btn-checkout');
+      if (!btn || !providers.length) return;
+      host = document.createElement('div');
+      host.id = 'paymentMethods';
+      host.className = 'payment-methods';
+      btn.before(host);
+    }
+
+    const selected = providers.some((p) => p.id === selectedId) ? selectedId : (providers[0]?.id ?? '');
+    host.innerHTML = providers.map((p) => {
+      const checked = p.id === selected;
+      const fields = (p.fields || []).map((f) => `
+          <label class="payment-method__field">
+            <span>${this._escapeHtml(f.label || f.name)}</span>
+            <input type="${this._escapeAttr(f.type || 'text')}" data-payment-field="${this._escapeAttr(f.name)}"
+              placeholder="${this._escapeAttr(f.placeholder || '')}" autocomplete="off">
+          </label>`).join('');
+      return `
+        <div class="payment-method${checked ? ' checked' : ''}" data-payment-method="${this._escapeAttr(p.id)}">
+          <label class="payment-method__head">
+            <input type="radio" name="paymentMethod" value="${this._escapeAttr(p.id)}"${checked ? ' checked' : ''}>
+            ${p.icon ? `<i class="${this._escapeAttr(p.icon)}"></i>` : ''}
+            <span class="payment-method__label">${this._escapeHtml(p.label)}</span>
+          </label>
+          ${p.description ? `<div class="payment-method__description">${this._escapeHtml(p.description)}</div>` : ''}
+          ${fields ? `<div class="payment-method__fields"${checked ? '' : ' hidden'}>${fields}</div>` : ''}
+        </div>`;
+    }).join('');
+    host.hidden = !providers.length;
+  }
+
+  /** @returns {string} id выбранного способа оплаты или '' */
+  getSelectedPaymentMethod() {
+    return this._qs('input[name="paymentMethod"]:checked')?.value || '';
+  }
+
+  /** @returns {Object<string,string>} значения полей выбранного способа */
+  getPaymentDetails() {
+    const id = this.getSelectedPaymentMethod();
+    const details = {};
+    if (!id) return details;
+    this._qsa('[data-payment-method]')
+      .find((el) => el.dataset.paymentMethod === id)
+      ?.querySelectorAll('[data-payment-field]')
+      .forEach((inp) => { details[inp.dataset.paymentField] = inp.value.trim(); });
+    return details;
+  }
+
+  /**
+   * Переключение способа оплаты (change на радио).
+   * @returns {boolean} true — событие относилось к оплате
+   */
+  handlePaymentChange(e) {
+    const radio = e.target.closest?.('input[name="paymentMethod"]');
+    if (!radio) return false;
+    this._qsa('[data-payment-method]').forEach((el) => {
+      const active = el.dataset.paymentMethod === radio.value;
+      el.classList.toggle('checked', active);
+      const fields = el.querySelector('.payment-method__fields');
+      if (fields) fields.hidden = !active;
+    });
+    this.showPaymentAction(null);
+    return true;
+  }
+
+  /**
+   * Действие покупателя по платежу (например, код 3-D Secure) — блок #payment-action.
+   * @param {{message?: string, field?: string}|null} action - null скрывает блок
+   */
+  showPaymentAction(action) {
+    let box = this._qs('#payment-action');
+    if (!box) {
+      if (!action) return;
+      const btn = this._qs('.btn-checkout');
+      if (!btn) return;
+      box = document.createElement('div');
+      box.id = 'payment-action';
+      box.className = 'payment-action';
+      btn.before(box);
+    }
+    if (!action) {
+      box.hidden = true;
+      box.innerHTML = '';
+      return;
+    }
+    box.innerHTML = `
+      <div class="payment-action__message">${this._escapeHtml(action.message || '')}</div>
+      <div class="payment-action__row">
+        <input type="text" class="payment-action__input" data-payment-action="${this._escapeAttr(action.field || 'code')}"
+          inputmode="numeric" autocomplete="one-time-code">
+        <button type="button" class="btn payment-action__confirm" data-payment-confirm>Подтвердить</button>
+      </div>`;
+    box.hidden = false;
+    box.querySelector('input')?.focus?.();
+  }
+
+  /** @returns {string} введённый код подтверждения */
+  getPaymentActionValue() {
+    return this._qs('[data-payment-action]')?.value?.trim() || '';
+  }
+
+  /**
+   * Ошибка оформления: #checkout-error из шаблона или блок после кнопки оформления.
+   * @param {string} message - '' скрывает блок
+   */
+  showCheckoutError(message) {
+    let box = this._qs('#checkout-error');
+    if (!box) {
+      if (!message) return;
+      const btn = this._qs('.btn-checkout');
+      if (!btn) return;
+      box = document.createElement('div');
+      box.id = 'checkout-error';
+      box.className = 'checkout-error';
+      box.setAttribute('role', 'alert');
+      btn.after(box);
+    }
+    box.textContent = message || '';
+    box.hidden = !message;
+  }
+
+  /**
+   * Подтверждение заказа вместо формы оформления.
+   * Шаблон `orderConfirmation`; если его нет — простая разметка.
+   *
+   * @param {Object} order - заказ из OrderService
+   * @param {Object} info - { items, qty, total, discount, promo, recipient, address, deliveryType }
+   */
+  async renderOrderConfirmation(order, info = {}) {
+    if (!this.container) return;
+
+    const address = info.address
+      ? (info.address.label || info.address.address || [info.address.city, info.address.street, info.address.house].filter(Boolean).join(', '))
+      : '';
+    const data = {
+      orderId: this._escapeHtml(order?.id ?? ''),
+      orderNumber: this._escapeHtml(order?.number ?? order?.id ?? ''),
+      status: this._escapeHtml(order?.status ?? ''),
+      total: formatPrice(info.total ?? 0),
+      discount: info.discount ? formatPrice(info.discount) : '',
+      promo: this._escapeHtml((info.promo || []).join(', ')),
+      qty: String(info.qty ?? 0),
+      goodsWord: pluralize(info.qty ?? 0, this.goodsWordsArr),
+      recipient: this._escapeHtml(info.recipient?.name ?? ''),
+      phone: this._escapeHtml(info.recipient?.phone ?? ''),
+      address: this._escapeHtml(address),
+      paymentMethod: this._escapeHtml(info.payment?.method ?? ''),
+      paymentStatus: this._escapeHtml(this._paymentStatusText(info.payment?.status)),
+      paymentNote: this._escapeHtml(info.payment?.note ?? '')
+    };
+
+    let html = '';
+    try {
+      html = await this.foxEngine?.templateRenderer?.renderTemplate?.('orderConfirmation', data);
+    } catch (e) {
+      html = '';
+    }
+
+    if (!html || !String(html).trim()) {
+      html = `
+        <section class="order-confirmation" data-order-id="${data.orderId}">
+          <div class="order-confirmation__icon"><i class="fa-solid fa-circle-check"></i></div>
+          <h2 class="order-confirmation__title">Заказ №${data.orderNumber} оформлен</h2>
+          <p class="order-confirmation__summary">${data.qty} ${data.goodsWord} на сумму <b>${data.total}</b>${
+            data.discount ? ` (скидка ${data.discount})` : ''}</p>
+          ${data.recipient ? `<p class="order-confirmation__row">Получатель: ${data.recipient}${data.phone ? `, ${data.phone}` : ''}</p>` : ''}
+          ${data.address ? `<p class="order-confirmation__row">Адрес: ${data.address}</p>` : ''}
+          ${data.paymentMethod ? `<p class="order-confirmation__row">Оплата: ${data.paymentMethod}${
+            data.paymentStatus ? ` — ${data.paymentStatus}` : ''}</p>` : ''}
+          ${data.paymentNote ? `<p class="order-confirmation__note">${data.paymentNote}</p>` : ''}
+          <a class="order-confirmation__details" href="#order/${encodeURIComponent(order?.id ?? '')}">Открыть заказ</a>
+          <a class="btn order-confirmation__continue" href="#">Продолжить покупки</a>
+        </section>`;
+    }
+
+    this.container.innerHTML = html;
+    this._refs.clear();
+  }
+
+  _paymentStatusText(status) {
+    return ({
+      succeeded: 'оплачено',
+      deferred: 'при получении',
+      pending: 'обрабатывается'
+    })[status] || '';
+  }
+
   /* Totals and cart rendering */
-  updateTotalsUI(totalPrice, totalQty) {
+
+  /**
+   * @param {number} totalPrice - итог к оплате
+   * @param {number} totalQty
+   * @param {Object|null} [promo] - сводка PromoService.calculate(): строка скидки и применённые коды
+   * @param {{label: string, price: number, freeFrom: number}|null} [delivery] - выбранная доставка
+   */
+  updateTotalsUI(totalPrice, totalQty, promo = null, delivery = null) {
     const totalEl = this._qs('#cart-total');
     const qtyEl = this._qs('#cart-count-inline');
     const wordEl = this._qs('#goodsNumWord');
     if (totalEl) totalEl.textContent = formatPrice(totalPrice ?? 0);
     if (qtyEl) qtyEl.textContent = String(totalQty ?? 0);
     if (wordEl) wordEl.textContent = pluralize(totalQty ?? 0, this.goodsWordsArr);
+    this._renderDeliveryRow(delivery);
+    if (promo) {
+      this._renderDiscountRow(promo);
+      this._renderAppliedPromos(promo);
+    }
+  }
+
+  /**
+   * Стоимость доставки над итогом: #cart-delivery из шаблона
+   * или строка перед скидкой / итогом. Без выбранной доставки скрывается.
+   */
+  _renderDeliveryRow(delivery) {
+    let row = this._qs('#cart-delivery');
+
+    if (!row) {
+      if (!delivery) return;
+      const anchor = this._qs('#cart-discount') || this._qs('#cart-total')?.parentElement;
+      if (!anchor) return;
+      row = document.createElement(anchor.tagName === 'LI' ? 'li' : 'div');
+      row.id = 'cart-delivery';
+      row.className = 'checkout-delivery-cost';
+      row.innerHTML = '<span class="checkout-delivery-cost__label"></span><span class="checkout-delivery-cost__value"></span>';
+      anchor.before(row);
+    }
+
+    row.hidden = !delivery;
+    if (!delivery) return;
+
+    const label = row.querySelector('.checkout-delivery-cost__label');
+    const value = row.querySelector('.checkout-delivery-cost__value') || row;
+    const price = Math.max(0, Number(delivery.price) || 0);
+    if (label) label.textContent = delivery.label ? `Доставка (${delivery.label})` : 'Доставка';
+    value.textContent = price > 0 ? formatPrice(price) : 'бесплатно';
+    row.title = price > 0 && delivery.freeFrom > 0 ? `Бесплатно от ${formatPrice(delivery.freeFrom)}` : '';
+  }
+
+  /**
+   * Скидка отдельной строкой над итогом: #cart-discount из шаблона
+   * или строка, вставленная перед строкой с #cart-total.
+   */
+  _renderDiscountRow({ discount = 0, deliveryDiscount = 0, lines = [] } = {}) {
+    let row = this._qs('#cart-discount');
+    const amount = discount + deliveryDiscount;
+    const freeDelivery = lines.some((l) => l.freeDelivery);
+
+    if (!row) {
+      if (!amount && !freeDelivery) return;
+      const totalRow = this._qs('#cart-total')?.parentElement;
+      if (!totalRow) return;
+      row = document.createElement(totalRow.tagName === 'LI' ? 'li' : 'div');
+      row.id = 'cart-discount';
+      row.className = 'checkout-discount';
+      row.innerHTML = '<span class="checkout-discount__label"></span><span class="checkout-discount__value"></span>';
+      totalRow.before(row);
+    }
+
+    const codes = lines.map((l) => l.code).join(', ');
+    const label = row.querySelector('.checkout-discount__label');
+    const value = row.querySelector('.checkout-discount__value') || row;
+    if (label) label.textContent = codes ? `Скидка (${codes})` : 'Скидка';
+    value.textContent = amount
+      ? `−${formatPrice(amount)}`
+      : (freeDelivery ? 'Бесплатная доставка' : '');
+    row.hidden = !amount && !freeDelivery;
+  }
+
+  /**
+   * Применённые коды с кнопкой удаления; коды, переставшие подходить, помечаются.
+   * Контейнер — #promo-applied или блок после поля ввода промокода.
+   */
+  _renderAppliedPromos({ lines = [], rejected = [] } = {}) {
+    let host = this._qs('#promo-applied');
+    const all = [
+      ...lines.map((l) => ({ code: l.code, title: l.label, inactive: false })),
+      ...rejected.map((r) => ({ code: r.code, title: r.message, inactive: true }))
+    ];
+
+    if (!host) {
+      if (!all.length) return;
+      const input = this._qs('#promo-input');
+      if (!input) return;
+      host = document.createElement('div');
+      host.id = 'promo-applied';
+      host.className = 'promo-applied';
+      (input.parentElement || input).after(host);
+    }
+
+    host.innerHTML = all.map(({ code, title, inactive }) => `
+      <span class="promo-chip${inactive ? ' promo-chip--inactive' : ''}" title="${this._escapeAttr(title || '')}">
+        ${this._escapeHtml(code)}
+        <button type="button" class="promo-chip__remove" data-promo-remove="${this._escapeAttr(code)}"
+          aria-label="Удалить промокод ${this._escapeAttr(code)}">&times;</button>
+      </span>`).join('');
   }
 
   async renderCartItems(cartItems = []) {
@@ -239,6 +601,7 @@ export class CheckoutView {
         fullName: this._escapeHtml(item.fullname || safeName),
         qty: item.qty,
         specs: makeSpecHtmlPreview(item.specs),
+        options: this._escapeHtml(item.optionsText || ''),
         price: formatPrice(item.price),
         totalPrice: formatPrice(item.price * item.qty)
     });
@@ -247,10 +610,31 @@ export class CheckoutView {
     const template = document.createElement('template');
     template.innerHTML = cardTpl.trim(); // trim чтобы убрать лишние переносы
 
+    const node = template.content.firstElementChild;
+    this._applyOptionsText(node, item.optionsText);
+
     // Возвращаем первую ноду шаблона
-    return template.content.firstElementChild;
+    return node;
 }
 
+  /**
+   * Выбранные опции варианта («Цвет: Красный, Размер: M»).
+   * Шаблон может дать слот [data-role="options"]; если его нет — строка добавляется сама.
+   */
+  _applyOptionsText(node, text) {
+    if (!node || !text) return;
+    let slot = node.querySelector('[data-role="options"]');
+    if (!slot) {
+      slot = document.createElement('div');
+      slot.className = 'item-options';
+      slot.setAttribute('data-role', 'options');
+      const title = node.querySelector('[class*="title"], [class*="name"]');
+      if (title) title.after(slot);
+      else node.appendChild(slot);
+    }
+    slot.textContent = String(text);
+  }
+
 
   /* Helpers */
   _parsePictureUrl(pictureField) {
@@ -1,11 +1,16 @@
 import { escapeHtml } from "../utils.js";
 
 class DeliveryBlockController {
-  constructor({ engine, root, storage, addressController }) {
+  constructor({ engine, root, storage, addressController, onAddressChange = null, onPickupPointSelect = null }) {
     this.foxEngine = engine;
     this.root = root;
     this.storage = storage;
     this.addressController = addressController;
+    // вызывается при смене выбранного адреса — checkout пересчитывает доставку
+    this.onAddressChange = typeof onAddressChange === "function" ? onAddressChange : null;
+    // открывает выбор пункта выдачи (PickupPointPicker)
+    this.onPickupPointSelect = typeof onPickupPointSelect === "function" ? onPickupPointSelect : null;
+    this._lastTargetKey = this._targetKey();
     this._switcheryMap = new Map();
     this._onStorageChange = this._onStorageChange.bind(this);
     this.storage.subscribe(this._onStorageChange);
@@ -20,6 +25,7 @@ class DeliveryBlockController {
     const selectedRecipient = this.storage.getSelectedRecipient();
     const selectedAddress  = this.storage.getSelectedAddress();
     const deliveryOptions  = this.storage.getDeliveryOptions() || {};
+    const toPickup = this.storage.getDeliveryTargetType?.() === "pickup";
 
     // Строим каркас только один раз
     if (!this.root.querySelector("#top-second-section")) {
@@ -37,7 +43,7 @@ class DeliveryBlockController {
     const topSection = this.root.querySelector("#top-second-section");
     if (topSection) {
       topSection.innerHTML = `
-        ${this._renderAddress(selectedAddress)}
+        ${toPickup ? this._renderPickupPoint(this.storage.getSelectedPickupPoint()) : this._renderAddress(selectedAddress)}
         ${this._renderRecipient(selectedRecipient)}
       `;
     }
@@ -96,6 +102,32 @@ class DeliveryBlockController {
     `;
   }
 
+  _renderPickupPoint(point) {
+    if (!point) {
+      return this._renderEmptySection("Пункт выдачи", "Выбрать пункт выдачи", "js-open-pickup");
+    }
+
+    return `
+      <div class="deliveryTypeCard">
+        <div class="deliveryTypeSelector">
+          <button class="js-open-pickup">
+            <div class="button-content">
+              <span class="label">Пункт выдачи</span>
+              <div class="contentDetails">
+                <span>${escapeHtml(point.title || point.address)}</span>
+                ${point.title ? `<span>${escapeHtml(point.address)}</span>` : ""}
+                ${point.hoursText ? `<span>${escapeHtml(point.hoursText)}</span>` : ""}
+              </div>
+            </div>
+            <div class="blockIcon">
+				<i class="fa-solid fa-ellipsis"></i>
+			</div>
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
   _renderRecipient(r) {
     if (!r) {
       return this._renderEmptySection("Получатель", "Добавить", "js-open-recipient");
@@ -130,7 +162,7 @@ class DeliveryBlockController {
   }
 
   _renderEmptySection(label, placeholder, buttonClass) {
-    // buttonClass ожидается "js-open-address" или "js-open-recipient"
+    // buttonClass ожидается "js-open-address", "js-open-pickup" или "js-open-recipient"
     return `
       <div class="deliveryTypeCard">
         <div class="deliveryTypeSelector">
@@ -160,6 +192,11 @@ class DeliveryBlockController {
         this.addressController.openAddressModal();
         return;
       }
+      const pickupButton = event.target.closest(".js-open-pickup");
+      if (pickupButton) {
+        this.onPickupPointSelect?.();
+        return;
+      }
       const recipientButton = event.target.closest(".js-open-recipient");
       if (recipientButton) {
         this.addressController.openRecipientModal();
@@ -220,8 +257,27 @@ class DeliveryBlockController {
     this.root = null;
   }
 
+  // адрес и пункт выдачи влияют на цены доставки; смена только типа цели — нет.
+  // Правка выбранного адреса сохраняет его id, поэтому в ключе и сам адрес.
+  _targetKey() {
+    const address = this.storage.getSelectedAddress() || {};
+    const pointId = this.storage.getSelectedPickupPoint?.()?.id ?? "";
+    return [address.id, address.city, address.street, address.house, pointId]
+      .map((v) => String(v ?? "").trim())
+      .join("|");
+  }
+
   _onStorageChange() {
     this._render();
+
+    const key = this._targetKey();
+    if (key === this._lastTargetKey) return;
+    this._lastTargetKey = key;
+    try {
+      this.onAddressChange?.(this.storage.getSelectedAddress());
+    } catch (error) {
+      console.error("Error handling address change:", error);
+    }
   }
 }
 
@@ -0,0 +1,260 @@
+import { ApiFetcher } from '../ApiFetcher.js';
+import { ApiError } from '../Transport/ApiError.js';
+import { pluralize } from '../utils.js';
+
+/**
+ * Delivery options for checkout, priced per address / pickup point.
+ *
+ * The backend (`endpoints.deliveryOptions`) answers with a list of options;
+ * common field spellings are accepted (see `normalizeOption`):
+ *   `[{ type: 'COURIER', label, price: 299, freeFrom: 3000, etaMin: 1, etaMax: 2,
+ *       available: true, minOrderSum: 0, maxOrderSum: 0 }]`
+ *
+ * `target` tells where the option delivers: `'address'` (courier) or `'pickup'`
+ * (a pickup point chosen in PickupPointPicker); PICKUP defaults to `'pickup'`.
+ *
+ * Results are cached per request (address, pickup point and cart), so switching
+ * back to an address does not hit the backend again. When the backend is unreachable the
+ * `fallback` list is used, priced by the same rules.
+ *
+ * @author Calista Verner
+ */
+export class DeliveryService extends ApiFetcher {
+  static UI_MESSAGES = Object.freeze({
+    FREE: 'бесплатно',
+    FREE_FROM: 'Бесплатно от {sum}',
+    MIN_ORDER: 'Доступно при заказе от {sum}',
+    MAX_ORDER: 'Недоступно для заказов дороже {sum}',
+    NEEDS_ADDRESS: 'Укажите адрес доставки',
+    NEEDS_PICKUP_POINT: 'Выберите пункт выдачи',
+    UNAVAILABLE: 'Недоступно для этого адреса',
+    ETA_TODAY: 'Сегодня',
+    ETA_TOMORROW: 'Завтра',
+    ETA_DAYS: '{min}–{max} {word}',
+    ETA_DAYS_EXACT: '{max} {word}'
+  });
+
+  static DAY_WORDS = Object.freeze(['день', 'дня', 'дней']);
+
+  /** Used when neither the backend nor `options.fallback` provide a list */
+  static DEFAULT_OPTIONS = Object.freeze([
+    { type: 'PICKUP', label: 'Пункт выдачи', description: 'Рядом с вами', price: 0, etaMin: 1, etaMax: 2 },
+    { type: 'COURIER', label: 'Курьер', description: 'Доставка на дом', price: 299, freeFrom: 3000, etaMin: 1, etaMax: 3 },
+    { type: 'ON_DEMAND', label: 'По клику', description: 'Курьер за 15–30 минут', price: 499, etaMin: 0, etaMax: 0, minOrderSum: 1000 }
+  ]);
+
+  static TARGETS = Object.freeze({
+    ADDRESS: 'address',
+    PICKUP: 'pickup'
+  });
+
+  /** Cached responses kept per service instance */
+  static CACHE_SIZE = 20;
+
+  /**
+   * @param {Object|null} foxEngine - Host engine or transport (see ApiFetcher).
+   * @param {Object} [options]
+   * @param {{send: Function}} [options.transport]
+   * @param {Object<string,string>} [options.endpoints] - Defaults: `{ deliveryOptions: 'getDeliveryOptions' }`.
+   * @param {Array<Object>} [options.fallback] - Options used when the backend is unavailable
+   *   (defaults to `DeliveryService.DEFAULT_OPTIONS`).
+   * @param {(value: number) => string} [options.formatPrice]
+   * @param {number} [options.timeoutMs]
+   * @param {boolean} [options.debug]
+   */
+  constructor(foxEngine, {
+    transport,
+    endpoints = {},
+    fallback = null,
+    formatPrice = (v) => String(v),
+    timeoutMs,
+    debug
+  } = {}) {
+    const merged = { deliveryOptions: 'getDeliveryOptions', ...endpoints };
+    super(foxEngine, { transport, endpoints: merged, timeoutMs, debug });
+
+    this.endpoints = merged;
+    this.fallback = Array.isArray(fallback) ? fallback : DeliveryService.DEFAULT_OPTIONS;
+    this.formatPrice = formatPrice;
+
+    /** @type {Map<string, Object[]>} normalized options by request key */
+    this._cache = new Map();
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = DeliveryService.UI_MESSAGES[key] ?? '';
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  static _num(v, fallback = 0) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : fallback;
+  }
+
+  /**
+   * Brings a backend/fallback option to one shape. Returns null without a type.
+   * @param {Object} raw
+   * @returns {Object|null}
+   */
+  static normalizeOption(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const deliveryType = String(raw.deliveryType ?? raw.type ?? raw.code ?? '').trim().toUpperCase();
+    if (!deliveryType) return null;
+
+    const num = DeliveryService._num;
+    const eta = raw.eta && typeof raw.eta === 'object' ? raw.eta : {};
+    const etaMin = num(raw.etaMin ?? raw.eta_min ?? eta.min ?? eta.from, NaN);
+    const etaMax = num(raw.etaMax ?? raw.eta_max ?? eta.max ?? eta.to, NaN);
+    const T = DeliveryService.TARGETS;
+    const rawTarget = String(raw.target ?? '').trim().toLowerCase();
+    const target = rawTarget === T.PICKUP || rawTarget === T.ADDRESS
+      ? rawTarget
+      : (deliveryType === 'PICKUP' ? T.PICKUP : T.ADDRESS);
+
+    return {
+      deliveryType,
+      target,
+      label: String(raw.label ?? raw.title ?? raw.name ?? deliveryType),
+      description: String(raw.description ?? ''),
+      price: Math.max(0, num(raw.price ?? raw.cost)),
+      freeFrom: Math.max(0, num(raw.freeFrom ?? raw.free_from ?? raw.freeThreshold)),
+      etaMin: Number.isFinite(etaMin) ? Math.max(0, etaMin) : null,
+      etaMax: Number.isFinite(etaMax) ? Math.max(0, etaMax) : (Number.isFinite(etaMin) ? Math.max(0, etaMin) : null),
+      etaText: String(raw.etaText ?? raw.time ?? ''),
+      available: raw.available !== false && raw.enabled !== false && raw.disabled !== true,
+      reason: String(raw.reason ?? raw.unavailableReason ?? ''),
+      minOrderSum: Math.max(0, num(raw.minOrderSum ?? raw.min_order_sum)),
+      maxOrderSum: Math.max(0, num(raw.maxOrderSum ?? raw.max_order_sum)),
+      requiresAddress: target === T.ADDRESS && raw.requiresAddress !== false
+    };
+  }
+
+  /**
+   * Applies pricing and availability rules for the current order.
+   * A pickup option stays selectable without a point: the point is picked after
+   * choosing the option, `hint` asks for it.
+   *
+   * @param {Object} option - normalized option
+   * @param {{subtotal?: number, hasAddress?: boolean, hasPickupPoint?: boolean}} ctx
+   * @returns {Object} option + `{ cost, free, disabled, reason, priceText, timeText, hint }`
+   */
+  evaluate(option, { subtotal = 0, hasAddress = true, hasPickupPoint = true } = {}) {
+    const sum = DeliveryService._num(subtotal);
+    let disabled = !option.available;
+    let reason = disabled ? (option.reason || this._msg('UNAVAILABLE')) : '';
+
+    if (!disabled && option.requiresAddress && !hasAddress) {
+      disabled = true;
+      reason = this._msg('NEEDS_ADDRESS');
+    } else if (!disabled && option.minOrderSum && sum < option.minOrderSum) {
+      disabled = true;
+      reason = this._msg('MIN_ORDER', { sum: this.formatPrice(option.minOrderSum) });
+    } else if (!disabled && option.maxOrderSum && sum > option.maxOrderSum) {
+      disabled = true;
+      reason = this._msg('MAX_ORDER', { sum: this.formatPrice(option.maxOrderSum) });
+    }
+
+    const free = option.price === 0 || (option.freeFrom > 0 && sum >= option.freeFrom);
+    const cost = free ? 0 : option.price;
+    let hint = !free && option.freeFrom > 0
+      ? this._msg('FREE_FROM', { sum: this.formatPrice(option.freeFrom) })
+      : '';
+    if (option.target === DeliveryService.TARGETS.PICKUP && !hasPickupPoint) hint = this._msg('NEEDS_PICKUP_POINT');
+
+    return {
+      ...option,
+      cost,
+      free,
+      disabled,
+      reason,
+      priceText: free ? this._msg('FREE') : this.formatPrice(cost),
+      timeText: option.etaText || this.formatEta(option.etaMin, option.etaMax),
+      hint
+    };
+  }
+
+  /**
+   * «Сегодня», «Завтра», «2–4 дня».
+   * @param {number|null} min - days from now
+   * @param {number|null} max
+   */
+  formatEta(min, max) {
+    if (min === null && max === null) return '';
+    const lo = Math.round(min ?? max);
+    const hi = Math.round(Math.max(lo, max ?? lo));
+    if (hi === 0) return this._msg('ETA_TODAY');
+    if (hi === 1 && lo === 1) return this._msg('ETA_TOMORROW');
+
+    const word = pluralize(hi, DeliveryService.DAY_WORDS);
+    return lo === hi
+      ? this._msg('ETA_DAYS_EXACT', { max: hi, word })
+      : this._msg('ETA_DAYS', { min: lo, max: hi, word });
+  }
+
+  /**
+   * Options for an address / pickup point and cart, priced and checked.
+   *
+   * @param {Object} request
+   * @param {Object|null} request.address - selected address
+   * @param {Object|null} [request.pickupPoint] - selected pickup point
+   * @param {Array<{id: string, qty: number}>} [request.items]
+   * @param {number} [request.subtotal]
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<{options: Object[], fromBackend: boolean}>}
+   * @throws {ApiError} only for aborts
+   */
+  async getOptions({ address = null, pickupPoint = null, items = [], subtotal = 0 } = {}, { signal } = {}) {
+    const params = {
+      addressId: address?.id ?? null,
+      address: address
+        ? { city: address.city || '', street: address.street || '', house: address.house || '' }
+        : null,
+      pickupPointId: pickupPoint?.id ?? null,
+      items: (items || []).map(({ id, qty }) => ({ id: String(id), qty: Number(qty) || 1 })),
+      subtotal: DeliveryService._num(subtotal)
+    };
+    const key = JSON.stringify(params);
+    const ctx = { subtotal: params.subtotal, hasAddress: !!address, hasPickupPoint: !!pickupPoint };
+
+    let normalized = this._cache.get(key) || null;
+    let fromBackend = !!normalized;
+
+    if (!normalized) {
+      try {
+        const { payload } = this._buildRequest('deliveryOptions', { params });
+        const res = await this._safeCall(payload, 'JSON', { signal });
+        const list = this._extractArray(res, ['options', 'items', 'data'])
+          .map((raw) => DeliveryService.normalizeOption(raw))
+          .filter(Boolean);
+        if (list.length) {
+          normalized = list;
+          fromBackend = true;
+          this._remember(key, list);
+        }
+      } catch (err) {
+        if (ApiError.isAbort(err)) throw err;
+        this._log('DeliveryService: backend options unavailable, using fallback', err);
+      }
+    }
+
+    if (!normalized) {
+      normalized = this.fallback.map((raw) => DeliveryService.normalizeOption(raw)).filter(Boolean);
+    }
+
+    return { options: normalized.map((o) => this.evaluate(o, ctx)), fromBackend };
+  }
+
+  _remember(key, list) {
+    this._cache.delete(key);
+    this._cache.set(key, list);
+    while (this._cache.size > DeliveryService.CACHE_SIZE) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+  }
+
+  clearCache() {
+    this._cache.clear();
+  }
+}
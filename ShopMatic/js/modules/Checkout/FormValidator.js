@@ -0,0 +1,179 @@
+/**
+ * FormValidator — декларативная проверка форм.
+ *
+ * Схема — объект «поле → список правил». Правило — функция
+ * `(value, data) => string|null`: текст ошибки или null. Значения строк
+ * проверяются после trim. Первое сработавшее правило даёт ошибку поля.
+ *
+ *   const v = new FormValidator({
+ *     name:  [rules.required('Укажите имя'), rules.maxLength(80)],
+ *     phone: [rules.required(), rules.phone()]
+ *   });
+ *   v.validate({ name: 'Иван', phone: '8 999 123-45-67' }); // { valid: true, errors: {} }
+ *
+ * Схемы получателя и адреса — в RecipientAddressRules.js; ими пользуются
+ * и модальные окна (RecipientAddressController), и RecipientAddressStorage.
+ */
+
+/** Ошибка валидации: message — первая ошибка, errors — по полям */
+export class ValidationError extends Error {
+  /**
+   * @param {Object<string,string>} errors
+   * @param {string} [message]
+   */
+  constructor(errors = {}, message = '') {
+    super(message || Object.values(errors)[0] || 'Validation failed');
+    this.name = 'ValidationError';
+    this.errors = { ...errors };
+  }
+}
+
+const isEmpty = (v) => v === null || v === undefined || String(v).trim() === '';
+const str = (v) => (v === null || v === undefined ? '' : String(v).trim());
+
+/* ---------- телефон ---------- */
+
+/**
+ * Телефон в формате E.164 или null, если номер не распознан.
+ * Российские номера: +7 / 7 / 8 и 10 цифр, либо 10 цифр с 9 в начале.
+ * Остальные — только с «+» и кодом страны (8–15 цифр).
+ *
+ * @param {string} value
+ * @returns {string|null} например '+79991234567'
+ */
+export function normalizePhone(value) {
+  const raw = str(value);
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (raw.startsWith('+')) {
+    if (digits.startsWith('7')) return digits.length === 11 ? `+${digits}` : null;
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 11 && (digits[0] === '7' || digits[0] === '8')) return `+7${digits.slice(1)}`;
+  if (digits.length === 10 && digits[0] === '9') return `+7${digits}`;
+  return null;
+}
+
+/**
+ * Телефон для отображения: '+7 (999) 123-45-67'; международные — '+<цифры>'.
+ * Нераспознанный номер возвращается как есть.
+ */
+export function formatPhone(value) {
+  const e164 = normalizePhone(value);
+  if (!e164) return str(value);
+  if (!e164.startsWith('+7')) return e164;
+  const d = e164.slice(2);
+  return `+7 (${d.slice(0, 3)}) ${d.slice(3, 6)}-${d.slice(6, 8)}-${d.slice(8, 10)}`;
+}
+
+/**
+ * Маска при вводе: российский номер собирается в '+7 (999) 123-45-67' по мере
+ * набора (8 и 9 в начале приводятся к +7), номер с другим кодом страны — '+<цифры>'.
+ * Разделитель добавляется только перед следующей цифрой, поэтому маска
+ * не возвращает символы, которые покупатель только что стёр.
+ *
+ * @param {string} value - текущее значение поля
+ * @returns {string}
+ */
+export function maskPhone(value) {
+  const raw = String(value ?? '');
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) return raw.trim().startsWith('+') ? '+' : '';
+
+  if (raw.trim().startsWith('+') && digits[0] !== '7') return `+${digits.slice(0, 15)}`;
+
+  if (digits[0] === '8') digits = `7${digits.slice(1)}`;
+  else if (digits[0] !== '7') digits = `7${digits}`;
+  const d = digits.slice(1, 11);
+
+  let out = '+7';
+  if (d.length) out += ` (${d.slice(0, 3)}`;
+  if (d.length > 3) out += `) ${d.slice(3, 6)}`;
+  if (d.length > 6) out += `-${d.slice(6, 8)}`;
+  if (d.length > 8) out += `-${d.slice(8, 10)}`;
+  return out;
+}
+
+/* ---------- правила ---------- */
+
+export const rules = Object.freeze({
+  required: (message = 'Обязательное поле') =>
+    (v) => (isEmpty(v) ? message : null),
+
+  minLength: (n, message = `Минимум ${n} символа`) =>
+    (v) => (!isEmpty(v) && str(v).length < n ? message : null),
+
+  maxLength: (n, message = `Не длиннее ${n} символов`) =>
+    (v) => (!isEmpty(v) && str(v).length > n ? message : null),
+
+  pattern: (re, message = 'Неверный формат') =>
+    (v) => (!isEmpty(v) && !re.test(str(v)) ? message : null),
+
+  /** Российский или международный номер (см. normalizePhone) */
+  phone: (message = 'Введите телефон в формате +7 (999) 123-45-67 или международный с «+»') =>
+    (v) => (!isEmpty(v) && !normalizePhone(v) ? message : null),
+
+  /** Почтовый индекс: для RU — 6 цифр, иначе 3–10 букв/цифр */
+  postalCode: ({ country = 'RU', message } = {}) => {
+    const re = country === 'RU' ? /^\d{6}$/ : /^[A-Za-z0-9][A-Za-z0-9 -]{1,8}[A-Za-z0-9]$/;
+    const text = message || (country === 'RU' ? 'Индекс — 6 цифр' : 'Неверный индекс');
+    return (v) => (!isEmpty(v) && !re.test(str(v)) ? text : null);
+  }
+});
+
+/* ---------- валидатор ---------- */
+
+export class FormValidator {
+  /**
+   * @param {Object<string, Array<(value: *, data: Object) => string|null>>} schema
+   */
+  constructor(schema = {}) {
+    this.schema = schema;
+  }
+
+  get fields() {
+    return Object.keys(this.schema);
+  }
+
+  /**
+   * @param {string} name
+   * @param {*} value
+   * @param {Object} [data] - вся форма (для правил, зависящих от других полей)
+   * @returns {string|null}
+   */
+  validateField(name, value, data = {}) {
+    for (const rule of this.schema[name] || []) {
+      try {
+        const error = rule(value, data);
+        if (error) return error;
+      } catch (e) {
+        console.warn('[FormValidator] rule failed for', name, e);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {Object} data
+   * @returns {{valid: boolean, errors: Object<string,string>}}
+   */
+  validate(data = {}) {
+    const errors = {};
+    for (const name of this.fields) {
+      const error = this.validateField(name, data?.[name], data);
+      if (error) errors[name] = error;
+    }
+    return { valid: Object.keys(errors).length === 0, errors };
+  }
+
+  /**
+   * То же, что validate, но бросает ValidationError.
+   * @throws {ValidationError}
+   */
+  assert(data = {}) {
+    const { valid, errors } = this.validate(data);
+    if (!valid) throw new ValidationError(errors);
+    return data;
+  }
+}
@@ -0,0 +1,103 @@
+import { escapeHtml } from "../utils.js";
+import { PickupPointService } from "./PickupPointService.js";
+
+/**
+ * PickupPointListView — представление пунктов выдачи списком.
+ *
+ * Реализует интерфейс представления PickupPointPicker:
+ *   mount(host, picker) / update(points, state) / destroy()
+ * Карта подключается так же — отдельным представлением рядом со списком.
+ */
+export class PickupPointListView {
+  static UI_MESSAGES = Object.freeze({
+    SELECT: 'Выбрать',
+    SELECTED: 'Выбран',
+    OPEN: 'Открыт',
+    CLOSED: 'Закрыт',
+    DISTANCE_M: '{value} м',
+    DISTANCE_KM: '{value} км'
+  });
+
+  static PAYMENT_LABELS = Object.freeze({
+    card: 'Картой',
+    cash: 'Наличными'
+  });
+
+  constructor() {
+    this.host = null;
+    this.picker = null;
+    this._onClick = this._onClick.bind(this);
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = PickupPointListView.UI_MESSAGES[key] ?? '';
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  mount(host, picker) {
+    this.picker = picker;
+    this.host = document.createElement('ul');
+    this.host.className = 'pickup-list';
+    this.host.addEventListener('click', this._onClick);
+    host.appendChild(this.host);
+  }
+
+  /**
+   * @param {Object[]} points - отфильтрованные и отсортированные пункты
+   * @param {{selectedId: string|null}} state
+   */
+  update(points, { selectedId = null } = {}) {
+    if (!this.host) return;
+    const now = new Date();
+    this.host.innerHTML = points.map((p) => this._renderItem(p, p.id === selectedId, now)).join('');
+  }
+
+  _renderItem(point, selected, now) {
+    const open = PickupPointService.isOpenAt(point, now);
+    const payments = point.paymentTypes
+      .map((t) => PickupPointListView.PAYMENT_LABELS[t] || t)
+      .map((label) => `<span class="pickup-list__badge">${escapeHtml(label)}</span>`)
+      .join('');
+    const distance = this._formatDistance(point.distance);
+    const id = escapeHtml(point.id);
+
+    return `
+      <li class="pickup-list__item${selected ? ' is-selected' : ''}" data-pickup-id="${id}">
+        <div class="pickup-list__info">
+          <div class="pickup-list__title">
+            ${escapeHtml(point.title || point.address)}
+            ${distance ? `<span class="pickup-list__distance">${escapeHtml(distance)}</span>` : ''}
+          </div>
+          ${point.title ? `<div class="pickup-list__address">${escapeHtml(point.address)}</div>` : ''}
+          <div class="pickup-list__hours ${open ? 'is-open' : 'is-closed'}">
+            ${escapeHtml(open ? this._msg('OPEN') : this._msg('CLOSED'))}${point.hoursText ? ` · ${escapeHtml(point.hoursText)}` : ''}
+          </div>
+          ${payments ? `<div class="pickup-list__payments">${payments}</div>` : ''}
+        </div>
+        <button type="button" class="btn ${selected ? 'btn-secondary' : 'btn-primary'}" data-pickup-select="${id}">
+          ${escapeHtml(selected ? this._msg('SELECTED') : this._msg('SELECT'))}
+        </button>
+      </li>`;
+  }
+
+  _formatDistance(km) {
+    if (km === null || km === undefined || !Number.isFinite(km)) return '';
+    if (km < 1) return this._msg('DISTANCE_M', { value: Math.max(10, Math.round(km * 100) * 10) });
+    return this._msg('DISTANCE_KM', { value: km.toFixed(1).replace('.', ',') });
+  }
+
+  _onClick(event) {
+    const btn = event.target.closest('[data-pickup-select]');
+    if (!btn) return;
+    this.picker?.select(btn.getAttribute('data-pickup-select'));
+  }
+
+  destroy() {
+    try { this.host?.removeEventListener('click', this._onClick); } catch {}
+    try { this.host?.remove(); } catch {}
+    this.host = null;
+    this.picker = null;
+  }
+}
@@ -0,0 +1,370 @@
+import { escapeHtml, debounce, pluralize } from "../utils.js";
+import { ApiError } from "../Transport/ApiError.js";
+import { PickupPointService } from "./PickupPointService.js";
+import { PickupPointListView } from "./PickupPointListView.js";
+
+/**
+ * PickupPointPicker — выбор пункта выдачи в модальном окне.
+ *
+ * Отвечает за состояние: загрузку пунктов (PickupPointService), поиск по городу
+ * и улице, фильтры (открыт сейчас / круглосуточно / способ оплаты) и сортировку
+ * по расстоянию, если известны координаты покупателя. Отображение вынесено
+ * в представления с интерфейсом:
+ *   mount(host, picker)       — один раз после открытия окна
+ *   update(points, state)     — после каждой загрузки / смены фильтров;
+ *                               state: { selectedId, origin, loading }
+ *   destroy()
+ * По умолчанию — список (PickupPointListView); карта подключается через
+ * createViews и выбирает пункт вызовом picker.select(id).
+ *
+ * Выбранный пункт сохраняется в RecipientAddressStorage как цель доставки
+ * «пункт выдачи» (selectPickupPoint).
+ */
+export class PickupPointPicker {
+  static UI_MESSAGES = Object.freeze({
+    TITLE: 'Пункт выдачи',
+    CITY_PLACEHOLDER: 'Город',
+    QUERY_PLACEHOLDER: 'Улица или название',
+    LOCATE: 'Рядом со мной',
+    LOCATE_FAILED: 'Не удалось определить местоположение',
+    FILTER_OPEN_NOW: 'Открыт сейчас',
+    FILTER_ALL_DAY: 'Круглосуточно',
+    PAYMENT_ANY: 'Любая оплата',
+    PAYMENT_CARD: 'Оплата картой',
+    PAYMENT_CASH: 'Оплата наличными',
+    LOADING: 'Загружаем пункты выдачи…',
+    LOAD_FAILED: 'Не удалось загрузить пункты выдачи',
+    EMPTY: 'Пунктов выдачи не найдено',
+    FOUND: 'Найдено {count} {word}'
+  });
+
+  static POINT_WORDS = Object.freeze(['пункт', 'пункта', 'пунктов']);
+
+  /**
+   * @param {Object} deps
+   * @param {PickupPointService} deps.service
+   * @param {Object} deps.storage - RecipientAddressStorage
+   * @param {Object} [deps.foxEngine] - для modalApp
+   * @param {(picker: PickupPointPicker) => Object[]} [deps.createViews] - представления (по умолчанию список)
+   * @param {Geolocation|null} [deps.geolocation]
+   * @param {number} [deps.searchDelayMs=300]
+   */
+  constructor({
+    service,
+    storage,
+    foxEngine = null,
+    createViews = null,
+    geolocation = globalThis.navigator?.geolocation ?? null,
+    searchDelayMs = 300
+  } = {}) {
+    if (!(service instanceof PickupPointService)) throw new Error('PickupPointPicker: service is required');
+    if (!storage) throw new Error('PickupPointPicker: storage is required');
+
+    this.service = service;
+    this.storage = storage;
+    this.foxEngine = foxEngine;
+    this.createViews = typeof createViews === 'function' ? createViews : () => [new PickupPointListView()];
+    this.geolocation = geolocation;
+
+    this._uid = 'ppp-' + Math.random().toString(36).slice(2, 8);
+    this.root = null;
+    this.views = [];
+    this.points = [];
+    this.visible = [];
+    this.state = this._initialState();
+    this._onSelect = null;
+    this._abort = null;
+    this._listeners = [];
+
+    this._debouncedLoad = debounce(() => this.load(), searchDelayMs);
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = PickupPointPicker.UI_MESSAGES[key] ?? '';
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  _initialState() {
+    return {
+      city: '',
+      query: '',
+      openNow: false,
+      allDay: false,
+      paymentType: '',
+      origin: null,
+      selectedId: null,
+      loading: false
+    };
+  }
+
+  get rootId() {
+    return `${this._uid}-modal`;
+  }
+
+  /* ======== Публичный API ======== */
+
+  /**
+   * Открывает окно выбора.
+   * @param {Object} [options]
+   * @param {string} [options.city] - стартовый город (например, из адреса покупателя)
+   * @param {{lat: number, lon: number}|null} [options.origin] - координаты для сортировки по расстоянию
+   * @param {(point: Object) => void} [options.onSelect] - вызывается после сохранения выбора
+   */
+  open({ city = '', origin = null, onSelect = null } = {}) {
+    this.close();
+
+    const selected = this.storage.getSelectedPickupPoint?.() || null;
+    this.state = {
+      ...this._initialState(),
+      city: String(city || selected?.city || ''),
+      origin: this._validOrigin(origin),
+      selectedId: selected?.id ?? null
+    };
+    this._onSelect = typeof onSelect === 'function' ? onSelect : null;
+
+    this._show((root) => {
+      this._mount(root);
+      this.load();
+    });
+  }
+
+  /**
+   * Загружает пункты для текущих города и строки поиска.
+   * Устаревшие запросы отменяются.
+   */
+  async load() {
+    if (!this.root) return;
+    try { this._abort?.abort(); } catch {}
+    const abort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    this._abort = abort;
+
+    this.state.loading = true;
+    this._setStatus(this._msg('LOADING'));
+    this._update();
+
+    try {
+      this.points = await this.service.fetchPoints(
+        { city: this.state.city, query: this.state.query },
+        { signal: abort?.signal }
+      );
+    } catch (err) {
+      if (ApiError.isAbort(err) || this._abort !== abort) return;
+      console.warn('[PickupPointPicker] load failed', err);
+      this.points = [];
+      this.state.loading = false;
+      this._setStatus(this._msg('LOAD_FAILED'), true);
+      this._update();
+      return;
+    }
+    if (this._abort !== abort) return;
+    this._abort = null;
+    this.state.loading = false;
+    this.refresh();
+  }
+
+  /** Применяет фильтры и сортировку к загруженным пунктам и обновляет представления */
+  refresh() {
+    const { openNow, allDay, paymentType, origin } = this.state;
+    const filtered = PickupPointService.filterPoints(this.points, { openNow, allDay, paymentType });
+    this.visible = PickupPointService.sortByDistance(filtered, origin);
+
+    this._setStatus(this.visible.length
+      ? this._msg('FOUND', { count: this.visible.length, word: pluralize(this.visible.length, PickupPointPicker.POINT_WORDS) })
+      : this._msg('EMPTY'));
+    this._update();
+  }
+
+  /**
+   * Меняет фильтры. Город и строка поиска уходят на бэкенд (с задержкой),
+   * остальное фильтруется на месте.
+   * @param {Object} patch - { city?, query?, openNow?, allDay?, paymentType?, origin? }
+   */
+  setFilters(patch = {}) {
+    const next = { ...this.state, ...patch };
+    if ('origin' in patch) next.origin = this._validOrigin(patch.origin);
+    const refetch = next.city !== this.state.city || next.query !== this.state.query;
+    this.state = next;
+    if (refetch) this._debouncedLoad();
+    else this.refresh();
+  }
+
+  /** Сортировка по расстоянию от текущего местоположения (Geolocation API) */
+  locate() {
+    if (!this.geolocation?.getCurrentPosition) {
+      this._setStatus(this._msg('LOCATE_FAILED'), true);
+      return;
+    }
+    this.geolocation.getCurrentPosition(
+      (pos) => this.setFilters({ origin: { lat: pos.coords.latitude, lon: pos.coords.longitude } }),
+      () => this._setStatus(this._msg('LOCATE_FAILED'), true),
+      { timeout: 10000, maximumAge: 300000 }
+    );
+  }
+
+  /**
+   * Сохраняет пункт как цель доставки и закрывает окно.
+   * @param {string} id
+   * @returns {Object|null} сохранённый пункт
+   */
+  select(id) {
+    const point = this.points.find((p) => p.id === String(id));
+    if (!point) return null;
+
+    let saved = null;
+    try {
+      saved = this.storage.selectPickupPoint(point);
+    } catch (e) {
+      console.error('[PickupPointPicker] failed to save pickup point', e);
+      return null;
+    }
+    this.state.selectedId = saved.id;
+
+    const onSelect = this._onSelect;
+    this.close();
+    try { onSelect?.(saved); } catch (e) { console.error(e); }
+    return saved;
+  }
+
+  close() {
+    try { this._abort?.abort(); } catch {}
+    this._abort = null;
+    if (!this.root) return;
+
+    const root = this.root;
+    this._cleanup();
+    try {
+      if (this.foxEngine?.modalApp?.closeModalApp) this.foxEngine.modalApp.closeModalApp();
+    } catch {}
+    try { root.remove(); } catch {}
+  }
+
+  destroy() {
+    this.close();
+    this.points = [];
+    this.visible = [];
+    this._onSelect = null;
+  }
+
+  /* ======== Внутренние методы ======== */
+
+  _validOrigin(origin) {
+    const lat = Number(origin?.lat);
+    const lon = Number(origin?.lon ?? origin?.lng);
+    return origin && Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+  }
+
+  _buildHtml() {
+    const id = (name) => `${this._uid}-${name}`;
+    const P = PickupPointService.PAYMENT_TYPES;
+    return `
+      <div class="modal-body">
+        <div id="${this.rootId}" class="form-root pickup-picker" role="dialog" aria-modal="true" aria-label="${escapeHtml(this._msg('TITLE'))}">
+          <h2 class="form-title">${escapeHtml(this._msg('TITLE'))}</h2>
+          <div class="pickup-picker__search">
+            <input id="${id('city')}" class="ui-input" data-pickup-filter="city" autocomplete="off"
+              placeholder="${escapeHtml(this._msg('CITY_PLACEHOLDER'))}" value="${escapeHtml(this.state.city)}" />
+            <input id="${id('query')}" class="ui-input" data-pickup-filter="query" autocomplete="off"
+              placeholder="${escapeHtml(this._msg('QUERY_PLACEHOLDER'))}" />
+            ${this.geolocation ? `<button type="button" class="btn btn-secondary" data-pickup-locate>${escapeHtml(this._msg('LOCATE'))}</button>` : ''}
+          </div>
+          <div class="pickup-picker__filters">
+            <label><input type="checkbox" data-pickup-filter="openNow" /> ${escapeHtml(this._msg('FILTER_OPEN_NOW'))}</label>
+            <label><input type="checkbox" data-pickup-filter="allDay" /> ${escapeHtml(this._msg('FILTER_ALL_DAY'))}</label>
+            <select class="ui-input" data-pickup-filter="paymentType">
+              <option value="">${escapeHtml(this._msg('PAYMENT_ANY'))}</option>
+              <option value="${P.CARD}">${escapeHtml(this._msg('PAYMENT_CARD'))}</option>
+              <option value="${P.CASH}">${escapeHtml(this._msg('PAYMENT_CASH'))}</option>
+            </select>
+          </div>
+          <div class="pickup-picker__status" data-pickup-status aria-live="polite"></div>
+          <div class="pickup-picker__views" data-pickup-views></div>
+        </div>
+      </div>`;
+  }
+
+  /**
+   * Показывает окно через foxEngine.modalApp, иначе вставляет разметку в документ
+   * (как RecipientAddressController._showModalSafe).
+   */
+  _show(onAttached) {
+    const html = this._buildHtml();
+    const attachNow = () => {
+      const root = document.getElementById(this.rootId);
+      if (root) onAttached(root);
+    };
+
+    if (this.foxEngine?.modalApp?.showModalApp) {
+      try {
+        this.foxEngine.modalApp.showModalApp('100%', this._msg('TITLE'), html, () => this._cleanup());
+        setTimeout(attachNow, 10);
+        return;
+      } catch (err) {
+        console.warn('modalApp.showModalApp не удался, пробуем fallback', err);
+      }
+    }
+    document.body.insertAdjacentHTML('beforeend', html);
+    attachNow();
+  }
+
+  _mount(root) {
+    this.root = root;
+
+    const onInput = (e) => {
+      const key = e.target.getAttribute?.('data-pickup-filter');
+      if (key === 'city' || key === 'query') this.setFilters({ [key]: e.target.value.trim() });
+    };
+    const onChange = (e) => {
+      const key = e.target.getAttribute?.('data-pickup-filter');
+      if (key === 'openNow' || key === 'allDay') this.setFilters({ [key]: !!e.target.checked });
+      else if (key === 'paymentType') this.setFilters({ paymentType: e.target.value });
+    };
+    const onClick = (e) => {
+      if (e.target.closest?.('[data-pickup-locate]')) this.locate();
+    };
+    for (const [evt, fn] of [['input', onInput], ['change', onChange], ['click', onClick]]) {
+      root.addEventListener(evt, fn);
+      this._listeners.push({ evt, fn });
+    }
+
+    const host = root.querySelector('[data-pickup-views]');
+    this.views = [];
+    for (const view of this.createViews(this) || []) {
+      try {
+        view.mount(host, this);
+        this.views.push(view);
+      } catch (e) {
+        console.error('[PickupPointPicker] view mount failed', e);
+      }
+    }
+  }
+
+  _cleanup() {
+    for (const view of this.views) {
+      try { view.destroy?.(); } catch {}
+    }
+    this.views = [];
+    if (this.root) {
+      for (const { evt, fn } of this._listeners) {
+        try { this.root.removeEventListener(evt, fn); } catch {}
+      }
+    }
+    this._listeners = [];
+    this.root = null;
+  }
+
+  _update() {
+    const state = { selectedId: this.state.selectedId, origin: this.state.origin, loading: this.state.loading };
+    for (const view of this.views) {
+      try { view.update(this.visible, state); } catch (e) { console.error('[PickupPointPicker] view update failed', e); }
+    }
+  }
+
+  _setStatus(text, isError = false) {
+    const el = this.root?.querySelector('[data-pickup-status]');
+    if (!el) return;
+    el.textContent = text || '';
+    el.classList.toggle('is-error', !!isError);
+  }
+}
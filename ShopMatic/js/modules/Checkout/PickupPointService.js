@@ -0,0 +1,238 @@
+import { ApiFetcher } from '../ApiFetcher.js';
+
+/**
+ * Pickup points for checkout: loading, search, filters and distance sorting.
+ *
+ * The backend (`endpoints.pickupPoints`) receives `{ city, query }` and answers
+ * with a list of points; common field spellings are accepted (see `normalizePoint`):
+ *   `[{ id, title, city, street, house, lat, lon, paymentTypes: ['card', 'cash'],
+ *       schedule: [{ days: [1, 2, 3, 4, 5], from: '09:00', to: '21:00' }] }]`
+ *
+ * Schedule days are ISO weekdays (1 — Monday … 7 — Sunday); `hours: '24/7'`
+ * or `allDay: true` marks a point that never closes. Filtering and sorting are
+ * static and work on any list, so pickers can reuse them on cached points.
+ *
+ * @author Calista Verner
+ */
+export class PickupPointService extends ApiFetcher {
+  static PAYMENT_TYPES = Object.freeze({
+    CARD: 'card',
+    CASH: 'cash'
+  });
+
+  /** Cached responses kept per service instance */
+  static CACHE_SIZE = 20;
+
+  static EARTH_RADIUS_KM = 6371;
+
+  /**
+   * @param {Object|null} foxEngine - Host engine or transport (see ApiFetcher).
+   * @param {Object} [options]
+   * @param {{send: Function}} [options.transport]
+   * @param {Object<string,string>} [options.endpoints] - Defaults: `{ pickupPoints: 'getPickupPoints' }`.
+   * @param {number} [options.timeoutMs]
+   * @param {boolean} [options.debug]
+   */
+  constructor(foxEngine, { transport, endpoints = {}, timeoutMs, debug } = {}) {
+    const merged = { pickupPoints: 'getPickupPoints', ...endpoints };
+    super(foxEngine, { transport, endpoints: merged, timeoutMs, debug });
+
+    this.endpoints = merged;
+
+    /** @type {Map<string, Object[]>} normalized points by request key */
+    this._cache = new Map();
+  }
+
+  static _coord(v) {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  /** '9:00' → 540 (minutes from midnight); '24:00' → 1440 */
+  static _minutes(value) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+    if (!m) return null;
+    const total = Number(m[1]) * 60 + Number(m[2]);
+    return total >= 0 && total <= 1440 ? total : null;
+  }
+
+  static _normalizeSchedule(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw
+      .map((row) => {
+        const days = (Array.isArray(row?.days) ? row.days : [])
+          .map(Number)
+          .filter((d) => d >= 1 && d <= 7);
+        const from = PickupPointService._minutes(row?.from ?? row?.open);
+        const to = PickupPointService._minutes(row?.to ?? row?.close);
+        return days.length && from !== null && to !== null ? { days, from, to } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Brings a backend point to one shape. Returns null without an id.
+   * @param {Object} raw
+   * @returns {Object|null}
+   */
+  static normalizePoint(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const id = String(raw.id ?? raw.code ?? '').trim();
+    if (!id) return null;
+
+    const coords = raw.coordinates && typeof raw.coordinates === 'object' ? raw.coordinates : {};
+    const city = String(raw.city ?? '').trim();
+    const street = String(raw.street ?? '').trim();
+    const house = String(raw.house ?? '').trim();
+    const allDay = raw.allDay === true || String(raw.hours ?? '').trim() === '24/7';
+    const payments = raw.paymentTypes ?? raw.payment_types ?? raw.payments;
+
+    return {
+      id,
+      title: String(raw.title ?? raw.name ?? '').trim(),
+      provider: String(raw.provider ?? '').trim(),
+      city,
+      street,
+      house,
+      address: String(raw.address ?? [city, street, house].filter(Boolean).join(', ')).trim(),
+      lat: PickupPointService._coord(raw.lat ?? raw.latitude ?? coords.lat),
+      lon: PickupPointService._coord(raw.lon ?? raw.lng ?? raw.longitude ?? coords.lon ?? coords.lng),
+      allDay,
+      schedule: allDay ? [] : PickupPointService._normalizeSchedule(raw.schedule ?? raw.workingHours),
+      hoursText: String(raw.hoursText ?? (allDay ? 'Круглосуточно' : (typeof raw.hours === 'string' ? raw.hours : ''))).trim(),
+      paymentTypes: (Array.isArray(payments) ? payments : [])
+        .map((t) => String(t).trim().toLowerCase())
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Is the point open at the given moment (local time of the browser).
+   * Points without a schedule are treated as open: nothing says otherwise.
+   *
+   * @param {Object} point - normalized point
+   * @param {Date} [at]
+   * @returns {boolean}
+   */
+  static isOpenAt(point, at = new Date()) {
+    if (point.allDay || !point.schedule?.length) return true;
+    const day = at.getDay() || 7;
+    const prevDay = day === 1 ? 7 : day - 1;
+    const minutes = at.getHours() * 60 + at.getMinutes();
+
+    return point.schedule.some(({ days, from, to }) => {
+      if (from < to) return days.includes(day) && minutes >= from && minutes < to;
+      // через полночь: 20:00–02:00
+      return (days.includes(day) && minutes >= from) || (days.includes(prevDay) && minutes < to);
+    });
+  }
+
+  /**
+   * Text match on title, city, street, house and address; every word must match.
+   * @param {Object[]} points
+   * @param {string} query
+   */
+  static matchQuery(points, query) {
+    const words = String(query ?? '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+    if (!words.length) return points;
+    return points.filter((p) => {
+      const haystack = [p.title, p.city, p.street, p.house, p.address].join(' ').toLowerCase();
+      return words.every((w) => haystack.includes(w));
+    });
+  }
+
+  /**
+   * @param {Object[]} points
+   * @param {Object} [filters]
+   * @param {string} [filters.query]
+   * @param {boolean} [filters.openNow] - open at `filters.at`
+   * @param {boolean} [filters.allDay] - round-the-clock only
+   * @param {string} [filters.paymentType] - one of PAYMENT_TYPES; '' — any
+   * @param {Date} [filters.at]
+   * @returns {Object[]}
+   */
+  static filterPoints(points, { query = '', openNow = false, allDay = false, paymentType = '', at = new Date() } = {}) {
+    return PickupPointService.matchQuery(points || [], query).filter((p) => {
+      if (allDay && !p.allDay) return false;
+      if (openNow && !PickupPointService.isOpenAt(p, at)) return false;
+      if (paymentType && !p.paymentTypes.includes(paymentType)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Great-circle distance in kilometres, null when a side has no coordinates.
+   * @param {{lat: number|null, lon: number|null}} a
+   * @param {{lat: number|null, lon: number|null}} b
+   * @returns {number|null}
+   */
+  static distanceKm(a, b) {
+    if (a?.lat == null || a?.lon == null || b?.lat == null || b?.lon == null) return null;
+    const rad = (d) => (d * Math.PI) / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLon = rad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * PickupPointService.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  /**
+   * Copies of the points with `distance` (km or null), nearest first;
+   * points without coordinates keep their order at the end.
+   * Without an origin the list is returned as is.
+   *
+   * @param {Object[]} points
+   * @param {{lat: number, lon: number}|null} origin
+   * @returns {Object[]}
+   */
+  static sortByDistance(points, origin) {
+    if (origin?.lat == null || origin?.lon == null) return points;
+    return points
+      .map((p, index) => ({ ...p, distance: PickupPointService.distanceKm(origin, p), _index: index }))
+      .sort((a, b) => {
+        if (a.distance === null || b.distance === null) {
+          return (a.distance === null) - (b.distance === null) || a._index - b._index;
+        }
+        return a.distance - b.distance;
+      })
+      .map(({ _index, ...p }) => p);
+  }
+
+  /**
+   * Points for a city / search string. The query is also applied locally,
+   * so a backend that ignores it still yields a meaningful list.
+   *
+   * @param {{city?: string, query?: string}} [request]
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<Object[]>}
+   * @throws {ApiError}
+   */
+  async fetchPoints({ city = '', query = '' } = {}, { signal } = {}) {
+    const params = { city: String(city || '').trim(), query: String(query || '').trim() };
+    const key = JSON.stringify(params);
+
+    let points = this._cache.get(key);
+    if (!points) {
+      const { payload } = this._buildRequest('pickupPoints', { params });
+      const res = await this._safeCall(payload, 'JSON', { signal });
+      points = this._extractArray(res, ['points', 'items', 'data'])
+        .map((raw) => PickupPointService.normalizePoint(raw))
+        .filter(Boolean);
+      this._remember(key, points);
+    }
+
+    return PickupPointService.matchQuery(points, params.query);
+  }
+
+  _remember(key, list) {
+    this._cache.delete(key);
+    this._cache.set(key, list);
+    while (this._cache.size > PickupPointService.CACHE_SIZE) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+  }
+
+  clearCache() {
+    this._cache.clear();
+  }
+}
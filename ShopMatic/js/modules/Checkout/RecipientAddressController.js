@@ -1,5 +1,8 @@
 import { escapeHtml, capitalize } from "../utils.js";
 import { ListButtonUpdater } from "./ListButtonUpdater.js";
+import { ValidationError, maskPhone } from "./FormValidator.js";
+import { recipientValidator, addressValidator, RECIPIENT_LIMITS, ADDRESS_LIMITS } from "./RecipientAddressRules.js";
+import { AddressSuggestProvider } from "./AddressSuggestProvider.js";
 
 /**
  * RecipientAddressController
@@ -7,13 +10,21 @@ import { ListButtonUpdater } from "./ListButtonUpdater.js";
  * Контроллер для выбора и редактирования получателей и адресов.
  * Использует конфигурационный объект, чтобы избежать ветвлений по типу,
  * и обеспечивает общую логику рендера и взаимодействия.
+ *
+ * suggestProvider (AddressSuggestProvider) — подсказки адреса при вводе улицы
+ * и нормализация адреса перед сохранением. Без провайдера или при его ошибках
+ * адрес просто вводится вручную.
  */
 export class RecipientAddressController {
-  constructor({ storage, foxEngine, view }) {
+  static SUGGEST_DELAY_MS = 250;
+  static NORMALIZE_TIMEOUT_MS = 3000;
+
+  constructor({ storage, foxEngine, view, suggestProvider = null }) {
     if (!storage) throw new Error('RecipientAddressController: storage is required');
     this.storage = storage;
     this.foxEngine = foxEngine;
     this.view = view;
+    this.suggestProvider = suggestProvider instanceof AddressSuggestProvider ? suggestProvider : null;
 
     // Объект для хранения текущих элементов, вместо отдельных свойств
     this.current = { recipient: null, address: null };
@@ -44,11 +55,11 @@ export class RecipientAddressController {
         selectItem: (id) => this.storage.selectRecipient(id),
         apply: (item) => this.apply('recipient', item),
         fields: [
-          { name: 'name', label: 'Имя', inputId: 'recipientNameInput', fieldPlaceholder: 'Получатель: ' },
-          { name: 'phone', label: 'Телефон', inputId: 'recipientPhoneInput', fieldPlaceholder: 'Телефон: ' },
-          { name: 'comment', label: 'Комментарий', inputId: 'recipientCommentInput', fieldPlaceholder: 'Комментарий: ' }
+          { name: 'name', label: 'Имя', inputId: 'recipientNameInput', fieldPlaceholder: 'Получатель: ', maxLength: RECIPIENT_LIMITS.name },
+          { name: 'phone', label: 'Телефон', inputId: 'recipientPhoneInput', fieldPlaceholder: 'Телефон: ', type: 'tel', mask: maskPhone, inputPlaceholder: '+7 (999) 123-45-67' },
+          { name: 'comment', label: 'Комментарий', inputId: 'recipientCommentInput', fieldPlaceholder: 'Комментарий: ', maxLength: RECIPIENT_LIMITS.comment }
         ],
-        validate: (data) => (!data.name || data.name.trim().length < 2 ? 'Имя должно содержать минимум 2 символа' : null),
+        validator: recipientValidator,
         addLabel: 'получателя'
       },
       address: {
@@ -62,15 +73,16 @@ export class RecipientAddressController {
         selectItem: (id) => this.storage.selectAddress(id),
         apply: (item) => this.apply('address', item),
         fields: [
-          { name: 'street',   label: 'Улица',    inputId: 'addressStreetInput',   fieldPlaceholder: 'ул. ' },
-          { name: 'house',    label: 'Дом',      inputId: 'addressHouseInput',    fieldPlaceholder: 'д. ' },
-          { name: 'entrance', label: 'Подъезд',  inputId: 'addressEntranceInput', fieldPlaceholder: 'Подъезд: ' },
-          { name: 'floor',    label: 'Этаж',     inputId: 'addressFloorInput',    fieldPlaceholder: 'Этаж: ' },
-          { name: 'flat',     label: 'Квартира', inputId: 'addressFlatInput',     fieldPlaceholder: 'Квартира: ' },
-          { name: 'city',     label: 'Город',    inputId: 'addressCityInput',     fieldPlaceholder: 'Город: ' },
-          { name: 'label',    label: 'Метка',    inputId: 'addressLabelInput',    fieldPlaceholder: 'Метка: ' }
+          { name: 'street',     label: 'Улица',    inputId: 'addressStreetInput',     fieldPlaceholder: 'ул. ',       maxLength: ADDRESS_LIMITS.street, suggest: true },
+          { name: 'house',      label: 'Дом',      inputId: 'addressHouseInput',      fieldPlaceholder: 'д. ',        maxLength: ADDRESS_LIMITS.house },
+          { name: 'entrance',   label: 'Подъезд',  inputId: 'addressEntranceInput',   fieldPlaceholder: 'Подъезд: ',  maxLength: ADDRESS_LIMITS.entrance },
+          { name: 'floor',      label: 'Этаж',     inputId: 'addressFloorInput',      fieldPlaceholder: 'Этаж: ',     maxLength: ADDRESS_LIMITS.floor, inputMode: 'numeric' },
+          { name: 'flat',       label: 'Квартира', inputId: 'addressFlatInput',       fieldPlaceholder: 'Квартира: ', maxLength: ADDRESS_LIMITS.flat },
+          { name: 'city',       label: 'Город',    inputId: 'addressCityInput',       fieldPlaceholder: 'Город: ',    maxLength: ADDRESS_LIMITS.city },
+          { name: 'postalCode', label: 'Индекс',   inputId: 'addressPostalCodeInput', fieldPlaceholder: 'Индекс: ',   maxLength: ADDRESS_LIMITS.postalCode, inputMode: 'numeric' },
+          { name: 'label',      label: 'Метка',    inputId: 'addressLabelInput',      fieldPlaceholder: 'Метка: ',    maxLength: ADDRESS_LIMITS.label }
         ],
-        validate: (data) => (!data.street || data.street.trim().length < 1 ? 'Укажите улицу' : null),
+        validator: addressValidator,
         addLabel: 'адрес'
       }
     };
@@ -138,15 +150,30 @@ export class RecipientAddressController {
    */
   _buildModalInner(type, cfg) {
     const capType = capitalize(type);
+    const required = new Set(
+      cfg.fields.filter((f) => cfg.validator.validateField(f.name, '', {})).map((f) => f.name)
+    );
     const fieldsHtml = cfg.fields
-      .map(
-        (field) => `
-      <div class="form-section">
-        <label for="${this._uid}-${field.inputId}" class="ui-label">${field.label}</label>
-        <input id="${this._uid}-${field.inputId}" class="ui-input" autocomplete="off" placeholder="${field.fieldPlaceholder || ''}" />
+      .map((field) => {
+        const inputId = `${this._uid}-${field.inputId}`;
+        const suggest = field.suggest && this.suggestProvider;
+        const attrs = [
+          `type="${field.type || 'text'}"`,
+          field.maxLength ? `maxlength="${field.maxLength}"` : '',
+          field.inputMode ? `inputmode="${field.inputMode}"` : '',
+          required.has(field.name) ? 'aria-required="true"' : '',
+          suggest ? `role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="${inputId}-suggest"` : ''
+        ].filter(Boolean).join(' ');
+        return `
+      <div class="form-section" data-field="${field.name}">
+        <label for="${inputId}" class="ui-label">${field.label}${required.has(field.name) ? ' <span class="ui-required">*</span>' : ''}</label>
+        <input id="${inputId}" class="ui-input" autocomplete="off" ${attrs}
+          placeholder="${field.inputPlaceholder || field.fieldPlaceholder || ''}" aria-describedby="${inputId}-error" />
+        ${suggest ? `<ul id="${inputId}-suggest" class="address-suggest" role="listbox" hidden></ul>` : ''}
+        <div id="${inputId}-error" class="ui-field-error" aria-live="polite"></div>
       </div>
-    `
-      )
+    `;
+      })
       .join('');
     return `
       <div id="${this._uid}-${type}-modal" class="form-root" role="dialog" aria-modal="true" aria-label="${cfg.title}">
@@ -258,6 +285,78 @@ export class RecipientAddressController {
     const cancelBtn = root.querySelector(`#${cancelBtnId}`);
 
     let activeEditingId = null;
+    // поля, которые пользователь уже трогал: ошибки показываются только для них
+    const touched = new Set();
+    // координаты из выбранной подсказки / нормализации — сохраняются в meta.coords,
+    // пока город/улица/дом в форме те же, для которых они получены (coordsFor)
+    let pendingCoords = null;
+    let coordsFor = '';
+    // город/улица/дом редактируемого адреса до правки
+    let editingLocation = '';
+    // сохранение идёт (нормализация может занять до NORMALIZE_TIMEOUT_MS)
+    let saving = false;
+
+    const locationKey = (v = {}) =>
+      ['city', 'street', 'house'].map((k) => String(v[k] ?? '').trim().toLowerCase()).join('|');
+
+    const inputFor = (field) => root.querySelector(`#${this._uid}-${field.inputId}`);
+
+    const readForm = () => {
+      const payload = {};
+      cfg.fields.forEach((field) => {
+        const input = inputFor(field);
+        if (input) payload[field.name] = input.value.trim();
+      });
+      return payload;
+    };
+
+    // Проверка формы: inline-ошибки у тронутых полей, «Сохранить» активна только для валидной формы
+    const validateForm = ({ showAll = false } = {}) => {
+      const { valid, errors } = cfg.validator.validate(readForm());
+      cfg.fields.forEach((field) => {
+        const input = inputFor(field);
+        const fieldError = root.querySelector(`#${this._uid}-${field.inputId}-error`);
+        const message = showAll || touched.has(field.name) ? errors[field.name] || '' : '';
+        if (fieldError) fieldError.textContent = message;
+        if (input) {
+          input.classList.toggle('is-invalid', !!message);
+          input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        }
+      });
+      if (saveBtn) saveBtn.disabled = saving || !valid;
+      return { valid, errors };
+    };
+
+    // Заполняет непустыми значениями (подсказка / нормализованный адрес)
+    const fillForm = (values = {}) => {
+      cfg.fields.forEach((field) => {
+        const value = values[field.name];
+        const input = inputFor(field);
+        if (input && value) input.value = value;
+      });
+    };
+
+    // Подсказки адреса под полем улицы
+    const suggestField = type === 'address' ? cfg.fields.find((f) => f.suggest) : null;
+    const suggest = suggestField && this.suggestProvider
+      ? this._mountAddressSuggest(root, suggestField, {
+          getCity: () => inputFor(cfg.fields.find((f) => f.name === 'city'))?.value.trim() || '',
+          onPick: (suggestion) => {
+            fillForm(suggestion.address);
+            pendingCoords = suggestion.coords || null;
+            coordsFor = locationKey(readForm());
+            Object.keys(suggestion.address).forEach((name) => {
+              if (suggestion.address[name]) touched.add(name);
+            });
+            validateForm();
+          }
+        })
+      : null;
+
+    const showFieldErrors = (errors = {}) => {
+      Object.keys(errors).forEach((name) => touched.add(name));
+      validateForm();
+    };
 
     // Рендер списка элементов
     const render = () => {
@@ -277,13 +376,20 @@ export class RecipientAddressController {
         ? `Изменить ${cfg.addLabel}`
         : `Добавить ${cfg.addLabel}`;
       cfg.fields.forEach((field) => {
-        const input = root.querySelector(`#${this._uid}-${field.inputId}`);
+        const input = inputFor(field);
         if (input) input.value = item ? item[field.name] || '' : '';
       });
       if (errorEl) {
         errorEl.style.display = 'none';
         errorEl.textContent = '';
       }
+      touched.clear();
+      pendingCoords = null;
+      coordsFor = '';
+      editingLocation = item ? locationKey(item) : '';
+      suggest?.reset();
+      // у редактируемой записи сразу видно, что нужно исправить
+      validateForm({ showAll: !!item });
       formRoot.style.display = '';
       formRoot.setAttribute('aria-hidden', 'false');
       listContainer.style.display = 'none';
@@ -298,6 +404,7 @@ export class RecipientAddressController {
     // Скрыть форму и вернуться к списку
     const hideForm = () => {
       activeEditingId = null;
+      suggest?.reset();
       formRoot.style.display = 'none';
       formRoot.setAttribute('aria-hidden', 'true');
       listContainer.style.display = '';
@@ -345,39 +452,86 @@ export class RecipientAddressController {
       }
     };
 
-    // Обработчик кнопки "Сохранить"
+    // Обработчик кнопки "Сохранить": одно сохранение за раз, кнопка заблокирована до конца
     const onSaveClick = async (e) => {
       e.preventDefault();
-      const payload = {};
-      cfg.fields.forEach((field) => {
-        const input = root.querySelector(`#${this._uid}-${field.inputId}`);
-        if (input) payload[field.name] = input.value.trim();
-      });
-      const error = cfg.validate(payload);
-      if (error) {
-        if (errorEl) {
-          errorEl.style.display = '';
-          errorEl.textContent  = error;
-        }
+      if (saving) return;
+      let payload = readForm();
+      const { valid } = validateForm({ showAll: true });
+      if (!valid) {
+        cfg.fields.forEach((field) => touched.add(field.name));
         return;
       }
+
+      saving = true;
+      if (saveBtn) saveBtn.disabled = true;
       try {
+        if (type === 'address') {
+          const normalized = await this._normalizeAddress(payload);
+          if (normalized) {
+            fillForm(normalized.address);
+            if (normalized.coords) {
+              pendingCoords = normalized.coords;
+              coordsFor = locationKey(readForm());
+            }
+            payload = readForm();
+            if (!cfg.validator.validate(payload).valid) return;
+          }
+          const location = locationKey(payload);
+          if (pendingCoords && coordsFor === location) payload.meta = { coords: pendingCoords };
+          // адрес исправлен вручную, без новой геокодировки — старые координаты неверны
+          else if (activeEditingId && location !== editingLocation) payload.meta = { coords: null };
+        }
+
         if (activeEditingId) {
-          await cfg.updateItem(activeEditingId, payload);
+          const ok = await cfg.updateItem(activeEditingId, payload);
+          if (ok === false) throw new ValidationError(cfg.validator.validate(payload).errors);
         } else {
           await cfg.addItem(payload);
         }
         render();
         hideForm();
       } catch (err) {
+        if (err instanceof ValidationError) {
+          showFieldErrors(err.errors);
+          return;
+        }
         console.error(err);
         if (errorEl) {
           errorEl.style.display = '';
           errorEl.textContent  = 'Ошибка при сохранении. Попробуйте ещё раз.';
         }
+      } finally {
+        saving = false;
+        // форма осталась открытой (ошибка) — вернуть кнопку и показать ошибки
+        if (formRoot.style.display !== 'none') validateForm({ showAll: true });
       }
     };
 
+    const applyMask = (field, input) => {
+      if (typeof field.mask !== 'function') return;
+      const masked = field.mask(input.value);
+      if (masked !== input.value) input.value = masked;
+    };
+
+    // Ввод: маска (телефон) и перепроверка формы.
+    // При удалении маска не применяется — иначе стёртые «+7» и скобки возвращаются.
+    const onInput = (e) => {
+      const field = cfg.fields.find((f) => e.target?.id === `${this._uid}-${f.inputId}`);
+      if (!field) return;
+      if (!String(e.inputType || '').startsWith('delete')) applyMask(field, e.target);
+      validateForm();
+    };
+
+    // Ошибка поля появляется после того, как пользователь ушёл из него
+    const onBlur = (e) => {
+      const field = cfg.fields.find((f) => e.target?.id === `${this._uid}-${f.inputId}`);
+      if (!field) return;
+      if (e.target.value) applyMask(field, e.target);
+      touched.add(field.name);
+      validateForm();
+    };
+
     // Обработчик отмены
     const onCancel = (e) => {
       e.preventDefault();
@@ -386,6 +540,7 @@ export class RecipientAddressController {
 
     // Обработчик клавиатуры (Escape/Enter)
     const onKeyDown = (e) => {
+      if (suggest?.handleKeyDown(e)) return;
       if (e.key === 'Escape') {
         if (formRoot && formRoot.style.display !== 'none') {
           hideForm();
@@ -406,6 +561,8 @@ export class RecipientAddressController {
     this._safeAddListener(saveBtn, 'click', onSaveClick);
     this._safeAddListener(cancelBtn, 'click', onCancel);
     this._safeAddListener(document, 'keydown', onKeyDown);
+    this._safeAddListener(formRoot, 'input', onInput);
+    this._safeAddListener(formRoot, 'focusout', onBlur);
 
     // Подписка на изменения в хранилище
     const unsubscribe = this._subscribeRender(() => {
@@ -418,6 +575,9 @@ export class RecipientAddressController {
       this._safeRemoveListener(saveBtn, 'click', onSaveClick);
       this._safeRemoveListener(cancelBtn, 'click', onCancel);
       this._safeRemoveListener(document, 'keydown', onKeyDown);
+      this._safeRemoveListener(formRoot, 'input', onInput);
+      this._safeRemoveListener(formRoot, 'focusout', onBlur);
+      suggest?.destroy();
       unsubscribe();
       const scheduled = this._scheduledRenders.get(root);
       if (scheduled && scheduled.timer) clearTimeout(scheduled.timer);
@@ -440,11 +600,174 @@ export class RecipientAddressController {
     observer.observe(document.body, { childList: true, subtree: true });
   }
 
+  /**
+   * Выпадающий список подсказок под полем. Запросы идут с задержкой,
+   * устаревшие ответы отбрасываются, ошибки провайдера скрывают список.
+   *
+   * @returns {{handleKeyDown: (e: KeyboardEvent) => boolean, reset: Function, destroy: Function}}
+   */
+  _mountAddressSuggest(root, field, { getCity, onPick }) {
+    const inputId = `${this._uid}-${field.inputId}`;
+    const input = root.querySelector(`#${inputId}`);
+    const list = root.querySelector(`#${inputId}-suggest`);
+    if (!input || !list) return null;
+
+    let items = [];
+    let active = -1;
+    let seq = 0;
+    let timer = null;
+    let abort = null;
+
+    const close = () => {
+      items = [];
+      active = -1;
+      list.hidden = true;
+      list.innerHTML = '';
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    };
+
+    const renderList = () => {
+      if (!items.length) return close();
+      list.innerHTML = items.map((s, i) => `
+        <li id="${inputId}-suggest-${i}" class="address-suggest__item${i === active ? ' is-active' : ''}"
+          role="option" aria-selected="${i === active}" data-suggest-index="${i}">${escapeHtml(s.label)}</li>`).join('');
+      list.hidden = false;
+      input.setAttribute('aria-expanded', 'true');
+      if (active >= 0) input.setAttribute('aria-activedescendant', `${inputId}-suggest-${active}`);
+      else input.removeAttribute('aria-activedescendant');
+    };
+
+    const pick = (index) => {
+      const suggestion = items[index];
+      if (!suggestion) return;
+      close();
+      try { onPick(suggestion); } catch (e) { console.error(e); }
+    };
+
+    const request = async () => {
+      const id = ++seq;
+      try { abort?.abort(); } catch {}
+      abort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const query = input.value.trim();
+      if (query.length < this.suggestProvider.minQueryLength) return close();
+
+      let result = [];
+      try {
+        result = await this.suggestProvider.suggest(query, {
+          city: getCity(),
+          limit: this.suggestProvider.limit,
+          signal: abort?.signal
+        });
+      } catch (e) {
+        if (id === seq) console.warn('[RecipientAddressController] address suggest failed', e);
+        result = [];
+      }
+      if (id !== seq || document.activeElement !== input) return;
+      items = (Array.isArray(result) ? result : [])
+        .map((s) => AddressSuggestProvider.normalizeSuggestion(s))
+        .filter(Boolean);
+      active = -1;
+      renderList();
+    };
+
+    const onInput = () => {
+      clearTimeout(timer);
+      timer = setTimeout(request, RecipientAddressController.SUGGEST_DELAY_MS);
+    };
+    const onBlur = () => {
+      clearTimeout(timer);
+      seq++;
+      close();
+    };
+    // mousedown, а не click: иначе blur поля закроет список раньше
+    const onListMouseDown = (e) => {
+      const li = e.target.closest('[data-suggest-index]');
+      if (!li) return;
+      e.preventDefault();
+      pick(Number(li.dataset.suggestIndex));
+    };
+
+    this._safeAddListener(input, 'input', onInput);
+    this._safeAddListener(input, 'blur', onBlur);
+    this._safeAddListener(list, 'mousedown', onListMouseDown);
+
+    return {
+      handleKeyDown: (e) => {
+        if (list.hidden || e.target !== input) return false;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          active = (active + step + items.length) % items.length;
+          renderList();
+          return true;
+        }
+        if (e.key === 'Enter' && active >= 0) {
+          e.preventDefault();
+          pick(active);
+          return true;
+        }
+        if (e.key === 'Escape') {
+          close();
+          return true;
+        }
+        return false;
+      },
+      reset: () => {
+        clearTimeout(timer);
+        seq++;
+        close();
+      },
+      destroy: () => {
+        clearTimeout(timer);
+        seq++;
+        try { abort?.abort(); } catch {}
+        this._safeRemoveListener(input, 'input', onInput);
+        this._safeRemoveListener(input, 'blur', onBlur);
+        this._safeRemoveListener(list, 'mousedown', onListMouseDown);
+      }
+    };
+  }
+
+  /**
+   * Нормализация адреса провайдером перед сохранением. Ограничена по времени;
+   * ошибка или таймаут — сохраняем адрес как введён.
+   * @returns {Promise<Object|null>} подсказка (address + coords) или null
+   */
+  async _normalizeAddress(address) {
+    if (!this.suggestProvider) return null;
+    const abort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timer = null;
+    try {
+      const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => {
+          try { abort?.abort(); } catch {}
+          resolve(null);
+        }, RecipientAddressController.NORMALIZE_TIMEOUT_MS);
+      });
+      const result = await Promise.race([
+        this.suggestProvider.normalize(address, { signal: abort?.signal }),
+        timeout
+      ]);
+      return result ? AddressSuggestProvider.normalizeSuggestion(result) : null;
+    } catch (e) {
+      console.warn('[RecipientAddressController] address normalize failed', e);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Генерация HTML карточки элемента. Каждый field рендерится с плейсхолдером (если определён).
    */
   _makeItemHtml(type, item) {
     const cfg = this._modalConfig[type];
+    // Записи из аккаунта могут не проходить текущие правила — просим дополнить
+    const { valid, errors } = cfg.validator.validate(item);
+    const invalidHtml = valid
+      ? ''
+      : `<p class="item-invalid" role="note">Дополните данные: ${escapeHtml(Object.values(errors)[0])}</p>`;
     const fieldsHtml = cfg.fields
       .map((field) => {
         const value = item[field.name];
@@ -458,10 +781,11 @@ export class RecipientAddressController {
       })
       .join('');
     return `
-      <div class="item-card ${type}-item" data-id="${escapeHtml(item.id)}">
+      <div class="item-card ${type}-item${valid ? '' : ' needs-edit'}" data-id="${escapeHtml(item.id)}">
         <ul class="fieldsList">
           ${fieldsHtml}
         </ul>
+        ${invalidHtml}
         <div class="item-actions" aria-hidden="false">
           <button class="action-btn select-btn" data-action="select" title="Выбрать">
             <i class="fa fa-check" aria-hidden="true"></i><span class="btn-label">Выбрать</span>
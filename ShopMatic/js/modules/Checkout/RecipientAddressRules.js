@@ -0,0 +1,46 @@
+import { FormValidator, rules } from './FormValidator.js';
+
+/**
+ * Правила для получателя и адреса доставки — общие для модальных окон
+ * (RecipientAddressController) и RecipientAddressStorage.
+ */
+
+export const RECIPIENT_LIMITS = Object.freeze({ name: 80, comment: 300 });
+
+export const ADDRESS_LIMITS = Object.freeze({
+  city: 100,
+  street: 120,
+  house: 20,
+  entrance: 10,
+  floor: 10,
+  flat: 10,
+  postalCode: 6,
+  label: 40
+});
+
+export const recipientValidator = new FormValidator({
+  name: [
+    rules.required('Укажите имя получателя'),
+    rules.minLength(2, 'Имя должно содержать минимум 2 символа'),
+    rules.maxLength(RECIPIENT_LIMITS.name)
+  ],
+  phone: [
+    rules.required('Укажите телефон'),
+    rules.phone()
+  ],
+  comment: [rules.maxLength(RECIPIENT_LIMITS.comment)]
+});
+
+export const addressValidator = new FormValidator({
+  city: [rules.required('Укажите город'), rules.maxLength(ADDRESS_LIMITS.city)],
+  street: [rules.required('Укажите улицу'), rules.maxLength(ADDRESS_LIMITS.street)],
+  house: [rules.required('Укажите дом'), rules.maxLength(ADDRESS_LIMITS.house)],
+  entrance: [rules.maxLength(ADDRESS_LIMITS.entrance)],
+  floor: [
+    rules.maxLength(ADDRESS_LIMITS.floor),
+    rules.pattern(/^-?\d{1,3}$/, 'Этаж — число')
+  ],
+  flat: [rules.maxLength(ADDRESS_LIMITS.flat)],
+  postalCode: [rules.postalCode()],
+  label: [rules.maxLength(ADDRESS_LIMITS.label)]
+});
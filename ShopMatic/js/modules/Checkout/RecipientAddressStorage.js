@@ -1,3 +1,6 @@
+import { ValidationError, formatPhone } from './FormValidator.js';
+import { recipientValidator, addressValidator } from './RecipientAddressRules.js';
+
 /**
  * RecipientAddressStorage (v2+) — расширенная и безопасная версия
  *
@@ -6,10 +9,28 @@
  *   version: 2,
  *   recipients: [...],
  *   addresses: [...],
- *   selected: { recipientId: null, addressId: null }
+ *   pickupPoints: [...],
+ *   tombstones: [{ type: 'recipient'|'address', id, deletedAt }],
+ *   selected: { recipientId: null, addressId: null, pickupPointId: null, target: 'address' }
  * }
+ *
+ * Получатели и адреса несут updatedAt (мс), удаления оставляют tombstones —
+ * по ним AddressBookSync сводит локальную и серверную адресные книги.
+ *
+ * target — куда везти заказ: на адрес или в пункт выдачи (TARGET).
+ *
+ * Получатели и адреса проверяются теми же правилами, что и формы
+ * (RecipientAddressRules.js): add* бросают ValidationError, update* возвращают false.
  */
 export class RecipientAddressStorage {
+  static TARGET = Object.freeze({
+    ADDRESS: 'address',
+    PICKUP: 'pickup'
+  });
+
+  /** Сколько хранить отметки об удалении (мс) */
+  static TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
   constructor(storageKey) {
     if (!storageKey || typeof storageKey !== "string") {
       throw new Error("RecipientAddressStorage: storageKey must be a non-empty string");
@@ -31,7 +52,7 @@ export class RecipientAddressStorage {
 
       if (parsed && typeof parsed === "object") {
         if (Array.isArray(parsed) && parsed.every(p => p && typeof p === "object" && 'name' in p)) {
-          this._cache = { version: 2, recipients: parsed, addresses: [], selected: { recipientId: null, addressId: null }, deliveryOptions: {} };
+          this._cache = { ...this._emptyCache(), recipients: parsed };
           this._safeSave();
           return;
         }
@@ -41,9 +62,9 @@ export class RecipientAddressStorage {
             version: parsed.version || 2,
             recipients: Array.isArray(parsed.recipients) ? parsed.recipients : [],
             addresses: Array.isArray(parsed.addresses) ? parsed.addresses : [],
-            selected: parsed.selected && typeof parsed.selected === 'object'
-              ? { recipientId: parsed.selected.recipientId || null, addressId: parsed.selected.addressId || null }
-              : { recipientId: null, addressId: null },
+            pickupPoints: Array.isArray(parsed.pickupPoints) ? parsed.pickupPoints : [],
+            tombstones: Array.isArray(parsed.tombstones) ? parsed.tombstones : [],
+            selected: this._normalizeSelected(parsed.selected),
             deliveryOptions: parsed.deliveryOptions || {}
           };
           return;
@@ -52,11 +73,35 @@ export class RecipientAddressStorage {
 
       throw new Error("Invalid structure");
     } catch {
-      this._cache = { version: 2, recipients: [], addresses: [], selected: { recipientId: null, addressId: null }, deliveryOptions: {} };
+      this._cache = this._emptyCache();
       this._safeSave();
     }
   }
 
+  _emptyCache() {
+    return {
+      version: 2,
+      recipients: [],
+      addresses: [],
+      pickupPoints: [],
+      tombstones: [],
+      selected: this._normalizeSelected(null),
+      deliveryOptions: {}
+    };
+  }
+
+  _normalizeSelected(selected) {
+    const s = selected && typeof selected === 'object' ? selected : {};
+    return {
+      recipientId: s.recipientId || null,
+      addressId: s.addressId || null,
+      pickupPointId: s.pickupPointId || null,
+      target: s.target === RecipientAddressStorage.TARGET.PICKUP
+        ? RecipientAddressStorage.TARGET.PICKUP
+        : RecipientAddressStorage.TARGET.ADDRESS
+    };
+  }
+
   _safeSave(metaEvent = "save", payload = null) {
     if (!this._cache) return;
 
@@ -150,10 +195,11 @@ export class RecipientAddressStorage {
     return {
       id: data.id || this._generateId("rcp"),
       name: String(data.name || "").trim(),
-      phone: String(data.phone || "").trim(),
+      phone: formatPhone(data.phone || ""),
       comment: String(data.comment || "").trim(),
       label: data.label || null,
-      meta: data.meta || {}
+      meta: data.meta || {},
+      updatedAt: Number(data.updatedAt) || Date.now()
     };
   }
 
@@ -166,17 +212,66 @@ export class RecipientAddressStorage {
       floor: String(data.floor || "").trim(),
       flat: String(data.flat || "").trim(),
       city: String(data.city || "").trim(),
+      postalCode: String(data.postalCode || "").trim(),
       label: data.label || null,
+      meta: data.meta || {},
+      updatedAt: Number(data.updatedAt) || Date.now()
+    };
+  }
+
+  /**
+   * Пункт выдачи хранится снимком: адрес, часы работы и способы оплаты
+   * нужны для отображения без повторного запроса к бэкенду.
+   */
+  _normalizePickupPoint(data = {}) {
+    const num = (v) => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+    return {
+      id: String(data.id || "").trim(),
+      title: String(data.title || "").trim(),
+      provider: String(data.provider || "").trim(),
+      city: String(data.city || "").trim(),
+      street: String(data.street || "").trim(),
+      house: String(data.house || "").trim(),
+      address: String(data.address || "").trim(),
+      lat: num(data.lat),
+      lon: num(data.lon),
+      hoursText: String(data.hoursText || "").trim(),
+      paymentTypes: Array.isArray(data.paymentTypes) ? data.paymentTypes.map(String) : [],
       meta: data.meta || {}
     };
   }
 
-  _validateRecipient(r) {
-    return r && typeof r.name === "string" && r.name.trim().length >= 2;
+  /**
+   * Применяет patch к копии записи и проверяет результат; запись в кеше
+   * меняется только если она остаётся валидной.
+   * @param {Object} item - запись из кеша
+   * @param {Object} patch
+   * @param {import('./FormValidator.js').FormValidator} validator
+   * @returns {{valid: boolean, errors: Object<string,string>}}
+   */
+  _applyPatch(item, patch, validator) {
+    const next = this._updateDeep(this._clone(item), patch || {});
+    if (typeof next.phone === "string") next.phone = formatPhone(next.phone);
+    next.updatedAt = Number(patch?.updatedAt) || Date.now();
+    const result = validator.validate(next);
+    if (result.valid) Object.assign(item, next);
+    return result;
+  }
+
+  /** Вставка/замена записи без проверки правил (сохранение — на вызывающем) */
+  _upsertUnchecked(list, data, normalize) {
+    if (!data || typeof data !== "object") return;
+    const existing = data.id ? this._find(list, data.id) : null;
+    if (existing) Object.assign(existing, normalize({ ...existing, ...data }));
+    else list.push(normalize(data));
   }
 
-  _validateAddress(a) {
-    return a && typeof a.street === "string" && a.street.trim().length >= 1;
+  _addTombstone(type, id, deletedAt = Date.now()) {
+    if (!Array.isArray(this._cache.tombstones)) this._cache.tombstones = [];
+    const minTime = Date.now() - RecipientAddressStorage.TOMBSTONE_TTL_MS;
+    this._cache.tombstones = this._cache.tombstones
+      .filter((t) => t && !(t.type === type && t.id === id) && t.deletedAt >= minTime);
+    this._cache.tombstones.push({ type, id, deletedAt });
   }
 
   _find(list, id) {
@@ -199,14 +294,12 @@ export class RecipientAddressStorage {
   addRecipient(data) {
     this._ensureLoaded();
     const record = this._normalizeRecipient(data);
-    if (!this._validateRecipient(record)) {
-      throw new Error("Invalid recipient data");
-    }
+    recipientValidator.assert(record);
     this._cache.recipients.push(record);
     this._safeSave("added:recipient", this._clone(record));
 
     try {
-      if (!this._cache.selected) this._cache.selected = { recipientId: null, addressId: null };
+      if (!this._cache.selected) this._cache.selected = this._normalizeSelected(null);
       if (!this._cache.selected.recipientId) {
         this._cache.selected.recipientId = record.id;
         this._safeSave("selected:recipient", this._clone(record));
@@ -226,8 +319,8 @@ export class RecipientAddressStorage {
       if (existing) {
         const patch = this._normalizeRecipient(data);
         patch.id = existing.id;
-        this._updateDeep(existing, patch);
-        if (!this._validateRecipient(existing)) throw new Error("Invalid recipient after update");
+        const { valid, errors } = this._applyPatch(existing, patch, recipientValidator);
+        if (!valid) throw new ValidationError(errors);
         this._safeSave("updated:recipient", this._clone(existing));
         return this._clone(existing);
       }
@@ -249,8 +342,7 @@ export class RecipientAddressStorage {
     this._ensureLoaded();
     const item = this._find(this._cache.recipients, id);
     if (!item) return false;
-    this._updateDeep(item, patch || {});
-    if (!this._validateRecipient(item)) return false;
+    if (!this._applyPatch(item, patch, recipientValidator).valid) return false;
     this._safeSave("updated:recipient", this._clone(item));
     return true;
   }
@@ -259,6 +351,7 @@ export class RecipientAddressStorage {
     this._ensureLoaded();
     const existed = !!this._find(this._cache.recipients, id);
     this._cache.recipients = this._cache.recipients.filter((r) => r.id !== id);
+    if (existed) this._addTombstone("recipient", id);
     if (this._cache.selected && this._cache.selected.recipientId === id) {
       this._cache.selected.recipientId = null;
       this._safeSave("removed:recipient", { id });
@@ -271,14 +364,12 @@ export class RecipientAddressStorage {
   addAddress(data) {
     this._ensureLoaded();
     const record = this._normalizeAddress(data);
-    if (!this._validateAddress(record)) {
-      throw new Error("Invalid address data");
-    }
+    addressValidator.assert(record);
     this._cache.addresses.push(record);
     this._safeSave("added:address", this._clone(record));
 
     try {
-      if (!this._cache.selected) this._cache.selected = { recipientId: null, addressId: null };
+      if (!this._cache.selected) this._cache.selected = this._normalizeSelected(null);
       if (!this._cache.selected.addressId) {
         this._cache.selected.addressId = record.id;
         this._safeSave("selected:address", this._clone(record));
@@ -298,8 +389,8 @@ export class RecipientAddressStorage {
       if (existing) {
         const patch = this._normalizeAddress(data);
         patch.id = existing.id;
-        this._updateDeep(existing, patch);
-        if (!this._validateAddress(existing)) throw new Error("Invalid address after update");
+        const { valid, errors } = this._applyPatch(existing, patch, addressValidator);
+        if (!valid) throw new ValidationError(errors);
         this._safeSave("updated:address", this._clone(existing));
         return this._clone(existing);
       }
@@ -321,8 +412,7 @@ export class RecipientAddressStorage {
     this._ensureLoaded();
     const item = this._find(this._cache.addresses, id);
     if (!item) return false;
-    this._updateDeep(item, patch || {});
-    if (!this._validateAddress(item)) return false;
+    if (!this._applyPatch(item, patch, addressValidator).valid) return false;
     this._safeSave("updated:address", this._clone(item));
     return true;
   }
@@ -331,6 +421,7 @@ export class RecipientAddressStorage {
     this._ensureLoaded();
     const existed = !!this._find(this._cache.addresses, id);
     this._cache.addresses = this._cache.addresses.filter((a) => a.id !== id);
+    if (existed) this._addTombstone("address", id);
     if (this._cache.selected && this._cache.selected.addressId === id) {
       this._cache.selected.addressId = null;
       this._safeSave("removed:address", { id });
@@ -402,10 +493,86 @@ export class RecipientAddressStorage {
     return this._clone(found);
   }
 
+  /* ---------- пункты выдачи ---------- */
+
+  getPickupPoints() {
+    this._ensureLoaded();
+    return this._clone(this._cache.pickupPoints);
+  }
+
+  getPickupPoint(id) {
+    this._ensureLoaded();
+    return this._clone(this._find(this._cache.pickupPoints, String(id)));
+  }
+
+  /**
+   * Сохраняет пункт выдачи (или обновляет снимок), выбирает его
+   * и переключает цель доставки на пункт выдачи.
+   */
+  selectPickupPoint(point) {
+    this._ensureLoaded();
+    const record = this._normalizePickupPoint(point);
+    if (!record.id) throw new Error("Invalid pickup point data");
+
+    const existing = this._find(this._cache.pickupPoints, record.id);
+    if (existing) Object.assign(existing, record);
+    else this._cache.pickupPoints.push(record);
+
+    this._cache.selected.pickupPointId = record.id;
+    this._cache.selected.target = RecipientAddressStorage.TARGET.PICKUP;
+    this._safeSave("selected:pickupPoint", this._clone(record));
+    return this._clone(record);
+  }
+
+  getSelectedPickupPoint() {
+    this._ensureLoaded();
+    const id = this._cache.selected?.pickupPointId;
+    if (!id) return null;
+    return this._clone(this._find(this._cache.pickupPoints, id));
+  }
+
+  removePickupPoint(id) {
+    this._ensureLoaded();
+    const existed = !!this._find(this._cache.pickupPoints, id);
+    this._cache.pickupPoints = this._cache.pickupPoints.filter((p) => p.id !== id);
+    if (this._cache.selected.pickupPointId === id) {
+      this._cache.selected.pickupPointId = null;
+      this._safeSave("removed:pickupPoint", { id });
+      this._safeSave("selected:pickupPoint", null);
+      return;
+    }
+    if (existed) this._safeSave("removed:pickupPoint", { id });
+  }
+
+  /** @returns {'address'|'pickup'} */
+  getDeliveryTargetType() {
+    this._ensureLoaded();
+    return this._cache.selected.target;
+  }
+
+  setDeliveryTargetType(type) {
+    this._ensureLoaded();
+    const target = this._normalizeSelected({ target: type }).target;
+    if (this._cache.selected.target === target) return;
+    this._cache.selected.target = target;
+    this._safeSave("selected:target", target);
+  }
+
+  /**
+   * Текущая цель доставки.
+   * @returns {{type: 'address', address: Object|null}|{type: 'pickup', pickupPoint: Object|null}}
+   */
+  getDeliveryTarget() {
+    return this.getDeliveryTargetType() === RecipientAddressStorage.TARGET.PICKUP
+      ? { type: RecipientAddressStorage.TARGET.PICKUP, pickupPoint: this.getSelectedPickupPoint() }
+      : { type: RecipientAddressStorage.TARGET.ADDRESS, address: this.getSelectedAddress() };
+  }
+
   clearSelection() {
     this._ensureLoaded();
     this._cache.selected.recipientId = null;
     this._cache.selected.addressId = null;
+    this._cache.selected.pickupPointId = null;
     this._safeSave("selected:cleared", null);
   }
 
@@ -470,6 +637,12 @@ export class RecipientAddressStorage {
     }
   }
 
+  /**
+   * @param {string} jsonString
+   * @param {{merge?: boolean, validate?: boolean}} [options] - validate: false — при слиянии
+   *   записи берутся как есть (серверная книга: неполные записи не теряются, их
+   *   дополняют в форме редактирования)
+   */
   import(jsonString, options = { merge: false }) {
     if (!jsonString || typeof jsonString !== "string") throw new Error("Invalid import payload");
     let parsed;
@@ -484,7 +657,10 @@ export class RecipientAddressStorage {
     if (!options.merge) {
       const recipients = Array.isArray(parsed.recipients) ? parsed.recipients.map(p => this._normalizeRecipient(p)) : [];
       const addresses = Array.isArray(parsed.addresses) ? parsed.addresses.map(a => this._normalizeAddress(a)) : [];
-      this._cache = { version: 2, recipients, addresses, selected: { recipientId: null, addressId: null } };
+      const pickupPoints = Array.isArray(parsed.pickupPoints)
+        ? parsed.pickupPoints.map(p => this._normalizePickupPoint(p)).filter(p => p.id)
+        : [];
+      this._cache = { ...this._emptyCache(), recipients, addresses, pickupPoints };
       this._safeSave("import:replace", null);
       return;
     }
@@ -492,11 +668,22 @@ export class RecipientAddressStorage {
     const incomingRecipients = Array.isArray(parsed.recipients) ? parsed.recipients : [];
     const incomingAddresses = Array.isArray(parsed.addresses) ? parsed.addresses : [];
 
+    const validate = options.validate !== false;
     for (const r of incomingRecipients) {
-      try { this.upsertRecipient(r); } catch {}
+      try {
+        if (validate) this.upsertRecipient(r);
+        else this._upsertUnchecked(this._cache.recipients, r, (d) => this._normalizeRecipient(d));
+      } catch {}
     }
     for (const a of incomingAddresses) {
-      try { this.upsertAddress(a); } catch {}
+      try {
+        if (validate) this.upsertAddress(a);
+        else this._upsertUnchecked(this._cache.addresses, a, (d) => this._normalizeAddress(d));
+      } catch {}
+    }
+    for (const p of Array.isArray(parsed.pickupPoints) ? parsed.pickupPoints : []) {
+      const point = this._normalizePickupPoint(p);
+      if (point.id && !this._find(this._cache.pickupPoints, point.id)) this._cache.pickupPoints.push(point);
     }
 
     if (parsed.selected && typeof parsed.selected === 'object') {
@@ -524,8 +711,40 @@ export class RecipientAddressStorage {
     return this._cache.deliveryOptions || {};
   }
 
+  /* ---------- синхронизация (AddressBookSync) ---------- */
+
+  /**
+   * Получатели, адреса и отметки об удалении — то, что уходит на сервер.
+   * @returns {{recipients: Object[], addresses: Object[], tombstones: Object[]}}
+   */
+  getSyncSnapshot() {
+    this._ensureLoaded();
+    return this._clone({
+      recipients: this._cache.recipients,
+      addresses: this._cache.addresses,
+      tombstones: this._cache.tombstones || []
+    });
+  }
+
+  /**
+   * Заменяет получателей и адреса результатом синхронизации. Записи берутся
+   * как есть (updatedAt не меняется), выбор сбрасывается для исчезнувших.
+   * Подписчики получают событие "sync:merged".
+   */
+  applySyncSnapshot({ recipients = [], addresses = [], tombstones = [] } = {}) {
+    this._ensureLoaded();
+    this._cache.recipients = recipients.map((r) => this._normalizeRecipient(r));
+    this._cache.addresses = addresses.map((a) => this._normalizeAddress(a));
+    this._cache.tombstones = this._clone(tombstones);
+
+    const sel = this._cache.selected;
+    if (sel.recipientId && !this._find(this._cache.recipients, sel.recipientId)) sel.recipientId = null;
+    if (sel.addressId && !this._find(this._cache.addresses, sel.addressId)) sel.addressId = null;
+    this._safeSave("sync:merged", null);
+  }
+
   clearAll() {
-    this._cache = { version: 2, recipients: [], addresses: [], selected: { recipientId: null, addressId: null } };
+    this._cache = this._emptyCache();
     this._safeSave("cleared", null);
   }
 }
\ No newline at end of file
@@ -0,0 +1,87 @@
+import { AddressSuggestProvider } from './AddressSuggestProvider.js';
+
+/**
+ * Address suggestions from a fixed list of streets — no network.
+ * Meant for tests, demos and small delivery areas.
+ *
+ *   new StaticAddressSuggestProvider({
+ *     entries: [{ city: 'Москва', street: 'Тверская ул.', postalCode: '125009', lat: 55.76, lon: 37.61 }]
+ *   });
+ *
+ * Every word of the query has to start a word of "city street" (case-insensitive);
+ * a number in the query is taken as the house, so "тверская 7" suggests
+ * "Москва, Тверская ул., 7". Suggestions from `options.city` come first.
+ *
+ * @author Calista Verner
+ */
+export class StaticAddressSuggestProvider extends AddressSuggestProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.entries] - `{ city, street, house?, postalCode?, lat?, lon? }`
+   * @param {number} [options.minQueryLength]
+   * @param {number} [options.limit]
+   */
+  constructor({ entries = [], ...options } = {}) {
+    super(options);
+    this.entries = (Array.isArray(entries) ? entries : [])
+      .map((e) => AddressSuggestProvider.normalizeSuggestion(e))
+      .filter(Boolean)
+      .map((s) => ({ ...s, words: StaticAddressSuggestProvider._words(`${s.address.city} ${s.address.street}`) }));
+  }
+
+  static _words(text) {
+    return String(text ?? '').toLowerCase().replace(/ё/g, 'е').split(/[\s,.]+/).filter(Boolean);
+  }
+
+  static _isHouse(token) {
+    return /^\d+[a-zа-я]?(\/\d+)?$/i.test(token);
+  }
+
+  async suggest(query, { city = '', limit = this.limit } = {}) {
+    const tokens = StaticAddressSuggestProvider._words(query);
+    if (tokens.join(' ').length < this.minQueryLength) return [];
+
+    const house = tokens.find((t) => StaticAddressSuggestProvider._isHouse(t)) || '';
+    const words = tokens.filter((t) => t !== house);
+    if (!words.length) return [];
+
+    const cityKey = StaticAddressSuggestProvider._words(city).join(' ');
+    const matches = this.entries.filter((e) => words.every((w) => e.words.some((ew) => ew.startsWith(w))));
+    matches.sort((a, b) => {
+      const ac = StaticAddressSuggestProvider._words(a.address.city).join(' ') === cityKey ? 0 : 1;
+      const bc = StaticAddressSuggestProvider._words(b.address.city).join(' ') === cityKey ? 0 : 1;
+      return ac - bc;
+    });
+
+    return matches.slice(0, Math.max(1, limit)).map(({ words: _w, ...s }) => {
+      const address = { ...s.address, house: house || s.address.house };
+      return {
+        label: [address.city, address.street, address.house].filter(Boolean).join(', '),
+        address,
+        coords: s.coords
+      };
+    });
+  }
+
+  /**
+   * Exact city + street from the dictionary: canonical spelling, postal code, coordinates.
+   */
+  async normalize(address = {}) {
+    const key = (a) => StaticAddressSuggestProvider._words(`${a.city} ${a.street}`).join(' ');
+    const wanted = key(address);
+    const entry = this.entries.find((e) => key(e.address) === wanted);
+    if (!entry) return null;
+
+    const normalized = {
+      ...entry.address,
+      house: String(address.house ?? '').trim() || entry.address.house,
+      flat: String(address.flat ?? '').trim() || entry.address.flat,
+      postalCode: entry.address.postalCode || String(address.postalCode ?? '').trim()
+    };
+    return {
+      label: [normalized.city, normalized.street, normalized.house].filter(Boolean).join(', '),
+      address: normalized,
+      coords: entry.coords
+    };
+  }
+}
@@ -0,0 +1,236 @@
+import { FavoritesCore } from '../Wishlist/FavoritesCore.js';
+import { Events } from '../Events.js';
+
+/**
+ * CompareModule — список товаров для сравнения.
+ *  - модель та же, что у избранного (FavoritesCore): порядок добавления, лимит
+ *  - хранение через StorageService (saveCompare/loadCompare)
+ *  - изменения уходят в eventBus как Events.COMPARE_CHANGED ({ id | ids, action })
+ *  - при попытке превысить лимит — Events.COMPARE_LIMIT ({ id, max })
+ *
+ * @author Calista Verner
+ */
+export class CompareModule {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.storage - StorageService (loadCompare/saveCompare)
+   * @param {Object} [deps.opts]
+   * @param {number} [deps.opts.max=4] - максимум товаров в сравнении (0 — без лимита)
+   * @param {'reject'|'drop_oldest'} [deps.opts.overflow='reject']
+   * @param {boolean} [deps.opts.sync=true] - синхронизация между вкладками (window 'storage')
+   */
+  constructor({ storage, opts = {} } = {}) {
+    if (!storage || typeof storage.loadCompare !== 'function' || typeof storage.saveCompare !== 'function') {
+      throw new Error('CompareModule requires storage with loadCompare() and saveCompare() methods');
+    }
+
+    this.storage = storage;
+    this.shopMatic = storage.shopMatic || null;
+
+    this._destroyed = false;
+    this._subs = new Set();
+
+    this.max = Math.max(0, Number.isFinite(opts.max) ? Math.floor(opts.max) : 4);
+    const overflow = opts.overflow === 'drop_oldest' ? 'drop_oldest' : 'reject';
+    this._core = new FavoritesCore({ max: this.max, overflow });
+
+    this._sync = opts.sync !== undefined ? Boolean(opts.sync) : true;
+    this._onStorageEvent = this._onStorageEvent.bind(this);
+    if (this._sync && typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', this._onStorageEvent);
+    }
+
+    this.loadFromStorage();
+  }
+
+  _bus() {
+    return this.shopMatic?.eventBus || null;
+  }
+
+  _emitBus(event, payload) {
+    try { this._bus()?.emit?.(event, payload); } catch {}
+  }
+
+  _emit(event) {
+    const payload = {
+      type: event.type,
+      id: event.id || null,
+      reason: event.reason || null,
+      list: this.exportToArray(),
+      count: this.getCount(),
+    };
+
+    for (const cb of this._subs) {
+      try { cb(payload); } catch (e) { console.warn('CompareModule subscriber error', e); }
+    }
+  }
+
+  _save() {
+    try {
+      this.storage.saveCompare(this.exportToArray());
+    } catch (e) {
+      console.warn('CompareModule: save failed', e);
+    }
+  }
+
+  _onStorageEvent(e) {
+    const key = this.storage.compareStorageKey;
+    if (!e || !key || (e.key !== key && e.key !== null)) return;
+
+    const prev = this.exportToArray();
+    this._core.replaceList(this._loadRaw());
+    const curr = this.exportToArray();
+
+    if (prev.length !== curr.length || prev.some((v, i) => v !== curr[i])) {
+      this._emit({ type: 'sync', id: null });
+      // затронутые id: и удалённые, и добавленные
+      this._emitBus(Events.COMPARE_CHANGED, { ids: Array.from(new Set([...prev, ...curr])), action: 'sync' });
+    }
+  }
+
+  _loadRaw() {
+    try {
+      return this.storage.loadCompare() || [];
+    } catch (e) {
+      console.warn('CompareModule: load failed', e);
+      return [];
+    }
+  }
+
+  loadFromStorage() {
+    if (this._destroyed) return this.exportToArray();
+
+    const { truncated } = this._core.replaceList(this._loadRaw());
+    if (truncated) this._save();
+
+    const list = this.exportToArray();
+    this._emit({ type: 'load', id: null });
+    this._emitBus(Events.COMPARE_CHANGED, { ids: list, action: 'load' });
+    return list;
+  }
+
+  has(id) { return this.isCompared(id); }
+  isCompared(id) { return this._core.has(id); }
+  getAll() { return this._core.exportToArray(); }
+  getCount() { return this._core.getCount(); }
+  exportToArray() { return this._core.exportToArray(); }
+  isFull() { return this.max > 0 && this.getCount() >= this.max; }
+
+  add(id) {
+    if (this._destroyed) return false;
+
+    const res = this._core.add(id);
+    if (!res.ok) {
+      if (res.reason === 'limit_reached') this._onLimit(res.id);
+      return false;
+    }
+
+    this._changed('add', res.id);
+    return true;
+  }
+
+  remove(id) {
+    if (this._destroyed) return false;
+
+    const res = this._core.remove(id);
+    if (!res.ok) return false;
+
+    this._changed('remove', res.id);
+    return true;
+  }
+
+  /**
+   * @returns {boolean} true — список изменился
+   */
+  toggle(id) {
+    if (this._destroyed) return false;
+
+    const res = this._core.toggle(id);
+    if (res.action === 'limit') {
+      this._onLimit(res.id);
+      return false;
+    }
+    if (!res.ok) return false;
+
+    this._changed(res.action, res.id);
+    return true;
+  }
+
+  clear() {
+    if (this._destroyed) return;
+
+    const before = this.exportToArray();
+    const res = this._core.clear();
+    if (!res.ok) return;
+
+    this._save();
+    this._emit({ type: 'clear', id: null });
+    this._emitBus(Events.COMPARE_CHANGED, { ids: before, action: 'clear' });
+  }
+
+  _changed(action, id) {
+    this._save();
+    this._emit({ type: action, id });
+    this._emitBus(Events.COMPARE_CHANGED, { id, action });
+  }
+
+  _onLimit(id) {
+    this._emit({ type: 'limit', id, reason: 'limit_reached' });
+    this._emitBus(Events.COMPARE_LIMIT, { id, max: this.max });
+  }
+
+  /**
+   * Товары списка сравнения (из кеша ProductService, недостающие — догружаются).
+   * Порядок — порядок добавления; ненайденные товары пропускаются.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getProducts() {
+    const ps = this.shopMatic?.productService;
+    if (!ps) return [];
+
+    const ids = this.exportToArray();
+    const products = await Promise.all(ids.map(async (id) => {
+      try {
+        const cached = ps.findById?.(id);
+        if (cached) return cached;
+        return (await ps.fetchById?.(id)) || null;
+      } catch (e) {
+        console.warn('CompareModule: failed to resolve product', id, e);
+        return null;
+      }
+    }));
+
+    return products.filter(Boolean);
+  }
+
+  subscribe(cb, { immediate = true } = {}) {
+    if (typeof cb !== 'function') throw new Error('subscribe requires a function');
+
+    this._subs.add(cb);
+
+    if (immediate) {
+      cb({
+        type: 'load',
+        id: null,
+        list: this.exportToArray(),
+        count: this.getCount(),
+      });
+    }
+
+    return () => this._subs.delete(cb);
+  }
+
+  destroy() {
+    if (this._destroyed) return;
+    this._destroyed = true;
+
+    if (this._sync && typeof window !== 'undefined' && window.removeEventListener) {
+      window.removeEventListener('storage', this._onStorageEvent);
+    }
+    this._subs.clear();
+  }
+
+  [Symbol.iterator]() {
+    return this._core[Symbol.iterator]();
+  }
+}
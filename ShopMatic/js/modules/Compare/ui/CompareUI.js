@@ -0,0 +1,225 @@
+import { escapeHtml, formatPrice, parseSpecs, makeSpecCompareHtml } from '../../utils.js';
+import { Events } from '../../Events.js';
+
+/**
+ * CompareUI — страница сравнения: таблица «товары × характеристики».
+ *  - колонки: товары в порядке добавления (фото, название, цена, «В корзину», убрать)
+ *  - строки: цена/бренд/категория/наличие + объединение характеристик всех товаров
+ *  - отличающиеся строки помечаются .is-diff; чекбокс «только различия» прячет остальные
+ *  - перерисовывается по Events.COMPARE_CHANGED
+ *
+ * @author Calista Verner
+ */
+export class CompareUI {
+  static UI_MESSAGES = Object.freeze({
+    COMPARE_EMPTY_TITLE: 'Список сравнения пуст',
+    COMPARE_EMPTY_BODY: 'Отметьте товары в каталоге значком сравнения — они появятся здесь.',
+    COMPARE_COUNT: 'Товаров в сравнении: {count}',
+    COMPARE_COUNT_EMPTY: 'Нет товаров для сравнения',
+    COMPARE_REMOVE: 'Убрать из сравнения',
+    COMPARE_TO_CART: 'В корзину',
+    COMPARE_ROW_PRICE: 'Цена',
+    COMPARE_ROW_BRAND: 'Бренд',
+    COMPARE_ROW_CATEGORY: 'Категория',
+    COMPARE_ROW_STOCK: 'Наличие',
+    COMPARE_IN_STOCK: 'В наличии',
+    COMPARE_OUT_OF_STOCK: 'Под заказ',
+    COMPARE_CLEAR_CONFIRM: 'Очистить список сравнения?'
+  });
+
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.shop - ShopMatic
+   * @param {Object} [deps.selectors]
+   */
+  constructor({ shop, selectors = {} } = {}) {
+    if (!shop) throw new Error('CompareUI requires a shop instance');
+    this.shop = shop;
+
+    this.selectors = Object.assign({
+      table: '#compare-table',
+      count: '#compare-count',
+      clearBtn: '#clear-compare',
+      diffOnly: '#compare-diff-only'
+    }, selectors);
+
+    this.tableRoot = null;
+    this.countEl = null;
+    this.clearBtn = null;
+    this.diffOnlyEl = null;
+
+    /** @type {Element[]} смонтированные через Card колонки товаров */
+    this._mounted = [];
+    this._renderToken = 0;
+    this._unsubBus = null;
+    this._clearHandler = null;
+    this._diffHandler = null;
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = CompareUI.UI_MESSAGES[key] ?? '';
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  init() {
+    this.destroy();
+
+    this.tableRoot = document.querySelector(this.selectors.table);
+    this.countEl = document.querySelector(this.selectors.count);
+    this.clearBtn = document.querySelector(this.selectors.clearBtn);
+    this.diffOnlyEl = document.querySelector(this.selectors.diffOnly);
+
+    if (this.clearBtn) {
+      this._clearHandler = () => {
+        if (!this.shop.compare?.getCount()) return;
+        if (!confirm(this._msg('COMPARE_CLEAR_CONFIRM'))) return;
+        this.shop.compare.clear();
+      };
+      this.clearBtn.addEventListener('click', this._clearHandler);
+    }
+
+    if (this.diffOnlyEl) {
+      this._diffHandler = () => this._applyDiffOnly();
+      this.diffOnlyEl.addEventListener('change', this._diffHandler);
+    }
+
+    // состояние карточек (корзина/избранное) Card обновляет сам — здесь только состав списка
+    this._unsubBus = this.shop.eventBus?.on?.(Events.COMPARE_CHANGED, () => {
+      this.render().catch((e) => console.error('CompareUI.render failed', e));
+    }) || null;
+
+    return this.render();
+  }
+
+  async render() {
+    const root = this.tableRoot;
+    if (!root) return;
+
+    const token = ++this._renderToken;
+    const products = (await this.shop.compare?.getProducts?.()) || [];
+    if (token !== this._renderToken || !this.tableRoot) return;
+
+    this._unmountColumns();
+
+    const count = products.length;
+    if (this.countEl) {
+      this.countEl.textContent = count
+        ? this._msg('COMPARE_COUNT', { count })
+        : this._msg('COMPARE_COUNT_EMPTY');
+    }
+
+    if (!count) {
+      root.innerHTML = `<div class="empty" role="status">
+        <h3>${escapeHtml(this._msg('COMPARE_EMPTY_TITLE'))}</h3>
+        <p>${escapeHtml(this._msg('COMPARE_EMPTY_BODY'))}</p>
+      </div>`;
+      return;
+    }
+
+    root.innerHTML = `<div class="compare-scroll">
+      <table class="compare-table">
+        <thead><tr>
+          <td class="compare-table__corner"></td>
+          ${products.map((p) => this._headCellHtml(p)).join('')}
+        </tr></thead>
+        <tbody>${makeSpecCompareHtml(this._rowsSource(products))}</tbody>
+      </table>
+    </div>`;
+
+    // колонки монтируются как карточки: «В корзину», сравнение и избранное работают через Card
+    const cols = root.querySelectorAll('.compare-col[data-product-id]');
+    cols.forEach((col, i) => {
+      try {
+        this.shop.card?.mount?.(col, products[i], 'VERTICAL');
+        this._mounted.push(col);
+      } catch (e) {
+        console.warn('CompareUI: card mount failed', e);
+      }
+    });
+
+    this._applyDiffOnly();
+  }
+
+  _headCellHtml(p) {
+    const esc = (v) => escapeHtml(String(v ?? ''));
+    const id = String(p.name);
+    const title = p.fullname ?? p.title ?? p.name;
+    const img = this._firstImage(p.picture);
+
+    return `<th scope="col" class="compare-col" data-product-id="${esc(id)}">
+      <button type="button" class="compare-col__remove" data-role="compare"
+        aria-label="${esc(this._msg('COMPARE_REMOVE'))}">&times;</button>
+      <a class="compare-col__link" href="#product/${encodeURIComponent(id)}">
+        <img class="compare-col__image" src="${esc(img)}" alt="${esc(title)}" loading="lazy">
+        <span class="compare-col__title">${esc(title)}</span>
+      </a>
+      <div class="compare-col__price">${esc(this._price(p.price))}</div>
+      <button type="button" class="btn" data-role="buy">${esc(this._msg('COMPARE_TO_CART'))}</button>
+    </th>`;
+  }
+
+  /**
+   * Товары для makeSpecCompareHtml: базовые поля идут первыми строками, затем specs.
+   */
+  _rowsSource(products) {
+    return products.map((p) => ({
+      specs: {
+        [this._msg('COMPARE_ROW_PRICE')]: this._price(p.price),
+        [this._msg('COMPARE_ROW_BRAND')]: p.brandName ?? p.brand ?? '',
+        [this._msg('COMPARE_ROW_CATEGORY')]: p.categoryName ?? p.category ?? '',
+        [this._msg('COMPARE_ROW_STOCK')]: Number(p.stock) > 0
+          ? this._msg('COMPARE_IN_STOCK')
+          : this._msg('COMPARE_OUT_OF_STOCK'),
+        ...(parseSpecs(p.specs) || {})
+      }
+    }));
+  }
+
+  _price(value) {
+    try {
+      return formatPrice(Number(value) || 0);
+    } catch {
+      return String(value ?? '');
+    }
+  }
+
+  _firstImage(picture) {
+    let arr = picture;
+    if (typeof picture === 'string') {
+      try { arr = JSON.parse(picture); } catch { arr = picture ? [picture] : []; }
+    }
+    return Array.isArray(arr) && arr.length ? String(arr[0]) : '/assets/no-image.png';
+  }
+
+  _applyDiffOnly() {
+    const table = this.tableRoot?.querySelector('.compare-table');
+    if (!table) return;
+    table.classList.toggle('compare-table--diff-only', !!this.diffOnlyEl?.checked);
+  }
+
+  _unmountColumns() {
+    for (const col of this._mounted) {
+      try { this.shop.card?.unmount?.(col); } catch {}
+    }
+    this._mounted = [];
+  }
+
+  destroy() {
+    this._renderToken++;
+    try { this._unsubBus?.(); } catch {}
+    this._unsubBus = null;
+
+    if (this.clearBtn && this._clearHandler) this.clearBtn.removeEventListener('click', this._clearHandler);
+    if (this.diffOnlyEl && this._diffHandler) this.diffOnlyEl.removeEventListener('change', this._diffHandler);
+    this._clearHandler = null;
+    this._diffHandler = null;
+
+    this._unmountColumns();
+    this.tableRoot = null;
+    this.countEl = null;
+    this.clearBtn = null;
+    this.diffOnlyEl = null;
+  }
+}
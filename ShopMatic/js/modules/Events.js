@@ -4,6 +4,7 @@
  * Design notes:
  *  - DOMAIN_* events represent state changes in domain/services.
  *  - UI_* events represent UI pipeline lifecycle / snapshots.
+ *  - AUTH_* events describe the customer session (login, logout, token refresh).
  *
  * @author Calista Verner
  */
@@ -11,7 +12,16 @@ export const Events = Object.freeze({
   // Domain
   DOMAIN_CART_CHANGED: 'domain.cart.changed',
   DOMAIN_INCLUDED_CHANGED: 'domain.included.changed',
+  DOMAIN_CART_MERGED: 'domain.cart.merged',
+  COMPARE_CHANGED: 'compare:changed',
+  COMPARE_LIMIT: 'compare:limit',
   DOMAIN_FAVORITES_CHANGED: 'domain.favorites.changed',
+  DOMAIN_ORDER_CREATED: 'domain.order.created',
+
+  // Auth (AuthModule)
+  AUTH_CHANGED: 'auth:changed',
+  AUTH_REFRESHED: 'auth:refreshed',
+  AUTH_SESSION_EXPIRED: 'auth:expired',
 
   // UI
   UI_CART_UPDATED: 'ui.cart.updated',
@@ -0,0 +1,216 @@
+import { ApiFetcher } from '../ApiFetcher.js';
+import { ApiError } from '../Transport/ApiError.js';
+
+/**
+ * Backend API for orders: creation, history and a single order.
+ *
+ * Endpoint map (sysRequest names), overridable via `options.endpoints`:
+ *   createOrder: 'createOrder', orders: 'getOrders', orderById: 'getOrder'
+ *
+ * Order creation is not idempotent on its own, so every submit carries an
+ * idempotency key: the backend must return the same order for a repeated key.
+ * The key is kept per order payload — retrying the same checkout (network
+ * failure, double click, retry policy) reuses it, while a changed cart or
+ * delivery gets a fresh one.
+ *
+ * @author Calista Verner
+ */
+export class OrderService extends ApiFetcher {
+  static UI_MESSAGES = Object.freeze({
+    SUBMIT_FAILED: 'Не удалось оформить заказ. Попробуйте ещё раз.',
+    SUBMIT_TIMEOUT: 'Сервер не ответил вовремя. Проверьте заказы позже или повторите попытку.',
+    SUBMIT_NETWORK: 'Нет соединения с сервером. Проверьте интернет и повторите попытку.',
+    LOAD_FAILED: 'Не удалось загрузить заказы. Попробуйте обновить страницу.'
+  });
+
+  /**
+   * @param {Object|null} foxEngine - Host engine or transport (see ApiFetcher).
+   * @param {Object} [options]
+   * @param {{send: Function}} [options.transport] - Explicit transport.
+   * @param {Object<string,string>} [options.endpoints] - Defaults:
+   *   `{ createOrder: 'createOrder', orders: 'getOrders', orderById: 'getOrder' }`.
+   * @param {number} [options.timeoutMs=15000]
+   * @param {Object} [options.retry] - Retry policy for order requests (safe thanks to idempotency keys).
+   * @param {boolean} [options.debug]
+   */
+  constructor(foxEngine, {
+    transport,
+    endpoints = {},
+    timeoutMs = 15000,
+    retry = { retries: 2 },
+    debug
+  } = {}) {
+    const merged = { createOrder: 'createOrder', orders: 'getOrders', orderById: 'getOrder', ...endpoints };
+    super(foxEngine, { transport, endpoints: merged, timeoutMs, retry, debug });
+    this.endpoints = merged;
+
+    /** @type {{fingerprint: string, key: string}|null} */
+    this._pendingKey = null;
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = OrderService.UI_MESSAGES[key] ?? '';
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  /**
+   * @param {string} [prefix='ord']
+   * @returns {string}
+   */
+  static generateKey(prefix = 'ord') {
+    try {
+      if (globalThis.crypto?.randomUUID) return `${prefix}-${globalThis.crypto.randomUUID()}`;
+    } catch {}
+    return `${prefix}-${Math.random().toString(36).slice(2)}-${Date.now().toString(36)}`;
+  }
+
+  /**
+   * Idempotency key for a payload: reused while the payload stays the same.
+   * @param {Object} payload
+   * @returns {string}
+   */
+  idempotencyKeyFor(payload) {
+    const fingerprint = JSON.stringify(payload ?? null);
+    if (this._pendingKey && this._pendingKey.fingerprint === fingerprint) return this._pendingKey.key;
+    this._pendingKey = { fingerprint, key: OrderService.generateKey() };
+    return this._pendingKey.key;
+  }
+
+  /** Forgets the pending key (after a successful order). */
+  resetIdempotencyKey() {
+    this._pendingKey = null;
+  }
+
+  /**
+   * Creates an order.
+   *
+   * @param {Object} payload - Order payload (see CheckoutController._buildOrderPayload).
+   * @param {{signal?: AbortSignal, idempotencyKey?: string}} [options]
+   * @returns {Promise<{ok: boolean, order: Object|null, message: string, error?: ApiError}>}
+   */
+  async submit(payload, { signal, idempotencyKey } = {}) {
+    const key = idempotencyKey || this.idempotencyKeyFor(payload);
+
+    let res;
+    try {
+      res = await this._safeCall(
+        { sysRequest: this.endpoints.createOrder, idempotencyKey: key, order: payload },
+        'JSON',
+        { signal }
+      );
+    } catch (err) {
+      const error = ApiError.from(err, { endpoint: this.endpoints.createOrder });
+      return { ok: false, order: null, message: error.isAborted ? '' : this._errorText(error), error };
+    }
+
+    const failed = res && typeof res === 'object' && (res.ok === false || res.success === false || res.error);
+    const order = failed ? null : OrderService.normalizeOrder(res?.order ?? res?.data ?? res);
+    if (!order) {
+      const message = typeof (res?.message ?? res?.error) === 'string' ? (res.message ?? res.error) : '';
+      return { ok: false, order: null, message: message || this._msg('SUBMIT_FAILED') };
+    }
+
+    this.resetIdempotencyKey();
+    return { ok: true, order, message: '' };
+  }
+
+  /**
+   * Order history of the current customer, newest first.
+   *
+   * @param {{page?: number, limit?: number}} [params]
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<{items: Object[], total: number|null}>}
+   * @throws {ApiError} on transport/backend failures
+   */
+  async fetchOrders({ page = 1, limit = 20 } = {}, { signal } = {}) {
+    const { payload } = this._buildRequest('orders', { params: { page, limit } });
+    const res = await this._safeCall(payload, 'JSON', { signal });
+
+    const items = this._extractArray(res, ['orders', 'items', 'data'])
+      .map((raw) => OrderService.normalizeOrder(raw))
+      .filter(Boolean)
+      .sort((a, b) => (Date.parse(b.createdAt) || 0) - (Date.parse(a.createdAt) || 0));
+
+    const rawTotal = res && typeof res === 'object' ? (res.total ?? res.meta?.total) : null;
+    const total = Number.isFinite(Number(rawTotal)) && rawTotal !== null ? Number(rawTotal) : null;
+    return { items, total };
+  }
+
+  /**
+   * A single order with items, delivery and payment.
+   *
+   * @param {string} id
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<Object|null>} null — no such order
+   * @throws {ApiError} on transport/backend failures
+   */
+  async fetchOrder(id, { signal } = {}) {
+    const { payload } = this._buildRequest('orderById', { params: { id: String(id) } });
+    const res = await this._safeCall(payload, 'JSON', { signal });
+    return OrderService.normalizeOrder(res?.order ?? res?.data ?? res);
+  }
+
+  /**
+   * Normalizes a backend order. Returns null when there is no order id.
+   * @param {any} raw
+   * @returns {Object|null}
+   */
+  static normalizeOrder(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const id = String(raw.id ?? raw.orderId ?? raw.order_id ?? '').trim();
+    if (!id) return null;
+
+    const items = (Array.isArray(raw.items) ? raw.items : [])
+      .map((it) => OrderService.normalizeItem(it))
+      .filter(Boolean);
+    const totals = raw.totals && typeof raw.totals === 'object' ? raw.totals : {};
+
+    return {
+      id,
+      number: String(raw.number ?? raw.orderNumber ?? id),
+      status: String(raw.status ?? 'created'),
+      createdAt: raw.createdAt ?? raw.created_at ?? raw.date ?? null,
+      total: Number(raw.total ?? raw.sum ?? totals.total ?? 0) || 0,
+      items,
+      totals: {
+        subtotal: Number(totals.subtotal ?? 0) || 0,
+        discount: Number(totals.discount ?? 0) || 0,
+        delivery: Number(totals.delivery ?? 0) || 0
+      },
+      delivery: raw.delivery && typeof raw.delivery === 'object' ? raw.delivery : null,
+      payment: raw.payment && typeof raw.payment === 'object' ? raw.payment : null,
+      recipient: raw.recipient && typeof raw.recipient === 'object' ? raw.recipient : null,
+      raw
+    };
+  }
+
+  /**
+   * Normalizes an order line: `id` is the purchased product/variant id.
+   * @param {any} raw
+   * @returns {Object|null}
+   */
+  static normalizeItem(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const id = String(raw.id ?? raw.productId ?? raw.product_id ?? raw.name ?? '').trim();
+    if (!id) return null;
+    return {
+      id,
+      parentId: raw.parentId ?? null,
+      title: String(raw.fullname ?? raw.title ?? raw.productName ?? id),
+      optionsText: String(raw.optionsText ?? ''),
+      picture: raw.picture ?? raw.image ?? null,
+      price: Number(raw.price ?? 0) || 0,
+      qty: Math.max(1, Number(raw.qty ?? raw.quantity ?? 1) || 1)
+    };
+  }
+
+  _errorText(error) {
+    if (error.kind === ApiError.TIMEOUT) return this._msg('SUBMIT_TIMEOUT');
+    if (error.kind === ApiError.NETWORK) return this._msg('SUBMIT_NETWORK');
+    return error.message && error.kind === ApiError.BACKEND && error.status && error.status < 500
+      ? error.message
+      : this._msg('SUBMIT_FAILED');
+  }
+}
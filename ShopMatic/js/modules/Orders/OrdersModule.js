@@ -0,0 +1,190 @@
+import { Events } from '../Events.js';
+import { ApiError } from '../Transport/ApiError.js';
+import { OrderService } from './OrderService.js';
+
+/**
+ * OrdersModule — история заказов покупателя.
+ *  - список и отдельный заказ через OrderService (endpoints orders / orderById)
+ *  - список кешируется до следующего оформленного заказа (Events.DOMAIN_ORDER_CREATED);
+ *    смена покупателя (Events.AUTH_CHANGED) сбрасывает кеш целиком
+ *  - «повторить заказ»: доступные позиции снова попадают в корзину,
+ *    количество ограничивается остатком за вычетом того, что уже в корзине
+ *
+ * @author Calista Verner
+ */
+export class OrdersModule {
+  static UI_MESSAGES = Object.freeze({
+    REPEAT_ADDED: 'Товары из заказа добавлены в корзину',
+    REPEAT_PARTIAL: 'Добавлено не всё: часть товаров закончилась или есть в меньшем количестве',
+    REPEAT_NONE: 'Товаров из этого заказа сейчас нет в наличии',
+    ORDER_NOT_FOUND: 'Заказ не найден'
+  });
+
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.shop - ShopMatic
+   * @param {OrderService} deps.service
+   */
+  constructor({ shop, service } = {}) {
+    if (!shop) throw new Error('OrdersModule requires a shop instance');
+    if (!(service instanceof OrderService)) throw new Error('OrdersModule requires an OrderService');
+
+    this.shop = shop;
+    this.service = service;
+
+    /** @type {Object[]|null} */
+    this._list = null;
+    /** @type {Map<string, Object>} заказы, загруженные целиком */
+    this._details = new Map();
+    /** растёт при сбросе кеша: ответы, запрошенные до сброса, не кешируются */
+    this._generation = 0;
+
+    this._unsubBus = this.shop.eventBus?.on?.(Events.DOMAIN_ORDER_CREATED, ({ order } = {}) => {
+      this._list = null;
+      if (order?.id) this._details.delete(String(order.id));
+    }) || null;
+    this._unsubAuth = this.shop.eventBus?.on?.(Events.AUTH_CHANGED, () => this.clearCache()) || null;
+  }
+
+  /** Сбрасывает список и загруженные заказы (например, при смене покупателя) */
+  clearCache() {
+    this._generation++;
+    this._list = null;
+    this._details.clear();
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = OrdersModule.UI_MESSAGES[key] ?? '';
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  /**
+   * Заказы покупателя, новые сверху.
+   * @param {{refresh?: boolean, signal?: AbortSignal}} [options]
+   * @returns {Promise<Object[]>}
+   * @throws {ApiError}
+   */
+  async getOrders({ refresh = false, signal } = {}) {
+    if (this._list && !refresh) return this._list;
+    const generation = this._generation;
+    const { items } = await this.service.fetchOrders({}, { signal });
+    if (generation === this._generation) this._list = items;
+    return items;
+  }
+
+  /**
+   * Заказ целиком (позиции, доставка, оплата).
+   * @param {string} id
+   * @param {{refresh?: boolean, signal?: AbortSignal}} [options]
+   * @returns {Promise<Object|null>}
+   * @throws {ApiError}
+   */
+  async getOrder(id, { refresh = false, signal } = {}) {
+    const key = String(id ?? '');
+    if (!key) return null;
+    if (!refresh && this._details.has(key)) return this._details.get(key);
+
+    const generation = this._generation;
+    const order = await this.service.fetchOrder(key, { signal });
+    if (order && generation === this._generation) this._details.set(key, order);
+    return order;
+  }
+
+  /**
+   * Товар для позиции заказа; вариант подгружается через родителя.
+   * @returns {Promise<Object|null>}
+   */
+  async _resolveProduct(item) {
+    const ps = this.shop.productService;
+    if (!ps) return null;
+    try {
+      const cached = ps.findById(item.id);
+      if (cached) return cached;
+      if (item.parentId) await ps.fetchById(item.parentId);
+      return ps.findById(item.id) || (await ps.fetchById(item.id));
+    } catch (e) {
+      if (ApiError.isAbort(e)) throw e;
+      return null;
+    }
+  }
+
+  /**
+   * Повторяет заказ: добавляет в корзину всё, что есть в наличии.
+   *
+   * @param {Object|string} orderOrId
+   * @returns {Promise<{
+   *   added: Array<{id: string, qty: number}>,
+   *   partial: Array<{id: string, qty: number, requested: number}>,
+   *   skipped: Array<{id: string, reason: 'unavailable'|'out_of_stock'}>
+   * }>}
+   */
+  async repeatOrder(orderOrId) {
+    const order = typeof orderOrId === 'object' && orderOrId?.items?.length
+      ? orderOrId
+      : await this.getOrder(typeof orderOrId === 'object' ? orderOrId?.id : orderOrId);
+
+    const result = { added: [], partial: [], skipped: [] };
+    if (!order) {
+      this._notify(this._msg('ORDER_NOT_FOUND'), 'error');
+      return result;
+    }
+
+    const lines = [];
+    for (const item of order.items) {
+      const product = await this._resolveProduct(item);
+      if (!product) {
+        result.skipped.push({ id: item.id, reason: 'unavailable' });
+        continue;
+      }
+
+      const available = this._availableQty(item.id);
+      const qty = Math.min(item.qty, available);
+      if (qty <= 0) {
+        result.skipped.push({ id: item.id, reason: 'out_of_stock' });
+        continue;
+      }
+      lines.push({ item, qty });
+    }
+
+    // одной пачкой: без уведомления на каждую позицию, итог — одним сообщением ниже
+    const added = this.shop.cart.addMany(lines.map(({ item, qty }) => ({ id: item.id, qty })));
+    lines.forEach(({ item, qty }, i) => {
+      if (!added[i]) result.skipped.push({ id: item.id, reason: 'unavailable' });
+      else if (qty < item.qty) result.partial.push({ id: item.id, qty, requested: item.qty });
+      else result.added.push({ id: item.id, qty });
+    });
+
+    const anyAdded = result.added.length + result.partial.length > 0;
+    if (!anyAdded) this._notify(this._msg('REPEAT_NONE'), 'warning');
+    else if (result.partial.length || result.skipped.length) this._notify(this._msg('REPEAT_PARTIAL'), 'warning');
+    else this._notify(this._msg('REPEAT_ADDED'), 'success');
+
+    return result;
+  }
+
+  /** Остаток товара за вычетом количества в корзине */
+  _availableQty(id) {
+    try {
+      const computed = this.shop.card?._computeAvailableStock?.(id);
+      if (Number.isFinite(computed)) return computed;
+    } catch {}
+    const product = this.shop.productService?.findById?.(id);
+    return Math.max(0, Number(product?.stock || 0));
+  }
+
+  _notify(message, type = 'info') {
+    try {
+      this.shop.notifications?.show?.(message, { type });
+    } catch {}
+  }
+
+  destroy() {
+    try { this._unsubBus?.(); } catch {}
+    try { this._unsubAuth?.(); } catch {}
+    this._unsubBus = null;
+    this._unsubAuth = null;
+    this.clearCache();
+  }
+}
@@ -0,0 +1,370 @@
+import { escapeHtml, formatPrice, pluralize } from '../../utils.js';
+
+/**
+ * OrdersUI — страницы «Мои заказы» и «Заказ №…».
+ *  - список: номер, дата, статус, сумма и миниатюры товаров; ссылка на #order/<id>
+ *  - заказ: позиции, получатель, доставка, оплата и итоги
+ *  - «Повторить заказ» на обеих страницах (OrdersModule.repeatOrder)
+ *
+ * @author Calista Verner
+ */
+export class OrdersUI {
+  static UI_MESSAGES = Object.freeze({
+    ORDERS_TITLE: 'Мои заказы',
+    ORDERS_EMPTY_TITLE: 'Заказов пока нет',
+    ORDERS_EMPTY_BODY: 'Оформленные заказы появятся здесь.',
+    ORDERS_LOADING: 'Загружаем заказы…',
+    ORDERS_LOAD_FAILED: 'Не удалось загрузить заказы',
+    ORDERS_RETRY: 'Повторить',
+    ORDER_TITLE: 'Заказ №{number}',
+    ORDER_FROM: 'от {date}',
+    ORDER_NOT_FOUND: 'Заказ не найден',
+    ORDER_BACK: 'Все заказы',
+    ORDER_REPEAT: 'Повторить заказ',
+    ORDER_ITEMS: 'Товары',
+    ORDER_RECIPIENT: 'Получатель',
+    ORDER_DELIVERY: 'Доставка',
+    ORDER_PAYMENT: 'Оплата',
+    ORDER_SUBTOTAL: 'Товары',
+    ORDER_DISCOUNT: 'Скидка',
+    ORDER_DELIVERY_PRICE: 'Доставка',
+    ORDER_TOTAL: 'Итого',
+    ORDER_MORE_ITEMS: '+{count}'
+  });
+
+  static STATUS_LABELS = Object.freeze({
+    created: 'Оформлен',
+    pending: 'В обработке',
+    processing: 'В обработке',
+    paid: 'Оплачен',
+    shipped: 'В пути',
+    delivered: 'Доставлен',
+    completed: 'Выполнен',
+    canceled: 'Отменён',
+    cancelled: 'Отменён'
+  });
+
+  static DELIVERY_LABELS = Object.freeze({
+    PICKUP: 'Пункт выдачи',
+    COURIER: 'Курьер',
+    ON_DEMAND: 'По клику'
+  });
+
+  /** Сколько миниатюр показывать в строке списка */
+  static THUMBS = 4;
+
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.shop - ShopMatic (shop.orders — OrdersModule)
+   */
+  constructor({ shop } = {}) {
+    if (!shop) throw new Error('OrdersUI requires a shop instance');
+    this.shop = shop;
+
+    this.root = null;
+    this._renderToken = 0;
+    this._clickHandler = null;
+    /** @type {Object|null} заказ, открытый на странице заказа */
+    this._order = null;
+    this._lastRender = null;
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = OrdersUI.UI_MESSAGES[key] ?? '';
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  _resolveRoot(container) {
+    const el = container instanceof Element ? container : document.querySelector(container);
+    if (!el) return null;
+    if (el !== this.root) {
+      this._unbind();
+      this.root = el;
+      this._clickHandler = (e) => this._onClick(e);
+      this.root.addEventListener('click', this._clickHandler);
+    }
+    return el;
+  }
+
+  _unbind() {
+    if (this.root && this._clickHandler) this.root.removeEventListener('click', this._clickHandler);
+    this._clickHandler = null;
+  }
+
+  /* ---------- pages ---------- */
+
+  /**
+   * Список заказов.
+   * @param {Element|string} container
+   * @param {{refresh?: boolean}} [options]
+   */
+  async renderList(container, { refresh = false } = {}) {
+    const root = this._resolveRoot(container);
+    if (!root) return;
+
+    const token = ++this._renderToken;
+    this._order = null;
+    this._lastRender = () => this.renderList(root, { refresh: true });
+    root.innerHTML = this._loadingHtml();
+
+    let orders;
+    try {
+      orders = await this.shop.orders.getOrders({ refresh });
+    } catch (e) {
+      console.warn('OrdersUI: orders load failed', e);
+      if (token === this._renderToken) root.innerHTML = this._errorHtml('ORDERS_LOAD_FAILED');
+      return;
+    }
+    if (token !== this._renderToken) return;
+
+    if (!orders.length) {
+      root.innerHTML = `<div class="empty" role="status">
+        <h3>${escapeHtml(this._msg('ORDERS_EMPTY_TITLE'))}</h3>
+        <p>${escapeHtml(this._msg('ORDERS_EMPTY_BODY'))}</p>
+      </div>`;
+      return;
+    }
+
+    root.innerHTML = `<section class="orders-page">
+      <h2 class="orders-page__title">${escapeHtml(this._msg('ORDERS_TITLE'))}</h2>
+      <ul class="orders-list">${orders.map((o) => this._rowHtml(o)).join('')}</ul>
+    </section>`;
+  }
+
+  /**
+   * Страница заказа.
+   * @param {string} orderId
+   * @param {Element|string} container
+   * @param {{refresh?: boolean}} [options]
+   */
+  async renderDetail(orderId, container, { refresh = false } = {}) {
+    const root = this._resolveRoot(container);
+    if (!root) return;
+
+    const token = ++this._renderToken;
+    this._order = null;
+    this._lastRender = () => this.renderDetail(orderId, root, { refresh: true });
+    root.innerHTML = this._loadingHtml();
+
+    let order;
+    try {
+      order = await this.shop.orders.getOrder(orderId, { refresh });
+    } catch (e) {
+      console.warn('OrdersUI: order load failed', e);
+      if (token === this._renderToken) root.innerHTML = this._errorHtml('ORDERS_LOAD_FAILED');
+      return;
+    }
+    if (token !== this._renderToken) return;
+
+    if (!order) {
+      root.innerHTML = `<div class="empty" role="status">
+        <h3>${escapeHtml(this._msg('ORDER_NOT_FOUND'))}</h3>
+        <a href="#page/orders">${escapeHtml(this._msg('ORDER_BACK'))}</a>
+      </div>`;
+      return;
+    }
+
+    this._order = order;
+    root.innerHTML = this._detailHtml(order);
+  }
+
+  /* ---------- markup ---------- */
+
+  _rowHtml(order) {
+    const esc = (v) => escapeHtml(String(v ?? ''));
+    const items = order.items || [];
+    const thumbs = items.slice(0, OrdersUI.THUMBS).map((it) => {
+      const img = this._itemImage(it);
+      return `<img class="orders-row__thumb" src="${esc(img)}" alt="${esc(this._itemTitle(it))}" loading="lazy">`;
+    }).join('');
+    const more = items.length > OrdersUI.THUMBS
+      ? `<span class="orders-row__more">${esc(this._msg('ORDER_MORE_ITEMS', { count: items.length - OrdersUI.THUMBS }))}</span>`
+      : '';
+    const qty = items.reduce((s, it) => s + it.qty, 0);
+
+    return `<li class="orders-row" data-order-id="${esc(order.id)}">
+      <a class="orders-row__link" href="#order/${encodeURIComponent(order.id)}">
+        <span class="orders-row__number">${esc(this._msg('ORDER_TITLE', { number: order.number }))}</span>
+        <span class="orders-row__date">${esc(this._date(order.createdAt))}</span>
+      </a>
+      ${this._statusHtml(order.status)}
+      <div class="orders-row__thumbs">${thumbs}${more}</div>
+      <div class="orders-row__total">
+        ${esc(this._price(order.total))}
+        ${qty ? `<span class="orders-row__qty">${qty} ${esc(pluralize(qty, ['товар', 'товара', 'товаров']))}</span>` : ''}
+      </div>
+      ${items.length ? `<button type="button" class="btn orders-row__repeat" data-role="repeat-order"
+        data-order-id="${esc(order.id)}">${esc(this._msg('ORDER_REPEAT'))}</button>` : ''}
+    </li>`;
+  }
+
+  _detailHtml(order) {
+    const esc = (v) => escapeHtml(String(v ?? ''));
+    const items = order.items.map((it) => `
+      <li class="order-item">
+        <a class="order-item__image" href="#product/${encodeURIComponent(it.parentId || it.id)}">
+          <img src="${esc(this._itemImage(it))}" alt="${esc(this._itemTitle(it))}" loading="lazy">
+        </a>
+        <div class="order-item__info">
+          <div class="order-item__title">${esc(this._itemTitle(it))}</div>
+          ${it.optionsText ? `<div class="order-item__options">${esc(it.optionsText)}</div>` : ''}
+        </div>
+        <div class="order-item__qty">${it.qty} × ${esc(this._price(it.price))}</div>
+        <div class="order-item__sum">${esc(this._price(it.price * it.qty))}</div>
+      </li>`).join('');
+
+    const info = [
+      ['ORDER_RECIPIENT', [order.recipient?.name, order.recipient?.phone].filter(Boolean).join(', ')],
+      ['ORDER_DELIVERY', this._deliveryText(order.delivery)],
+      ['ORDER_PAYMENT', this._paymentText(order.payment)]
+    ].filter(([, value]) => value);
+
+    const totals = [
+      ['ORDER_SUBTOTAL', order.totals.subtotal],
+      ['ORDER_DISCOUNT', order.totals.discount ? -order.totals.discount : 0],
+      ['ORDER_DELIVERY_PRICE', order.totals.delivery]
+    ].filter(([, value]) => value);
+
+    return `<section class="order-page" data-order-id="${esc(order.id)}">
+      <a class="order-page__back" href="#page/orders">&larr; ${esc(this._msg('ORDER_BACK'))}</a>
+      <header class="order-page__head">
+        <h2>${esc(this._msg('ORDER_TITLE', { number: order.number }))}</h2>
+        ${order.createdAt ? `<span class="order-page__date">${esc(this._msg('ORDER_FROM', { date: this._date(order.createdAt) }))}</span>` : ''}
+        ${this._statusHtml(order.status)}
+      </header>
+      ${info.length ? `<dl class="order-page__info">${info.map(([key, value]) =>
+        `<dt>${esc(this._msg(key))}</dt><dd>${esc(value)}</dd>`).join('')}</dl>` : ''}
+      <h3>${esc(this._msg('ORDER_ITEMS'))}</h3>
+      <ul class="order-items">${items}</ul>
+      <dl class="order-page__totals">
+        ${totals.map(([key, value]) => `<dt>${esc(this._msg(key))}</dt><dd>${esc(value < 0 ? `−${this._price(-value)}` : this._price(value))}</dd>`).join('')}
+        <dt class="order-page__total">${esc(this._msg('ORDER_TOTAL'))}</dt>
+        <dd class="order-page__total">${esc(this._price(order.total))}</dd>
+      </dl>
+      ${order.items.length ? `<button type="button" class="btn order-page__repeat" data-role="repeat-order"
+        data-order-id="${esc(order.id)}">${esc(this._msg('ORDER_REPEAT'))}</button>` : ''}
+    </section>`;
+  }
+
+  _statusHtml(status) {
+    const key = String(status || '').toLowerCase();
+    const label = OrdersUI.STATUS_LABELS[key] || status || '';
+    return label
+      ? `<span class="order-status order-status--${escapeHtml(key.replace(/[^a-z_-]/g, ''))}">${escapeHtml(label)}</span>`
+      : '';
+  }
+
+  _loadingHtml() {
+    return `<div class="orders-loading" role="status" aria-busy="true">${escapeHtml(this._msg('ORDERS_LOADING'))}</div>`;
+  }
+
+  _errorHtml(key) {
+    return `<div class="empty" role="alert">
+      <h3>${escapeHtml(this._msg(key))}</h3>
+      <button type="button" class="btn" data-role="orders-retry">${escapeHtml(this._msg('ORDERS_RETRY'))}</button>
+    </div>`;
+  }
+
+  _deliveryText(delivery) {
+    if (!delivery) return '';
+    const type = OrdersUI.DELIVERY_LABELS[delivery.type] || delivery.type || '';
+    const a = delivery.address || {};
+    const address = typeof a === 'string'
+      ? a
+      : (a.label || [a.city, a.street, a.house].filter(Boolean).join(', '));
+    return [type, address].filter(Boolean).join(': ');
+  }
+
+  _paymentText(payment) {
+    if (!payment) return '';
+    const method = payment.method ? String(payment.method) : '';
+    let label = payment.label || '';
+    if (!label && method) {
+      try { label = this.shop.payments?.get?.(method)?.label || ''; } catch {}
+    }
+    return label || method;
+  }
+
+  /* ---------- helpers ---------- */
+
+  _product(item) {
+    try {
+      return this.shop.productService?.findById?.(item.id)
+        || (item.parentId ? this.shop.productService?.findById?.(item.parentId) : null)
+        || null;
+    } catch {
+      return null;
+    }
+  }
+
+  _itemTitle(item) {
+    if (item.title && item.title !== item.id) return item.title;
+    const p = this._product(item);
+    return p?.fullname ?? p?.title ?? item.title ?? item.id;
+  }
+
+  _itemImage(item) {
+    return this._firstImage(item.picture ?? this._product(item)?.picture);
+  }
+
+  _firstImage(picture) {
+    let arr = picture;
+    if (typeof picture === 'string') {
+      try { arr = JSON.parse(picture); } catch { arr = picture ? [picture] : []; }
+    }
+    return Array.isArray(arr) && arr.length ? String(arr[0]) : '/assets/no-image.png';
+  }
+
+  _price(value) {
+    try {
+      return formatPrice(Number(value) || 0);
+    } catch {
+      return String(value ?? '');
+    }
+  }
+
+  _date(value) {
+    if (!value) return '';
+    const d = new Date(typeof value === 'number' ? value : String(value));
+    if (Number.isNaN(d.getTime())) return String(value);
+    try {
+      return d.toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', year: 'numeric' });
+    } catch {
+      return d.toISOString().slice(0, 10);
+    }
+  }
+
+  /* ---------- events ---------- */
+
+  async _onClick(e) {
+    if (e.target.closest?.('[data-role="orders-retry"]')) {
+      this._lastRender?.();
+      return;
+    }
+
+    const btn = e.target.closest?.('[data-role="repeat-order"]');
+    if (!btn || btn.disabled) return;
+
+    const id = btn.getAttribute('data-order-id');
+    btn.disabled = true;
+    try {
+      const order = this._order && this._order.id === id ? this._order : await this.shop.orders.getOrder(id);
+      await this.shop.orders.repeatOrder(order || id);
+    } catch (err) {
+      console.warn('OrdersUI: repeat order failed', err);
+      this.shop.notifications?.show?.(this._msg('ORDERS_LOAD_FAILED'), { type: 'error' });
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  destroy() {
+    this._renderToken++;
+    this._unbind();
+    this.root = null;
+    this._order = null;
+    this._lastRender = null;
+  }
+}
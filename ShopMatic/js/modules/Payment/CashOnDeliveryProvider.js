@@ -0,0 +1,66 @@
+import { PaymentProvider } from './PaymentProvider.js';
+
+/**
+ * Cash (or card) on delivery.
+ *
+ * Nothing is charged on the site: the payment is created in the `deferred`
+ * state right away and the backend learns about it from the order's
+ * `payment.method`. Availability can be limited by delivery type and order sum.
+ *
+ * @author Calista Verner
+ */
+export class CashOnDeliveryProvider extends PaymentProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.deliveryTypes] - Allowed delivery types; empty — any.
+   * @param {number} [options.maxAmount=0] - Upper order sum; 0 — no limit.
+   */
+  constructor({ deliveryTypes = [], maxAmount = 0, ...def } = {}) {
+    super({
+      id: 'cod',
+      label: 'При получении',
+      description: 'Наличными или картой курьеру / в пункте выдачи',
+      icon: 'fa-solid fa-money-bill-wave',
+      ...def
+    });
+    this.deliveryTypes = Array.isArray(deliveryTypes) ? deliveryTypes.map(String) : [];
+    this.maxAmount = Math.max(0, Number(maxAmount) || 0);
+
+    /** @type {Map<string, Object>} */
+    this._payments = new Map();
+  }
+
+  isAvailable({ deliveryType = '', total = 0 } = {}) {
+    if (this.deliveryTypes.length && deliveryType && !this.deliveryTypes.includes(deliveryType)) return false;
+    if (this.maxAmount && total > this.maxAmount) return false;
+    return true;
+  }
+
+  async createPayment(order, { amount = 0 } = {}) {
+    const payment = {
+      id: `cod-${order?.id ?? Date.now()}`,
+      status: PaymentProvider.STATUS.DEFERRED,
+      amount: Number(amount) || 0
+    };
+    this._payments.set(payment.id, payment);
+    return { ...payment };
+  }
+
+  async confirm(paymentId) {
+    return this.getStatus(paymentId);
+  }
+
+  async cancel(paymentId) {
+    const payment = this._payments.get(String(paymentId));
+    if (!payment) return { id: String(paymentId), status: PaymentProvider.STATUS.CANCELED, amount: 0 };
+    payment.status = PaymentProvider.STATUS.CANCELED;
+    return { ...payment };
+  }
+
+  async getStatus(paymentId) {
+    const payment = this._payments.get(String(paymentId));
+    return payment
+      ? { ...payment }
+      : { id: String(paymentId), status: PaymentProvider.STATUS.DEFERRED, amount: 0 };
+  }
+}
@@ -0,0 +1,196 @@
+import { PaymentProvider } from './PaymentProvider.js';
+
+/**
+ * Local card "gateway" for development: no network, behaviour is chosen by the card number.
+ *
+ *   4242 4242 4242 4242 — success (after `processingMs` in `pending`)
+ *   4000 0000 0000 3220 — 3-D Secure code on the page (`confirm` action, code `1234`)
+ *   4000 0000 0000 3063 — 3-D Secure via redirect (returns to `returnUrl` with paymentId)
+ *   4000 0000 0000 0002 — declined
+ *   any other valid number — success
+ *
+ * Payments live in sessionStorage so the redirect flow survives the page reload.
+ * Never register it in production.
+ *
+ * @author Calista Verner
+ */
+export class MockCardProvider extends PaymentProvider {
+  static CARDS = Object.freeze({
+    SUCCESS: '4242424242424242',
+    CONFIRM: '4000000000003220',
+    REDIRECT: '4000000000003063',
+    DECLINE: '4000000000000002'
+  });
+
+  static CONFIRM_CODE = '1234';
+
+  static UI_MESSAGES = Object.freeze({
+    INVALID_CARD: 'Проверьте номер карты',
+    DECLINED: 'Банк отклонил платёж',
+    ENTER_CODE: 'Введите код подтверждения из SMS (тестовый код {code})',
+    WRONG_CODE: 'Неверный код подтверждения',
+    NOT_FOUND: 'Платёж не найден'
+  });
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.processingMs=1500] - How long a successful payment stays `pending`.
+   * @param {string} [options.storageKey='shopmatic_mock_payments_v1']
+   */
+  constructor({ processingMs = 1500, storageKey = 'shopmatic_mock_payments_v1', ...def } = {}) {
+    super({
+      id: 'mock_card',
+      label: 'Картой онлайн (тест)',
+      description: 'Тестовая оплата: 4242 4242 4242 4242 — успех, 4000 0000 0000 0002 — отказ',
+      icon: 'fa-solid fa-credit-card',
+      fields: [
+        { name: 'cardNumber', label: 'Номер карты', placeholder: '4242 4242 4242 4242', type: 'text' }
+      ],
+      ...def
+    });
+    this.processingMs = Math.max(0, Number(processingMs) || 0);
+    this.storageKey = storageKey;
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = MockCardProvider.UI_MESSAGES[key] ?? '';
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  /** Luhn check for 12–19 digit numbers */
+  static isValidCardNumber(value) {
+    const digits = String(value ?? '').replace(/[\s-]/g, '');
+    if (!/^\d{12,19}$/.test(digits)) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        d *= 2;
+        if (d > 9) d -= 9;
+      }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+
+  /* ---------- sessionStorage ---------- */
+
+  _load() {
+    try {
+      const raw = sessionStorage.getItem(this.storageKey);
+      const parsed = raw ? JSON.parse(raw) : {};
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  _save(all) {
+    try { sessionStorage.setItem(this.storageKey, JSON.stringify(all)); } catch {}
+  }
+
+  _get(paymentId) {
+    return this._load()[String(paymentId)] || null;
+  }
+
+  _put(payment) {
+    const all = this._load();
+    all[payment.id] = payment;
+    this._save(all);
+    return payment;
+  }
+
+  _public(payment) {
+    const { card, readyAt, ...rest } = payment;
+    return { ...rest };
+  }
+
+  /* ---------- contract ---------- */
+
+  async createPayment(order, { amount = 0, details = {}, returnUrl = '' } = {}) {
+    const S = PaymentProvider.STATUS;
+    const C = MockCardProvider.CARDS;
+    const card = String(details.cardNumber ?? '').replace(/[\s-]/g, '');
+    const id = `mock-${order?.id ?? 'order'}-${Date.now().toString(36)}`;
+    const base = { id, amount: Number(amount) || 0, orderId: order?.id ?? null, card: card.slice(-4) };
+
+    if (!MockCardProvider.isValidCardNumber(card)) {
+      return this._public({ ...base, status: S.FAILED, message: this._msg('INVALID_CARD') });
+    }
+    if (card === C.DECLINE) {
+      return this._public(this._put({ ...base, status: S.FAILED, message: this._msg('DECLINED') }));
+    }
+    if (card === C.CONFIRM) {
+      return this._public(this._put({
+        ...base,
+        status: S.REQUIRES_ACTION,
+        action: {
+          type: 'confirm',
+          field: 'code',
+          message: this._msg('ENTER_CODE', { code: MockCardProvider.CONFIRM_CODE })
+        }
+      }));
+    }
+    if (card === C.REDIRECT && returnUrl) {
+      // параметры — в query до #hash, иначе они окажутся внутри hash
+      const target = new URL(returnUrl, typeof location !== 'undefined' ? location.href : undefined);
+      target.searchParams.set('paymentId', id);
+      target.searchParams.set('status', S.SUCCEEDED);
+      const url = target.toString();
+      return this._public(this._put({ ...base, status: S.REQUIRES_ACTION, action: { type: 'redirect', url } }));
+    }
+
+    return this._public(this._put({ ...base, status: S.PENDING, readyAt: Date.now() + this.processingMs }));
+  }
+
+  async confirm(paymentId, { code = '' } = {}) {
+    const S = PaymentProvider.STATUS;
+    const payment = this._get(paymentId);
+    if (!payment) return { id: String(paymentId), status: S.FAILED, message: this._msg('NOT_FOUND') };
+    if (payment.status !== S.REQUIRES_ACTION) return this._public(payment);
+
+    const ok = String(code).trim() === MockCardProvider.CONFIRM_CODE;
+    const { action, ...rest } = payment;
+    return this._public(this._put(ok
+      ? { ...rest, status: S.SUCCEEDED }
+      : { ...rest, status: S.FAILED, message: this._msg('WRONG_CODE') }));
+  }
+
+  async cancel(paymentId) {
+    const S = PaymentProvider.STATUS;
+    const payment = this._get(paymentId);
+    if (!payment) return { id: String(paymentId), status: S.CANCELED };
+    if (PaymentProvider.isFinal(payment.status)) return this._public(payment);
+    const { action, ...rest } = payment;
+    return this._public(this._put({ ...rest, status: S.CANCELED }));
+  }
+
+  async getStatus(paymentId) {
+    const S = PaymentProvider.STATUS;
+    const payment = this._get(paymentId);
+    if (!payment) return { id: String(paymentId), status: S.FAILED, message: this._msg('NOT_FOUND') };
+
+    if (payment.status === S.PENDING && Date.now() >= (payment.readyAt || 0)) {
+      return this._public(this._put({ ...payment, status: S.SUCCEEDED }));
+    }
+    return this._public(payment);
+  }
+
+  /**
+   * The mock "bank" approves the redirect right away: the callback finalizes the payment.
+   */
+  handleCallback(params) {
+    const parsed = super.handleCallback(params);
+    if (!parsed) return null;
+
+    const payment = this._get(parsed.paymentId);
+    if (!payment) return null;
+    if (payment.status === PaymentProvider.STATUS.REQUIRES_ACTION) {
+      const { action, ...rest } = payment;
+      this._put({ ...rest, status: parsed.status || PaymentProvider.STATUS.SUCCEEDED });
+    }
+    return parsed;
+  }
+}
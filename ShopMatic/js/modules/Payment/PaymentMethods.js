@@ -0,0 +1,62 @@
+import { PaymentProvider } from './PaymentProvider.js';
+
+/**
+ * Registry of payment providers offered at checkout.
+ *
+ * Order of registration is the order in the method list; the first available
+ * method is preselected.
+ *
+ * Example:
+ *   shop.payments.register(new MyBankProvider({ ... }));
+ *
+ * @author Calista Verner
+ */
+export class PaymentMethods {
+  /**
+   * @param {PaymentProvider[]} [providers]
+   */
+  constructor(providers = []) {
+    /** @type {Map<string, PaymentProvider>} */
+    this._providers = new Map();
+    for (const p of Array.isArray(providers) ? providers : []) this.register(p);
+  }
+
+  /**
+   * Adds or replaces a provider (by `id`).
+   * @param {PaymentProvider} provider
+   * @returns {this}
+   */
+  register(provider) {
+    if (!(provider instanceof PaymentProvider)) {
+      throw new TypeError('PaymentMethods.register expects a PaymentProvider');
+    }
+    this._providers.set(provider.id, provider);
+    return this;
+  }
+
+  /** @returns {boolean} */
+  unregister(id) {
+    return this._providers.delete(String(id));
+  }
+
+  /** @returns {PaymentProvider|null} */
+  get(id) {
+    return this._providers.get(String(id)) || null;
+  }
+
+  /**
+   * Providers that can be offered for the checkout context.
+   * @param {{deliveryType?: string, total?: number}} [ctx]
+   * @returns {PaymentProvider[]}
+   */
+  list(ctx = {}) {
+    return [...this._providers.values()].filter((p) => {
+      try {
+        return p.isAvailable(ctx);
+      } catch (e) {
+        console.warn('[PaymentMethods] isAvailable failed', p.id, e);
+        return false;
+      }
+    });
+  }
+}
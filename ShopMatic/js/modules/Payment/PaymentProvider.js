@@ -0,0 +1,182 @@
+import { ApiError } from '../Transport/ApiError.js';
+
+/**
+ * Base class for payment methods used by checkout.
+ *
+ * Contract (override the methods that make sense for the method):
+ *   createPayment(order, { amount, details, returnUrl, signal }) => Promise<Payment>
+ *   confirm(paymentId, data, { signal })                          => Promise<Payment>
+ *   cancel(paymentId, { signal })                                 => Promise<Payment>
+ *   getStatus(paymentId, { signal })                              => Promise<Payment>
+ *   handleCallback(params)                                        => { paymentId, status }|null
+ *
+ * Payment: `{ id, status, amount, action?, message? }`, where `action` tells checkout
+ * what the customer has to do before the payment can finish:
+ *   `{ type: 'redirect', url }`        — leave the page (bank / 3-D Secure); the bank
+ *                                       returns to `returnUrl`, see `handleCallback`
+ *   `{ type: 'confirm', message, field }` — enter a code on the checkout page, then `confirm()`
+ *
+ * `pollStatus()` is shared: it calls `getStatus()` until the payment reaches a final state.
+ *
+ * @author Calista Verner
+ */
+export class PaymentProvider {
+  static STATUS = Object.freeze({
+    PENDING: 'pending',
+    REQUIRES_ACTION: 'requires_action',
+    SUCCEEDED: 'succeeded',
+    /** Paid later, outside the site (cash on delivery). */
+    DEFERRED: 'deferred',
+    FAILED: 'failed',
+    CANCELED: 'canceled'
+  });
+
+  /**
+   * @param {Object} def
+   * @param {string} def.id - Method id (sent with the order as `payment.method`).
+   * @param {string} def.label - Title in the method list.
+   * @param {string} [def.description]
+   * @param {string} [def.icon] - Font Awesome class, e.g. 'fa-solid fa-credit-card'.
+   * @param {Array<{name: string, label: string, placeholder?: string, type?: string}>} [def.fields]
+   *   Inputs shown under the method when it is selected; values arrive as `details`.
+   */
+  constructor({ id, label, description = '', icon = '', fields = [] } = {}) {
+    if (!id) throw new TypeError('PaymentProvider requires an id');
+    this.id = String(id);
+    this.label = String(label || id);
+    this.description = String(description || '');
+    this.icon = String(icon || '');
+    this.fields = Array.isArray(fields) ? fields : [];
+  }
+
+  /**
+   * @param {string} status
+   * @returns {boolean} true — nothing else will happen with the payment
+   */
+  static isFinal(status) {
+    const S = PaymentProvider.STATUS;
+    return status === S.SUCCEEDED || status === S.DEFERRED || status === S.FAILED || status === S.CANCELED;
+  }
+
+  /**
+   * @param {string} status
+   * @returns {boolean} true — the order can be considered placed
+   */
+  static isPaid(status) {
+    const S = PaymentProvider.STATUS;
+    return status === S.SUCCEEDED || status === S.DEFERRED;
+  }
+
+  /**
+   * Whether the method can be offered for the checkout context.
+   * @param {{deliveryType?: string, total?: number}} [ctx]
+   * @returns {boolean}
+   */
+  isAvailable(ctx = {}) {
+    return true;
+  }
+
+  /**
+   * @abstract
+   * @param {Object} order - Order from OrderService.
+   * @param {{amount: number, details?: Object, returnUrl?: string, signal?: AbortSignal}} options
+   * @returns {Promise<Object>} payment
+   */
+  async createPayment(order, options = {}) {
+    throw new Error(`${this.constructor.name}.createPayment is not implemented`);
+  }
+
+  /**
+   * Finishes a payment that returned a `confirm` action.
+   * @returns {Promise<Object>} payment
+   */
+  async confirm(paymentId, data = {}, options = {}) {
+    throw new Error(`${this.constructor.name}.confirm is not implemented`);
+  }
+
+  /**
+   * @returns {Promise<Object>} payment
+   */
+  async cancel(paymentId, options = {}) {
+    throw new Error(`${this.constructor.name}.cancel is not implemented`);
+  }
+
+  /**
+   * @returns {Promise<Object>} payment
+   */
+  async getStatus(paymentId, options = {}) {
+    throw new Error(`${this.constructor.name}.getStatus is not implemented`);
+  }
+
+  /**
+   * Parses the return from a redirect action (query params of `returnUrl`).
+   * Default: `paymentId` / `payment_id` and optional `status`.
+   *
+   * @param {URLSearchParams|Object} params
+   * @returns {{paymentId: string, status: string|null}|null} null — not a callback for this provider
+   */
+  handleCallback(params) {
+    const get = (k) => (params instanceof URLSearchParams ? params.get(k) : params?.[k]);
+    const paymentId = get('paymentId') ?? get('payment_id');
+    if (!paymentId) return null;
+    return { paymentId: String(paymentId), status: get('status') ? String(get('status')) : null };
+  }
+
+  /**
+   * Polls `getStatus()` until the payment reaches a final state or `timeoutMs` passes.
+   *
+   * @param {string} paymentId
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs=2000]
+   * @param {number} [options.timeoutMs=120000]
+   * @param {AbortSignal} [options.signal]
+   * @param {(payment: Object) => void} [options.onUpdate]
+   * @returns {Promise<Object>} last payment state (may still be pending after a timeout)
+   * @throws {ApiError} aborted — when `signal` fires, including during the pause between polls
+   */
+  async pollStatus(paymentId, { intervalMs = 2000, timeoutMs = 120000, signal, onUpdate } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    let payment = null;
+
+    for (;;) {
+      if (signal?.aborted) throw new ApiError('Payment polling aborted', { kind: ApiError.ABORTED });
+
+      try {
+        payment = await this.getStatus(paymentId, { signal });
+      } catch (err) {
+        if (ApiError.isAbort(err)) throw err;
+        payment = payment || { id: paymentId, status: PaymentProvider.STATUS.PENDING };
+      }
+      try { onUpdate?.(payment); } catch {}
+
+      if (PaymentProvider.isFinal(payment?.status) || Date.now() >= deadline) return payment;
+      await this._sleep(intervalMs, signal);
+    }
+  }
+
+  /**
+   * Waits for `ms`, rejecting early with ApiError(aborted) when the signal fires.
+   *
+   * @protected
+   * @param {number} ms
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new ApiError('Payment polling aborted', { kind: ApiError.ABORTED }));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ApiError('Payment polling aborted', { kind: ApiError.ABORTED }));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener?.('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener?.('abort', onAbort, { once: true });
+    });
+  }
+}
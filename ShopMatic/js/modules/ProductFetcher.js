@@ -9,8 +9,9 @@
 
 export class ProductFetcher extends ApiFetcher {
   /**
-   * @param {Object} foxEngine - Transport/engine used to send requests.
+   * @param {Object|null} foxEngine - Host engine or transport used to send requests.
    * @param {Object} [options]
+   * @param {{send: Function}} [options.transport] - Explicit transport (see ApiFetcher).
    * @param {Object<string,string>} [options.endpoints]
    *   - Optional endpoint overrides. Defaults:
    *     - products: 'getProducts'
@@ -18,6 +19,8 @@ export class ProductFetcher extends ApiFetcher {
    *     - categories: 'getCategories'
    *     - brands: 'getBrands'
    * @param {number} [options.timeoutMs] - Request timeout in milliseconds.
+   * @param {Object} [options.retry] - Default retry policy (see ApiFetcher).
+   * @param {Object<string,Object>} [options.retryByEndpoint] - Retry overrides per endpoint key.
    * @param {boolean} [options.debug] - Enables debug logging when true.
    * @param {(code: string) => string} [options.msgFn] - Optional message resolver.
    * @param {(...args: any[]) => void} [options.logFn] - Optional logger implementation.
@@ -29,7 +32,10 @@ export class ProductFetcher extends ApiFetcher {
       timeoutMs,
       debug,
       msgFn,
-      logFn
+      logFn,
+      transport,
+      retry,
+      retryByEndpoint
     } = {}
   ) {
     const defaultEndpoints = {
@@ -47,7 +53,10 @@ export class ProductFetcher extends ApiFetcher {
       timeoutMs,
       debug,
       msgFn,
-      logFn
+      logFn,
+      transport,
+      retry,
+      retryByEndpoint
     });
 
     // Ensure we keep a local copy that can be read directly if needed.
@@ -65,25 +74,88 @@ export class ProductFetcher extends ApiFetcher {
    *     - `null` → use default endpoint only
    *     - `string` → overrides sysRequest
    *     - `Object` → passed to `_buildRequest` to build the payload
+   * @param {{signal?: AbortSignal}} [options]
    * @returns {Promise<Array<any>>}
    */
-  async fetchProducts(request = null) {
+  async fetchProducts(request = null, { signal } = {}) {
     const { payload } = this._buildRequest(this.endpoints.products, request);
-    const res = await this._safeCall(payload, 'JSON');
+    const res = await this._safeCall(payload, 'JSON', { signal });
     return this._extractArray(res);
   }
 
+  /**
+   * Fetches one page of products (server-side pagination).
+   *
+   * `page`, `limit` and `cursor` are sent as request params together with any
+   * extra filter fields (search, category, brand, sort, ...).
+   *
+   * @param {Object} [params]
+   * @param {number} [params.page=1] - 1-based page number.
+   * @param {number} [params.limit=24] - Page size.
+   * @param {string|null} [params.cursor=null] - Opaque cursor from the previous page, if the backend uses one.
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<{items: Array<any>, total: number|null, page: number, limit: number, nextCursor: string|null, hasMore: boolean, facets: Object|null}>}
+   */
+  async fetchProductsPage({ page = 1, limit = 24, cursor = null, ...filters } = {}, { signal } = {}) {
+    const params = { ...filters, page, limit };
+    if (cursor !== null && cursor !== undefined && cursor !== '') params.cursor = cursor;
+
+    const { payload } = this._buildRequest(this.endpoints.products, { params });
+    const res = await this._safeCall(payload, 'JSON', { signal });
+    const items = this._extractArray(res, ['items', 'products', 'data']);
+
+    return { items, ...this._extractPageMeta(res, { page, limit, count: items.length }) };
+  }
+
+  /**
+   * Reads pagination metadata (and optional facet counts) from common response
+   * shapes: top-level fields, `meta` or `pagination` objects.
+   *
+   * @protected
+   * @param {any} res - Backend response.
+   * @param {{page: number, limit: number, count: number}} requested - What was asked for / received.
+   * @returns {{total: number|null, page: number, limit: number, nextCursor: string|null, hasMore: boolean, facets: Object|null}}
+   */
+  _extractPageMeta(res, { page, limit, count }) {
+    const src = res && typeof res === 'object' && !Array.isArray(res) ? res : {};
+    const meta = (src.meta && typeof src.meta === 'object' && src.meta) ||
+      (src.pagination && typeof src.pagination === 'object' && src.pagination) ||
+      src;
+
+    const rawTotal = meta.total ?? meta.totalCount ?? meta.total_count ?? src.total;
+    const total = Number.isFinite(Number(rawTotal)) && rawTotal !== null && rawTotal !== '' ? Number(rawTotal) : null;
+
+    const rawCursor = meta.nextCursor ?? meta.next_cursor ?? src.nextCursor ?? null;
+    const nextCursor = rawCursor === null || rawCursor === '' ? null : String(rawCursor);
+
+    const curPage = Number(meta.page ?? meta.currentPage) || page;
+    const curLimit = Number(meta.limit ?? meta.perPage ?? meta.per_page) || limit;
+
+    let hasMore;
+    if (typeof meta.hasMore === 'boolean') hasMore = meta.hasMore;
+    else if (nextCursor) hasMore = true;
+    else if (total !== null) hasMore = curPage * curLimit < total;
+    else hasMore = count >= curLimit;
+
+    // facet counts computed by the backend: { category: { id: count }, brand: { ... } }
+    const rawFacets = meta.facets ?? src.facets ?? null;
+    const facets = rawFacets && typeof rawFacets === 'object' ? rawFacets : null;
+
+    return { total, page: curPage, limit: curLimit, nextCursor, hasMore, facets };
+  }
+
   /**
    * Fetches a single product by its identifier.
    *
    * @param {string|number} id - Product identifier.
+   * @param {{signal?: AbortSignal}} [options]
    * @returns {Promise<Object|null>} - First matched product or null if not found or invalid id.
    */
-  async fetchProductById(id) {
+  async fetchProductById(id, { signal } = {}) {
     if (!id && id !== 0) return null;
 
     const { payload } = this._buildRequest(this.endpoints.productById, { id });
-    const res = await this._safeCall(payload, 'JSON');
+    const res = await this._safeCall(payload, 'JSON', { signal });
 
     const items = this._extractArray(res, [
       'product',
@@ -103,9 +175,10 @@ export class ProductFetcher extends ApiFetcher {
    * or any other entity key present in `this.endpoints`.
    *
    * @param {string} entity - Logical endpoint key, e.g. "categories".
+   * @param {{signal?: AbortSignal}} [options]
    * @returns {Promise<Array<any>>}
    */
-  async fetchList(entity) {
+  async fetchList(entity, { signal } = {}) {
     const endpointName = this.endpoints?.[entity];
 
     if (!endpointName) {
@@ -114,7 +187,7 @@ export class ProductFetcher extends ApiFetcher {
     }
 
     const { payload } = this._buildRequest(endpointName);
-    const res = await this._safeCall(payload, 'JSON');
+    const res = await this._safeCall(payload, 'JSON', { signal });
     return this._extractArray(res, [entity, 'data', 'items', 'list']);
   }
 
@@ -126,9 +199,10 @@ export class ProductFetcher extends ApiFetcher {
    *
    * @param {string} entity - Logical endpoint key, e.g. "categories" or "brands".
    * @param {string|number} id - Identifier to search for.
+   * @param {{signal?: AbortSignal}} [options]
    * @returns {Promise<Object|null>} - Matching entity or null if not found.
    */
-  async fetchEntityById(entity, id) {
+  async fetchEntityById(entity, id, { signal } = {}) {
     const endpointName = this.endpoints?.[entity];
 
     if (!endpointName) {
@@ -137,7 +211,7 @@ export class ProductFetcher extends ApiFetcher {
     }
 
     const { payload } = this._buildRequest(endpointName, { id });
-    const res = await this._safeCall(payload, 'JSON');
+    const res = await this._safeCall(payload, 'JSON', { signal });
     const arr = this._extractArray(res, [entity, 'data', 'items']);
 
     const target = String(id).trim();
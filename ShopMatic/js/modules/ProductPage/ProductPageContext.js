@@ -18,6 +18,7 @@ const DEFAULT_MESSAGES = {
   badgeOutOfStock: 'Под заказ',
   addToCartButton: 'В Корзину',
   goToCartButton: 'Корзина',
+  variantUnavailable: 'Нет в наличии',
 };
 
 export class ProductPageContext {
@@ -77,9 +78,9 @@ export class ProductPageContext {
     return this.productService?.findById?.(id) ?? null;
   }
 
-  async fetchProduct(id) {
+  async fetchProduct(id, { signal } = {}) {
     try {
-      const p = await this.productService.fetchById(id);
+      const p = await this.productService.fetchById(id, { signal });
       return p || null;
     } catch {
       return null;
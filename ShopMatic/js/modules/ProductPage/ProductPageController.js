@@ -15,7 +15,11 @@ export class ProductPageController {
       onBackClick: this.onBackClick.bind(this),
       onCartUpdated: this.onCartUpdated.bind(this),
       onBuyNowClick: this.onBuyNowClick.bind(this),
+      onVariantChange: this.onVariantChange.bind(this),
     };
+
+    // отмена загрузки товара, если render вызван повторно до её завершения
+    this._renderAbort = null;
   }
 
   async render(productId, container) {
@@ -25,10 +29,31 @@ export class ProductPageController {
 
     if (!el) throw new Error('container element required');
 
+    try { this._renderAbort?.abort(); } catch {}
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    this._renderAbort = controller;
+
     this.view.attach(el, productId);
     this.ctx.log('render: fetching product', productId);
 
-    const product = await this.ctx.fetchProduct(productId);
+    let product = await this.ctx.fetchProduct(productId, { signal: controller?.signal });
+
+    // ссылка на вариант (из корзины/заказа) открывает родителя с предвыбранным вариантом
+    let variantId = null;
+    if (product?.parentId) {
+      variantId = String(product.name);
+      const parent = await this.ctx.fetchProduct(product.parentId, { signal: controller?.signal });
+      if (parent) {
+        product = parent;
+        this.view.attach(el, parent.name);
+      }
+    }
+    if (controller?.signal.aborted) {
+      this.ctx.log('render: superseded', productId);
+      return;
+    }
+    if (this._renderAbort === controller) this._renderAbort = null;
+
     if (!product) {
       this.ctx.log('render: product not found', productId);
       await this.view.renderNotFound();
@@ -40,7 +65,12 @@ export class ProductPageController {
       this.ctx.cart?.loadFromStorage?.();
     } catch {}
 
-    const cartItem = this.ctx.getCartItem(productId);
+    if (!variantId && Array.isArray(product.variants) && product.variants.length) {
+      // если какой-то вариант уже в корзине — открываем на нём
+      variantId = product.variants.find(v => this.ctx.getCartItem(v.id))?.id ?? null;
+    }
+
+    const cartItem = this.ctx.getCartItem(variantId || product.name);
     const qtyFromCart = cartItem ? Number(cartItem.qty || 0) : 0;
 
     await this.view.renderMain(product, qtyFromCart);
@@ -50,6 +80,8 @@ export class ProductPageController {
         this._bound.onAddClick,
         this._bound.onBuyNowClick,
       );
+      this.view.setVariantChangeHandler(this._bound.onVariantChange);
+      this.view.renderVariantPicker(product, variantId);
       this.view.syncFavButton();
       this.view.syncQtyControls();
       this.view.syncWishlistButton();
@@ -66,6 +98,8 @@ export class ProductPageController {
   }
 
   destroy() {
+    try { this._renderAbort?.abort(); } catch {}
+    this._renderAbort = null;
     if (!this.view.isAttached()) return;
     this.unbindListeners();
     this.view.detach();
@@ -114,11 +148,11 @@ export class ProductPageController {
 	  footerSelector: '.menu__content',
 	  isProductRoute: (hash) => String(hash || '').includes('product'),
 	  // если у тебя есть источник id:
-	  getProductId: () => this.view.currentProductId // или this.product?.id
+	  getProductId: () => this.view.getPurchaseId() // или this.product?.id
 	});
 
 	this.mobileActions.bind(document.body);
-	this.ctx.currentProductId = this.view.currentProductId; // чтобы bar мог забрать id
+	this.ctx.currentProductId = this.view.getPurchaseId(); // чтобы bar мог забрать id
 	this.mobileActions.refresh();
     window.addEventListener('cart:updated', this._bound.onCartUpdated);
 
@@ -170,7 +204,7 @@ export class ProductPageController {
   /* ---------- handlers ---------- */
 
   onAddClick() {
-    const pid = this.view.currentProductId;
+    const pid = this.view.getPurchaseId();
     if (!pid) return;
 
     try {
@@ -231,7 +265,7 @@ export class ProductPageController {
   }
 
   onQtyInput(e) {
-    const pid = this.view.currentProductId;
+    const pid = this.view.getPurchaseId();
     if (!pid) return;
 
     const qty = parseInt(e.target.value || '1', 10) || 1;
@@ -268,7 +302,7 @@ export class ProductPageController {
       const qtyEl = ctrl?.querySelector('.qty-input') || c?.querySelector('.qty-input');
       if (!qtyEl) return;
 
-      const pid = this.view.currentProductId;
+      const pid = this.view.getPurchaseId();
       const product = this.ctx.getProductSync(pid);
       const stock = this.ctx.computeStock(product);
 
@@ -294,7 +328,7 @@ export class ProductPageController {
       const qtyEl = ctrl?.querySelector('.qty-input') || c?.querySelector('.qty-input');
       if (!qtyEl) return;
 
-      const pid = this.view.currentProductId;
+      const pid = this.view.getPurchaseId();
       let cur = parseInt(qtyEl.value || '1', 10) || 1;
       const target = Math.max(0, cur - 1);
       qtyEl.value = String(target);
@@ -348,12 +382,19 @@ export class ProductPageController {
     this.view.syncQtyControls();
   }
 
+  onVariantChange(variantId) {
+    this.ctx.currentProductId = variantId;
+    try {
+      this.mobileActions?.refresh();
+    } catch {}
+  }
+
   onBuyNowClick(e) {
     e.preventDefault();
     const c = this.view.container;
     if (!c) return;
 
-    const pid = this.view.currentProductId;
+    const pid = this.view.getPurchaseId();
     const product = this.ctx.getProductSync(pid);
     if (!product) return;
 
@@ -387,6 +428,7 @@ export class ProductPageController {
         return '[]';
       })(),
       specs: product.specs ?? product.description ?? '',
+      optionsText: product.optionsText ?? '',
     };
 
     location.hash = '#page/checkout';
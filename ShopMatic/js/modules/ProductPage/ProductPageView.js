@@ -1,15 +1,23 @@
 // ProductPage/ProductPageView.js
 import { Gallery } from '../Gallery/Gallery.js';
 import { makeSpecHtmlPreview, escapeHtml } from '../utils.js';
+import { ProductVariants } from '../ProductService/ProductVariants.js';
 
 export class ProductPageView {
   constructor(context) {
     this.ctx = context;
     this.container = null;
     this.currentProductId = null;
+    /** выбранный вариант (id строки корзины); null — у товара нет вариантов */
+    this.currentVariantId = null;
     this.gallery = null;
     this._stripeTimers = new WeakMap();
 
+    this._variantRoot = null;
+    this._variantSelection = {};
+    this._onVariantClick = null;
+    this._variantChangeHandler = null;
+
     this._boundOnAddClick = null;
     this._boundOnBuyNowClick = null;
   }
@@ -21,14 +29,24 @@ export class ProductPageView {
   attach(container, productId) {
     this.container = container;
     this.currentProductId = String(productId);
+    this.currentVariantId = null;
   }
 
   detach() {
+    this._unbindVariantPicker();
     this.container = null;
     this.currentProductId = null;
+    this.currentVariantId = null;
     this.gallery = null;
   }
 
+  /**
+   * id, с которым работают корзина и «Купить сейчас»: выбранный вариант или сам товар.
+   */
+  getPurchaseId() {
+    return this.currentVariantId || this.currentProductId;
+  }
+
   isAttached() {
     return !!this.container;
   }
@@ -158,7 +176,7 @@ export class ProductPageView {
     const root = this._getContainer();
     if (!root || this.currentProductId == null) return;
 
-    const product = this._getCurrentProduct();
+    const product = this._getPurchaseProduct();
     const stock = this.ctx.computeStock(product);
 
     const ui = this._getQtyControlsUI(root);
@@ -166,7 +184,7 @@ export class ProductPageView {
     this._updateStockText(ui.stockEl, stock);
     this._ensureBuyNowBound(ui.buyNowBtn);
 
-    const cartItem = this.ctx.isInCart(this.currentProductId);
+    const cartItem = this.ctx.isInCart(this.getPurchaseId());
     const inCart = !!cartItem;
     const cartQty = cartItem ? Number(cartItem.qty || 0) || 1 : 1;
 
@@ -333,6 +351,166 @@ export class ProductPageView {
     else el.removeAttribute('aria-disabled');
   }
 
+  /* -------------------------------------------------------------------------- */
+  /*  Variant picker                                                            */
+  /* -------------------------------------------------------------------------- */
+
+  /**
+   * Рисует выбор вариантов (группа кнопок на каждую ось) и выбирает начальный вариант.
+   * Слот — [data-role="variants"] из шаблона, иначе блок вставляется перед кнопками покупки.
+   * @param {Object} product - родительский товар
+   * @param {string|null} [variantId] - предвыбранный вариант
+   */
+  renderVariantPicker(product, variantId = null) {
+    this._unbindVariantPicker();
+
+    const root = this._getContainer();
+    if (!root || !ProductVariants.hasVariants(product)) return;
+
+    const variant =
+      product.variants.find(v => v.id === variantId) ||
+      ProductVariants.defaultVariant(product);
+
+    let slot = root.querySelector('[data-role="variants"], .product-variants');
+    if (!slot) {
+      slot = document.createElement('div');
+      slot.className = 'product-variants';
+      const anchor = root.querySelector('.qty-controls, [data-action="add-to-cart"], .add-to-cart');
+      const host = anchor?.parentElement;
+      if (host && host !== root) host.before(slot);
+      else if (anchor) anchor.before(slot);
+      else root.appendChild(slot);
+    }
+    slot.setAttribute('data-role', 'variants');
+    slot.innerHTML = product.variantOptions.map(def => this._buildVariantGroupHtml(def)).join('');
+
+    this._variantRoot = slot;
+    this._onVariantClick = (ev) => {
+      const btn = ev.target?.closest?.('.variant-btn');
+      if (!btn || !slot.contains(btn)) return;
+      this._selectVariantValue(product, btn.getAttribute('data-option'), btn.getAttribute('data-value'));
+    };
+    slot.addEventListener('click', this._onVariantClick);
+
+    this._applyVariant(product, variant);
+  }
+
+  /** Колбэк смены варианта (контроллер обновляет мобильную панель и т.п.) */
+  setVariantChangeHandler(handler) {
+    this._variantChangeHandler = typeof handler === 'function' ? handler : null;
+  }
+
+  _buildVariantGroupHtml(def) {
+    const key = escapeHtml(def.key);
+    const buttons = def.values.map(v => `
+      <button type="button" class="variant-btn" data-option="${key}" data-value="${escapeHtml(v.value)}"
+        aria-pressed="false">${escapeHtml(v.label)}</button>`).join('');
+
+    return `
+      <fieldset class="variant-group" data-option="${key}">
+        <legend class="variant-group__title">${escapeHtml(def.label)}:
+          <span class="variant-group__value"></span></legend>
+        <div class="variant-group__values">${buttons}</div>
+      </fieldset>`;
+  }
+
+  /**
+   * Выбор значения оси. Если точного варианта нет — берём ближайший с этим значением
+   * (сначала в наличии), остальные оси подстраиваются под него.
+   */
+  _selectVariantValue(product, key, value) {
+    if (!key) return;
+    const selection = { ...this._variantSelection, [key]: value };
+
+    let variant = ProductVariants.findByOptions(product, selection);
+    if (!variant) {
+      const candidates = product.variants.filter(v => v.options[key] === value);
+      variant = candidates.find(v => v.stock > 0) || candidates[0] || null;
+    }
+    if (!variant || variant.id === this.currentVariantId) return;
+
+    this._applyVariant(product, variant);
+  }
+
+  _applyVariant(product, variant) {
+    if (!variant) return;
+    this.currentVariantId = String(variant.id);
+    this._variantSelection = { ...variant.options };
+
+    this._syncVariantButtons(product);
+    this._applyVariantDetails(product, variant);
+    this.syncQtyControls();
+
+    try {
+      this._variantChangeHandler?.(this.currentVariantId);
+    } catch (e) {
+      this.ctx.log('variant change handler failed', e?.message || e);
+    }
+  }
+
+  _syncVariantButtons(product) {
+    const slot = this._variantRoot;
+    if (!slot) return;
+
+    this._forEach(slot.querySelectorAll('.variant-btn'), btn => {
+      const key = btn.getAttribute('data-option');
+      const value = btn.getAttribute('data-value');
+      const selected = this._variantSelection[key] === value;
+      const available = ProductVariants.isValueAvailable(product, this._variantSelection, key, value);
+
+      btn.classList.toggle('active', selected);
+      btn.classList.toggle('is-unavailable', !available);
+      btn.setAttribute('aria-pressed', selected ? 'true' : 'false');
+      btn.title = available ? '' : this.ctx.messages.variantUnavailable;
+    });
+
+    for (const def of product.variantOptions) {
+      const group = slot.querySelector(`.variant-group[data-option="${this._cssEscape(def.key)}"]`);
+      const valueEl = group?.querySelector('.variant-group__value');
+      if (!valueEl) continue;
+      const current = def.values.find(v => v.value === this._variantSelection[def.key]);
+      valueEl.textContent = current ? current.label : '';
+    }
+  }
+
+  /** Цена / старая цена / главное фото выбранного варианта */
+  _applyVariantDetails(product, variant) {
+    const root = this._getContainer();
+    if (!root) return;
+
+    const price = variant.price ?? product.price;
+    const oldPrice = variant.oldPrice ?? product.oldPrice;
+
+    const priceEl = root.querySelector('[data-role="price"], .product-price');
+    if (priceEl) priceEl.textContent = this.ctx.formatPrice(price);
+
+    const oldEl = root.querySelector('[data-role="old-price"], .product-old-price');
+    if (oldEl) {
+      const hasOld = Number(oldPrice) > Number(price);
+      oldEl.textContent = hasOld ? this.ctx.formatPrice(oldPrice) : '';
+      oldEl.hidden = !hasOld;
+    }
+
+    const photo = this._extractPhotosFromProduct({ picture: variant.picture })[0] || variant.picture;
+    const main = root.querySelector('.product-main-img');
+    if (main && photo) main.src = photo;
+  }
+
+  _unbindVariantPicker() {
+    if (this._variantRoot && this._onVariantClick) {
+      this._variantRoot.removeEventListener('click', this._onVariantClick);
+    }
+    this._variantRoot = null;
+    this._onVariantClick = null;
+    this._variantSelection = {};
+  }
+
+  _cssEscape(value) {
+    return typeof CSS !== 'undefined' && CSS.escape
+      ? CSS.escape(String(value))
+      : String(value).replace(/"/g, '\\"');
+  }
+
   /* -------------------------------------------------------------------------- */
   /*  Extra handlers binding helpers                                            */
   /* -------------------------------------------------------------------------- */
@@ -504,6 +682,12 @@ export class ProductPageView {
     return this.ctx.getProductSync(this.currentProductId);
   }
 
+  /** Выбранный вариант как товар (для товаров без вариантов — сам товар) */
+  _getPurchaseProduct() {
+    const id = this.getPurchaseId();
+    return id ? this.ctx.getProductSync(id) : null;
+  }
+
   _forEach(nodeList, fn) {
     if (!nodeList) return;
     Array.prototype.forEach.call(nodeList, fn);
@@ -0,0 +1,109 @@
+// ProductService/CacheFreshness.js
+
+/**
+ * TTL по умолчанию для сущностей кеша (мс).
+ *  - ttlMs   — сколько запись считается свежей;
+ *  - staleMs — сколько после этого её ещё можно отдавать, обновляя в фоне
+ *              (stale-while-revalidate). Дальше запись просрочена и
+ *              перезапрашивается с ожиданием.
+ */
+export const DEFAULT_CACHE_TTL = Object.freeze({
+  products: Object.freeze({ ttlMs: 5 * 60 * 1000, staleMs: 30 * 60 * 1000 }),
+  list: Object.freeze({ ttlMs: 5 * 60 * 1000, staleMs: 30 * 60 * 1000 }),
+  brands: Object.freeze({ ttlMs: 30 * 60 * 1000, staleMs: 24 * 60 * 60 * 1000 }),
+  categories: Object.freeze({ ttlMs: 30 * 60 * 1000, staleMs: 24 * 60 * 60 * 1000 })
+});
+
+/**
+ * Хранит время записи для каждой (entity, id) и по TTL сущности
+ * определяет состояние: fresh / stale / expired / missing.
+ */
+export class CacheFreshness {
+  static FRESH = 'fresh';
+  static STALE = 'stale';
+  static EXPIRED = 'expired';
+  static MISSING = 'missing';
+
+  /**
+   * @param {Record<string, {ttlMs?: number, staleMs?: number}>} [ttl] - Переопределения по сущностям.
+   * @param {() => number} [now] - Источник времени.
+   */
+  constructor(ttl = {}, now = () => Date.now()) {
+    /** @type {Record<string, {ttlMs: number, staleMs: number}>} */
+    this.ttl = {};
+    const entities = new Set([...Object.keys(DEFAULT_CACHE_TTL), ...Object.keys(ttl || {})]);
+    for (const entity of entities) {
+      this.ttl[entity] = { ...(DEFAULT_CACHE_TTL[entity] || { ttlMs: 0, staleMs: 0 }), ...(ttl?.[entity] || {}) };
+    }
+
+    this._now = typeof now === 'function' ? now : () => Date.now();
+
+    /** @type {Map<string, Map<string, number>>} */
+    this._stamps = new Map();
+  }
+
+  _bucket(entity) {
+    let m = this._stamps.get(entity);
+    if (!m) {
+      m = new Map();
+      this._stamps.set(entity, m);
+    }
+    return m;
+  }
+
+  /**
+   * Отмечает запись как полученную в момент `at` (по умолчанию — сейчас).
+   * @param {string} entity
+   * @param {string} [id='*']
+   * @param {number} [at]
+   */
+  touch(entity, id = '*', at = this._now()) {
+    if (!entity) return;
+    const key = String(id ?? '*').trim() || '*';
+    this._bucket(entity).set(key, Number(at) || 0);
+  }
+
+  /**
+   * @param {string} entity
+   * @param {string} [id='*']
+   * @returns {'fresh'|'stale'|'expired'|'missing'}
+   */
+  state(entity, id = '*') {
+    const key = String(id ?? '*').trim() || '*';
+    const at = this._stamps.get(entity)?.get(key);
+    if (at === undefined) return CacheFreshness.MISSING;
+
+    const { ttlMs = 0, staleMs = 0 } = this.ttl[entity] || {};
+    const age = this._now() - at;
+    if (age < ttlMs) return CacheFreshness.FRESH;
+    if (age < ttlMs + staleMs) return CacheFreshness.STALE;
+    return CacheFreshness.EXPIRED;
+  }
+
+  /**
+   * Помечает записи просроченными: для конкретных id или для всей сущности.
+   * Сами данные в кеше остаются и используются как запасной вариант.
+   * @param {string} entity
+   * @param {string|string[]|null} [ids=null]
+   */
+  invalidate(entity, ids = null) {
+    const m = this._bucket(entity);
+    if (ids == null) {
+      for (const key of m.keys()) m.set(key, -Infinity);
+      m.set('*', -Infinity);
+      return;
+    }
+    for (const id of Array.isArray(ids) ? ids : [ids]) {
+      const key = String(id ?? '').trim();
+      if (key) m.set(key, -Infinity);
+    }
+  }
+
+  /**
+   * @param {string} [entity] - Без аргумента очищаются все сущности.
+   */
+  clear(entity) {
+    if (entity) this._stamps.delete(entity);
+    else this._stamps.clear();
+  }
+}
@@ -1,18 +1,26 @@
 import { ProductFetcher } from '../ProductFetcher.js';
+import { RequestCoalescer } from './RequestCoalescer.js';
 
 /**
  * Adapter around ProductFetcher that preserves the ProductBackend interface
  * expected by ProductService.
  *
  * Now extends ProductFetcher for better OOP composition and stability.
+ *
+ * Identical concurrent requests (same endpoint + payload) are coalesced into
+ * a single backend call, so e.g. AvailabilityLoader batches and a product page
+ * render asking for the same product share one fetch.
  */
 export class ProductBackend extends ProductFetcher {
   /**
-   * @param {any} foxEngine - Transport engine used to perform backend requests.
+   * @param {any} foxEngine - Host engine or transport used to perform backend requests.
    * @param {{
    *   endpoints?: Object,
    *   timeoutMs?: number,
-   *   debug?: boolean
+   *   debug?: boolean,
+   *   transport?: {send: Function},
+   *   retry?: Object,
+   *   retryByEndpoint?: Object<string,Object>
    * }} [opts] - Backend configuration.
    * @param {(key:string, vars?:Record<string,string|number>) => string} [msgFn]
    *   - Optional message resolver (e.g. for timeout texts).
@@ -28,7 +36,10 @@ export class ProductBackend extends ProductFetcher {
         brands: 'getBrands'
       },
       timeoutMs = 7000,
-      debug = false
+      debug = false,
+      transport,
+      retry,
+      retryByEndpoint
     } = opts || {};
 
     // Call parent constructor
@@ -37,7 +48,10 @@ export class ProductBackend extends ProductFetcher {
       timeoutMs,
       debug,
       msgFn,
-      logFn
+      logFn,
+      transport,
+      retry,
+      retryByEndpoint
     });
 
     /**
@@ -45,6 +59,31 @@ export class ProductBackend extends ProductFetcher {
      * @type {Record<string,string>}
      */
     this.endpoints = { ...this.endpoints };
+
+    /**
+     * In-flight request registry keyed by endpoint + payload.
+     * @type {RequestCoalescer}
+     */
+    this.coalescer = new RequestCoalescer();
+  }
+
+  /**
+   * Coalescing wrapper over ApiFetcher._safeCall.
+   * All fetch helpers inherited from ProductFetcher go through here.
+   *
+   * @protected
+   * @param {Object} [payload={}]
+   * @param {string} [expect='JSON']
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<any>}
+   */
+  _safeCall(payload = {}, expect = 'JSON', { signal } = {}) {
+    const key = RequestCoalescer.keyOf(payload, expect);
+    return this.coalescer.run(
+      key,
+      (sharedSignal) => super._safeCall(payload, expect, { signal: sharedSignal }),
+      { signal }
+    );
   }
 
   /**
@@ -53,10 +92,11 @@ export class ProductBackend extends ProductFetcher {
    *
    * @param {Object} [payload={}] - Payload sent to the backend.
    * @param {string} [expect='JSON'] - Expected response type.
+   * @param {{signal?: AbortSignal}} [options] - Cancellation signal.
    * @returns {Promise<any>}
    */
-  safeCall(payload = {}, expect = 'JSON') {
-    return this._safeCall(payload, expect);
+  safeCall(payload = {}, expect = 'JSON', options = {}) {
+    return this._safeCall(payload, expect, options);
   }
 
   /**
@@ -76,10 +116,11 @@ export class ProductBackend extends ProductFetcher {
    * Delegates to ProductFetcher.fetchList.
    *
    * @param {string} entity - Entity name mapped in endpoints.
+   * @param {{signal?: AbortSignal}} [options]
    * @returns {Promise<Array<any>>}
    */
-  fetchList(entity) {
-    return super.fetchList(entity);
+  fetchList(entity, options = {}) {
+    return super.fetchList(entity, options);
   }
 
   /**
@@ -88,9 +129,10 @@ export class ProductBackend extends ProductFetcher {
    *
    * @param {string} entity - Entity type (e.g. "categories", "brands").
    * @param {string|number} id - Entity identifier.
+   * @param {{signal?: AbortSignal}} [options]
    * @returns {Promise<any|null>}
    */
-  fetchEntityById(entity, id) {
-    return super.fetchEntityById(entity, id);
+  fetchEntityById(entity, id, options = {}) {
+    return super.fetchEntityById(entity, id, options);
   }
 }
\ No newline at end of file
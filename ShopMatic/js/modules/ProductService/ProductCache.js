@@ -1,15 +1,68 @@
 // ProductService/ProductCache.js
+import { CacheFreshness } from './CacheFreshness.js';
+import { ProductVariants } from './ProductVariants.js';
 
 export class ProductCache {
-  constructor() {
+  /**
+   * @param {Record<string, {ttlMs?: number, staleMs?: number}>} [ttl] - TTL по сущностям
+   *   (products, list, brands, categories), см. CacheFreshness.
+   */
+  constructor(ttl = {}) {
     /** @type {Array<any>} */
     this.products = [];
     /** @type {Map<string,any>} */
     this.productMap = new Map();
+    /** Варианты товаров как самостоятельные товары (id варианта → flatten) */
+    /** @type {Map<string,any>} */
+    this.variantMap = new Map();
     /** @type {Map<string,string>} */
     this.categoriesMap = new Map();
     /** @type {Map<string,string>} */
     this.brandsMap = new Map();
+    /** Отметки времени записей для TTL / stale-while-revalidate */
+    this.freshness = new CacheFreshness(ttl);
+  }
+
+  _entityOf(map) {
+    if (map === this.brandsMap) return 'brands';
+    if (map === this.categoriesMap) return 'categories';
+    return '';
+  }
+
+  /**
+   * Состояние записи по TTL.
+   * @param {'products'|'list'|'brands'|'categories'|string} entity
+   * @param {string} [id]
+   * @returns {'fresh'|'stale'|'expired'|'missing'}
+   */
+  getFreshness(entity, id) {
+    return this.freshness.state(entity, id === undefined ? '*' : this._normalizeId(id));
+  }
+
+  /**
+   * Записывает имя бренда/категории и отмечает его свежим.
+   * @param {'brands'|'categories'} entity
+   * @param {string} id
+   * @param {string} name
+   */
+  setName(entity, id, name) {
+    const key = this._normalizeId(id);
+    if (!key) return;
+    const map = entity === 'brands' ? this.brandsMap : this.categoriesMap;
+    map.set(key, name);
+    this.freshness.touch(entity, key);
+  }
+
+  /**
+   * Сбрасывает свежесть записей (данные остаются как запасной вариант).
+   * @param {'products'|'list'|'brands'|'categories'|string} entity
+   * @param {string|string[]|null} [ids=null]
+   */
+  invalidate(entity, ids = null) {
+    const norm = ids == null
+      ? null
+      : (Array.isArray(ids) ? ids : [ids]).map((v) => this._normalizeId(v));
+    this.freshness.invalidate(entity, norm);
   }
 
   _normalizeId(v) {
@@ -19,12 +72,31 @@ export class ProductCache {
 
   _setCache(map, key, value, overwrite = false) {
     if (!key) return;
-    if (overwrite || !map.has(key)) map.set(key, value);
+    if (overwrite || !map.has(key)) {
+      map.set(key, value);
+      const entity = this._entityOf(map);
+      if (entity) this.freshness.touch(entity, this._normalizeId(key));
+    }
+  }
+
+  /** Переиндексирует варианты одного родителя (старые записи родителя удаляются) */
+  _indexVariants(parent) {
+    const parentId = this._normalizeId(parent?.name);
+    if (!parentId) return;
+    for (const [vid, v] of this.variantMap) {
+      if (v.parentId === parentId) this.variantMap.delete(vid);
+    }
+    if (!ProductVariants.hasVariants(parent)) return;
+    for (const variant of parent.variants) {
+      const vid = this._normalizeId(variant.id);
+      if (vid && !this.productMap.has(vid)) this.variantMap.set(vid, ProductVariants.flatten(parent, variant));
+    }
   }
 
   /** Полная перестройка карт по текущему products */
   rebuildMaps() {
     this.productMap.clear();
+    this.variantMap.clear();
     // не чистим brandsMap/categoriesMap полностью — они могут быть наполнены отдельно
     for (const p of this.products) {
       if (!p || !p.name) continue;
@@ -33,6 +105,7 @@ export class ProductCache {
       if (p.brand) this._setCache(this.brandsMap, p.brand, p.brandName || p.brand);
       if (p.category) this._setCache(this.categoriesMap, p.category, p.categoryName || p.category);
     }
+    for (const p of this.products) this._indexVariants(p);
   }
 
   getProducts({ clone = true } = {}) {
@@ -41,29 +114,55 @@ export class ProductCache {
 
   findById(id) {
     const sid = this._normalizeId(id);
-    return sid ? this.productMap.get(sid) || null : null;
+    if (!sid) return null;
+    return this.productMap.get(sid) || this.variantMap.get(sid) || null;
   }
 
   setProducts(normalizedArray) {
     this.products = Array.isArray(normalizedArray) ? normalizedArray : [];
     this.rebuildMaps();
+    for (const key of this.productMap.keys()) this.freshness.touch('products', key);
+  }
+
+  /**
+   * Восстанавливает кеш из сохранённого снимка (см. ProductCachePersistence).
+   * Отметки свежести ставятся на момент синхронизации снимка, поэтому
+   * старые данные сразу считаются устаревшими и обновляются в фоне.
+   * @param {{products: Array<Object>, categories: Array<[string,string]>, brands: Array<[string,string]>, syncedAt: number}} snapshot
+   */
+  restore({ products = [], categories = [], brands = [], syncedAt = 0 } = {}) {
+    for (const [k, v] of categories) {
+      this.categoriesMap.set(k, v);
+      this.freshness.touch('categories', this._normalizeId(k), syncedAt);
+    }
+    for (const [k, v] of brands) {
+      this.brandsMap.set(k, v);
+      this.freshness.touch('brands', this._normalizeId(k), syncedAt);
+    }
+    this.products = Array.isArray(products) ? products : [];
+    this.rebuildMaps();
+    for (const key of this.productMap.keys()) this.freshness.touch('products', key, syncedAt);
+    this.freshness.touch('list', '*', syncedAt);
   }
 
   upsertProduct(normalized) {
     if (!normalized || !normalized.name) return null;
     const key = this._normalizeId(normalized.name);
     const existing = this.productMap.get(key);
+    this.freshness.touch('products', key);
     if (existing) {
       Object.assign(existing, normalized);
       this.productMap.set(key, existing);
       this._setCache(this.categoriesMap, existing.category, existing.categoryName || existing.category);
       this._setCache(this.brandsMap, existing.brand, existing.brandName || existing.brand);
+      this._indexVariants(existing);
       return existing;
     }
     this.products.push(normalized);
     this.productMap.set(key, normalized);
     this._setCache(this.categoriesMap, normalized.category, normalized.categoryName || normalized.category);
     this._setCache(this.brandsMap, normalized.brand, normalized.brandName || normalized.brand);
+    this._indexVariants(normalized);
     return normalized;
   }
 
@@ -76,7 +175,7 @@ export class ProductCache {
       const bid = this._normalizeId(p.brand);
       if (bid === sid) {
         const nm = p.brandName || p.brand || bid;
-        this.brandsMap.set(sid, nm);
+        this.setName('brands', sid, nm);
         return nm;
       }
     }
@@ -91,7 +190,7 @@ export class ProductCache {
       const cid = this._normalizeId(p.category);
       if (cid === sid) {
         const nm = p.categoryName || cid;
-        this.categoriesMap.set(sid, nm);
+        this.setName('categories', sid, nm);
         return nm;
       }
     }
@@ -102,8 +201,17 @@ export class ProductCache {
     if (products) {
       this.products = [];
       this.productMap.clear();
+      this.variantMap.clear();
+      this.freshness.clear('products');
+      this.freshness.clear('list');
+    }
+    if (categories) {
+      this.categoriesMap.clear();
+      this.freshness.clear('categories');
+    }
+    if (brands) {
+      this.brandsMap.clear();
+      this.freshness.clear('brands');
     }
-    if (categories) this.categoriesMap.clear();
-    if (brands) this.brandsMap.clear();
   }
 }
@@ -0,0 +1,167 @@
+// ProductService/ProductCachePersistence.js
+
+/** Версия схемы базы (object stores). Меняется только при изменении структуры хранилища. */
+const DB_SCHEMA_VERSION = 1;
+const STORE_NAME = 'snapshots';
+const SNAPSHOT_KEY = 'catalog';
+
+/**
+ * Необязательное хранение ProductCache в IndexedDB для офлайн-просмотра каталога.
+ *
+ * Сохраняется один снимок: products, categoriesMap, brandsMap и время
+ * последней синхронизации с бэкендом. Снимок отбрасывается, если:
+ *  - его `version` не совпадает с текущей (поменялся формат нормализованных данных);
+ *  - он старше `maxAgeMs`.
+ *
+ * Если IndexedDB недоступна (приватный режим, старый браузер), все методы
+ * тихо возвращают null / false.
+ */
+export class ProductCachePersistence {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.dbName='shopmatic_catalog'] - Имя базы IndexedDB.
+   * @param {number} [opts.version=1] - Версия данных снимка.
+   * @param {number} [opts.maxAgeMs=604800000] - Максимальный возраст снимка (по умолчанию 7 дней).
+   * @param {IDBFactory} [opts.indexedDB] - Реализация IndexedDB (для тестов).
+   */
+  constructor({
+    dbName = 'shopmatic_catalog',
+    version = 1,
+    maxAgeMs = 7 * 24 * 60 * 60 * 1000,
+    indexedDB: idb
+  } = {}) {
+    this.dbName = String(dbName);
+    this.version = Number(version) || 1;
+    this.maxAgeMs = Number(maxAgeMs) > 0 ? Number(maxAgeMs) : 0;
+
+    this._idb = idb || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+
+    /** @type {Promise<IDBDatabase|null>|null} */
+    this._dbPromise = null;
+
+    /** Время последней синхронизации, известное этому экземпляру (мс). */
+    this.lastSyncedAt = 0;
+  }
+
+  /** @returns {boolean} */
+  isAvailable() {
+    return !!this._idb;
+  }
+
+  _open() {
+    if (this._dbPromise) return this._dbPromise;
+    if (!this._idb) return Promise.resolve(null);
+
+    this._dbPromise = new Promise((resolve) => {
+      let req;
+      try {
+        req = this._idb.open(this.dbName, DB_SCHEMA_VERSION);
+      } catch (e) {
+        console.warn('ProductCachePersistence: open failed', e);
+        resolve(null);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) db.createObjectStore(STORE_NAME);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('ProductCachePersistence: open failed', req.error);
+        resolve(null);
+      };
+      req.onblocked = () => resolve(null);
+    });
+
+    return this._dbPromise;
+  }
+
+  async _request(mode, fn) {
+    const db = await this._open();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      let tx;
+      try {
+        tx = db.transaction(STORE_NAME, mode);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      const req = fn(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(req ? req.result : null);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Читает снимок. Возвращает null, если его нет, он другой версии или устарел.
+   * @returns {Promise<{products: Array<Object>, categories: Array<[string,string]>, brands: Array<[string,string]>, syncedAt: number}|null>}
+   */
+  async load() {
+    try {
+      const snap = await this._request('readonly', (store) => store.get(SNAPSHOT_KEY));
+      if (!snap || typeof snap !== 'object') return null;
+
+      if (snap.version !== this.version) {
+        await this.clear();
+        return null;
+      }
+
+      const syncedAt = Number(snap.syncedAt) || 0;
+      if (this.maxAgeMs && Date.now() - syncedAt > this.maxAgeMs) {
+        await this.clear();
+        return null;
+      }
+
+      this.lastSyncedAt = syncedAt;
+      return {
+        products: Array.isArray(snap.products) ? snap.products : [],
+        categories: Array.isArray(snap.categories) ? snap.categories : [],
+        brands: Array.isArray(snap.brands) ? snap.brands : [],
+        syncedAt
+      };
+    } catch (e) {
+      console.warn('ProductCachePersistence.load failed', e);
+      return null;
+    }
+  }
+
+  /**
+   * Сохраняет текущее состояние ProductCache.
+   * @param {import('./ProductCache.js').ProductCache} cache
+   * @param {number} [syncedAt=Date.now()] - Время успешной загрузки с бэкенда.
+   * @returns {Promise<boolean>}
+   */
+  async save(cache, syncedAt = Date.now()) {
+    if (!cache || !this._idb) return false;
+    const snap = {
+      version: this.version,
+      syncedAt,
+      products: cache.products,
+      categories: Array.from(cache.categoriesMap.entries()),
+      brands: Array.from(cache.brandsMap.entries())
+    };
+    try {
+      await this._request('readwrite', (store) => store.put(snap, SNAPSHOT_KEY));
+      this.lastSyncedAt = syncedAt;
+      return true;
+    } catch (e) {
+      console.warn('ProductCachePersistence.save failed', e);
+      return false;
+    }
+  }
+
+  /** @returns {Promise<boolean>} */
+  async clear() {
+    try {
+      await this._request('readwrite', (store) => store.delete(SNAPSHOT_KEY));
+      this.lastSyncedAt = 0;
+      return true;
+    } catch (e) {
+      console.warn('ProductCachePersistence.clear failed', e);
+      return false;
+    }
+  }
+}
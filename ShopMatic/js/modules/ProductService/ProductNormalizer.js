@@ -1,4 +1,6 @@
 // ProductService/ProductNormalizer.js
+import { CacheFreshness } from './CacheFreshness.js';
+import { ProductVariants } from './ProductVariants.js';
 
 export class ProductNormalizer {
   /**
@@ -40,7 +42,8 @@ export class ProductNormalizer {
       if (!item) return '';
       const bid = this._normalizeId(item.name) || sid;
       const fullname = String(item.fullname || '').trim() || bid;
-      this.cache.brandsMap.set(bid, fullname);
+      this.cache.setName('brands', bid, fullname);
+      if (bid !== sid) this.cache.setName('brands', sid, fullname);
       return fullname;
     } catch {
       return this.cache.getBrandNameById(sid);
@@ -55,7 +58,8 @@ export class ProductNormalizer {
       if (!item) return '';
       const cid = this._normalizeId(item.name) || sid;
       const fullname = String(item.fullname || '').trim() || cid;
-      this.cache.categoriesMap.set(cid, fullname);
+      this.cache.setName('categories', cid, fullname);
+      if (cid !== sid) this.cache.setName('categories', sid, fullname);
       return fullname;
     } catch {
       return this.cache.getCategoryNameById(sid);
@@ -63,20 +67,30 @@ export class ProductNormalizer {
   }
 
   async _resolveBrandAndCategoryNames(categoryKey, brandKey, fallbackCategory = '', fallbackBrand = '') {
-    const ensureBrandName = async () => {
-      if (!brandKey) return '';
-      // сначала пытаемся из кеша
-      const fromCache = this.cache.getBrandNameById(brandKey);
-      if (fromCache) return fromCache;
-      return this._fetchBrandNameById(brandKey);
+    // stale-while-revalidate: свежее или устаревшее имя отдаём сразу
+    // (устаревшее обновляем в фоне), просроченное — перезапрашиваем.
+    // Одинаковые запросы склеиваются на уровне backend.
+    const ensureName = async (entity, key, fetchFn) => {
+      if (!key) return '';
+      const fromCache = entity === 'brands'
+        ? this.cache.getBrandNameById(key)
+        : this.cache.getCategoryNameById(key);
+      if (!fromCache) return fetchFn(key);
+
+      const state = this.cache.getFreshness(entity, key);
+      if (state === CacheFreshness.EXPIRED) {
+        return (await fetchFn(key)) || fromCache;
+      }
+      if (state === CacheFreshness.STALE) {
+        fetchFn(key).catch(() => {});
+      }
+      return fromCache;
     };
 
-    const ensureCatName = async () => {
-      if (!categoryKey) return '';
-      const fromCache = this.cache.getCategoryNameById(categoryKey);
-      if (fromCache) return fromCache;
-      return this._fetchCategoryNameById(categoryKey);
-    };
+    const ensureBrandName = () =>
+      ensureName('brands', brandKey, (k) => this._fetchBrandNameById(k));
+    const ensureCatName = () =>
+      ensureName('categories', categoryKey, (k) => this._fetchCategoryNameById(k));
 
     const [brandNameResolved, catNameResolved] = await Promise.all([
       ensureBrandName(),
@@ -102,9 +116,17 @@ export class ProductNormalizer {
     if (!name) return null;
 
     const title = String(raw.fullname ?? raw.title ?? raw.name ?? '').trim();
-    const price = Number(raw.price ?? raw.cost ?? 0);
+    let price = Number(raw.price ?? raw.cost ?? 0);
     const oldPrice = Number(raw.oldPrice ?? raw.price_old ?? 0);
-    const stock = Number(raw.stock ?? raw.count ?? raw.qty ?? 0);
+    let stock = Number(raw.stock ?? raw.count ?? raw.qty ?? 0);
+
+    // у товара с вариантами остаток — сумма по вариантам, цена «от» — минимальная
+    const { variants, variantOptions } = ProductVariants.normalize(raw, name);
+    if (variants.length) {
+      stock = variants.reduce((s, v) => s + Math.max(0, v.stock), 0);
+      const prices = variants.map((v) => v.price).filter((v) => v != null && v > 0);
+      if (!price && prices.length) price = Math.min(...prices);
+    }
     const picture = String(
       raw.picture ?? raw.image ?? raw.img ?? '/assets/no-image.png'
     );
@@ -140,7 +162,9 @@ export class ProductNormalizer {
       brand: brandKey,
       brandName: resolvedBrandName,
       short: raw.short ?? raw.description ?? '',
-      specs: raw.specs ?? raw.properties ?? raw.attributes ?? {}
+      specs: raw.specs ?? raw.properties ?? raw.attributes ?? {},
+      variants,
+      variantOptions
     };
   }
 }
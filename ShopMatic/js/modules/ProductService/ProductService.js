@@ -5,6 +5,10 @@ import { ProductBackend } from './ProductBackend.js';
 import { ProductCache } from './ProductCache.js';
 import { ProductNormalizer } from './ProductNormalizer.js';
 import { SelectFiller } from './SelectFiller.js';
+import { RequestCoalescer } from './RequestCoalescer.js';
+import { CacheFreshness } from './CacheFreshness.js';
+import { ProductCachePersistence } from './ProductCachePersistence.js';
+import { ApiError } from '../Transport/ApiError.js';
 
 export class ProductService {
   static UI_MESSAGES = Object.freeze({
@@ -20,8 +24,25 @@ export class ProductService {
     UPSERT_ERROR: 'Ошибка добавления/обновления товара'
   });
 
+  /**
+   * @param {Object|null} foxEngine - Host engine (may be null when opts.transport is given).
+   * @param {Object} [opts]
+   * @param {Object<string,string>} [opts.endpoints] - Logical endpoint map.
+   * @param {number} [opts.timeoutMs=7000]
+   * @param {boolean} [opts.debug=false]
+   * @param {{send: Function}} [opts.transport] - Transport overriding foxEngine (REST, mock, ...).
+   * @param {Object} [opts.retry] - Default retry policy for product requests (see ApiFetcher).
+   * @param {Object<string,Object>} [opts.retryByEndpoint] - Retry overrides per endpoint key.
+   * @param {Record<string, {ttlMs?: number, staleMs?: number}>} [opts.cacheTtl] - Per-entity cache TTLs
+   *   (products, list, brands, categories), see CacheFreshness.
+   * @param {boolean|Object|ProductCachePersistence} [opts.persistence=false] - IndexedDB persistence
+   *   of the product cache: `true`, options for ProductCachePersistence
+   *   (`{ dbName, version, maxAgeMs }`) or a ready instance.
+   */
   constructor(foxEngine, opts = {}) {
-    if (!foxEngine) throw new TypeError('ProductService requires foxEngine');
+    if (!foxEngine && !opts?.transport) {
+      throw new TypeError('ProductService requires foxEngine or opts.transport');
+    }
 
     const {
       endpoints = {
@@ -31,10 +52,16 @@ export class ProductService {
         brands: 'getBrands'
       },
       timeoutMs = 7000,
-      debug = false
+      debug = false,
+      transport = null,
+      // product requests are idempotent reads, so a couple of retries is safe
+      retry = { retries: 2 },
+      retryByEndpoint = {},
+      cacheTtl = {},
+      persistence = false
     } = opts;
 
-    this.opts = { endpoints, timeoutMs, debug };
+    this.opts = { endpoints, timeoutMs, debug, transport, retry, retryByEndpoint, cacheTtl };
 
     this._subscribers = new Set();
 
@@ -42,7 +69,7 @@ export class ProductService {
     this._log = (...args) => {
       if (!this.opts.debug) return;
       const engineLogger =
-        typeof foxEngine.log === 'function'
+        typeof foxEngine?.log === 'function'
           ? foxEngine.log.bind(foxEngine)
           : console.debug;
       try {
@@ -52,8 +79,19 @@ export class ProductService {
       }
     };
 
-    this.backend = new ProductBackend(foxEngine, this.opts, this._log);
-    this.cache = new ProductCache();
+    this.backend = new ProductBackend(foxEngine, this.opts, (k) => this._msg(k), this._log);
+    this.cache = new ProductCache(cacheTtl);
+    // склейка одинаковых загрузок на уровне сервиса (список, товар по id)
+    this._inflight = new RequestCoalescer();
+
+    /** @type {ProductCachePersistence|null} */
+    this.persistence = null;
+    if (persistence instanceof ProductCachePersistence) {
+      this.persistence = persistence;
+    } else if (persistence) {
+      const p = new ProductCachePersistence(persistence === true ? {} : persistence);
+      this.persistence = p.isAvailable() ? p : null;
+    }
     this.normalizer = new ProductNormalizer(this.cache, this.backend);
     this.selectFiller = new SelectFiller(this.backend, this.cache, (k, vars) =>
       this._msg(k, vars)
@@ -110,9 +148,60 @@ export class ProductService {
     return this.cache.findById(id);
   }
 
-  async loadProductsSimple({ force = false, request = null } = {}) {
-    // if (this.products.length && !force && !request) return this.getProducts();
+  /**
+   * Loads the product list and replaces the cache.
+   * Errors (including cancellation via `signal`) keep the previous cache.
+   *
+   * Unfiltered loads (no `request`) follow stale-while-revalidate: a fresh
+   * list is returned from cache, a stale one is returned and reloaded in the
+   * background. `force` always goes to the backend. `preferCache` returns any
+   * cached list as is, whatever its age (a list restored from disk is rendered
+   * at once; the caller refreshes it, see revalidateProducts).
+   *
+   * @param {{force?: boolean, preferCache?: boolean, request?: null|string|Object, signal?: AbortSignal}} [options]
+   * @returns {Promise<Array<Object>>}
+   */
+  async loadProductsSimple({ force = false, preferCache = false, request = null, signal } = {}) {
+    if (!force && !request && this.cache.products.length) {
+      const state = this.cache.getFreshness('list');
+      if (preferCache || state === CacheFreshness.FRESH) return this.getProducts();
+      if (state === CacheFreshness.STALE) {
+        this._reloadProducts({}).catch(() => {});
+        return this.getProducts();
+      }
+    }
+
+    try {
+      await this._reloadProducts({ request, signal });
+    } catch (err) {
+      if (!ApiError.isAbort(err)) this._log(this._msg('LOAD_PRODUCTS_ERROR'), err);
+      // оставляем старый кэш
+      this.cache.rebuildMaps();
+    }
+    return this.getProducts();
+  }
 
+  /**
+   * Fetches and normalizes the product list, replacing the cache.
+   * Concurrent calls with the same request share one load.
+   *
+   * @protected
+   * @param {{request?: null|string|Object, signal?: AbortSignal}} [options]
+   * @returns {Promise<void>}
+   * @throws {ApiError}
+   */
+  _reloadProducts({ request = null, signal } = {}) {
+    const key = `list|${RequestCoalescer.stableStringify(request)}`;
+    return this._inflight.run(key, (sharedSignal) => this._requestProducts(request, sharedSignal), { signal });
+  }
+
+  /**
+   * @protected
+   * @param {null|string|Object} request
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  async _requestProducts(request, signal) {
     const defaultEndpoint = this.opts.endpoints.products;
     let endpoint = defaultEndpoint;
     let payload = { sysRequest: endpoint };
@@ -140,60 +229,189 @@ export class ProductService {
       }
     }
 
-    try {
-      const res = await this.backend.safeCall(payload, 'JSON');
-      const items = this.backend.extractArray(res, ['items', 'products', 'data']);
-      const normalized = await Promise.all(
-        items
-          .map((i) => this.normalizer.normalizeProduct(i))
-          .filter(Boolean)
-      );
-      this.cache.setProducts(normalized);
+    const res = await this.backend.safeCall(payload, 'JSON', { signal });
+    const items = this.backend.extractArray(res, ['items', 'products', 'data']);
+    const normalized = await Promise.all(
+      items
+        .map((i) => this.normalizer.normalizeProduct(i))
+        .filter(Boolean)
+    );
+    this.cache.setProducts(normalized);
 
-      // ensure simple maps заполнены
-      for (const p of this.cache.products) {
-        if (p.category) {
-          this.cache._setCache(
-            this.cache.categoriesMap,
-            p.category,
-            p.categoryName || p.category
-          );
-        }
-        if (p.brand) {
-          this.cache._setCache(
-            this.cache.brandsMap,
-            p.brand,
-            p.brandName || p.brand
-          );
-        }
+    // ensure simple maps заполнены
+    for (const p of this.cache.products) {
+      if (p.category) {
+        this.cache._setCache(
+          this.cache.categoriesMap,
+          p.category,
+          p.categoryName || p.category
+        );
+      }
+      if (p.brand) {
+        this.cache._setCache(
+          this.cache.brandsMap,
+          p.brand,
+          p.brandName || p.brand
+        );
       }
+    }
 
-      this._notifySubscribers({
-        type: 'reload',
-        changedIds: this.cache.products.map((p) => p.name)
-      });
+    // снимок сохраняется уже с категориями и брендами
+    if (!request) {
+      this.cache.freshness.touch('list');
+      this._persist();
+    }
+
+    this._notifySubscribers({
+      type: 'reload',
+      changedIds: this.cache.products.map((p) => p.name)
+    });
+  }
+
+  /**
+   * Loads one page of products from the backend (server-side pagination).
+   * Page items are upserted into the cache; the full list is not replaced.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=24]
+   * @param {string|null} [options.cursor=null]
+   * @param {Object} [options.filters] - Filter state sent to the backend (search, category, brand, sort, ...).
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{items: Array<Object>, total: number|null, page: number, limit: number, nextCursor: string|null, hasMore: boolean, facets: Object|null}>}
+   * @throws {ApiError}
+   */
+  async loadProductsPage({ page = 1, limit = 24, cursor = null, filters = {}, signal } = {}) {
+    const params = {};
+    for (const [k, v] of Object.entries(filters || {})) {
+      if (v === '' || v === null || v === undefined || v === false) continue;
+      if (Array.isArray(v) && !v.length) continue;
+      params[k] = v;
+    }
+
+    const res = await this.backend.fetchProductsPage(
+      { ...params, page, limit, cursor },
+      { signal }
+    );
+
+    const normalized = (await Promise.all(
+      res.items.map((i) => this.normalizer.normalizeProduct(i))
+    )).filter(Boolean);
 
-      return this.getProducts();
+    const items = normalized
+      .map((p) => this.cache.upsertProduct(p))
+      .filter(Boolean);
+
+    this._notifySubscribers({ type: 'page', changedIds: items.map((p) => p.name) });
+
+    return { ...res, items };
+  }
+
+  /* ------------ persistence ------------ */
+
+  /**
+   * Restores the product cache from IndexedDB (when persistence is enabled
+   * and the cache is still empty). Restored entries are stamped with their
+   * sync time, so loadProductsSimple/revalidateProducts refresh them.
+   *
+   * @returns {Promise<boolean>} true when products were restored.
+   */
+  async restorePersisted() {
+    if (!this.persistence || this.cache.products.length) return false;
+    const snap = await this.persistence.load();
+    if (!snap || !snap.products.length) return false;
+
+    this.cache.restore(snap);
+    this._notifySubscribers({
+      type: 'restore',
+      changedIds: this.cache.products.map((p) => p.name)
+    });
+    return true;
+  }
+
+  /**
+   * Time of the last successful full product list sync (ms), 0 when unknown.
+   * @returns {number}
+   */
+  getLastSyncedAt() {
+    return this.persistence?.lastSyncedAt || 0;
+  }
+
+  /**
+   * Reloads the product list unless it is still fresh.
+   * @returns {Promise<boolean>} true when the list was reloaded from the backend.
+   */
+  async revalidateProducts() {
+    if (this.cache.getFreshness('list') === CacheFreshness.FRESH) return false;
+    try {
+      await this._reloadProducts({});
+      return true;
     } catch (err) {
-      this._log(this._msg('LOAD_PRODUCTS_ERROR'), err);
-      // оставляем старый кэш
-      this.cache.rebuildMaps();
-      return this.getProducts();
+      if (!ApiError.isAbort(err)) this._log(this._msg('LOAD_PRODUCTS_ERROR'), err);
+      return false;
     }
   }
 
-  async fetchById(id) {
+  /** @protected */
+  _persist() {
+    if (!this.persistence) return;
+    this.persistence.save(this.cache).catch((err) => this._log('ProductService: persist failed', err));
+  }
+
+  /**
+   * Returns a product from cache or fetches it from the backend.
+   *
+   * Cache follows stale-while-revalidate with the `products` TTL:
+   * fresh → cached; stale → cached + background refresh;
+   * expired → refetch (cached copy is the fallback on failure).
+   * Concurrent fetches of the same id share one request.
+   *
+   * @param {string|number} id
+   * @param {{signal?: AbortSignal, force?: boolean}} [options]
+   * @returns {Promise<Object|null>} null when not found, failed or cancelled.
+   */
+  async fetchById(id, { signal, force = false } = {}) {
     const sid = this._normalizeId(id);
     if (!sid) return null;
 
     const existing = this.findById(sid);
-    if (existing) return existing;
+    if (existing && !force) {
+      // свежесть варианта — свежесть родителя
+      const fid = existing.parentId || sid;
+      const state = this.cache.getFreshness('products', fid);
+      if (state === CacheFreshness.STALE) {
+        this._loadProductById(fid).catch((err) => this._log(this._msg('FETCH_BY_ID_ERROR'), err));
+      }
+      // записи без отметки (например, заданные через setter products) считаем свежими
+      if (state !== CacheFreshness.EXPIRED) return existing;
+    }
 
-    const endpoint = this.opts.endpoints.productById;
     try {
+      const loaded = await this._loadProductById(existing?.parentId || sid, { signal });
+      // по id варианта бэкенд может вернуть родителя — отдаём сам вариант
+      return (loaded && this.findById(sid)) || loaded || existing || null;
+    } catch (err) {
+      if (!ApiError.isAbort(err)) this._log(this._msg('FETCH_BY_ID_ERROR'), err);
+      return ApiError.isAbort(err) ? null : existing || null;
+    }
+  }
+
+  /**
+   * Fetches a product by id, normalizes and upserts it. Coalesced per id.
+   *
+   * @protected
+   * @param {string} sid
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<Object|null>}
+   * @throws {ApiError}
+   */
+  _loadProductById(sid, { signal } = {}) {
+    return this._inflight.run(`product|${sid}`, async (sharedSignal) => {
+      const endpoint = this.opts.endpoints.productById;
       const res = await this.backend.safeCall(
         { sysRequest: endpoint, id: sid },
-        'JSON'
+        'JSON',
+        { signal: sharedSignal }
       );
       const items = this.backend.extractArray(res, [
         'product',
@@ -207,14 +425,13 @@ export class ProductService {
       const normalized = await this.normalizer.normalizeProduct(raw);
       if (!normalized) return null;
 
+      const existed = !!this.findById(normalized.name);
       const upserted = this.cache.upsertProduct(normalized);
+      if (!upserted) return null;
 
-      this._notifySubscribers({ type: 'add', changedIds: [upserted.name] });
+      this._notifySubscribers({ type: existed ? 'update' : 'add', changedIds: [upserted.name] });
       return upserted;
-    } catch (err) {
-      this._log(this._msg('FETCH_BY_ID_ERROR'), err);
-      return null;
-    }
+    }, { signal });
   }
 
   async setProducts(rawProducts = []) {
@@ -420,5 +637,27 @@ export class ProductService {
 
   clearCache(opts = {}) {
     this.cache.clearCache(opts);
+    if (opts.persisted && this.persistence) {
+      this.persistence.clear().catch(() => {});
+    }
+  }
+
+  /**
+   * Invalidation hook: marks cached entries as expired so the next access
+   * refetches them (cached data stays as a fallback). Subscribers receive
+   * `{ type: 'invalidate', entity, changedIds }`.
+   *
+   * @param {'products'|'list'|'brands'|'categories'} entity
+   * @param {string|string[]|null} [ids=null] - Without ids the whole entity is invalidated.
+   */
+  invalidate(entity, ids = null) {
+    this.cache.invalidate(entity, ids);
+    if (entity === 'products' && ids == null) this.cache.invalidate('list');
+
+    const changedIds = ids == null
+      ? (entity === 'products' ? this.cache.products.map((p) => p.name) : [])
+      : (Array.isArray(ids) ? ids : [ids]).map((v) => this._normalizeId(v));
+
+    this._notifySubscribers({ type: 'invalidate', entity, changedIds });
   }
 }
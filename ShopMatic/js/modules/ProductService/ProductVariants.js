@@ -0,0 +1,245 @@
+// ProductService/ProductVariants.js
+
+/**
+ * Модель вариантов товара (размер, цвет, ...).
+ *
+ * Родительский товар хранит:
+ *  - variantOptions: [{ key, label, values: [{ value, label }] }] — оси выбора
+ *  - variants: [{ id, sku, options: { key: value }, price, oldPrice, stock, picture }]
+ *
+ * Вариант — самостоятельная «покупаемая» единица: корзина, остатки и
+ * findById работают с id варианта. flatten() собирает из родителя и варианта
+ * обычный объект товара, поэтому остальной код про варианты не знает.
+ */
+export class ProductVariants {
+  /** Разделитель в сгенерированных id: `${parentId}::${value}-${value}` */
+  static SEPARATOR = '::';
+
+  static OPTION_LABELS = Object.freeze({
+    size: 'Размер',
+    color: 'Цвет'
+  });
+
+  static _str(v) {
+    if (v === undefined || v === null) return '';
+    return String(v).trim();
+  }
+
+  static _num(v, fallback = 0) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : fallback;
+  }
+
+  /**
+   * Опции варианта: raw.options | raw.attributes | плоские поля size/color.
+   * @returns {Record<string,string>}
+   */
+  static _parseVariantOptions(rawVariant, knownKeys = []) {
+    const src = rawVariant.options ?? rawVariant.attributes ?? null;
+    const out = {};
+
+    if (Array.isArray(src)) {
+      for (const o of src) {
+        const key = this._str(o?.key ?? o?.name);
+        const value = this._str(o?.value);
+        if (key && value) out[key] = value;
+      }
+    } else if (src && typeof src === 'object') {
+      for (const [k, v] of Object.entries(src)) {
+        const key = this._str(k);
+        const value = this._str(v);
+        if (key && value) out[key] = value;
+      }
+    }
+
+    const flatKeys = new Set([...knownKeys, ...Object.keys(this.OPTION_LABELS)]);
+    for (const key of flatKeys) {
+      if (out[key]) continue;
+      const value = this._str(rawVariant[key]);
+      if (value) out[key] = value;
+    }
+    return out;
+  }
+
+  /**
+   * Оси выбора из raw.variantOptions | raw.options. Значения — строки или { value, label }.
+   */
+  static _parseOptionDefs(raw) {
+    const src = Array.isArray(raw.variantOptions)
+      ? raw.variantOptions
+      : (Array.isArray(raw.options) ? raw.options : []);
+
+    const defs = [];
+    for (const d of src) {
+      const key = this._str(d?.key ?? d?.name);
+      if (!key) continue;
+      const values = (Array.isArray(d.values) ? d.values : [])
+        .map((v) => (v && typeof v === 'object'
+          ? { value: this._str(v.value ?? v.key ?? v.name), label: this._str(v.label ?? v.title ?? v.value) }
+          : { value: this._str(v), label: this._str(v) }))
+        .filter((v) => v.value);
+      defs.push({ key, label: this._str(d.label ?? d.title) || this.OPTION_LABELS[key] || key, values });
+    }
+    return defs;
+  }
+
+  /**
+   * Сгенерированный id варианта, если бэкенд не прислал свой.
+   * @param {string} parentId
+   * @param {Record<string,string>} options
+   * @param {string[]} keys - порядок осей
+   */
+  static makeId(parentId, options = {}, keys = Object.keys(options)) {
+    const parts = keys.map((k) => this._str(options[k])).filter(Boolean);
+    return parts.length ? `${parentId}${this.SEPARATOR}${parts.join('-')}` : '';
+  }
+
+  /**
+   * Нормализует варианты сырого товара.
+   * @param {Object} raw
+   * @param {string} parentId
+   * @returns {{ variants: Array<Object>, variantOptions: Array<Object> }}
+   */
+  static normalize(raw, parentId) {
+    const rawVariants = Array.isArray(raw?.variants) ? raw.variants : [];
+    if (!rawVariants.length) return { variants: [], variantOptions: [] };
+
+    const defs = this._parseOptionDefs(raw);
+    const knownKeys = defs.map((d) => d.key);
+
+    const variants = [];
+    const seen = new Set();
+    for (const rv of rawVariants) {
+      if (!rv || typeof rv !== 'object') continue;
+      const options = this._parseVariantOptions(rv, knownKeys);
+
+      // оси, которых нет в описании, добавляем в порядке появления
+      for (const key of Object.keys(options)) {
+        if (!knownKeys.includes(key)) knownKeys.push(key);
+      }
+
+      const id = this._str(rv.id ?? rv.name ?? rv.sku) || this.makeId(parentId, options, knownKeys);
+      if (!id || seen.has(id)) continue;
+      seen.add(id);
+
+      const picture = rv.picture ?? rv.image ?? rv.img ?? null;
+      variants.push({
+        id,
+        sku: this._str(rv.sku) || id,
+        options,
+        price: rv.price ?? rv.cost ?? null,
+        oldPrice: rv.oldPrice ?? rv.price_old ?? null,
+        stock: this._num(rv.stock ?? rv.count ?? rv.qty, 0),
+        picture: picture == null ? null : String(picture)
+      });
+    }
+
+    // описания осей дополняем значениями, встреченными в вариантах
+    const defByKey = new Map(defs.map((d) => [d.key, d]));
+    for (const key of knownKeys) {
+      let def = defByKey.get(key);
+      if (!def) {
+        def = { key, label: this.OPTION_LABELS[key] || key, values: [] };
+        defByKey.set(key, def);
+        defs.push(def);
+      }
+      for (const v of variants) {
+        const value = v.options[key];
+        if (value && !def.values.some((x) => x.value === value)) def.values.push({ value, label: value });
+      }
+    }
+
+    return {
+      variants: variants.map((v) => ({
+        ...v,
+        price: v.price == null ? null : this._num(v.price, 0),
+        oldPrice: v.oldPrice == null ? null : this._num(v.oldPrice, 0)
+      })),
+      variantOptions: defs.filter((d) => d.values.length)
+    };
+  }
+
+  /** @returns {boolean} */
+  static hasVariants(product) {
+    return Array.isArray(product?.variants) && product.variants.length > 0;
+  }
+
+  /**
+   * Человекочитаемые опции: «Цвет: Красный, Размер: M».
+   * @param {Record<string,string>} options
+   * @param {Array<Object>} [variantOptions] - оси родителя (для подписей и порядка)
+   */
+  static formatOptions(options = {}, variantOptions = []) {
+    const defs = Array.isArray(variantOptions) ? variantOptions : [];
+    const keys = [
+      ...defs.map((d) => d.key).filter((k) => options[k]),
+      ...Object.keys(options).filter((k) => !defs.some((d) => d.key === k))
+    ];
+    return keys
+      .map((key) => {
+        const def = defs.find((d) => d.key === key);
+        const label = def?.label || this.OPTION_LABELS[key] || key;
+        const value = def?.values?.find((v) => v.value === options[key])?.label || options[key];
+        return `${label}: ${value}`;
+      })
+      .join(', ');
+  }
+
+  /**
+   * Вариант как самостоятельный товар: поля родителя + цена/остаток/фото варианта.
+   * name — id варианта (ключ корзины), parentId — id родителя.
+   */
+  static flatten(parent, variant) {
+    if (!parent || !variant) return null;
+    const { variants, variantOptions, ...base } = parent;
+    return {
+      ...base,
+      name: variant.id,
+      parentId: parent.name,
+      variantId: variant.id,
+      sku: variant.sku,
+      options: { ...variant.options },
+      optionsText: this.formatOptions(variant.options, variantOptions),
+      price: variant.price ?? parent.price,
+      oldPrice: variant.oldPrice ?? parent.oldPrice,
+      stock: variant.stock,
+      picture: variant.picture ?? parent.picture,
+      variants: [],
+      variantOptions: []
+    };
+  }
+
+  /**
+   * Вариант, точно совпадающий с выбором по всем осям.
+   * @param {Object} product - родитель
+   * @param {Record<string,string>} selection
+   */
+  static findByOptions(product, selection = {}) {
+    if (!this.hasVariants(product)) return null;
+    const keys = (product.variantOptions || []).map((d) => d.key);
+    return product.variants.find((v) =>
+      keys.every((k) => this._str(v.options[k]) === this._str(selection[k]))
+    ) || null;
+  }
+
+  /**
+   * Есть ли в наличии вариант со значением key=value, совместимый с остальным выбором.
+   */
+  static isValueAvailable(product, selection, key, value) {
+    if (!this.hasVariants(product)) return false;
+    return product.variants.some((v) => {
+      if (v.options[key] !== value || !(v.stock > 0)) return false;
+      return Object.entries(selection || {}).every(([k, val]) =>
+        k === key || !val || v.options[k] === val
+      );
+    });
+  }
+
+  /**
+   * Вариант по умолчанию: первый в наличии, иначе первый.
+   */
+  static defaultVariant(product) {
+    if (!this.hasVariants(product)) return null;
+    return product.variants.find((v) => v.stock > 0) || product.variants[0];
+  }
+}
@@ -0,0 +1,119 @@
+// ProductService/RequestCoalescer.js
+import { ApiError } from '../Transport/ApiError.js';
+
+/**
+ * Склеивает одинаковые запросы, выполняющиеся одновременно.
+ *
+ * Пока запрос с ключом `key` в полёте, повторные вызовы получают тот же промис.
+ * Каждый вызывающий может передать свой AbortSignal: отмена отцепляет только
+ * его, а общий запрос прерывается лишь когда от него отказались все.
+ */
+export class RequestCoalescer {
+  constructor() {
+    /** @type {Map<string, {promise: Promise<any>, controller: AbortController|null, refs: number, pinned: boolean}>} */
+    this._inflight = new Map();
+  }
+
+  /**
+   * Детерминированная сериализация: ключи объектов сортируются,
+   * поэтому {a,b} и {b,a} дают один и тот же ключ.
+   * @param {any} value
+   * @returns {string}
+   */
+  static stableStringify(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value) ?? 'undefined';
+    if (Array.isArray(value)) return `[${value.map((v) => RequestCoalescer.stableStringify(v)).join(',')}]`;
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${RequestCoalescer.stableStringify(value[k])}`).join(',')}}`;
+  }
+
+  /**
+   * Ключ запроса: endpoint + payload (+ ожидаемый тип ответа).
+   * @param {Object} payload
+   * @param {string} [expect='JSON']
+   * @returns {string}
+   */
+  static keyOf(payload = {}, expect = 'JSON') {
+    const endpoint = String(payload?.sysRequest ?? '');
+    return `${endpoint}|${String(expect)}|${RequestCoalescer.stableStringify(payload || {})}`;
+  }
+
+  /**
+   * Выполняет factory или присоединяется к уже идущему запросу с тем же ключом.
+   *
+   * @template T
+   * @param {string} key
+   * @param {(signal: AbortSignal|undefined) => Promise<T>} factory
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<T>}
+   */
+  run(key, factory, { signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new ApiError('Request aborted', { kind: ApiError.ABORTED }));
+    }
+
+    let entry = this._inflight.get(key);
+    if (!entry) {
+      const controller = typeof AbortController === 'function' ? new AbortController() : null;
+      entry = { promise: null, controller, refs: 0, pinned: false };
+      const current = entry;
+      entry.promise = Promise.resolve()
+        .then(() => factory(controller?.signal))
+        .finally(() => {
+          if (this._inflight.get(key) === current) this._inflight.delete(key);
+        });
+      this._inflight.set(key, entry);
+    }
+
+    // без сигнала вызывающий не может отказаться — общий запрос не прерываем
+    if (!signal) {
+      entry.pinned = true;
+      return entry.promise;
+    }
+
+    entry.refs++;
+    const shared = entry;
+
+    return new Promise((resolve, reject) => {
+      let done = false;
+      const release = () => {
+        signal.removeEventListener('abort', onAbort);
+        shared.refs = Math.max(0, shared.refs - 1);
+      };
+      const onAbort = () => {
+        if (done) return;
+        done = true;
+        release();
+        if (shared.refs === 0 && !shared.pinned) {
+          try { shared.controller?.abort(); } catch {}
+        }
+        reject(new ApiError('Request aborted', { kind: ApiError.ABORTED }));
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      shared.promise.then(
+        (res) => { if (!done) { done = true; release(); resolve(res); } },
+        (err) => { if (!done) { done = true; release(); reject(err); } }
+      );
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this._inflight.has(key);
+  }
+
+  /** Количество запросов в полёте. */
+  get size() {
+    return this._inflight.size;
+  }
+
+  /** Забывает все запросы в полёте (сами запросы не прерываются). */
+  clear() {
+    this._inflight.clear();
+  }
+}
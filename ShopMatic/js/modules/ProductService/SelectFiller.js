@@ -28,6 +28,8 @@ export class SelectFiller {
 
   /**
    * Универсальный наполнитель select.
+   * `fromCache` — без запроса к бэкенду: список берётся из categoriesMap/brandsMap
+   * (например, восстановленных с диска вместе с каталогом).
    */
   async fillSelectGeneric(
     selectEl,
@@ -38,7 +40,8 @@ export class SelectFiller {
       onlyFromProducts = false,
       sort = true,
       allMsgKey = 'ALL_CATEGORIES_OPTION',
-      selected = ''
+      selected = '',
+      fromCache = false
     } = {}
   ) {
     if (typeof selectEl === 'string') {
@@ -66,8 +69,14 @@ export class SelectFiller {
       collected.set(key, entry);
     };
 
-    // 1) список с бэкенда
-    if (!onlyFromProducts) {
+    // 1) список из кэша или с бэкенда
+    if (!onlyFromProducts && fromCache) {
+      const map = entity === 'brands' ? this.cache.brandsMap : this.cache.categoriesMap;
+      for (const [id, nm] of map) {
+        const key = this._normalizeId(id);
+        add(key, key, nm != null ? String(nm).trim() : '');
+      }
+    } else if (!onlyFromProducts) {
       const list = await this._fetchList(entity);
       for (const it of list) {
         if (!it) continue;
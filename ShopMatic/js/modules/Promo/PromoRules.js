@@ -0,0 +1,209 @@
+/**
+ * PromoRules — расчёт скидок по правилам промокодов (без сети и DOM).
+ *
+ * Правило:
+ *  {
+ *    code: 'SALE10',
+ *    type: 'percent' | 'fixed' | 'free_delivery' | 'buy_x_get_y',
+ *    value: 10,                 // процент или сумма
+ *    maxDiscount: 0,            // потолок скидки для percent (0 — без потолка)
+ *    minOrderSum: 0,            // минимальная сумма подходящих товаров
+ *    startsAt, expiresAt,       // ISO-строка | timestamp
+ *    scope: { categories: [], brands: [], products: [] },  // пусто — вся корзина
+ *    buyQty: 2, getQty: 1,      // buy_x_get_y: из каждых buyQty+getQty шт. getQty самых дешёвых бесплатно
+ *    stackable: true,           // false — не сочетается с другими кодами
+ *    label: 'Скидка 10%'
+ *  }
+ *
+ * Контекст расчёта:
+ *  { items: [{ id, price, qty, category, brand }], deliveryPrice, now }
+ *
+ * @author Calista Verner
+ */
+export class PromoRules {
+  static TYPES = Object.freeze(['percent', 'fixed', 'free_delivery', 'buy_x_get_y']);
+
+  /** Причины отказа (ключи сообщений PromoService) */
+  static REASONS = Object.freeze({
+    INVALID: 'invalid',
+    NOT_STARTED: 'not_started',
+    EXPIRED: 'expired',
+    MIN_ORDER: 'min_order',
+    NO_ITEMS: 'no_items',
+    NOT_STACKABLE: 'not_stackable'
+  });
+
+  static normalizeCode(code) {
+    return String(code ?? '').trim().toUpperCase();
+  }
+
+  static _num(v, fallback = 0) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : fallback;
+  }
+
+  static _time(v) {
+    if (v === undefined || v === null || v === '') return null;
+    const t = typeof v === 'number' ? v : Date.parse(v);
+    return Number.isFinite(t) ? t : null;
+  }
+
+  static _list(v) {
+    if (!v) return [];
+    return (Array.isArray(v) ? v : [v]).map((x) => String(x).trim()).filter(Boolean);
+  }
+
+  /**
+   * Приводит описание правила (локальное или от сервера) к единому виду.
+   * @returns {Object|null} null — правило не распознано
+   */
+  static normalize(def) {
+    if (!def || typeof def !== 'object') return null;
+
+    const code = this.normalizeCode(def.code ?? def.name);
+    const type = String(def.type ?? def.kind ?? '').toLowerCase();
+    if (!code || !this.TYPES.includes(type)) return null;
+
+    const scope = def.scope || {};
+    return {
+      code,
+      type,
+      value: Math.max(0, this._num(def.value ?? def.amount ?? def.percent)),
+      maxDiscount: Math.max(0, this._num(def.maxDiscount)),
+      minOrderSum: Math.max(0, this._num(def.minOrderSum ?? def.minSum)),
+      startsAt: this._time(def.startsAt),
+      expiresAt: this._time(def.expiresAt ?? def.expires),
+      scope: {
+        categories: this._list(scope.categories ?? def.categories),
+        brands: this._list(scope.brands ?? def.brands),
+        products: this._list(scope.products ?? def.products)
+      },
+      buyQty: Math.max(1, Math.floor(this._num(def.buyQty ?? def.buy, 1))),
+      getQty: Math.max(1, Math.floor(this._num(def.getQty ?? def.get, 1))),
+      stackable: def.stackable !== false,
+      label: String(def.label ?? def.title ?? '').trim()
+    };
+  }
+
+  /** Подходит ли позиция под ограничения правила по категории/бренду/товару */
+  static inScope(rule, item) {
+    const { categories, brands, products } = rule.scope;
+    if (!categories.length && !brands.length && !products.length) return true;
+    const id = String(item.id ?? '');
+    return (
+      (categories.length && categories.includes(String(item.category ?? ''))) ||
+      (brands.length && brands.includes(String(item.brand ?? ''))) ||
+      (products.length && (products.includes(id) || products.includes(String(item.parentId ?? ''))))
+    ) || false;
+  }
+
+  static _eligible(rule, items) {
+    return (Array.isArray(items) ? items : []).filter((it) => it && this.inScope(rule, it));
+  }
+
+  static _sum(items) {
+    return items.reduce((s, it) => s + this._num(it.price) * Math.max(0, this._num(it.qty)), 0);
+  }
+
+  /**
+   * Проверяет и считает одно правило.
+   * @returns {{ ok: boolean, reason?: string, amount: number, freeDelivery: boolean, vars?: Object }}
+   *   amount — скидка на товары (без доставки)
+   */
+  static evaluate(rule, ctx = {}) {
+    const fail = (reason, vars = {}) => ({ ok: false, reason, amount: 0, freeDelivery: false, vars });
+    if (!rule) return fail(this.REASONS.INVALID);
+
+    const now = this._num(ctx.now, Date.now());
+    if (rule.startsAt && now < rule.startsAt) return fail(this.REASONS.NOT_STARTED);
+    if (rule.expiresAt && now > rule.expiresAt) return fail(this.REASONS.EXPIRED);
+
+    const eligible = this._eligible(rule, ctx.items);
+    if (!eligible.length) return fail(this.REASONS.NO_ITEMS);
+
+    const eligibleSum = this._sum(eligible);
+    if (rule.minOrderSum && eligibleSum < rule.minOrderSum) {
+      return fail(this.REASONS.MIN_ORDER, { sum: rule.minOrderSum });
+    }
+
+    let amount = 0;
+    let freeDelivery = false;
+
+    switch (rule.type) {
+      case 'percent':
+        amount = eligibleSum * Math.min(100, rule.value) / 100;
+        if (rule.maxDiscount) amount = Math.min(amount, rule.maxDiscount);
+        break;
+      case 'fixed':
+        amount = Math.min(rule.value, eligibleSum);
+        break;
+      case 'free_delivery':
+        freeDelivery = true;
+        break;
+      case 'buy_x_get_y': {
+        // раскладываем на единицы и дарим самые дешёвые из каждой группы buy+get
+        const units = [];
+        for (const it of eligible) {
+          for (let i = 0; i < Math.max(0, Math.floor(this._num(it.qty))); i++) units.push(this._num(it.price));
+        }
+        const group = rule.buyQty + rule.getQty;
+        const freeCount = Math.floor(units.length / group) * rule.getQty;
+        if (!freeCount) return fail(this.REASONS.NO_ITEMS, { qty: group });
+        units.sort((a, b) => a - b);
+        amount = units.slice(0, freeCount).reduce((s, p) => s + p, 0);
+        break;
+      }
+      default:
+        return fail(this.REASONS.INVALID);
+    }
+
+    return { ok: true, amount: Math.round(Math.max(0, amount)), freeDelivery };
+  }
+
+  /**
+   * Итог по нескольким правилам (в порядке применения).
+   * Суммарная скидка не превышает сумму товаров; бесплатная доставка обнуляет её цену.
+   *
+   * @param {Array<Object>} rules - нормализованные правила
+   * @param {Object} ctx
+   * @returns {{
+   *   subtotal: number, discount: number, deliveryPrice: number, deliveryDiscount: number,
+   *   freeDelivery: boolean, total: number,
+   *   lines: Array<{code: string, label: string, amount: number, freeDelivery: boolean}>,
+   *   rejected: Array<{code: string, reason: string, vars: Object}>
+   * }}
+   */
+  static combine(rules = [], ctx = {}) {
+    const subtotal = Math.round(this._sum(Array.isArray(ctx.items) ? ctx.items : []));
+    const deliveryPrice = Math.max(0, this._num(ctx.deliveryPrice));
+
+    const lines = [];
+    const rejected = [];
+    let discount = 0;
+    let freeDelivery = false;
+
+    for (const rule of rules) {
+      const res = this.evaluate(rule, ctx);
+      if (!res.ok) {
+        rejected.push({ code: rule?.code ?? '', reason: res.reason, vars: res.vars || {} });
+        continue;
+      }
+      const amount = Math.min(res.amount, subtotal - discount);
+      discount += amount;
+      freeDelivery = freeDelivery || res.freeDelivery;
+      lines.push({ code: rule.code, label: rule.label, amount, freeDelivery: res.freeDelivery });
+    }
+
+    const deliveryDiscount = freeDelivery ? deliveryPrice : 0;
+    return {
+      subtotal,
+      discount,
+      deliveryPrice,
+      deliveryDiscount,
+      freeDelivery,
+      total: Math.max(0, subtotal - discount) + deliveryPrice - deliveryDiscount,
+      lines,
+      rejected
+    };
+  }
+}
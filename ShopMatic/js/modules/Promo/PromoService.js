@@ -0,0 +1,256 @@
+import { ApiFetcher } from '../ApiFetcher.js';
+import { ApiError } from '../Transport/ApiError.js';
+import { PromoRules } from './PromoRules.js';
+
+/**
+ * Promo code engine for checkout.
+ *
+ * - codes are validated by the backend (`endpoints.promoValidate`); when the backend
+ *   is unreachable or not configured, the local rule table is used instead
+ * - applied codes stack in the order they were entered; a non-stackable code
+ *   can't be combined with any other one
+ * - totals are recalculated against the current cart on every `calculate()`,
+ *   so a code that stops qualifying is reported in `rejected` instead of silently dropped
+ *
+ * Backend response shapes understood by `_parseResponse`:
+ *   `{ valid: true, promo: {rule} }`, `{ ok: false, message }`, `{ valid: true, discount: 300 }`.
+ *
+ * @author Calista Verner
+ */
+export class PromoService extends ApiFetcher {
+  static UI_MESSAGES = Object.freeze({
+    EMPTY_CODE: 'Введите промокод',
+    APPLIED: 'Промокод {code} применён',
+    REMOVED: 'Промокод {code} удалён',
+    ALREADY_APPLIED: 'Промокод {code} уже применён',
+    invalid: 'Неверный промокод',
+    not_started: 'Промокод ещё не действует',
+    expired: 'Срок действия промокода истёк',
+    min_order: 'Промокод действует при заказе от {sum}',
+    no_items: 'В заказе нет товаров, на которые действует промокод',
+    not_stackable: 'Этот промокод нельзя сочетать с другими',
+    CHECK_FAILED: 'Не удалось проверить промокод, попробуйте позже'
+  });
+
+  /**
+   * @param {Object|null} foxEngine - Host engine or transport (see ApiFetcher).
+   * @param {Object} [options]
+   * @param {{send: Function}} [options.transport] - Explicit transport.
+   * @param {Object<string,string>} [options.endpoints] - Defaults: `{ promoValidate: 'validatePromo' }`.
+   * @param {Array<Object>} [options.rules] - Local rules (see PromoRules), used as the fallback.
+   * @param {boolean} [options.server=true] - Ask the backend first; `false` — local rules only.
+   * @param {(value: number) => string} [options.formatPrice] - Formats sums in messages.
+   * @param {number} [options.timeoutMs]
+   * @param {boolean} [options.debug]
+   */
+  constructor(foxEngine, {
+    transport,
+    endpoints = {},
+    rules = [],
+    server = true,
+    formatPrice = (v) => String(v),
+    timeoutMs,
+    debug
+  } = {}) {
+    const merged = { promoValidate: 'validatePromo', ...endpoints };
+    super(foxEngine, { transport, endpoints: merged, timeoutMs, debug });
+
+    this.endpoints = merged;
+    this.server = Boolean(server);
+    this.formatPrice = formatPrice;
+
+    /** @type {Map<string, Object>} local rules by code */
+    this.rules = new Map();
+    this.setRules(rules);
+
+    /** @type {Object[]} applied rules in application order */
+    this._applied = [];
+    /** @type {Map<string, Promise<Object>>} apply() calls in flight by code */
+    this._pending = new Map();
+    this._subs = new Set();
+  }
+
+  _msg(key, vars = {}) {
+    const tpl = PromoService.UI_MESSAGES[key] ?? PromoService.UI_MESSAGES.invalid;
+    return String(tpl).replace(/\{([^}]+)\}/g, (m, k) =>
+      Object.prototype.hasOwnProperty.call(vars, k) ? String(vars[k]) : m
+    );
+  }
+
+  /**
+   * Replaces the local rule table.
+   * @param {Array<Object>} rules
+   */
+  setRules(rules = []) {
+    this.rules.clear();
+    for (const def of Array.isArray(rules) ? rules : []) {
+      const rule = PromoRules.normalize(def);
+      if (rule) this.rules.set(rule.code, rule);
+    }
+  }
+
+  /** @returns {string[]} applied codes */
+  getApplied() {
+    return this._applied.map((r) => r.code);
+  }
+
+  isApplied(code) {
+    const c = PromoRules.normalizeCode(code);
+    return this._applied.some((r) => r.code === c);
+  }
+
+  /**
+   * Resolves a code to a rule: backend first, local table as the fallback.
+   *
+   * @param {string} code
+   * @param {Object} ctx - Cart context (see PromoRules).
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<{rule: Object|null, message?: string}>}
+   * @throws {ApiError} only for aborts
+   */
+  async resolve(code, ctx = {}, { signal } = {}) {
+    const c = PromoRules.normalizeCode(code);
+    if (!c) return { rule: null };
+
+    if (this.server) {
+      try {
+        const res = await this._safeCall({
+          sysRequest: this.endpoints.promoValidate,
+          code: c,
+          items: (ctx.items || []).map(({ id, qty, price }) => ({ id, qty, price }))
+        }, 'JSON', { signal });
+
+        const parsed = this._parseResponse(c, res);
+        if (parsed) return parsed;
+      } catch (err) {
+        if (ApiError.isAbort(err)) throw err;
+        this._log('PromoService: server validation failed, using local rules', err);
+      }
+    }
+
+    return { rule: this.rules.get(c) || null };
+  }
+
+  /**
+   * @protected
+   * @returns {{rule: Object|null, message?: string}|null} null — response not understood
+   */
+  _parseResponse(code, res) {
+    if (!res || typeof res !== 'object') return null;
+
+    const valid = res.valid ?? res.ok ?? res.success;
+    if (valid === undefined) return null;
+
+    const message = typeof (res.message ?? res.error) === 'string' ? (res.message ?? res.error) : '';
+    if (!valid) return { rule: null, message };
+
+    const def = res.promo ?? res.rule ?? res.data ?? null;
+    let rule = PromoRules.normalize(def && typeof def === 'object' ? { code, ...def } : null);
+    if (!rule && Number(res.discount) > 0) {
+      rule = PromoRules.normalize({ code, type: 'fixed', value: res.discount, label: res.label });
+    }
+    return rule ? { rule, message } : null;
+  }
+
+  /**
+   * Validates and applies a code. Repeated calls for a code that is still
+   * being checked share one result.
+   *
+   * @param {string} code
+   * @param {Object} ctx - Cart context (see PromoRules).
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<{ok: boolean, code: string, message: string}>}
+   */
+  apply(code, ctx = {}, { signal } = {}) {
+    const c = PromoRules.normalizeCode(code);
+    if (!c) return Promise.resolve({ ok: false, code: c, message: this._msg('EMPTY_CODE') });
+    if (this._pending.has(c)) return this._pending.get(c);
+
+    const pending = this._apply(c, ctx, { signal }).finally(() => this._pending.delete(c));
+    this._pending.set(c, pending);
+    return pending;
+  }
+
+  /** @protected */
+  async _apply(c, ctx, { signal } = {}) {
+    if (this.isApplied(c)) return { ok: false, code: c, message: this._msg('ALREADY_APPLIED', { code: c }) };
+
+    let resolved;
+    try {
+      resolved = await this.resolve(c, ctx, { signal });
+    } catch (err) {
+      return { ok: false, code: c, message: ApiError.isAbort(err) ? '' : this._msg('CHECK_FAILED') };
+    }
+
+    const { rule, message } = resolved;
+    if (!rule) return { ok: false, code: c, message: message || this._msg(PromoRules.REASONS.INVALID) };
+
+    // пока шла проверка, набор применённых кодов мог измениться
+    if (this.isApplied(c)) return { ok: false, code: c, message: this._msg('ALREADY_APPLIED', { code: c }) };
+
+    if (this._applied.length && (!rule.stackable || this._applied.some((r) => !r.stackable))) {
+      return { ok: false, code: c, message: this._msg(PromoRules.REASONS.NOT_STACKABLE) };
+    }
+
+    const res = PromoRules.evaluate(rule, ctx);
+    if (!res.ok) return { ok: false, code: c, message: this._reasonText(res) };
+
+    this._applied.push(rule);
+    this._emit({ type: 'apply', code: c });
+    return { ok: true, code: c, message: message || this._msg('APPLIED', { code: c }) };
+  }
+
+  /**
+   * Removes an applied code.
+   * @returns {{ok: boolean, code: string, message: string}} ok — the code was applied
+   */
+  remove(code) {
+    const c = PromoRules.normalizeCode(code);
+    const idx = this._applied.findIndex((r) => r.code === c);
+    if (idx < 0) return { ok: false, code: c, message: '' };
+    this._applied.splice(idx, 1);
+    this._emit({ type: 'remove', code: c });
+    return { ok: true, code: c, message: this._msg('REMOVED', { code: c }) };
+  }
+
+  clear() {
+    if (!this._applied.length) return;
+    this._applied = [];
+    this._emit({ type: 'clear', code: null });
+  }
+
+  /**
+   * Totals for the current cart with all applied codes (see PromoRules.combine).
+   * Rejected entries carry a ready `message`.
+   *
+   * @param {Object} ctx
+   */
+  calculate(ctx = {}) {
+    const summary = PromoRules.combine(this._applied, ctx);
+    summary.rejected = summary.rejected.map((r) => ({ ...r, message: this._reasonText(r) }));
+    return summary;
+  }
+
+  _reasonText({ reason, vars = {} }) {
+    const v = { ...vars };
+    if (v.sum !== undefined) v.sum = this.formatPrice(v.sum);
+    return this._msg(reason, v);
+  }
+
+  /**
+   * @param {(event: {type: string, code: string|null, codes: string[]}) => void} cb
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(cb) {
+    if (typeof cb !== 'function') throw new Error('subscribe requires a function');
+    this._subs.add(cb);
+    return () => this._subs.delete(cb);
+  }
+
+  _emit({ type, code }) {
+    const event = { type, code, codes: this.getApplied() };
+    for (const cb of this._subs) {
+      try { cb(event); } catch (e) { console.warn('PromoService subscriber error', e); }
+    }
+  }
+}
@@ -25,12 +25,14 @@ export class MiniCartRenderer extends BaseRenderer {
         : imageArray[0] ?? '/assets/no-image.png'
     );
     const id = String(item.name ?? item.id ?? '');
+    // выбранные опции варианта: «Цвет: Красный, Размер: M»
+    const options = String(item.optionsText ?? '');
 
     if (foxEngine?.templateCache?.miniCartItem && foxEngine.replaceTextInTemplate) {
       try {
         return await foxEngine.replaceTextInTemplate(
           foxEngine.templateCache.miniCartItem,
-          { id, img, title, qty, price }
+          { id, img, title, options, qty, price }
         );
       } catch (e) {
         this._log(`createMiniCartItemHTML template error: ${e}`, 'WARN');
@@ -46,6 +48,7 @@ export class MiniCartRenderer extends BaseRenderer {
         </div>
         <div class="mc-body">
           <div class="mc-name">${esc(title)}</div>
+          ${options ? `<div class="mc-options">${esc(options)}</div>` : ''}
           <div class="mc-meta">${esc(String(qty))} × ${esc(price)}</div>
         </div>
       </li>`;
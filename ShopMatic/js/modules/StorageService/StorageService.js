@@ -4,6 +4,8 @@ import { AvailabilityLoader } from './AvailabilityLoader.js';
 import { CartStorage } from './storageType/CartStorage.js';
 import { FavoritesStorage } from './storageType/FavoritesStorage.js';
 import { ViewedStorage } from './storageType/ViewedStorage.js';
+import { SearchHistoryStorage } from './storageType/SearchHistoryStorage.js';
+import { CompareStorage } from './storageType/CompareStorage.js';
 
 export class StorageService {
   /**
@@ -13,6 +15,9 @@ export class StorageService {
    * @param {string} [opts.favStorageKey] - Key used to store favorite items.
    * @param {string} [opts.viewedStorageKey] - Key used to store viewed products.
    * @param {number} [opts.maxViewedItems] - Maximum number of viewed items to keep.
+   * @param {string} [opts.searchHistoryStorageKey] - Key used to store recent catalog searches.
+   * @param {number} [opts.maxRecentSearches] - Maximum number of recent searches to keep.
+   * @param {string} [opts.compareStorageKey] - Key used to store the comparison list.
    * @param {number} [opts.defaultConcurrency] - Concurrency limit for availability loading.
    */
   constructor(shopMatic, opts = {}) {
@@ -22,6 +27,9 @@ export class StorageService {
     const favStorageKey = opts.favStorageKey ?? 'gribkov_favs_v1';
     const viewedStorageKey = opts.viewedStorageKey ?? 'gribkov_viewed_v1';
     const maxViewedItems = Number(opts.maxViewedItems ?? 20);
+    const searchHistoryStorageKey = opts.searchHistoryStorageKey ?? 'gribkov_search_v1';
+    const maxRecentSearches = Number(opts.maxRecentSearches ?? 8);
+    const compareStorageKey = opts.compareStorageKey ?? 'gribkov_compare_v1';
     const defaultConcurrency = Math.max(1, Number(opts.defaultConcurrency ?? 6));
 
     this._availabilityLoader = new AvailabilityLoader({
@@ -51,6 +59,14 @@ export class StorageService {
         }
       }
     });
+
+    this._searchHistoryStorage = new SearchHistoryStorage({
+      searchHistoryStorageKey,
+      maxRecentSearches
+    });
+
+    this._compareStorage = new CompareStorage({ compareStorageKey });
+    this.compareStorageKey = compareStorageKey;
   }
 
   /** @returns {boolean} */
@@ -72,6 +88,24 @@ export class StorageService {
     return this._cartStorage.loadCartWithAvailability(options);
   }
 
+  /**
+   * Resolves stock/availability for arbitrary cart lines (e.g. the server cart).
+   * @param {Array} items
+   * @param {Object} [options]
+   * @returns {Promise<Array>} items with { available, missing, stock }
+   */
+  checkAvailability(items, options = {}) {
+    return this._availabilityLoader.loadWithAvailability(items, options);
+  }
+
+  /**
+   * Connects the server copy of the cart (CartSync); null disconnects it.
+   * @param {{schedulePush: Function}|null} remote
+   */
+  setCartRemote(remote) {
+    this._cartStorage.setRemote(remote);
+  }
+
   /** @returns {boolean} */
   saveFavs(setLike) {
     return this._favoritesStorage.saveFavs(setLike);
@@ -104,4 +138,37 @@ export class StorageService {
   clearViewed() {
     return this._viewedStorage.clearViewed();
   }
+
+  /** @returns {Array<string>} */
+  loadRecentSearches() {
+    return this._searchHistoryStorage.loadRecentSearches();
+  }
+
+  /** @returns {boolean} */
+  addRecentSearch(query) {
+    return this._searchHistoryStorage.addRecentSearch(query);
+  }
+
+  /** @returns {boolean} */
+  removeRecentSearch(query) {
+    return this._searchHistoryStorage.removeRecentSearch(query);
+  }
+
+  clearRecentSearches() {
+    return this._searchHistoryStorage.clearRecentSearches();
+  }
+
+  /** @returns {boolean} */
+  saveCompare(setLike) {
+    return this._compareStorage.saveCompare(setLike);
+  }
+
+  /** @returns {Array<string>} */
+  loadCompare() {
+    return this._compareStorage.loadCompare();
+  }
+
+  clearCompare() {
+    return this._compareStorage.clearCompare();
+  }
 }
@@ -6,6 +6,9 @@ import { AvailabilityLoader } from '../AvailabilityLoader.js';
 /**
  * Хранилище корзины.
  * Наследует LocalStorageAdapter → BaseStorage.
+ *
+ * localStorage — основная копия; если подключён remote (CartSync),
+ * каждое сохранение ещё и отправляется на сервер (с задержкой, для вошедших покупателей).
  */
 export class CartStorage extends LocalStorageAdapter {
   /**
@@ -17,6 +20,15 @@ export class CartStorage extends LocalStorageAdapter {
     super();
     this.availabilityLoader = availabilityLoader;
     this.storageKey = storageKey;
+    /** @type {{schedulePush: Function}|null} */
+    this.remote = null;
+  }
+
+  /**
+   * @param {{schedulePush: Function}|null} remote - серверная копия корзины (CartSync)
+   */
+  setRemote(remote) {
+    this.remote = remote && typeof remote.schedulePush === 'function' ? remote : null;
   }
 
   _normalizeCartItem(input = {}) {
@@ -37,7 +49,9 @@ export class CartStorage extends LocalStorageAdapter {
         this._normalizeCartItem(i)
       );
       // используем методы базового класса
-      return this.setJSON(this.storageKey, normalized);
+      const saved = this.setJSON(this.storageKey, normalized);
+      try { this.remote?.schedulePush(); } catch (e) { console.warn('CartStorage: remote push failed', e); }
+      return saved;
     } catch (e) {
       console.warn('CartStorage.saveCart error', e);
       return false;
@@ -0,0 +1,47 @@
+// StorageService/storageType/CompareStorage.js
+
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+
+/**
+ * Хранилище списка сравнения (массив id товаров в порядке добавления).
+ * Наследует LocalStorageAdapter → BaseStorage.
+ */
+export class CompareStorage extends LocalStorageAdapter {
+  /**
+   * @param {Object} deps
+   * @param {string} [deps.compareStorageKey] - Storage key for compared product ids.
+   */
+  constructor({ compareStorageKey = 'gribkov_compare_v1' } = {}) {
+    super();
+    this.compareStorageKey = compareStorageKey;
+  }
+
+  /**
+   * @param {Iterable<string>} setLike
+   * @returns {boolean}
+   */
+  saveCompare(setLike) {
+    try {
+      const arr = Array.from(setLike ?? []).map(String);
+      return this.setJSON(this.compareStorageKey, arr);
+    } catch (e) {
+      console.warn('CompareStorage.saveCompare error', e);
+      return false;
+    }
+  }
+
+  /**
+   * @returns {Array<string>}
+   */
+  loadCompare() {
+    const list = this.getJSON(this.compareStorageKey, { arrayOnly: true }) ?? [];
+    return list
+      .map((x) => (x && typeof x === 'object' ? x.name ?? x.id : x))
+      .filter((x) => x != null && String(x).trim())
+      .map(String);
+  }
+
+  clearCompare() {
+    this.remove(this.compareStorageKey);
+  }
+}
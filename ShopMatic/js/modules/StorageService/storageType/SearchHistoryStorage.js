@@ -0,0 +1,62 @@
+// StorageService/storageType/SearchHistoryStorage.js
+
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+
+/**
+ * Недавние поисковые запросы каталога.
+ * Наследует LocalStorageAdapter → BaseStorage.
+ */
+export class SearchHistoryStorage extends LocalStorageAdapter {
+  /**
+   * @param {Object} deps
+   * @param {string} [deps.searchHistoryStorageKey] - Storage key for recent searches.
+   * @param {number} [deps.maxRecentSearches] - Maximum number of queries to keep.
+   */
+  constructor({
+    searchHistoryStorageKey = 'gribkov_search_v1',
+    maxRecentSearches = 8
+  } = {}) {
+    super();
+    this.searchHistoryStorageKey = searchHistoryStorageKey;
+    this.maxRecentSearches = Math.max(1, Number(maxRecentSearches || 8));
+  }
+
+  /**
+   * Loads recent queries, newest first.
+   * @returns {Array<string>}
+   */
+  loadRecentSearches() {
+    const list = this.getJSON(this.searchHistoryStorageKey, { arrayOnly: true }) ?? [];
+    return list.filter((q) => typeof q === 'string' && q.trim());
+  }
+
+  /**
+   * Moves the query to the top of the list (case-insensitive de-duplication).
+   * @param {string} query
+   * @returns {boolean}
+   */
+  addRecentSearch(query) {
+    const q = String(query ?? '').trim();
+    if (!q) return false;
+
+    const key = q.toLowerCase();
+    const list = this.loadRecentSearches().filter((x) => x.toLowerCase() !== key);
+    list.unshift(q);
+
+    return this.setJSON(this.searchHistoryStorageKey, list.slice(0, this.maxRecentSearches));
+  }
+
+  /**
+   * @param {string} query
+   * @returns {boolean}
+   */
+  removeRecentSearch(query) {
+    const key = String(query ?? '').trim().toLowerCase();
+    const list = this.loadRecentSearches().filter((x) => x.toLowerCase() !== key);
+    return this.setJSON(this.searchHistoryStorageKey, list);
+  }
+
+  clearRecentSearches() {
+    this.remove(this.searchHistoryStorageKey);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Typed error for backend calls made through ApiFetcher.
+ *
+ * `kind` tells callers what went wrong without parsing messages:
+ *  - ApiError.TIMEOUT — request exceeded the configured timeout
+ *  - ApiError.NETWORK — transport failed (offline, DNS, CORS, engine failure)
+ *  - ApiError.BACKEND — backend answered with an error status
+ *  - ApiError.PARSE — response body is not valid JSON (never retried: the same
+ *    payload comes back again)
+ *  - ApiError.ABORTED — request cancelled by the caller's AbortSignal
+ *
+ * @author Calista Verner
+ */
+export class ApiError extends Error {
+  static TIMEOUT = 'timeout';
+  static NETWORK = 'network';
+  static BACKEND = 'backend';
+  static PARSE = 'parse';
+  static ABORTED = 'aborted';
+
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {'timeout'|'network'|'backend'|'parse'|'aborted'} [details.kind='network']
+   * @param {number|null} [details.status=null] - HTTP/backend status when known.
+   * @param {string} [details.endpoint=''] - sysRequest of the failed call.
+   * @param {number} [details.attempt=0] - Zero-based attempt index.
+   * @param {any} [details.cause] - Original error.
+   */
+  constructor(message, { kind = ApiError.NETWORK, status = null, endpoint = '', attempt = 0, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.endpoint = endpoint;
+    this.attempt = attempt;
+    if (cause !== undefined) this.cause = cause;
+  }
+
+  get isTimeout() { return this.kind === ApiError.TIMEOUT; }
+
+  get isNetwork() { return this.kind === ApiError.NETWORK; }
+
+  get isBackend() { return this.kind === ApiError.BACKEND; }
+
+  get isParse() { return this.kind === ApiError.PARSE; }
+
+  get isAborted() { return this.kind === ApiError.ABORTED; }
+
+  /**
+   * Wraps any thrown value into an ApiError.
+   * Errors carrying a numeric `status` are treated as backend errors,
+   * AbortError as cancellation, SyntaxError (malformed JSON body) as a parse
+   * error, everything else as a network failure.
+   *
+   * @param {any} err
+   * @param {{endpoint?: string, attempt?: number}} [ctx]
+   * @returns {ApiError}
+   */
+  static from(err, { endpoint = '', attempt = 0 } = {}) {
+    if (err instanceof ApiError) {
+      if (!err.endpoint) err.endpoint = endpoint;
+      err.attempt = attempt;
+      return err;
+    }
+
+    const message = (err && err.message) || String(err || 'Request failed');
+
+    if (err && err.name === 'AbortError') {
+      return new ApiError(message, { kind: ApiError.ABORTED, endpoint, attempt, cause: err });
+    }
+
+    const status = Number(err && err.status);
+    if (Number.isFinite(status) && status > 0) {
+      return new ApiError(message, { kind: ApiError.BACKEND, status, endpoint, attempt, cause: err });
+    }
+
+    if (err instanceof SyntaxError || (err && err.name === 'SyntaxError')) {
+      return new ApiError(message, { kind: ApiError.PARSE, endpoint, attempt, cause: err });
+    }
+
+    return new ApiError(message, { kind: ApiError.NETWORK, endpoint, attempt, cause: err });
+  }
+
+  /**
+   * True for the errors that cancellation produces (ApiError or native AbortError).
+   * @param {any} err
+   * @returns {boolean}
+   */
+  static isAbort(err) {
+    return !!err && (err.kind === ApiError.ABORTED || err.name === 'AbortError');
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Transport adapter over the host engine (foxEngine).
+ *
+ * Implements the transport contract used by ApiFetcher:
+ *   send(payload, expect, { signal }) => Promise<any>
+ *
+ * The payload is passed through unchanged, so `sysRequest` keeps selecting
+ * the backend handler exactly as before. The host engine cannot abort
+ * requests, so `signal` is ignored here; ApiFetcher releases the caller.
+ *
+ * @author Calista Verner
+ */
+export class FoxEngineTransport {
+  /**
+   * @param {Object} foxEngine - Host engine exposing `sendPostAndGetAnswer(payload, expect)`.
+   */
+  constructor(foxEngine) {
+    if (!foxEngine || typeof foxEngine.sendPostAndGetAnswer !== 'function') {
+      throw new TypeError('FoxEngineTransport requires foxEngine.sendPostAndGetAnswer');
+    }
+
+    /** @protected */
+    this.foxEngine = foxEngine;
+  }
+
+  /**
+   * Sends a payload through the host engine.
+   *
+   * @param {Object} [payload={}] - Request payload (must contain `sysRequest`).
+   * @param {'JSON'|'TEXT'|string} [expect='JSON'] - Expected response type.
+   * @param {{signal?: AbortSignal}} [options] - Unused (engine requests are not abortable).
+   * @returns {Promise<any>}
+   */
+  send(payload = {}, expect = 'JSON', options = {}) {
+    return this.foxEngine.sendPostAndGetAnswer(payload, expect);
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * REST transport built on top of `fetch`.
+ *
+ * Implements the same contract as FoxEngineTransport:
+ *   send(payload, expect, { signal }) => Promise<any>
+ *
+ * The logical backend name (`payload.sysRequest`) is mapped to an HTTP route.
+ * Remaining payload fields are used to fill `:param` placeholders in the path;
+ * the rest goes to the query string (GET/HEAD/DELETE) or to a JSON body.
+ *
+ * Route declaration examples:
+ *   routes: {
+ *     getProducts: 'GET /products',
+ *     getProduct: { method: 'GET', path: '/products/:id' },
+ *     getCategories: '/categories'          // method defaults to `defaultMethod`
+ *   }
+ *
+ * Unknown sysRequest values fall back to `${defaultMethod} /${sysRequest}`.
+ *
+ * `payload.idempotencyKey` is sent as the `Idempotency-Key` header instead of a param,
+ * `payload.authToken` (added by AuthModule) as `Authorization: Bearer <token>`.
+ *
+ * @author Calista Verner
+ */
+export class RestTransport {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl=''] - Base URL prepended to every route path.
+   * @param {Record<string, string|{method?: string, path?: string, headers?: Object}>} [options.routes]
+   *   - Map of sysRequest names to routes.
+   * @param {Object|(() => Object)} [options.headers] - Extra headers (or a factory called per request).
+   * @param {string} [options.defaultMethod='POST'] - Method for routes without an explicit one.
+   * @param {(params: Object, ctx: {sysRequest: string, method: string, path: string}) => any} [options.mapBody]
+   *   - Maps request params to the JSON body. Defaults to identity.
+   * @param {(data: any, ctx: {sysRequest: string, response: Response}) => any} [options.mapResponse]
+   *   - Maps parsed response data before it is returned. Defaults to identity.
+   * @param {RequestCredentials} [options.credentials] - Passed to fetch as-is.
+   * @param {typeof fetch} [options.fetchFn] - Custom fetch implementation (e.g. for a mock server).
+   */
+  constructor({
+    baseUrl = '',
+    routes = {},
+    headers = {},
+    defaultMethod = 'POST',
+    mapBody,
+    mapResponse,
+    credentials,
+    fetchFn
+  } = {}) {
+    const fetchImpl =
+      typeof fetchFn === 'function'
+        ? fetchFn
+        : (typeof globalThis.fetch === 'function' ? globalThis.fetch.bind(globalThis) : null);
+
+    if (!fetchImpl) {
+      throw new TypeError('RestTransport requires fetch (pass options.fetchFn)');
+    }
+
+    /** @protected */
+    this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+
+    /**
+     * Normalized routes keyed by sysRequest.
+     * @type {Record<string, {method: string, path: string, headers: Object}>}
+     * @protected
+     */
+    this.routes = {};
+    for (const [name, route] of Object.entries(routes || {})) {
+      this.routes[name] = this._normalizeRoute(name, route, defaultMethod);
+    }
+
+    /** @protected */
+    this.headers = headers;
+
+    /** @protected */
+    this.defaultMethod = String(defaultMethod || 'POST').toUpperCase();
+
+    /** @protected */
+    this.mapBody = typeof mapBody === 'function' ? mapBody : (params) => params;
+
+    /** @protected */
+    this.mapResponse = typeof mapResponse === 'function' ? mapResponse : (data) => data;
+
+    /** @protected */
+    this.credentials = credentials;
+
+    /** @protected */
+    this._fetch = fetchImpl;
+  }
+
+  /**
+   * Normalizes a route declaration into `{ method, path, headers }`.
+   *
+   * @protected
+   * @param {string} name - sysRequest name.
+   * @param {string|Object} route - 'GET /path', '/path' or `{ method, path, headers }`.
+   * @param {string} defaultMethod
+   * @returns {{method: string, path: string, headers: Object}}
+   */
+  _normalizeRoute(name, route, defaultMethod) {
+    const fallbackMethod = String(defaultMethod || 'POST').toUpperCase();
+
+    if (typeof route === 'string') {
+      const parts = route.trim().split(/\s+/);
+      if (parts.length > 1) {
+        return { method: parts[0].toUpperCase(), path: parts.slice(1).join(' '), headers: {} };
+      }
+      return { method: fallbackMethod, path: parts[0] || `/${name}`, headers: {} };
+    }
+
+    const obj = route && typeof route === 'object' ? route : {};
+    return {
+      method: String(obj.method || fallbackMethod).toUpperCase(),
+      path: obj.path || `/${name}`,
+      headers: { ...(obj.headers || {}) }
+    };
+  }
+
+  /**
+   * Returns the route for a sysRequest name (declared or fallback).
+   *
+   * @protected
+   * @param {string} sysRequest
+   * @returns {{method: string, path: string, headers: Object}}
+   */
+  _resolveRoute(sysRequest) {
+    return this.routes[sysRequest] || {
+      method: this.defaultMethod,
+      path: `/${sysRequest}`,
+      headers: {}
+    };
+  }
+
+  /**
+   * Substitutes `:param` placeholders from params.
+   * Used params are removed from the returned `rest` object.
+   *
+   * @protected
+   * @param {string} path
+   * @param {Object} params
+   * @returns {{ path: string, rest: Object }}
+   */
+  _fillPath(path, params) {
+    const rest = { ...params };
+    const filled = String(path).replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (m, key) => {
+      if (!Object.prototype.hasOwnProperty.call(rest, key)) return m;
+      const value = rest[key];
+      delete rest[key];
+      return encodeURIComponent(value == null ? '' : String(value));
+    });
+    return { path: filled, rest };
+  }
+
+  /**
+   * Serializes params into a query string. Nested objects are JSON-encoded.
+   *
+   * @protected
+   * @param {Object} params
+   * @returns {string}
+   */
+  _toQuery(params) {
+    const qs = new URLSearchParams();
+    for (const [key, value] of Object.entries(params || {})) {
+      if (value === undefined || value === null) continue;
+      if (Array.isArray(value)) {
+        value.forEach((v) => qs.append(key, String(v)));
+      } else if (typeof value === 'object') {
+        qs.append(key, JSON.stringify(value));
+      } else {
+        qs.append(key, String(value));
+      }
+    }
+    const str = qs.toString();
+    return str ? `?${str}` : '';
+  }
+
+  /**
+   * Resolves static or factory headers.
+   *
+   * @protected
+   * @returns {Object}
+   */
+  _resolveHeaders() {
+    try {
+      const h = typeof this.headers === 'function' ? this.headers() : this.headers;
+      return h && typeof h === 'object' ? { ...h } : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Parses a fetch Response according to the expected type.
+   *
+   * @protected
+   * @param {Response} response
+   * @param {'JSON'|'TEXT'|string} expect
+   * @returns {Promise<any>}
+   */
+  async _parse(response, expect) {
+    const type = String(expect || 'JSON').toUpperCase();
+    if (type === 'TEXT') return response.text();
+    if (type !== 'JSON') return response;
+
+    const text = await response.text();
+    if (!text) return null;
+    return JSON.parse(text);
+  }
+
+  /**
+   * Sends a payload as an HTTP request.
+   *
+   * @param {Object} [payload={}] - Request payload (`sysRequest` selects the route).
+   * @param {'JSON'|'TEXT'|string} [expect='JSON'] - Expected response type.
+   * @param {{signal?: AbortSignal}} [options] - `signal` is forwarded to fetch.
+   * @returns {Promise<any>}
+   */
+  async send(payload = {}, expect = 'JSON', { signal } = {}) {
+    const { sysRequest = '', idempotencyKey, authToken, ...params } = payload || {};
+    const route = this._resolveRoute(sysRequest);
+    const { path, rest } = this._fillPath(route.path, params);
+
+    const headers = { ...this._resolveHeaders(), ...route.headers };
+    if (idempotencyKey) headers['Idempotency-Key'] = String(idempotencyKey);
+    if (authToken && !Object.keys(headers).some((k) => k.toLowerCase() === 'authorization')) {
+      headers.Authorization = `Bearer ${authToken}`;
+    }
+    const init = { method: route.method, headers };
+    if (this.credentials) init.credentials = this.credentials;
+    if (signal) init.signal = signal;
+
+    let url = `${this.baseUrl}${path.startsWith('/') ? '' : '/'}${path}`;
+
+    if (route.method === 'GET' || route.method === 'HEAD' || route.method === 'DELETE') {
+      url += this._toQuery(rest);
+    } else {
+      const body = this.mapBody(rest, { sysRequest, method: route.method, path });
+      if (body !== undefined) {
+        if (!Object.keys(headers).some((k) => k.toLowerCase() === 'content-type')) {
+          headers['Content-Type'] = 'application/json';
+        }
+        init.body = typeof body === 'string' ? body : JSON.stringify(body);
+      }
+    }
+
+    const response = await this._fetch(url, init);
+
+    if (!response.ok) {
+      const err = new Error(`HTTP ${response.status} ${response.statusText || ''}`.trim());
+      err.status = response.status;
+      err.sysRequest = sysRequest;
+      throw err;
+    }
+
+    const data = await this._parse(response, expect);
+    return this.mapResponse(data, { sysRequest, response });
+  }
+}
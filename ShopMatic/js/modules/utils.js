@@ -113,26 +113,40 @@ export function _msg(key, vars = {}, ctx = null) {
 
 
 /**
- * makeSpecHtmlPreview: принимает JSON-строку или объект и возвращает безопасный HTML
+ * parseSpecs: JSON-строка или объект характеристик → объект; null, если характеристик нет
  * @param {string|object} specs
- * @returns {string}
+ * @returns {object|null}
  */
-export function makeSpecHtmlPreview(specs) {
-  if (arguments.length === 0 || specs == null) return '';
+export function parseSpecs(specs) {
+  if (specs == null) return null;
 
   let data = specs;
   if (typeof specs === 'string') {
-    specs = specs.trim();
-    if (!specs) return '';
+    const trimmed = specs.trim();
+    if (!trimmed) return null;
     try {
-      data = JSON.parse(specs);
+      data = JSON.parse(trimmed);
     } catch {
-      return '';
+      return null;
     }
   }
-  if (typeof data !== 'object' || Array.isArray(data) || !Object.keys(data).length) {
-    return '';
+  if (!data || typeof data !== 'object' || Array.isArray(data) || !Object.keys(data).length) {
+    return null;
   }
+  return data;
+}
+
+/**
+ * makeSpecHtmlPreview: принимает JSON-строку или объект и возвращает безопасный HTML
+ * @param {string|object} specs
+ * @returns {string}
+ */
+export function makeSpecHtmlPreview(specs) {
+  if (arguments.length === 0) return '';
+
+  const data = parseSpecs(specs);
+  if (!data) return '';
+
   let html = '<strong>Основные характеристики:</strong><div class="specsBlock">';
   for (const [key, value] of Object.entries(data)) {
     html += `<div class="specsEntry">
@@ -145,3 +159,58 @@ export function makeSpecHtmlPreview(specs) {
   html += '</div>';
   return html;
 }
+
+/**
+ * buildSpecComparison: строки таблицы сравнения по характеристикам нескольких товаров.
+ * Ключи объединяются в порядке первого появления; отсутствующее значение — ''.
+ * Строка отличается (differs), если нормализованные значения не совпадают.
+ * @param {Array<Object>} products
+ * @returns {Array<{key: string, values: string[], differs: boolean}>}
+ */
+export function buildSpecComparison(products = []) {
+  const list = Array.isArray(products) ? products : [];
+  const specsList = list.map(p => parseSpecs(p?.specs) || {});
+
+  const keys = [];
+  const seen = new Set();
+  for (const specs of specsList) {
+    for (const key of Object.keys(specs)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        keys.push(key);
+      }
+    }
+  }
+
+  const norm = (v) => String(v).trim().toLowerCase().replace(/\s+/g, ' ');
+
+  return keys.map(key => {
+    const values = specsList.map(specs => {
+      const v = specs[key];
+      return v == null || typeof v === 'object' ? '' : String(v);
+    });
+    const differs = values.length > 1 && new Set(values.map(norm)).size > 1;
+    return { key, values, differs };
+  });
+}
+
+/**
+ * makeSpecCompareHtml: строки <tr> таблицы сравнения характеристик (безопасный HTML)
+ * @param {Array<Object>} products
+ * @param {Object} [opts]
+ * @param {boolean} [opts.onlyDiff=false] - только отличающиеся строки
+ * @param {string} [opts.emptyValue='—']
+ * @returns {string}
+ */
+export function makeSpecCompareHtml(products = [], { onlyDiff = false, emptyValue = '—' } = {}) {
+  let html = '';
+  for (const row of buildSpecComparison(products)) {
+    if (onlyDiff && !row.differs) continue;
+    html += `<tr class="compare-row${row.differs ? ' is-diff' : ''}">
+  <th scope="row" class="compare-row__title">${escapeHtml(row.key)}</th>
+  ${row.values.map(v => `<td class="compare-row__value">${escapeHtml(v || emptyValue)}</td>`).join('')}
+</tr>
+`;
+  }
+  return html;
+}